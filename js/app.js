@@ -19,8 +19,9 @@ function loadNickname() {
 }
 
 // 隊伍狀態
-let isFirebaseReady = false;
+let isBackendReady = false;
 let partyMembers = {};
+let partyPresence = {};
 let partyTreasures = [];
 let selectedRouteItem = null;
 let isAddingTreasureMode = false;
@@ -28,6 +29,13 @@ let partyExpiryTimer = null;
 let isReconnecting = false;
 let previousTreasureKeys = new Set();
 let hasInitialTreasureSync = false;
+let pendingRouteProposal = null;
+let routeDragState = null;
+let routeListRenderPending = false;
+
+// 我的藏寶圖 (未加入隊伍時，路線面板顯示本機的個人清單)
+const MY_MAPS_OPEN_STORAGE_KEY = 'ffxiv_treasure_my_maps_open';
+let isMyMapsOpen = false;
 
 // DOM 元素
 const stepGrade = document.getElementById('step-grade');
@@ -45,13 +53,63 @@ const selectedMarker = document.getElementById('selected-marker');
 const puzzleGrid = document.getElementById('puzzle-grid');
 const treasureCount = document.getElementById('treasure-count');
 
+// 地圖檢視器 (可縮放、拖曳，於 init 建立)
+let sideMapViewer = null;
+let previewMapViewer = null;
+let gatheringMapViewer = null;
+let nearestMapViewer = null;
+
+// 依位置查詢 (最近藏寶點列出的數量)
+const NEAREST_RESULT_LIMIT = 5;
+let nearestResults = [];
+
+// 網址路由 (目前顯示的步驟；套用網址時不寫回網址)
+let currentStep = 'grade';
+let isApplyingRoute = false;
+let routeSyncPending = false;
+
+// 全域搜尋 (目前的結果與鍵盤選取的位置)
+let globalSearchResults = [];
+let globalSearchActiveIndex = 0;
+
 // 初始化
 async function init() {
+    initMapViewers();
     renderGradeButtons();
     bindEvents();
+    bindRoutePanelEvents();
+    initRouting();
     await initializePartySystem();
 }
 
+// 建立可縮放的地圖檢視器 (側邊地圖、路線預覽、採集點地圖)
+// 點擊任何地圖都會開啟依位置查詢
+function initMapViewers() {
+    sideMapViewer = MapViewer.create(document.querySelector('.side-map-container'), {
+        image: mainMapImage,
+        onClick: openNearestLookup
+    });
+    previewMapViewer = MapViewer.create(document.querySelector('.map-preview-container'), {
+        image: document.getElementById('preview-map-image'),
+        onClick: openNearestLookup
+    });
+    gatheringMapViewer = MapViewer.create(document.querySelector('.gathering-map-container'), {
+        image: document.getElementById('gathering-map-image'),
+        onClick: (coords, mapId) => {
+            closeModal('modal-gathering-map');
+            openNearestLookup(coords, mapId);
+        }
+    });
+    nearestMapViewer = MapViewer.create(document.querySelector('.nearest-map-container'), {
+        image: document.getElementById('nearest-map-image'),
+        onClick: (coords) => {
+            document.getElementById('nearest-x').value = coords.x.toFixed(1);
+            document.getElementById('nearest-y').value = coords.y.toFixed(1);
+            runNearestLookup();
+        }
+    });
+}
+
 // 渲染等級按鈕
 function renderGradeButtons() {
     gradeGrid.innerHTML = '';
@@ -130,16 +188,19 @@ function renderMapButtons() {
 // 儲存目前選擇的地圖字母
 let selectedMapLetter = null;
 
+// 截圖辨識 (最新一次辨識的編號，避免較慢的舊結果覆蓋新結果)
+let screenshotMatchId = 0;
+let screenshotMatchTreasures = [];
+let screenshotPreviewUrl = null;
+
 // 選擇地圖
 function selectMap(mapId, letter) {
     selectedMapId = mapId;
     selectedMapLetter = letter;
+    selectedTreasure = null;
     selectedMapName.textContent = `${letter} ${getMapName(mapId)}`;
 
-    const map = MAP_DATA[mapId];
-    if (map) {
-        mainMapImage.src = map.image;
-    }
+    sideMapViewer.setMap(mapId);
 
     renderTreasures();
     showStep('treasure');
@@ -243,25 +304,10 @@ function renderTreasures() {
 }
 
 // 計算 Teamcraft 風格的地圖偏移量 (像素)
-// 讓目標藏寶點位於卡片中央
-// 公式來源: https://github.com/xivapi/ffxiv-datamining/blob/master/docs/MapCoordinates.md
+// 讓目標藏寶點位於卡片中央 (卡片範圍見 data.js 的 getTreasureCropRect)
 function calcTeamcraftOffset(coords, mapId) {
-    const map = MAP_DATA[mapId];
-    const sizeFactor = map?.size_factor || 100;
-
-    // 遊戲座標轉換為 2048x2048 地圖上的像素位置
-    const pixelX = (coords.x - 1) * sizeFactor / 2;
-    const pixelY = (coords.y - 1) * sizeFactor / 2;
-
-    // 容器中央位置 (218*0.9/2 和 189*0.9/2)
-    const centerX = 218 * 0.9 / 2;  // 98.1
-    const centerY = 189 * 0.9 / 2;  // 85.05
-
-    // 計算偏移：讓 pixelX 位置出現在容器中央
-    const displayX = centerX - pixelX;
-    const displayY = centerY - pixelY;
-
-    return { x: displayX, y: displayY };
+    const crop = getTreasureCropRect(coords, mapId);
+    return { x: -crop.x, y: -crop.y };
 }
 
 // 遊戲座標轉換為地圖百分比位置
@@ -279,6 +325,7 @@ function coordsToPercent(coords, mapId) {
 // 選擇藏寶點
 function selectTreasure(treasure, index) {
     selectedTreasure = treasure;
+    scheduleRouteSync();
 
     // 更新側邊地圖標記高亮
     document.querySelectorAll('.map-marker').forEach(m => {
@@ -320,6 +367,9 @@ function showSideInfo(treasure) {
 
 // 顯示步驟
 function showStep(step) {
+    currentStep = step;
+    scheduleRouteSync();
+
     stepGrade.classList.toggle('hidden', step !== 'grade');
     stepMap.classList.toggle('hidden', step !== 'map');
     stepTreasure.classList.toggle('hidden', step !== 'treasure');
@@ -336,44 +386,483 @@ function showStep(step) {
     }
 }
 
+// 回到等級選擇 (清除所有選擇)
+function showGradeStep() {
+    selectedGrade = null;
+    selectedMapId = null;
+    selectedTreasure = null;
+    showStep('grade');
+}
+
 // 綁定事件
 function bindEvents() {
-    backToGrade.addEventListener('click', () => {
-        selectedGrade = null;
-        selectedMapId = null;
-        selectedTreasure = null;
-        showStep('grade');
-    });
+    backToGrade.addEventListener('click', showGradeStep);
 
     backToMap.addEventListener('click', () => {
         selectedMapId = null;
         selectedTreasure = null;
         showStep('map');
     });
+
+    bindScreenshotEvents();
+    bindNearestLookupEvents();
+    bindGlobalSearchEvents();
+}
+
+// ============================================
+// 依位置查詢 (地圖 + 座標 → 各等級最近的藏寶點)
+// ============================================
+
+function bindNearestLookupEvents() {
+    const mapSelect = document.getElementById('nearest-map-select');
+    mapSelect.innerHTML = getAllTreasureMaps()
+        .map(map => `<option value="${map.id}">${escapeHtml(map.name)}</option>`)
+        .join('');
+
+    document.getElementById('btn-nearest-lookup').addEventListener('click', () => openNearestLookup(null, null));
+    document.getElementById('btn-nearest-search').addEventListener('click', runNearestLookup);
+    mapSelect.addEventListener('change', runNearestLookup);
+    ['nearest-x', 'nearest-y'].forEach(id => {
+        document.getElementById(id).addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') runNearestLookup();
+        });
+    });
+
+    // 查詢結果：查看或直接加入
+    document.getElementById('nearest-results').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const result = nearestResults[parseInt(button.closest('.nearest-item').dataset.index)];
+        if (!result) return;
+
+        if (button.dataset.action === 'add') {
+            if (PartyService.isInParty()) {
+                addTreasureToParty(result.treasure.id);
+            } else {
+                addTreasureToMyMaps(result.treasure.id);
+            }
+            return;
+        }
+        closeModal('modal-nearest-treasure');
+        openTreasure(result.treasure);
+    });
+}
+
+// 開啟依位置查詢 (mapId 省略時沿用上次選擇的地圖，coords 省略時等待點擊或輸入)
+function openNearestLookup(coords, mapId) {
+    const mapSelect = document.getElementById('nearest-map-select');
+    if (mapId) mapSelect.value = mapId;
+    // 沒有藏寶點的地圖 (例如採集點地圖) 不在選單中，改為第一張地圖並清除座標
+    if (!mapSelect.value) {
+        mapSelect.selectedIndex = 0;
+        coords = null;
+    }
+    document.getElementById('nearest-x').value = coords ? coords.x.toFixed(1) : '';
+    document.getElementById('nearest-y').value = coords ? coords.y.toFixed(1) : '';
+
+    openModal('modal-nearest-treasure');
+    runNearestLookup();
+}
+
+// 依目前的地圖與座標查詢
+function runNearestLookup() {
+    const mapId = parseInt(document.getElementById('nearest-map-select').value);
+    const x = parseFloat(document.getElementById('nearest-x').value);
+    const y = parseFloat(document.getElementById('nearest-y').value);
+    const valid = [x, y].every(v => v >= 1 && v <= 45);
+
+    nearestMapViewer.setMap(mapId || null);
+    nearestResults = mapId && valid ? findNearestTreasures(mapId, { x, y }, NEAREST_RESULT_LIMIT) : [];
+    renderNearestResults(valid ? { x, y } : null);
+}
+
+// 顯示查詢結果與地圖標記
+function renderNearestResults(coords) {
+    const resultsEl = document.getElementById('nearest-results');
+    const markersEl = document.getElementById('nearest-map-markers');
+    const canAdd = !PartyService.isSpectating();
+    const addLabel = PartyService.isInParty() ? '加入隊伍' : '加入我的藏寶圖';
+
+    if (!coords) {
+        resultsEl.innerHTML = '<div class="empty-state">請點擊地圖或輸入 1 ~ 45 之間的 X/Y 座標</div>';
+        markersEl.innerHTML = '';
+        return;
+    }
+
+    const mapId = parseInt(document.getElementById('nearest-map-select').value);
+    const queryPos = coordsToPercent(coords, mapId);
+    markersEl.innerHTML = `<div class="nearest-query-marker" style="left: ${queryPos.x}%; top: ${queryPos.y}%;"></div>` +
+        nearestResults.map((result, index) => {
+            const pos = coordsToPercent(result.treasure.coords, result.treasure.map);
+            return `<div class="map-marker" style="left: ${pos.x}%; top: ${pos.y}%;">${index + 1}</div>`;
+        }).join('');
+
+    if (nearestResults.length === 0) {
+        resultsEl.innerHTML = '<div class="empty-state">此地圖沒有藏寶點</div>';
+        return;
+    }
+
+    resultsEl.innerHTML = nearestResults.map((result, index) => {
+        const { treasure, grade, distance } = result;
+        // 與藏寶圖卡片相同的範圍，縮小為一半
+        const offset = calcTeamcraftOffset(treasure.coords, treasure.map);
+        return `
+            <div class="nearest-item" data-index="${index}">
+                <div class="nearest-preview">
+                    <img class="nearest-preview-map" src="${MAP_DATA[treasure.map]?.image}" alt="地圖"
+                         style="left: ${offset.x / 2}px; top: ${offset.y / 2}px;">
+                    <img class="nearest-preview-marker" src="assets/icons/treasure_marker.png" alt="標記">
+                    <span class="nearest-preview-number">${index + 1}</span>
+                </div>
+                <div class="nearest-info">
+                    <div><span class="nearest-grade">${grade.grade}</span> ${escapeHtml(grade.name)}</div>
+                    <div class="nearest-coords">X: ${treasure.coords.x.toFixed(1)} Y: ${treasure.coords.y.toFixed(1)}</div>
+                    <div class="nearest-distance">距離 ${distance.toFixed(1)}</div>
+                </div>
+                <div class="nearest-actions">
+                    <button class="btn-text" data-action="open">查看</button>
+                    ${canAdd ? `<button class="btn btn-success btn-sm" data-action="add">${addLabel}</button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// 直接開啟某個等級的某張地圖 (地圖字母依該等級的地圖順序)
+function openGradeMap(grade, mapId) {
+    selectGrade(grade);
+    const mapIndex = getMapsForGrade(grade).findIndex(map => map.id === mapId);
+    selectMap(mapId, indexToLetter(mapIndex));
+}
+
+// 直接開啟某個藏寶點的卡片 (依序選擇等級、地圖、藏寶點)
+function openTreasure(treasure) {
+    const grade = getGradeByItemId(treasure.item);
+    if (!grade) return;
+
+    openGradeMap(grade, treasure.map);
+
+    const treasures = getTreasuresForGradeAndMap(grade, treasure.map);
+    selectTreasure(treasure, treasures.indexOf(treasure));
+}
+
+// ============================================
+// 網址路由 (#/等級/地圖/藏寶點)
+// ============================================
+
+// 套用開啟頁面時的網址，之後跟著瀏覽器的上一頁 / 下一頁切換
+function initRouting() {
+    const route = UrlRouter.parseHash(window.location.hash);
+    applyRoute(route);
+    // 無效的部分從網址移除
+    window.history.replaceState({}, '', window.location.pathname + window.location.search + UrlRouter.buildHash(route));
+
+    window.addEventListener('popstate', () => {
+        applyRoute(UrlRouter.parseHash(window.location.hash));
+    });
+}
+
+// 依路線切換步驟 (不寫回網址)
+function applyRoute(route) {
+    isApplyingRoute = true;
+    try {
+        if (route.treasure) {
+            openTreasure(route.treasure);
+        } else if (route.mapId) {
+            openGradeMap(route.grade, route.mapId);
+        } else if (route.grade) {
+            selectGrade(route.grade);
+        } else {
+            showGradeStep();
+        }
+    } finally {
+        isApplyingRoute = false;
+    }
+}
+
+// 目前顯示的步驟對應的路線
+function getCurrentRoute() {
+    if (currentStep === 'grade' || !selectedGrade) return {};
+    if (currentStep === 'map') return { grade: selectedGrade };
+    return { grade: selectedGrade, mapId: selectedMapId, treasure: selectedTreasure };
+}
+
+// 同一次操作中的多次選擇 (例如 openTreasure 依序選擇等級、地圖、藏寶點) 合併為一筆瀏覽紀錄
+function scheduleRouteSync() {
+    if (isApplyingRoute || routeSyncPending) return;
+    routeSyncPending = true;
+    queueMicrotask(() => {
+        routeSyncPending = false;
+        syncRouteToUrl();
+    });
+}
+
+function syncRouteToUrl() {
+    const route = getCurrentRoute();
+    const hash = UrlRouter.buildHash(route);
+    if (hash === window.location.hash) return;
+
+    const url = window.location.pathname + window.location.search + hash;
+    // 同一張地圖內切換藏寶點時取代目前的紀錄，換步驟時才新增
+    const previous = UrlRouter.parseHash(window.location.hash);
+    if (previous.treasure && route.treasure && previous.mapId === route.mapId) {
+        window.history.replaceState({}, '', url);
+    } else {
+        window.history.pushState({}, '', url);
+    }
+}
+
+// ============================================
+// 全域搜尋 (地區、傳送點、藏寶圖名稱、座標)
+// ============================================
+
+const GLOBAL_SEARCH_TYPE_LABELS = {
+    treasure: '藏寶點',
+    position: '座標',
+    grade: '等級',
+    map: '地圖',
+    aetheryte: '傳送點'
+};
+
+function bindGlobalSearchEvents() {
+    const input = document.getElementById('global-search-input');
+    const resultsEl = document.getElementById('global-search-results');
+
+    document.getElementById('btn-global-search').addEventListener('click', openGlobalSearch);
+
+    // Ctrl+K / Cmd+K 隨時開啟，未在輸入框中時也可按 /
+    document.addEventListener('keydown', (e) => {
+        const isTyping = e.target.closest('input, textarea, select, [contenteditable="true"]');
+        if (((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') || (e.key === '/' && !isTyping)) {
+            e.preventDefault();
+            openGlobalSearch();
+        }
+    });
+
+    input.addEventListener('input', runGlobalSearch);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (globalSearchResults.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            globalSearchActiveIndex = (globalSearchActiveIndex + step + globalSearchResults.length) % globalSearchResults.length;
+            renderGlobalSearchResults();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            selectGlobalSearchResult(globalSearchActiveIndex);
+        } else if (e.key === 'Escape') {
+            closeModal('modal-global-search');
+        }
+    });
+
+    resultsEl.addEventListener('click', (e) => {
+        const item = e.target.closest('.global-search-item');
+        if (item) selectGlobalSearchResult(parseInt(item.dataset.index));
+    });
+}
+
+// 開啟搜尋 (保留上次的輸入並全選，方便直接輸入新的查詢)
+function openGlobalSearch() {
+    const input = document.getElementById('global-search-input');
+    openModal('modal-global-search');
+    runGlobalSearch();
+    input.focus();
+    input.select();
+}
+
+function runGlobalSearch() {
+    const query = document.getElementById('global-search-input').value;
+    globalSearchResults = GlobalSearch.search(query, { grade: selectedGrade, mapId: selectedMapId });
+    globalSearchActiveIndex = 0;
+    renderGlobalSearchResults();
+}
+
+function renderGlobalSearchResults() {
+    const resultsEl = document.getElementById('global-search-results');
+    const query = document.getElementById('global-search-input').value.trim();
+
+    if (globalSearchResults.length === 0) {
+        resultsEl.innerHTML = query ? '<div class="empty-state">找不到符合的結果</div>' : '';
+        return;
+    }
+
+    resultsEl.innerHTML = globalSearchResults.map((result, index) => `
+        <div class="global-search-item ${index === globalSearchActiveIndex ? 'active' : ''}" data-index="${index}">
+            <span class="global-search-type">${GLOBAL_SEARCH_TYPE_LABELS[result.type]}</span>
+            <div>
+                <div class="global-search-title">${escapeHtml(result.title)}</div>
+                <div class="global-search-subtitle">${escapeHtml(result.subtitle)}</div>
+            </div>
+        </div>
+    `).join('');
+
+    resultsEl.querySelector('.global-search-item.active')?.scrollIntoView({ block: 'nearest' });
+}
+
+// 開啟搜尋結果對應的頁面
+function selectGlobalSearchResult(index) {
+    const result = globalSearchResults[index];
+    if (!result) return;
+
+    closeModal('modal-global-search');
+    switch (result.type) {
+        case 'grade':
+            selectGrade(result.grade);
+            break;
+        case 'map':
+            openGradeMap(result.grade, result.mapId);
+            break;
+        case 'treasure':
+            openTreasure(result.treasure);
+            break;
+        case 'position':
+        case 'aetheryte':
+            openNearestLookup(result.coords, result.mapId);
+            break;
+    }
+}
+
+// ============================================
+// 截圖辨識
+// ============================================
+
+// 綁定截圖辨識事件 (按鈕選擇檔案、在藏寶點頁面 Ctrl+V 貼上或拖放圖片)
+function bindScreenshotEvents() {
+    const btn = document.getElementById('btn-screenshot-match');
+    const input = document.getElementById('screenshot-input');
+    btn.addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        if (input.files[0]) handleScreenshotFile(input.files[0]);
+        input.value = '';
+    });
+
+    document.addEventListener('paste', (e) => {
+        if (stepTreasure.classList.contains('hidden')) return;
+        const item = Array.from(e.clipboardData?.items || []).find(i => i.type.startsWith('image/'));
+        if (!item) return;
+        e.preventDefault();
+        handleScreenshotFile(item.getAsFile());
+    });
+
+    stepTreasure.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        stepTreasure.classList.add('screenshot-drop-active');
+    });
+    stepTreasure.addEventListener('dragleave', (e) => {
+        if (!stepTreasure.contains(e.relatedTarget)) {
+            stepTreasure.classList.remove('screenshot-drop-active');
+        }
+    });
+    stepTreasure.addEventListener('drop', (e) => {
+        const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith('image/'));
+        stepTreasure.classList.remove('screenshot-drop-active');
+        if (!file) return;
+        e.preventDefault();
+        handleScreenshotFile(file);
+    });
+
+    // 辨識結果：查看或直接加入
+    document.getElementById('screenshot-match-results').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const index = parseInt(button.closest('.screenshot-match-item').dataset.index);
+        const treasure = screenshotMatchTreasures[index];
+        if (!treasure) return;
+
+        if (button.dataset.action === 'add') {
+            if (PartyService.isInParty()) {
+                addTreasureToParty(treasure.id);
+            } else {
+                addTreasureToMyMaps(treasure.id);
+            }
+        }
+        closeModal('modal-screenshot-match');
+        selectTreasure(treasure, index);
+    });
+}
+
+// 辨識截圖是目前地圖的哪一個藏寶點
+async function handleScreenshotFile(file) {
+    if (!selectedGrade || !selectedMapId) return;
+
+    const statusEl = document.getElementById('screenshot-match-status');
+    const resultsEl = document.getElementById('screenshot-match-results');
+    const previewEl = document.getElementById('screenshot-match-preview');
+
+    if (screenshotPreviewUrl) URL.revokeObjectURL(screenshotPreviewUrl);
+    screenshotPreviewUrl = URL.createObjectURL(file);
+    previewEl.src = screenshotPreviewUrl;
+    resultsEl.innerHTML = '';
+    statusEl.textContent = '辨識中...';
+    openModal('modal-screenshot-match');
+
+    const matchId = ++screenshotMatchId;
+    const treasures = getTreasuresForGradeAndMap(selectedGrade, selectedMapId);
+    try {
+        const results = await ScreenshotMatcher.matchScreenshot(file, treasures);
+        if (matchId !== screenshotMatchId) return;
+
+        screenshotMatchTreasures = treasures;
+        statusEl.textContent = results.length > 0
+            ? '依相似度排序，請與卡片比對確認'
+            : '此地圖沒有藏寶點';
+        renderScreenshotMatches(results);
+    } catch (error) {
+        if (matchId !== screenshotMatchId) return;
+        statusEl.textContent = '辨識失敗: ' + error.message;
+    }
+}
+
+// 顯示辨識結果 (最可能的藏寶點可以直接加入隊伍或我的藏寶圖)
+function renderScreenshotMatches(results) {
+    const resultsEl = document.getElementById('screenshot-match-results');
+    const canAdd = !PartyService.isSpectating();
+    const addLabel = PartyService.isInParty() ? '加入隊伍' : '加入我的藏寶圖';
+
+    resultsEl.innerHTML = results.map((result, rank) => {
+        const index = screenshotMatchTreasures.indexOf(result.treasure);
+        const percent = Math.round(result.confidence * 100);
+        return `
+            <div class="screenshot-match-item ${rank === 0 ? 'best' : ''}" data-index="${index}">
+                <span class="screenshot-match-number">${index + 1}</span>
+                <span class="screenshot-match-coords">X: ${result.treasure.coords.x.toFixed(1)} Y: ${result.treasure.coords.y.toFixed(1)}</span>
+                <div class="screenshot-match-bar"><div style="width: ${percent}%"></div></div>
+                <span class="screenshot-match-confidence">${percent}%</span>
+                <button class="btn-text" data-action="select">查看</button>
+                ${rank === 0 && canAdd ? `<button class="btn btn-success btn-sm" data-action="add">${addLabel}</button>` : ''}
+            </div>
+        `;
+    }).join('');
 }
 
 // ============================================
 // 隊伍功能
 // ============================================
 
-// 初始化隊伍系統 (延遲連線模式 - 只綁定事件，不連接 Firebase)
+// 初始化隊伍系統 (延遲連線模式 - 只綁定事件，不連接同步後端)
 async function initializePartySystem() {
-    // 檢查 Firebase 是否已設定
-    if (!window.FirebaseConfig || !window.FirebaseConfig.isConfigured()) {
-        console.log('Firebase 尚未設定，隊伍功能將不可用');
+    // 檢查同步後端 (Firebase 或自架中繼伺服器) 是否已設定
+    const backend = StorageAdapter.useConfigured();
+    if (!backend.isConfigured()) {
+        console.log('同步後端尚未設定，隊伍功能將不可用');
         disablePartyButtons();
         return;
     }
 
-    // 只綁定事件，不初始化 Firebase 連線
-    // Firebase 連線會在使用者建立/加入隊伍時才建立
+    // 只綁定事件，不初始化連線
+    // 連線會在使用者建立/加入隊伍時才建立
     bindPartyEvents();
 
-    // 檢查 URL 是否有邀請代碼 (?party=XXXXXXXX)
+    // 檢查 URL 是否有邀請代碼 (?party=XXXXXXXX) 或觀戰代碼 (?watch=...)
     const urlParams = new URLSearchParams(window.location.search);
     const inviteCode = urlParams.get('party');
+    const spectatorToken = urlParams.get('watch');
 
-    if (inviteCode) {
+    if (spectatorToken) {
+        // 有觀戰連結，唯讀觀看隊伍路線
+        handleSpectateUrl(spectatorToken);
+    } else if (inviteCode) {
         // 有邀請連結，處理加入流程
         handleInviteUrl(inviteCode);
     } else if (PartyService.hasSavedPartyState()) {
@@ -404,8 +893,8 @@ async function handleInviteUrl(partyCode) {
         clearInviteUrlParam();
 
         try {
-            // 確保 Firebase 已連線
-            const connected = await ensureFirebaseConnected();
+            // 確保同步後端已連線
+            const connected = await ensureBackendConnected();
             if (!connected) {
                 throw new Error('無法連接伺服器，請稍後再試');
             }
@@ -443,7 +932,51 @@ async function handleInviteUrl(partyCode) {
 function clearInviteUrlParam() {
     const url = new URL(window.location);
     url.searchParams.delete('party');
-    window.history.replaceState({}, '', url.pathname + url.search);
+    window.history.replaceState({}, '', url.pathname + url.search + url.hash);
+}
+
+// 處理觀戰連結 (保留網址參數，重新整理後繼續觀戰)
+async function handleSpectateUrl(token) {
+    if (!PartyService.isValidSpectatorToken(token)) {
+        console.warn('觀戰連結代碼格式無效:', token);
+        clearSpectateUrlParam();
+        return;
+    }
+
+    try {
+        // 確保同步後端已連線
+        const connected = await ensureBackendConnected();
+        if (!connected) {
+            throw new Error('無法連接伺服器，請稍後再試');
+        }
+
+        await PartyService.watchParty(token);
+        SyncService.startSync(null, { spectatorToken: token });
+        updatePartyButtonsUI(true);
+    } catch (error) {
+        console.error('開啟觀戰連結失敗:', error);
+        clearSpectateUrlParam();
+        alert('無法觀戰: ' + error.message);
+    }
+}
+
+// 停止觀戰並回到一般模式
+function stopSpectating() {
+    PartyService.stopWatching();
+    clearSpectateUrlParam();
+    resetPartyUI();
+
+    // 觀戰前已在隊伍中時，提供重新連線
+    if (PartyService.hasSavedPartyState()) {
+        showReconnectPrompt();
+    }
+}
+
+// 清除 URL 中的觀戰參數
+function clearSpectateUrlParam() {
+    const url = new URL(window.location);
+    url.searchParams.delete('watch');
+    window.history.replaceState({}, '', url.pathname + url.search + url.hash);
 }
 
 // 修改暱稱
@@ -461,7 +994,7 @@ async function promptEditNickname() {
     if (trimmedNickname === currentNickname) return; // 沒有變更
 
     try {
-        // 更新 Firebase 中的暱稱
+        // 更新隊伍中的暱稱
         await PartyService.updateNickname(trimmedNickname);
 
         // 儲存到 localStorage
@@ -474,16 +1007,54 @@ async function promptEditNickname() {
     }
 }
 
+// 產生分享連結 (?party= 邀請 / ?watch= 觀戰)
+function buildShareUrl(param, value, hash = '') {
+    let url = `${window.location.origin}${window.location.pathname}?${param}=${value}`;
+
+    // 使用自架中繼伺服器時，連結需帶上伺服器網址
+    const relayUrl = StorageAdapter.getRelayUrl();
+    if (relayUrl) {
+        url += `&relay=${encodeURIComponent(relayUrl)}`;
+    }
+    return url + hash;
+}
+
 // 複製邀請連結
 function copyInviteLink(btnElement) {
     const partyCode = PartyService.getCurrentPartyCode();
     if (!partyCode) return;
 
-    const url = `${window.location.origin}${window.location.pathname}?party=${partyCode}`;
+    // 帶上目前選擇的等級，隊友開啟後直接進入該等級
+    const gradeHash = UrlRouter.buildHash({ grade: selectedGrade });
+    copyShareLink(buildShareUrl('party', partyCode, gradeHash), btnElement || document.getElementById('btn-copy-invite'));
+}
+
+// 複製觀戰連結 (唯讀觀看，不佔成員名額)
+async function copySpectatorLink(btnElement) {
+    try {
+        const token = await PartyService.getSpectatorToken();
+        copyShareLink(buildShareUrl('watch', token), btnElement);
+    } catch (error) {
+        alert('建立觀戰連結失敗: ' + error.message);
+    }
+}
+
+// 重設觀戰連結 (僅房主，舊連結的觀戰者會被中斷)
+async function handleResetSpectatorLink(btnElement) {
+    if (!confirm('確定要重設觀戰連結嗎？目前的觀戰連結將會失效。')) return;
+
+    try {
+        const token = await PartyService.resetSpectatorToken();
+        copyShareLink(buildShareUrl('watch', token), btnElement);
+    } catch (error) {
+        alert('重設觀戰連結失敗: ' + error.message);
+    }
+}
 
+// 複製連結並在按鈕上顯示已複製
+function copyShareLink(url, btn) {
     navigator.clipboard.writeText(url).then(() => {
         // 顯示複製成功提示
-        const btn = btnElement || document.getElementById('btn-copy-invite');
         if (btn) {
             const originalText = btn.innerHTML;
             const isLarge = btn.classList.contains('btn-invite-link-lg');
@@ -558,8 +1129,8 @@ async function handleReconnect() {
     isReconnecting = true;
 
     try {
-        // 確保 Firebase 已連線
-        const connected = await ensureFirebaseConnected();
+        // 確保同步後端已連線
+        const connected = await ensureBackendConnected();
         if (!connected) {
             throw new Error('無法連接伺服器');
         }
@@ -609,30 +1180,30 @@ function removeReconnectButtons() {
     if (cancelBtn) cancelBtn.remove();
 }
 
-// 確保 Firebase 已連線 (延遲初始化)
-async function ensureFirebaseConnected() {
-    if (isFirebaseReady) {
+// 確保同步後端已連線 (延遲初始化)
+async function ensureBackendConnected() {
+    if (isBackendReady) {
         return true;
     }
 
     try {
-        // 初始化 Firebase
-        isFirebaseReady = await window.FirebaseConfig.initialize();
+        // 初始化同步後端
+        isBackendReady = await StorageAdapter.useConfigured().initialize();
 
-        if (isFirebaseReady) {
+        if (isBackendReady) {
             // 初始化認證
             await AuthService.initialize();
 
             // 設定同步回調
             setupSyncCallbacks();
 
-            console.log('Firebase 連線已建立');
+            console.log(`同步後端已連線: ${StorageAdapter.get().name}`);
             return true;
         } else {
             return false;
         }
     } catch (error) {
-        console.error('Firebase 連線失敗:', error);
+        console.error('同步後端連線失敗:', error);
         return false;
     }
 }
@@ -643,11 +1214,16 @@ function disablePartyButtons() {
     const btnJoin = document.getElementById('btn-join-party');
     if (btnCreate) {
         btnCreate.disabled = true;
-        btnCreate.title = 'Firebase 尚未設定';
+        btnCreate.title = '同步伺服器尚未設定';
     }
     if (btnJoin) {
         btnJoin.disabled = true;
-        btnJoin.title = 'Firebase 尚未設定';
+        btnJoin.title = '同步伺服器尚未設定';
+    }
+    const btnPromote = document.getElementById('btn-promote-my-maps');
+    if (btnPromote) {
+        btnPromote.disabled = true;
+        btnPromote.title = '同步伺服器尚未設定';
     }
 }
 
@@ -655,11 +1231,6 @@ function disablePartyButtons() {
 function setupSyncCallbacks() {
     SyncService.onMembersChange((members) => {
         partyMembers = members;
-        // 更新房主狀態
-        const userId = AuthService.getUserId();
-        if (userId && members[userId]) {
-            PartyService.setIsLeader(!!members[userId].isLeader);
-        }
         updateMembersUI();
         updateOrderLockUI();
     });
@@ -677,23 +1248,61 @@ function setupSyncCallbacks() {
         partyTreasures = treasures;
         updatePartyTreasuresUI();
         updateTreasureCardsPartyStatus();
+        updateConnectionUI(SyncService.getConnectionStatus());
+
+        // 舊版客戶端新增時可能產生重複的順序值，自動重新編號
+        // 只由房主 (離線時為代理的成員) 處理，避免所有成員同時重寫整個藏寶圖清單
+        if (PartyService.hasOrderCollisions(treasures) && PartyService.canModifyOrder() && SyncService.getConnectionStatus()
+            && SyncService.isActingLeader(AuthService.getUserId())) {
+            PartyService.rebalanceOrders().catch(error => {
+                console.error('重新編號失敗:', error);
+            });
+        }
     });
 
     SyncService.onConnectionChange((connected) => {
         updateConnectionUI(connected);
     });
 
+    // 離線期間的修改重送時被拒絕 (例如順序已被房主鎖定)
+    PartyService.onQueuedWriteRejected((ops, error) => {
+        const reason = error && /PERMISSION_DENIED/i.test(error.message || error.code || '')
+            ? '沒有權限 (順序可能已被房主鎖定)'
+            : (error?.message || '未知錯誤');
+        alert(`有 ${ops.length} 筆離線期間的修改無法送出，已捨棄: ${reason}`);
+    });
+
     SyncService.onError((error) => {
         console.error('同步錯誤:', error);
     });
 
+    SyncService.onPresenceChange((presence) => {
+        partyPresence = presence;
+        updateMembersUI();
+    });
+
+    SyncService.onKicked(() => {
+        PartyService.handleKicked();
+        resetPartyUI();
+        alert('你已被房主移出隊伍');
+    });
+
+    // 觀戰連結被重設或隊伍已解散
+    SyncService.onSpectateEnded(() => {
+        stopSpectating();
+        alert('觀戰連結已失效 (隊伍已解散或連結已被重設)');
+    });
+
     SyncService.onMetaChange((meta) => {
         if (meta?.expiresAt) {
             PartyService.setExpiresAt(meta.expiresAt);
             startExpiryTimer();
         }
-        // 同步順序鎖定狀態
+        // 同步房主、順序鎖定狀態與路線起點
+        PartyService.setLeaderId(meta?.leaderId);
         PartyService.setOrderLocked(!!meta?.orderLocked);
+        PartyService.setRouteStartState(meta?.routeStart);
+        updateMembersUI();
         updateOrderLockUI();
         updateRouteListUI();
     });
@@ -701,6 +1310,11 @@ function setupSyncCallbacks() {
 
 // 綁定隊伍事件
 function bindPartyEvents() {
+    // 分頁切到背景時顯示為暫離
+    document.addEventListener('visibilitychange', () => {
+        SyncService.setAway(document.hidden);
+    });
+
     // 建立隊伍按鈕
     const btnCreateParty = document.getElementById('btn-create-party');
     if (btnCreateParty) {
@@ -775,6 +1389,60 @@ function bindPartyEvents() {
         btnAddTreasureMode.addEventListener('click', enterAddTreasureMode);
     }
 
+    // 我的藏寶圖與隊伍路線互相轉換
+    const btnPromote = document.getElementById('btn-promote-my-maps');
+    if (btnPromote) {
+        btnPromote.addEventListener('click', handlePromoteMyMaps);
+    }
+    const btnFork = document.getElementById('btn-fork-party-route');
+    if (btnFork) {
+        btnFork.addEventListener('click', handleForkPartyRoute);
+    }
+
+    // 鎖定順序
+    const btnLockOrder = document.getElementById('btn-lock-order');
+    if (btnLockOrder) {
+        btnLockOrder.addEventListener('click', handleToggleOrderLock);
+    }
+
+    // 離線成員移除寬限期
+    const offlineGraceSelect = document.getElementById('offline-grace-select');
+    if (offlineGraceSelect) {
+        offlineGraceSelect.addEventListener('change', handleOfflineGraceChange);
+    }
+
+    // 加入隊伍代碼輸入自動轉大寫
+    const joinCodeInput = document.getElementById('join-party-code');
+    if (joinCodeInput) {
+        joinCodeInput.addEventListener('input', (e) => {
+            e.target.value = e.target.value.toUpperCase();
+        });
+    }
+}
+
+// 綁定路線面板事件 (隊伍與我的藏寶圖共用，不需要同步後端)
+function bindRoutePanelEvents() {
+    // 我的藏寶圖
+    const btnMyMaps = document.getElementById('btn-my-maps');
+    if (btnMyMaps) {
+        btnMyMaps.addEventListener('click', toggleMyMaps);
+    }
+    const btnCloseMyMaps = document.getElementById('btn-close-my-maps');
+    if (btnCloseMyMaps) {
+        btnCloseMyMaps.addEventListener('click', toggleMyMaps);
+    }
+    const btnMyMapsHistory = document.getElementById('btn-my-maps-history');
+    if (btnMyMapsHistory) {
+        btnMyMapsHistory.addEventListener('click', showMyMapsHistory);
+    }
+    const btnClearHistory = document.getElementById('btn-clear-my-maps-history');
+    if (btnClearHistory) {
+        btnClearHistory.addEventListener('click', clearMyMapsHistory);
+    }
+
+    // 貼上聊天紀錄座標
+    bindChatImportEvents();
+
     // 清除已完成
     const btnClearCompleted = document.getElementById('btn-clear-completed');
     if (btnClearCompleted) {
@@ -793,10 +1461,29 @@ function bindPartyEvents() {
         btnAutoOptimize.addEventListener('click', autoOptimizeRoute);
     }
 
-    // 鎖定順序
-    const btnLockOrder = document.getElementById('btn-lock-order');
-    if (btnLockOrder) {
-        btnLockOrder.addEventListener('click', handleToggleOrderLock);
+    // 路線起點
+    const routeStartSelect = document.getElementById('route-start-select');
+    if (routeStartSelect) {
+        routeStartSelect.addEventListener('change', handleRouteStartChange);
+    }
+
+    // 路線拖曳排序 (滑鼠與觸控皆使用 Pointer Events)
+    const routeItemsEl = document.getElementById('route-items');
+    if (routeItemsEl) {
+        routeItemsEl.addEventListener('pointerdown', handleRouteDragStart);
+        routeItemsEl.addEventListener('pointermove', handleRouteDragMove);
+        routeItemsEl.addEventListener('pointerup', handleRouteDragEnd);
+        routeItemsEl.addEventListener('pointercancel', handleRouteDragEnd);
+    }
+
+    // 路線優化預覽
+    const btnAcceptRoute = document.getElementById('btn-accept-route');
+    if (btnAcceptRoute) {
+        btnAcceptRoute.addEventListener('click', acceptRouteProposal);
+    }
+    const btnDiscardRoute = document.getElementById('btn-discard-route');
+    if (btnDiscardRoute) {
+        btnDiscardRoute.addEventListener('click', () => closeModal('modal-route-preview'));
     }
 
     // 地圖選擇
@@ -820,15 +1507,154 @@ function bindPartyEvents() {
         });
     });
 
-    // 加入隊伍代碼輸入自動轉大寫
-    const joinCodeInput = document.getElementById('join-party-code');
-    if (joinCodeInput) {
-        joinCodeInput.addEventListener('input', (e) => {
-            e.target.value = e.target.value.toUpperCase();
-        });
+    // 我的藏寶圖變更時更新路線面板 (包含其他分頁的修改)
+    MyMapsService.onChange(() => {
+        updateMyMapsCount();
+        if (getRouteService() === MyMapsService) {
+            updatePartyTreasuresUI();
+        }
+    });
+
+    isMyMapsOpen = localStorage.getItem(MY_MAPS_OPEN_STORAGE_KEY) === '1';
+    updatePartyButtonsUI(false);
+    updateMyMapsCount();
+    updatePartyTreasuresUI();
+}
+
+// ============================================
+// 貼上聊天紀錄座標 (一次加入多張藏寶圖)
+// ============================================
+
+let chatImportEntries = [];
+
+function bindChatImportEvents() {
+    const gradeSelect = document.getElementById('chat-import-grade');
+    gradeSelect.innerHTML = GRADE_DATA
+        .map(grade => `<option value="${grade.itemId}">${grade.grade} ${escapeHtml(grade.name)}</option>`)
+        .join('');
+
+    document.getElementById('btn-chat-import').addEventListener('click', openChatImport);
+    document.getElementById('chat-import-text').addEventListener('input', updateChatImportPreview);
+    gradeSelect.addEventListener('change', updateChatImportPreview);
+    document.getElementById('btn-confirm-chat-import').addEventListener('click', handleChatImport);
+}
+
+// 開啟時預設為目前選擇的等級
+function openChatImport() {
+    if (selectedGrade) {
+        document.getElementById('chat-import-grade').value = selectedGrade.itemId;
+    }
+    openModal('modal-chat-import');
+    updateChatImportPreview();
+    document.getElementById('chat-import-text').focus();
+}
+
+function updateChatImportPreview() {
+    const grade = getGradeByItemId(parseInt(document.getElementById('chat-import-grade').value));
+    const text = document.getElementById('chat-import-text').value;
+    chatImportEntries = ChatLinkParser.parseChatLog(text, grade);
+
+    const matched = chatImportEntries.filter(entry => entry.treasure);
+    const btnConfirm = document.getElementById('btn-confirm-chat-import');
+    btnConfirm.disabled = matched.length === 0;
+    btnConfirm.textContent = matched.length > 0 ? `加入 ${matched.length} 張` : '加入';
+
+    const previewEl = document.getElementById('chat-import-preview');
+    if (chatImportEntries.length === 0) {
+        previewEl.innerHTML = text.trim() ? '<div class="empty-state">找不到地圖連結</div>' : '';
+        return;
+    }
+
+    previewEl.innerHTML = chatImportEntries.map(entry => {
+        const detail = entry.treasure
+            ? `${getMapName(entry.mapId)} X: ${entry.treasure.coords.x.toFixed(1)} Y: ${entry.treasure.coords.y.toFixed(1)}`
+            : entry.error;
+        return `
+            <div class="chat-import-item ${entry.treasure ? '' : 'error'}">
+                <span class="chat-import-status">${entry.treasure ? '✓' : '✗'}</span>
+                <span class="chat-import-player">${escapeHtml(entry.player || '(未指定)')}</span>
+                <span class="chat-import-detail">${escapeHtml(detail)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+// 依貼上的順序加入路線 (隊伍或我的藏寶圖)
+async function handleChatImport() {
+    const matched = chatImportEntries.filter(entry => entry.treasure);
+    if (matched.length === 0) return;
+
+    const textEl = document.getElementById('chat-import-text');
+    document.getElementById('btn-confirm-chat-import').disabled = true;
+    const addedLines = [];
+    try {
+        for (const entry of matched) {
+            await getRouteService().addTreasure(entry.treasure, { player: entry.player });
+            addedLines.push(entry.line);
+        }
+        textEl.value = '';
+        closeModal('modal-chat-import');
+    } catch (error) {
+        alert(`新增失敗 (已加入 ${addedLines.length} 張): ${error.message}`);
+        // 移除已加入的行，重新送出時不會重複加入
+        textEl.value = textEl.value.split(/\r?\n/).filter(line => {
+            const index = addedLines.indexOf(line.trim());
+            if (index === -1) return true;
+            addedLines.splice(index, 1);
+            return false;
+        }).join('\n');
+        updateChatImportPreview();
     }
 }
 
+// 開啟/收起我的藏寶圖面板
+function toggleMyMaps() {
+    isMyMapsOpen = !isMyMapsOpen;
+    localStorage.setItem(MY_MAPS_OPEN_STORAGE_KEY, isMyMapsOpen ? '1' : '0');
+    updatePartyButtonsUI(false);
+    updatePartyTreasuresUI();
+
+    if (isMyMapsOpen) {
+        document.getElementById('party-mode-panel').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+// 更新標題列按鈕上的藏寶圖數量
+function updateMyMapsCount() {
+    const countEl = document.getElementById('my-maps-count');
+    if (countEl) {
+        const remaining = MyMapsService.getTreasures().filter(t => !t.completed).length;
+        countEl.textContent = remaining;
+        countEl.classList.toggle('hidden', remaining === 0);
+    }
+}
+
+// 顯示我的藏寶圖完成紀錄
+function showMyMapsHistory() {
+    const list = document.getElementById('my-maps-history-list');
+    const history = MyMapsService.getHistory();
+
+    list.innerHTML = history.length === 0
+        ? '<div class="empty-state">尚無完成紀錄 (清除已完成的藏寶圖後會記錄在這裡)</div>'
+        : history.map(entry => `
+            <div class="history-item">
+                <span class="history-map">${escapeHtml(getMapName(entry.mapId))}</span>
+                <span class="history-coords">X: ${entry.coords.x.toFixed(1)} Y: ${entry.coords.y.toFixed(1)}</span>
+                <span class="history-time">${new Date(entry.completedAt).toLocaleString()}</span>
+            </div>
+        `).join('');
+
+    document.getElementById('my-maps-history-count').textContent = history.length;
+    openModal('modal-my-maps-history');
+}
+
+// 清除我的藏寶圖完成紀錄
+function clearMyMapsHistory() {
+    if (!confirm('確定要清除所有完成紀錄嗎？')) return;
+    MyMapsService.clearHistory();
+    showMyMapsHistory();
+}
+
 // 進入新增藏寶圖模式
 function enterAddTreasureMode() {
     isAddingTreasureMode = true;
@@ -877,6 +1703,11 @@ function closeModal(modalId) {
     if (modalId === 'modal-join-party') {
         resetJoinModal();
     }
+
+    // 關閉路線預覽即捨棄優化建議
+    if (modalId === 'modal-route-preview') {
+        pendingRouteProposal = null;
+    }
 }
 
 // 重置加入隊伍 Modal
@@ -908,7 +1739,7 @@ async function handleCreatePartyClick() {
     if (savedNickname) {
         // 有暱稱，直接建立隊伍
         try {
-            const connected = await ensureFirebaseConnected();
+            const connected = await ensureBackendConnected();
             if (!connected) {
                 throw new Error('無法連接伺服器，請稍後再試');
             }
@@ -956,8 +1787,8 @@ async function handleCreateParty() {
     resultEl.classList.add('hidden');
 
     try {
-        // 延遲連線：確保 Firebase 已連線
-        const connected = await ensureFirebaseConnected();
+        // 延遲連線：確保同步後端已連線
+        const connected = await ensureBackendConnected();
         if (!connected) {
             throw new Error('無法連接伺服器，請稍後再試');
         }
@@ -1010,8 +1841,8 @@ async function handleJoinParty() {
     errorEl.classList.add('hidden');
 
     try {
-        // 延遲連線：確保 Firebase 已連線
-        const connected = await ensureFirebaseConnected();
+        // 延遲連線：確保同步後端已連線
+        const connected = await ensureBackendConnected();
         if (!connected) {
             throw new Error('無法連接伺服器，請稍後再試');
         }
@@ -1054,37 +1885,96 @@ async function handleJoinParty() {
     }
 }
 
-// 處理離開隊伍
+// 處理離開隊伍 (觀戰中則停止觀戰)
 async function handleLeaveParty() {
+    if (PartyService.isSpectating()) {
+        stopSpectating();
+        return;
+    }
+
     if (!confirm('確定要離開隊伍嗎？')) return;
 
+    // 離開前可以把未完成的路線留在我的藏寶圖
+    const remaining = partyTreasures.filter(t => !t.completed).length;
+    const fork = remaining > 0 && confirm(`要將 ${remaining} 張未完成的藏寶圖保存到我的藏寶圖嗎？`);
+
     try {
+        if (fork) await forkPartyRoute();
         await PartyService.leaveParty();
+        resetPartyUI();
+        if (fork && !isMyMapsOpen) toggleMyMaps();
+    } catch (error) {
+        alert('離開隊伍失敗: ' + error.message);
+    }
+}
 
-        // 重置狀態
-        partyMembers = {};
-        partyTreasures = [];
-
-        // 停止過期倒數計時
-        stopExpiryTimer();
+// 將隊伍路線中未完成的藏寶圖 (依目前順序) 複製到我的藏寶圖，回傳複製的數量
+async function forkPartyRoute() {
+    const treasures = PartyService.sortByOrder(partyTreasures).filter(t => !t.completed);
+    if (treasures.length === 0) return 0;
+    return MyMapsService.importTreasures(treasures);
+}
 
-        // 更新 UI
-        updatePartyButtonsUI(false);
-        updateMembersUI();
-        updatePartyTreasuresUI();
-        updateTreasureCardsPartyStatus();
+// 處理「存到我的藏寶圖」按鈕
+async function handleForkPartyRoute() {
+    const count = await forkPartyRoute();
+    alert(count > 0 ? `已將 ${count} 張未完成的藏寶圖複製到我的藏寶圖` : '路線中沒有未完成的藏寶圖');
+}
 
-        // 關閉 Modal
-        closeModal('modal-party-status');
+// 以我的藏寶圖建立隊伍 (未完成的藏寶圖依目前順序帶入，我的藏寶圖保留不變)
+async function handlePromoteMyMaps(e) {
+    const btn = e.currentTarget;
+    const treasures = MyMapsService.sortByOrder(MyMapsService.getTreasures()).filter(t => !t.completed);
+    if (treasures.length === 0) {
+        alert('我的藏寶圖中沒有未完成的藏寶圖');
+        return;
+    }
+    if (!confirm(`要建立新隊伍並帶入 ${treasures.length} 張藏寶圖嗎？`)) return;
 
-        // 重置建立隊伍 Modal
-        resetCreatePartyModal();
+    btn.disabled = true;
+    try {
+        const connected = await ensureBackendConnected();
+        if (!connected) {
+            throw new Error('無法連接伺服器，請稍後再試');
+        }
 
+        const partyCode = await PartyService.createParty(loadNickname(), {
+            treasures,
+            routeStart: MyMapsService.getRouteStart()
+        });
+        SyncService.startSync(partyCode);
+        updatePartyButtonsUI(true);
+        document.getElementById('status-party-code').textContent = partyCode;
     } catch (error) {
-        alert('離開隊伍失敗: ' + error.message);
+        alert('建立隊伍失敗: ' + error.message);
+    } finally {
+        btn.disabled = false;
     }
 }
 
+// 離開或被移出隊伍後重置隊伍相關 UI
+function resetPartyUI() {
+    // 重置狀態
+    partyMembers = {};
+    partyPresence = {};
+    partyTreasures = [];
+
+    // 停止過期倒數計時
+    stopExpiryTimer();
+
+    // 更新 UI
+    updatePartyButtonsUI(false);
+    updateMembersUI();
+    updatePartyTreasuresUI();
+    updateTreasureCardsPartyStatus();
+
+    // 關閉 Modal
+    closeModal('modal-party-status');
+
+    // 重置建立隊伍 Modal
+    resetCreatePartyModal();
+}
+
 // 重置建立隊伍 Modal
 function resetCreatePartyModal() {
     const btn = document.getElementById('btn-confirm-create');
@@ -1104,15 +1994,26 @@ function updatePartyButtonsUI(inParty) {
     const btnStatus = document.getElementById('btn-party-status');
     const partyPanel = document.getElementById('party-mode-panel');
 
+    // 觀戰模式隱藏所有寫入操作 (見 style.css 的 .spectator-mode)
+    const spectating = inParty && PartyService.isSpectating();
+    document.body.classList.toggle('spectator-mode', spectating);
+    // 未加入隊伍時面板顯示我的藏寶圖，隱藏隊伍專用的項目 (見 style.css 的 .my-maps-mode)
+    document.body.classList.toggle('my-maps-mode', !inParty);
+    document.querySelector('.party-mode-title').textContent = spectating ? '觀戰模式' : inParty ? '隊伍模式' : '我的藏寶圖';
+    document.getElementById('btn-my-maps').classList.toggle('hidden', inParty);
+    ['btn-leave-party', 'btn-leave-party-panel'].forEach(id => {
+        document.getElementById(id).textContent = spectating ? '停止觀戰' : '離開隊伍';
+    });
+
     if (inParty) {
         btnCreate.classList.add('hidden');
         btnJoin.classList.add('hidden');
         btnStatus.classList.remove('hidden');
         partyPanel.classList.remove('hidden');
 
-        // 更新面板中的隊伍代碼
+        // 更新面板中的隊伍代碼 (觀戰者不顯示)
         const code = PartyService.getCurrentPartyCode();
-        document.getElementById('panel-party-code').textContent = code;
+        document.getElementById('panel-party-code').textContent = code || '';
 
         // 開始過期倒數計時
         startExpiryTimer();
@@ -1120,7 +2021,8 @@ function updatePartyButtonsUI(inParty) {
         btnCreate.classList.remove('hidden');
         btnJoin.classList.remove('hidden');
         btnStatus.classList.add('hidden');
-        partyPanel.classList.add('hidden');
+        // 離開隊伍後改為顯示我的藏寶圖 (有開啟時)
+        partyPanel.classList.toggle('hidden', !isMyMapsOpen);
         isAddingTreasureMode = false;
 
         // 停止過期倒數計時
@@ -1128,6 +2030,13 @@ function updatePartyButtonsUI(inParty) {
     }
 }
 
+// 成員連線狀態顯示文字
+const MEMBER_STATUS_LABELS = {
+    online: '在線',
+    away: '暫離',
+    offline: '離線'
+};
+
 // 更新成員 UI
 function updateMembersUI() {
     const membersList = document.getElementById('members-list');
@@ -1137,13 +2046,27 @@ function updateMembersUI() {
 
     const members = Object.entries(partyMembers);
     const maxMembers = PartyService.getMaxMembers();
+    const leaderId = PartyService.getLeaderId();
+    const canManage = PartyService.getIsLeader();
 
     // 顯示人數格式: (X/8)
     if (memberCount) memberCount.textContent = `${members.length}/${maxMembers}`;
 
+    // 只有房主可以重設觀戰連結
+    const btnResetSpectate = document.getElementById('btn-reset-spectate');
+    if (btnResetSpectate) btnResetSpectate.classList.toggle('hidden', !canManage);
+
+    // 離線寬限期由房主設定，其他成員只能查看
+    const offlineGraceSelect = document.getElementById('offline-grace-select');
+    if (offlineGraceSelect) {
+        offlineGraceSelect.value = String(SyncService.getOfflineGracePeriod());
+        offlineGraceSelect.disabled = !canManage;
+    }
+
     const membersHtml = members.map(([id, member]) => {
         const isSelf = id === currentUserId;
-        const isLeader = member.isLeader;
+        const isLeader = id === leaderId;
+        const status = isSelf ? 'online' : SyncService.getMemberStatus(id);
         const editBtn = isSelf ? `
             <button class="btn-edit-nickname" onclick="promptEditNickname()" title="修改暱稱">
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
@@ -1151,9 +2074,15 @@ function updateMembersUI() {
                 </svg>
             </button>
         ` : '';
+        // 房主可以轉移房主或移出其他成員
+        const manageBtns = canManage && !isSelf ? `
+            <button class="btn-member-action" onclick="handleTransferLeader('${escapeHtml(id)}')" title="轉移房主">★</button>
+            <button class="btn-member-action btn-member-kick" onclick="handleKickMember('${escapeHtml(id)}')" title="移出隊伍">&times;</button>
+        ` : '';
         return `
             <span class="member-tag ${isSelf ? 'is-self' : ''} ${isLeader ? 'is-leader' : ''}">
-                ${escapeHtml(member.nickname)}${editBtn}
+                <span class="member-status status-${status}" title="${MEMBER_STATUS_LABELS[status]}"></span>
+                ${escapeHtml(member.nickname)}${editBtn}${manageBtns}
             </span>
         `;
     }).join('');
@@ -1162,6 +2091,32 @@ function updateMembersUI() {
     if (panelMembersList) panelMembersList.innerHTML = membersHtml;
 }
 
+// 轉移房主
+async function handleTransferLeader(memberId) {
+    const nickname = partyMembers[memberId]?.nickname || '該成員';
+    if (!confirm(`確定要將房主轉移給 ${nickname} 嗎？`)) return;
+
+    try {
+        await PartyService.transferLeader(memberId);
+        updateMembersUI();
+        updateOrderLockUI();
+    } catch (error) {
+        alert('轉移房主失敗: ' + error.message);
+    }
+}
+
+// 移出成員 (移出後無法再加入此隊伍)
+async function handleKickMember(memberId) {
+    const nickname = partyMembers[memberId]?.nickname || '該成員';
+    if (!confirm(`確定要將 ${nickname} 移出隊伍嗎？移出後無法再加入此隊伍。`)) return;
+
+    try {
+        await PartyService.kickMember(memberId);
+    } catch (error) {
+        alert('移出成員失敗: ' + error.message);
+    }
+}
+
 // 開始過期倒數計時
 function startExpiryTimer() {
     // 清除舊的計時器
@@ -1209,6 +2164,16 @@ function updateExpiryDisplay() {
     expiryDisplay.innerHTML = `<span class="expiry-time ${warningClass}">${timeStr}</span>`;
 }
 
+// 路線面板的資料來源：在隊伍中 (或觀戰中) 為 PartyService，否則為本機的 MyMapsService
+function getRouteService() {
+    return PartyService.isInParty() || PartyService.isSpectating() ? PartyService : MyMapsService;
+}
+
+// 路線面板目前顯示的藏寶圖
+function getRouteTreasures() {
+    return getRouteService() === PartyService ? partyTreasures : MyMapsService.getTreasures();
+}
+
 // 更新隊伍藏寶圖 UI
 function updatePartyTreasuresUI() {
     // 更新舊版 Modal 的列表 (如果還有用到)
@@ -1228,11 +2193,20 @@ function updateRouteListUI() {
 
     if (!routeItems) return;
 
+    // 拖曳中不重繪，放開後再更新
+    if (routeDragState) {
+        routeListRenderPending = true;
+        return;
+    }
+    routeListRenderPending = false;
+
     // 按順序排序
-    const sortedTreasures = [...partyTreasures].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const sortedTreasures = PartyService.sortByOrder(getRouteTreasures());
 
     if (routeCount) routeCount.textContent = sortedTreasures.length;
 
+    updateRouteStartUI();
+
     if (sortedTreasures.length === 0) {
         routeItems.innerHTML = `
             <div class="route-empty">
@@ -1257,7 +2231,9 @@ function updateRouteListUI() {
     const editingPlayerSelStart = activePlayerEl ? activePlayerEl.selectionStart : null;
     const editingPlayerSelEnd = activePlayerEl ? activePlayerEl.selectionEnd : null;
 
-    const canModify = PartyService.canModifyOrder();
+    const canModify = getRouteService().canModifyOrder();
+    const readOnly = PartyService.isSpectating() ? 'readonly' : '';
+    const invalidPins = RouteOptimizer.findInvalidPins(sortedTreasures, getRouteService().buildRouteConstraints(sortedTreasures));
 
     routeItems.innerHTML = sortedTreasures.map((treasure, index) => {
         const mapName = getMapName(treasure.mapId);
@@ -1268,37 +2244,41 @@ function updateRouteListUI() {
         // 取得最近傳送點
         const zoneId = MAP_DATA[treasure.mapId]?.placename_id;
         const nearestAetheryte = zoneId ? findNearestAetheryte(zoneId, treasure.coords) : null;
+        const isPinned = !!treasure.pinnedPosition && !invalidPins.has(firebaseKey);
 
         return `
-            <div class="route-item ${isActive ? 'active' : ''} ${isCompleted ? 'completed' : ''}"
+            <div class="route-item ${isActive ? 'active' : ''} ${isCompleted ? 'completed' : ''} ${treasure.pendingSync ? 'pending-sync' : ''}"
                  data-firebase-key="${firebaseKey}"
-                 onclick="selectRouteItem('${firebaseKey}')">
+                 onclick="selectRouteItem('${firebaseKey}')"
+                 ${treasure.pendingSync ? 'title="尚未同步，恢復連線後自動送出"' : ''}>
                 <div class="route-item-order">
-                    <div class="route-item-number"><span>${index + 1}</span></div>
+                    <div class="route-drag-handle ${canModify ? '' : 'disabled'}" onclick="event.stopPropagation()" title="${canModify ? '拖曳排序' : '順序已鎖定'}">⋮⋮</div>
+                    <div class="route-item-number ${isPinned ? 'pinned' : ''}" ${isPinned ? `title="固定在第 ${treasure.pinnedPosition} 站"` : ''}><span>${index + 1}</span></div>
                 </div>
                 <div class="route-item-info">
                     <div class="route-item-map">${escapeHtml(mapName)}</div>
                     <div class="route-item-details">
                         <span class="route-item-coords">X: ${treasure.coords.x.toFixed(1)} Y: ${treasure.coords.y.toFixed(1)}</span>
                         ${nearestAetheryte ? `<span class="route-item-aetheryte" title="最近傳送水晶"><span class="aetheryte-icon">⬡</span> ${escapeHtml(nearestAetheryte.name)}</span>` : ''}
-                        <span class="route-item-adder">${escapeHtml(treasure.addedByNickname || '未知')}</span>
+                        ${treasure.addedBy ? `<span class="route-item-adder">${escapeHtml(treasure.addedByNickname || '未知')}</span>` : ''}
                     </div>
                     <div class="route-item-player">
-                        <input type="text" class="route-player-input" placeholder="玩家名稱..."
+                        <input type="text" class="route-player-input" placeholder="玩家名稱..." maxlength="${getRouteService().PLAYER_MAX_LENGTH}"
                             value="${escapeHtml(treasure.player || '')}"
-                            data-firebase-key="${firebaseKey}"
+                            data-firebase-key="${firebaseKey}" ${readOnly}
                             onclick="event.stopPropagation()"
                             onblur="updateTreasurePlayer(this)"
                             onkeydown="if(event.key==='Enter'){this.blur()}" />
                     </div>
                     <div class="route-item-note">
-                        <input type="text" class="route-note-input" placeholder="備註..."
+                        <input type="text" class="route-note-input" placeholder="備註..." maxlength="${getRouteService().NOTE_MAX_LENGTH}"
                             value="${escapeHtml(treasure.note || '')}"
-                            data-firebase-key="${firebaseKey}"
+                            data-firebase-key="${firebaseKey}" ${readOnly}
                             onclick="event.stopPropagation()"
                             onblur="updateTreasureNote(this)"
                             onkeydown="if(event.key==='Enter'){this.blur()}" />
                     </div>
+                    ${renderRouteConstraints(treasure, sortedTreasures, canModify, invalidPins.has(firebaseKey))}
                 </div>
                 <div class="route-item-actions">
                     <div class="route-order-btns">
@@ -1315,7 +2295,7 @@ function updateRouteListUI() {
                             <path d="M16 1H4c-1.1 0-2 .9-2 2v14h2V3h12V1zm3 4H8c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h11c1.1 0 2-.9 2-2V7c0-1.1-.9-2-2-2zm0 16H8V7h11v14z"/>
                         </svg>
                     </button>
-                    <button class="btn-remove" onclick="event.stopPropagation(); removeTreasureFromParty('${firebaseKey}')" title="移除">
+                    <button class="btn-remove" onclick="event.stopPropagation(); removeRouteItem('${firebaseKey}')" title="移除">
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
                             <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
                         </svg>
@@ -1356,9 +2336,153 @@ function updateRouteListUI() {
     }
 }
 
+// 產生路線項目的限制條件區塊 (固定順位、必須早於)
+// pinInvalid: 固定順位超出路線範圍或與其他藏寶圖重複，自動優化時會略過
+function renderRouteConstraints(treasure, sortedTreasures, canModify, pinInvalid) {
+    const firebaseKey = treasure.firebaseKey;
+    const total = sortedTreasures.length;
+    const disabled = canModify ? '' : 'disabled';
+    const mustPrecede = treasure.mustPrecede || {};
+    const pinned = treasure.pinnedPosition;
+    const invalidLabel = pinned > total ? '超出範圍，已略過' : '重複，已略過';
+
+    const pinOptions = [`<option value="">不固定順位</option>`];
+    for (let i = 1; i <= total; i++) {
+        const label = pinned === i && pinInvalid ? `固定第 ${i} 站 (${invalidLabel})` : `固定第 ${i} 站`;
+        pinOptions.push(`<option value="${i}" ${pinned === i ? 'selected' : ''}>${label}</option>`);
+    }
+    // 移除藏寶圖後原本的順位已不存在，仍顯示以便取消
+    if (pinned > total) {
+        pinOptions.push(`<option value="${pinned}" selected>固定第 ${pinned} 站 (${invalidLabel})</option>`);
+    }
+
+    const precedeOptions = sortedTreasures
+        .map((t, i) => ({ t, i }))
+        .filter(({ t }) => t.firebaseKey !== firebaseKey && !mustPrecede[t.firebaseKey])
+        .map(({ t, i }) => `<option value="${t.firebaseKey}">#${i + 1} ${escapeHtml(getMapName(t.mapId))}</option>`);
+
+    const precedeChips = sortedTreasures
+        .map((t, i) => ({ t, i }))
+        .filter(({ t }) => mustPrecede[t.firebaseKey])
+        .map(({ t, i }) => `
+            <span class="route-precede-chip">
+                早於 #${i + 1} ${escapeHtml(getMapName(t.mapId))}
+                <button onclick="removeTreasurePrecedence('${firebaseKey}', '${t.firebaseKey}')" title="移除限制" ${disabled}>×</button>
+            </span>
+        `);
+
+    return `
+        <div class="route-item-constraints" onclick="event.stopPropagation()">
+            <select class="route-constraint-select ${pinInvalid ? 'invalid' : ''}" data-firebase-key="${firebaseKey}"
+                onchange="updateTreasurePinnedPosition(this)"
+                title="${pinInvalid ? '此固定順位無效，自動優化時略過' : '自動優化時固定在此順位'}" ${disabled}>
+                ${pinOptions.join('')}
+            </select>
+            ${precedeOptions.length > 0 ? `
+                <select class="route-constraint-select" data-firebase-key="${firebaseKey}"
+                    onchange="addTreasurePrecedence(this)" title="自動優化時必須排在選擇的藏寶圖之前" ${disabled}>
+                    <option value="">必須早於...</option>
+                    ${precedeOptions.join('')}
+                </select>
+            ` : ''}
+            ${precedeChips.join('')}
+        </div>
+    `;
+}
+
+// 更新路線起點選單 (列出路線中的區域與其傳送點)
+function updateRouteStartUI() {
+    const select = document.getElementById('route-start-select');
+    if (!select) return;
+
+    const routeStart = getRouteService().getRouteStart();
+    const zoneIds = [...new Set(getRouteTreasures().map(t => MAP_DATA[t.mapId]?.placename_id).filter(Boolean))];
+    if (routeStart && !zoneIds.includes(routeStart.zoneId)) {
+        zoneIds.push(routeStart.zoneId);
+    }
+
+    const options = ['<option value="">起點：不限</option>'];
+    zoneIds.forEach(zoneId => {
+        const zoneName = PLACE_NAMES[zoneId] || `地點 ${zoneId}`;
+        options.push(`<option value="${zoneId}|">起點：${escapeHtml(zoneName)}</option>`);
+        (ZONE_AETHERYTES[zoneId] || []).forEach(a => {
+            options.push(`<option value="${zoneId}|${escapeHtml(a.name)}">　⬡ ${escapeHtml(a.name)}</option>`);
+        });
+    });
+
+    select.innerHTML = options.join('');
+    select.value = routeStart ? `${routeStart.zoneId}|${routeStart.aetheryte || ''}` : '';
+    select.disabled = !getRouteService().canModifyOrder();
+}
+
+// 變更路線起點
+async function handleRouteStartChange(e) {
+    const [zoneId, aetheryte] = e.target.value.split('|');
+    const start = zoneId ? { zoneId: parseInt(zoneId), aetheryte: aetheryte || null } : null;
+    try {
+        await getRouteService().setRouteStart(start);
+    } catch (error) {
+        alert('設定起點失敗: ' + error.message);
+        updateRouteStartUI();
+    }
+}
+
+// 設定離線成員移除寬限期
+async function handleOfflineGraceChange(e) {
+    try {
+        await PartyService.setOfflineGracePeriod(parseInt(e.target.value));
+    } catch (error) {
+        alert('設定離線寬限期失敗: ' + error.message);
+        updateMembersUI();
+    }
+}
+
+// 設定固定順位
+async function updateTreasurePinnedPosition(selectElement) {
+    const firebaseKey = selectElement.dataset.firebaseKey;
+    const position = selectElement.value ? parseInt(selectElement.value) : null;
+    try {
+        await getRouteService().setTreasurePinnedPosition(firebaseKey, position);
+    } catch (error) {
+        alert('設定固定順位失敗: ' + error.message);
+        updateRouteListUI();
+    }
+}
+
+// 新增「必須早於」限制
+async function addTreasurePrecedence(selectElement) {
+    const firebaseKey = selectElement.dataset.firebaseKey;
+    const laterKey = selectElement.value;
+    if (!laterKey) return;
+
+    // 避免先後順序形成循環 (A 早於 B、B 早於 C、C 早於 A) 而無法排序
+    const { precedence } = getRouteService().buildRouteConstraints(getRouteTreasures());
+    if (RouteOptimizer.createsPrecedenceCycle(precedence, firebaseKey, laterKey)) {
+        alert('先後順序不能形成循環 (例如 A 早於 B、B 早於 A)');
+        selectElement.value = '';
+        return;
+    }
+
+    try {
+        await getRouteService().setTreasurePrecedence(firebaseKey, laterKey, true);
+    } catch (error) {
+        alert('設定先後順序失敗: ' + error.message);
+        updateRouteListUI();
+    }
+}
+
+// 移除「必須早於」限制
+async function removeTreasurePrecedence(firebaseKey, laterKey) {
+    try {
+        await getRouteService().setTreasurePrecedence(firebaseKey, laterKey, false);
+    } catch (error) {
+        alert('移除先後順序失敗: ' + error.message);
+    }
+}
+
 // 複製玩家順位
 function copyPlayerOrder() {
-    const sortedTreasures = [...partyTreasures].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const sortedTreasures = PartyService.sortByOrder(getRouteTreasures());
     if (sortedTreasures.length === 0) return;
 
     const text = sortedTreasures.map((t, i) => {
@@ -1375,14 +2499,13 @@ function copyPlayerOrder() {
 // 更新地圖預覽 UI
 function updateMapPreviewUI() {
     const mapSelect = document.getElementById('preview-map-select');
-    const mapImage = document.getElementById('preview-map-image');
     const markersContainer = document.getElementById('preview-map-markers');
     const previewInfo = document.getElementById('preview-info');
 
     if (!mapSelect) return;
 
     // 收集所有地圖
-    const mapIds = [...new Set(partyTreasures.map(t => t.mapId))];
+    const mapIds = [...new Set(getRouteTreasures().map(t => t.mapId))];
 
     // 更新下拉選單
     const currentValue = mapSelect.value;
@@ -1400,18 +2523,18 @@ function updateMapPreviewUI() {
     const selectedMapId = mapSelect.value ? parseInt(mapSelect.value) : (mapIds[0] || null);
 
     if (selectedMapId && MAP_DATA[selectedMapId]) {
-        mapImage.src = MAP_DATA[selectedMapId].image;
+        previewMapViewer.setMap(selectedMapId);
 
         // 篩選該地圖的藏寶圖
-        const treasuresOnMap = partyTreasures
-            .filter(t => t.mapId === selectedMapId)
-            .sort((a, b) => (a.order || 0) - (b.order || 0));
+        const treasuresOnMap = PartyService.sortByOrder(getRouteTreasures())
+            .filter(t => t.mapId === selectedMapId);
+        const routeOrder = PartyService.sortByOrder(getRouteTreasures()).map(t => t.firebaseKey);
 
         // 繪製標記
         markersContainer.innerHTML = treasuresOnMap.map((treasure, idx) => {
             const pos = coordsToPercent(treasure.coords, treasure.mapId);
             const firebaseKey = treasure.firebaseKey;
-            const globalIndex = partyTreasures.sort((a, b) => (a.order || 0) - (b.order || 0)).findIndex(t => t.firebaseKey === firebaseKey) + 1;
+            const globalIndex = routeOrder.indexOf(firebaseKey) + 1;
             const isActive = selectedRouteItem === firebaseKey;
             const isCompleted = treasure.completed;
 
@@ -1425,18 +2548,18 @@ function updateMapPreviewUI() {
             `;
         }).join('');
     } else {
-        mapImage.src = '';
+        previewMapViewer.setMap(null);
         markersContainer.innerHTML = '';
     }
 
     // 更新資訊
     if (selectedRouteItem) {
-        const treasure = partyTreasures.find(t => t.firebaseKey === selectedRouteItem);
+        const treasure = getRouteTreasures().find(t => t.firebaseKey === selectedRouteItem);
         if (treasure) {
             previewInfo.innerHTML = `
                 <strong>${getMapName(treasure.mapId)}</strong><br>
-                座標: X: ${treasure.coords.x.toFixed(1)} Y: ${treasure.coords.y.toFixed(1)}<br>
-                新增者: ${escapeHtml(treasure.addedByNickname || '未知')}
+                座標: X: ${treasure.coords.x.toFixed(1)} Y: ${treasure.coords.y.toFixed(1)}
+                ${treasure.addedBy ? `<br>新增者: ${escapeHtml(treasure.addedByNickname || '未知')}` : ''}
             `;
             // 更新放大預覽
             updateTreasureZoomPreview(treasure);
@@ -1460,7 +2583,7 @@ function selectRouteItem(firebaseKey) {
     updateMapPreviewUI();
 
     // 如果該藏寶圖在不同地圖，切換地圖顯示
-    const treasure = partyTreasures.find(t => t.firebaseKey === firebaseKey);
+    const treasure = getRouteTreasures().find(t => t.firebaseKey === firebaseKey);
     if (treasure) {
         const mapSelect = document.getElementById('preview-map-select');
         if (mapSelect && mapSelect.value != treasure.mapId) {
@@ -1502,7 +2625,7 @@ function updateTreasureZoomPreview(treasure) {
     }
 
     // 取得在排序後的順序編號
-    const sortedTreasures = [...partyTreasures].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const sortedTreasures = PartyService.sortByOrder(getRouteTreasures());
     const globalIndex = sortedTreasures.findIndex(t => t.firebaseKey === treasure.firebaseKey) + 1;
 
     // 更新編號
@@ -1550,9 +2673,9 @@ function calcZoomOffset(coords, mapId) {
 
 // 移動路線項目 (使用 firebaseKey)
 async function moveRouteItem(firebaseKey, direction) {
-    if (!PartyService.canModifyOrder()) return;
+    if (!getRouteService().canModifyOrder()) return;
 
-    const sortedTreasures = [...partyTreasures].sort((a, b) => (a.order || 0) - (b.order || 0));
+    const sortedTreasures = PartyService.sortByOrder(getRouteTreasures());
     const currentIndex = sortedTreasures.findIndex(t => t.firebaseKey === firebaseKey);
 
     if (currentIndex === -1) return;
@@ -1561,22 +2684,106 @@ async function moveRouteItem(firebaseKey, direction) {
 
     if (targetIndex < 0 || targetIndex >= sortedTreasures.length) return;
 
-    const current = sortedTreasures[currentIndex];
-    const target = sortedTreasures[targetIndex];
+    try {
+        await getRouteService().moveTreasureOrder(firebaseKey, targetIndex);
+    } catch (error) {
+        console.error('移動失敗:', error);
+    }
+}
+
+// 開始拖曳路線項目 (只從拖曳把手開始，避免影響輸入框與捲動)
+function handleRouteDragStart(e) {
+    const handle = e.target.closest('.route-drag-handle');
+    if (!handle || routeDragState || !getRouteService().canModifyOrder()) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    const routeItems = e.currentTarget;
+    const item = handle.closest('.route-item');
+    const items = [...routeItems.querySelectorAll('.route-item')];
+    const fromIndex = items.indexOf(item);
+    if (fromIndex === -1) return;
+
+    // 阻止預設行為，保留輸入框的焦點與游標位置
+    e.preventDefault();
+    handle.setPointerCapture(e.pointerId);
+
+    routeDragState = {
+        pointerId: e.pointerId,
+        container: routeItems,
+        item,
+        others: items.filter(el => el !== item),
+        firebaseKey: item.dataset.firebaseKey,
+        fromIndex,
+        toIndex: fromIndex,
+        startY: e.clientY,
+        startScroll: routeItems.scrollTop
+    };
+    item.classList.add('dragging');
+}
+
+// 拖曳中：移動項目並標示放置位置
+function handleRouteDragMove(e) {
+    const state = routeDragState;
+    if (!state || e.pointerId !== state.pointerId) return;
+
+    const { container, item, others } = state;
+
+    // 靠近邊緣時自動捲動
+    const rect = container.getBoundingClientRect();
+    if (e.clientY < rect.top + 30) {
+        container.scrollTop -= 10;
+    } else if (e.clientY > rect.bottom - 30) {
+        container.scrollTop += 10;
+    }
+
+    const offset = e.clientY - state.startY + (container.scrollTop - state.startScroll);
+    item.style.transform = `translateY(${offset}px)`;
+
+    // 目標位置 = 中線在指標上方的其他項目數
+    let toIndex = 0;
+    others.forEach(el => {
+        const r = el.getBoundingClientRect();
+        if (e.clientY > r.top + r.height / 2) toIndex++;
+    });
+    state.toIndex = toIndex;
+
+    others.forEach((el, i) => {
+        el.classList.toggle('drop-before', i === toIndex);
+        el.classList.toggle('drop-after', toIndex === others.length && i === others.length - 1);
+    });
+}
+
+// 放開：一次寫入新的順序
+async function handleRouteDragEnd(e) {
+    const state = routeDragState;
+    if (!state || e.pointerId !== state.pointerId) return;
+
+    state.item.classList.remove('dragging');
+    state.item.style.transform = '';
+    state.others.forEach(el => el.classList.remove('drop-before', 'drop-after'));
+    routeDragState = null;
+
+    const moved = e.type === 'pointerup' && state.toIndex !== state.fromIndex;
+    if (routeListRenderPending) {
+        updateRouteListUI();
+    }
+    if (!moved) return;
 
     try {
-        await PartyService.swapTreasureOrder(current.firebaseKey, target.firebaseKey);
+        await getRouteService().moveTreasureOrder(state.firebaseKey, state.toIndex);
     } catch (error) {
         console.error('移動失敗:', error);
+        updateRouteListUI();
     }
 }
 
 // 更新藏寶圖備註
 async function updateTreasureNote(inputElement) {
+    if (inputElement.readOnly) return;
     const firebaseKey = inputElement.dataset.firebaseKey;
     const note = inputElement.value.trim();
     try {
-        await PartyService.updateTreasureNote(firebaseKey, note);
+        await getRouteService().updateTreasureNote(firebaseKey, note);
     } catch (error) {
         console.error('更新備註失敗:', error);
     }
@@ -1584,10 +2791,11 @@ async function updateTreasureNote(inputElement) {
 
 // 更新藏寶圖玩家名稱
 async function updateTreasurePlayer(inputElement) {
+    if (inputElement.readOnly) return;
     const firebaseKey = inputElement.dataset.firebaseKey;
     const player = inputElement.value.trim();
     try {
-        await PartyService.updateTreasurePlayer(firebaseKey, player);
+        await getRouteService().updateTreasurePlayer(firebaseKey, player);
     } catch (error) {
         console.error('更新玩家失敗:', error);
     }
@@ -1595,7 +2803,7 @@ async function updateTreasurePlayer(inputElement) {
 
 // 複製玩家訊息 (格式相容 DailyRoutines AutoConvertMapLink: <地圖> ( X  , Y ))
 function copyPlayerMessage(btn, firebaseKey) {
-    const treasure = partyTreasures.find(t => t.firebaseKey === firebaseKey);
+    const treasure = getRouteTreasures().find(t => t.firebaseKey === firebaseKey);
     if (!treasure) return;
 
     const playerName = treasure.player || '';
@@ -1618,8 +2826,9 @@ function copyPlayerMessage(btn, firebaseKey) {
 
 // 切換完成狀態 (使用 firebaseKey)
 async function toggleRouteComplete(firebaseKey) {
+    const treasure = getRouteTreasures().find(t => t.firebaseKey === firebaseKey);
     try {
-        await PartyService.toggleTreasureComplete(firebaseKey);
+        await getRouteService().toggleTreasureComplete(firebaseKey, treasure ? !!treasure.completed : undefined);
     } catch (error) {
         console.error('切換狀態失敗:', error);
     }
@@ -1638,7 +2847,7 @@ function copyTreasureCoords(x, y) {
 
 // 清除已完成的藏寶圖
 async function clearCompletedTreasures() {
-    const completed = partyTreasures.filter(t => t.completed);
+    const completed = getRouteTreasures().filter(t => t.completed);
     if (completed.length === 0) {
         alert('沒有已完成的藏寶圖');
         return;
@@ -1647,51 +2856,134 @@ async function clearCompletedTreasures() {
     if (!confirm(`確定要清除 ${completed.length} 個已完成的藏寶圖嗎？`)) return;
 
     try {
-        await PartyService.clearCompletedTreasures();
+        await getRouteService().clearCompletedTreasures();
     } catch (error) {
         alert('清除失敗: ' + error.message);
     }
 }
 
-// 自動優化路線
-async function autoOptimizeRoute() {
-    if (!PartyService.canModifyOrder()) {
+// 自動優化路線 (先顯示建議順序，確認後才寫入)
+function autoOptimizeRoute() {
+    if (!getRouteService().canModifyOrder()) {
         alert('順序已被房主鎖定，無法優化路線');
         return;
     }
 
-    if (partyTreasures.length <= 1) {
+    if (getRouteTreasures().length <= 1) {
         alert('需要至少 2 個藏寶點才能優化路線');
         return;
     }
 
-    const btn = document.getElementById('btn-auto-optimize');
-    if (btn) btn.disabled = true;
+    const before = PartyService.sortByOrder(getRouteTreasures());
+    const constraints = getRouteService().buildRouteConstraints(getRouteTreasures());
 
+    let after;
     try {
-        // 優化前分析
-        const beforeStats = RouteOptimizer.analyzeRoute(
-            [...partyTreasures].sort((a, b) => (a.order || 0) - (b.order || 0))
-        );
+        after = RouteOptimizer.optimize(before, { useMapGrouping: true, constraints });
+    } catch (error) {
+        alert('優化失敗: ' + error.message);
+        console.error('路線優化錯誤:', error);
+        return;
+    }
 
-        await PartyService.autoOptimizeRoute({ useMapGrouping: true });
+    pendingRouteProposal = {
+        order: after.map(t => t.firebaseKey),
+        before,
+        after,
+        skippedPins: RouteOptimizer.findInvalidPins(before, constraints).size,
+        beforeStats: RouteOptimizer.analyzeRoute(before, constraints),
+        afterStats: RouteOptimizer.analyzeRoute(after, constraints)
+    };
+
+    renderRouteProposal(pendingRouteProposal);
+    openModal('modal-route-preview');
+}
+
+// 格式化預估秒數
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const minutes = Math.floor(total / 60);
+    return minutes > 0 ? `${minutes} 分 ${total % 60} 秒` : `${total} 秒`;
+}
+
+// 顯示路線優化建議 (新舊順序對照與統計)
+function renderRouteProposal(proposal) {
+    const statsEl = document.getElementById('route-preview-stats');
+    const beforeEl = document.getElementById('route-preview-before');
+    const afterEl = document.getElementById('route-preview-after');
+    if (!statsEl || !beforeEl || !afterEl) return;
+
+    const { beforeStats, afterStats } = proposal;
+    const statRow = (label, before, after) => `
+        <div class="route-preview-stat">
+            <span class="stat-label">${label}</span>
+            <span class="stat-before">${before}</span>
+            <span class="order-arrow">⭢</span>
+            <span class="stat-after">${after}</span>
+        </div>
+    `;
 
-        // 優化後分析 (需等待同步更新)
-        setTimeout(() => {
-            const afterStats = RouteOptimizer.analyzeRoute(
-                [...partyTreasures].sort((a, b) => (a.order || 0) - (b.order || 0))
-            );
+    const improvement = beforeStats.totalTime > 0
+        ? Math.round((1 - afterStats.totalTime / beforeStats.totalTime) * 100)
+        : 0;
+
+    statsEl.innerHTML = `
+        ${statRow('預估時間', formatDuration(beforeStats.totalTime), formatDuration(afterStats.totalTime))}
+        ${statRow('總距離', beforeStats.totalDistance.toFixed(1), afterStats.totalDistance.toFixed(1))}
+        ${statRow('跨圖次數', beforeStats.mapJumps, afterStats.mapJumps)}
+        ${statRow('傳送次數', beforeStats.teleports, afterStats.teleports)}
+        <div class="route-preview-summary">${improvement > 0 ? `預估節省 ${improvement}% 時間` : '目前順序已是最佳路線'}</div>
+        ${proposal.skippedPins > 0 ? `<div class="route-preview-summary warning">${proposal.skippedPins} 個固定順位超出範圍或重複，已略過</div>` : ''}
+    `;
 
-            const improvement = beforeStats.totalDistance > 0
-                ? Math.round((1 - afterStats.totalDistance / beforeStats.totalDistance) * 100)
-                : 0;
+    const beforeIndex = new Map(proposal.before.map((t, i) => [t.firebaseKey, i]));
+    const renderItem = (t, moved) => `
+        <li class="${moved ? 'moved' : ''}">
+            <span class="route-preview-map">${escapeHtml(getMapName(t.mapId))}</span>
+            <span class="route-preview-coords">(${t.coords.x.toFixed(1)}, ${t.coords.y.toFixed(1)})</span>
+            <span class="route-preview-player">${escapeHtml(t.player || t.addedByNickname || '')}</span>
+        </li>
+    `;
 
-            console.log(`路線優化完成: 距離減少 ${improvement}%, 跨圖次數: ${afterStats.mapJumps}`);
-        }, 500);
+    beforeEl.innerHTML = proposal.before.map(t => renderItem(t, false)).join('');
+    afterEl.innerHTML = proposal.after.map((t, i) => renderItem(t, beforeIndex.get(t.firebaseKey) !== i)).join('');
+}
+
+// 套用路線優化建議
+async function acceptRouteProposal() {
+    if (!pendingRouteProposal) return;
+
+    // 預覽期間順序可能被房主鎖定
+    if (!getRouteService().canModifyOrder()) {
+        alert('順序已被房主鎖定，無法套用');
+        closeModal('modal-route-preview');
+        return;
+    }
+
+    const btn = document.getElementById('btn-accept-route');
+    if (btn) btn.disabled = true;
 
+    const proposal = pendingRouteProposal;
+    try {
+        await getRouteService().autoOptimizeRoute({
+            proposedOrder: proposal.order,
+            basedOnOrder: proposal.before.map(t => t.firebaseKey)
+        });
+        closeModal('modal-route-preview');
+
+        const { beforeStats, afterStats } = proposal;
+        const improvement = beforeStats.totalTime > 0
+            ? Math.round((1 - afterStats.totalTime / beforeStats.totalTime) * 100)
+            : 0;
+        console.log(`路線優化完成: 預估時間減少 ${improvement}%, 跨圖次數: ${afterStats.mapJumps}, 傳送次數: ${afterStats.teleports}`);
+        if (afterStats.optimalityGap !== null) {
+            console.log(`啟發式與最佳解差距: ${(afterStats.optimalityGap * 100).toFixed(1)}%`);
+        }
     } catch (error) {
-        alert('優化失敗: ' + error.message);
-        console.error('路線優化錯誤:', error);
+        // 建議已過時 (路線在預覽期間被修改) 時捨棄，需重新優化
+        alert('套用失敗: ' + error.message);
+        console.error('套用路線錯誤:', error);
+        closeModal('modal-route-preview');
     } finally {
         if (btn) btn.disabled = false;
     }
@@ -1750,7 +3042,11 @@ function updateConnectionUI(connected) {
     const panelStatus = document.getElementById('panel-connection-status');
 
     const statusClass = `connection-status ${connected ? 'connected' : 'disconnected'}`;
-    const statusText = connected ? '已連線' : '離線';
+    const pending = PartyService.getPendingWriteCount();
+    let statusText = connected ? '已連線' : '離線';
+    if (pending > 0) {
+        statusText = connected ? `同步中 (${pending})` : `離線 (${pending} 筆待同步)`;
+    }
 
     if (indicator) {
         indicator.className = statusClass;
@@ -1780,20 +3076,20 @@ function updatePartyStatusModal() {
     updatePartyTreasuresUI();
 }
 
-// 更新藏寶圖卡片的隊伍狀態
+// 更新藏寶圖卡片的隊伍狀態 (在隊伍中加入隊伍清單，否則加入我的藏寶圖；觀戰中不顯示)
 function updateTreasureCardsPartyStatus() {
     const inParty = PartyService.isInParty();
+    const canAdd = inParty || !PartyService.isSpectating();
 
     document.querySelectorAll('.treasure-map').forEach(card => {
         const treasureId = card.dataset.treasureId;
         let btn = card.querySelector('.add-to-party-btn');
 
-        if (inParty) {
+        if (canAdd) {
             // 如果按鈕不存在，創建它
             if (!btn) {
                 btn = document.createElement('button');
                 btn.className = 'add-to-party-btn';
-                btn.title = '加入隊伍清單';
                 btn.innerHTML = `
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
                         <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z"/>
@@ -1801,13 +3097,18 @@ function updateTreasureCardsPartyStatus() {
                 `;
                 btn.addEventListener('click', (e) => {
                     e.stopPropagation();
-                    addTreasureToParty(treasureId);
+                    if (PartyService.isInParty()) {
+                        addTreasureToParty(treasureId);
+                    } else {
+                        addTreasureToMyMaps(treasureId);
+                    }
                 });
                 card.appendChild(btn);
             }
             // 按鈕永遠可用 (允許重複新增)
+            btn.title = inParty ? '加入隊伍清單' : '加入我的藏寶圖';
         } else {
-            // 如果不在隊伍中，移除按鈕
+            // 觀戰中不能新增，移除按鈕
             if (btn) {
                 btn.remove();
             }
@@ -1898,10 +3199,22 @@ async function addTreasureToParty(treasureId) {
     }
 }
 
-// 從隊伍移除藏寶圖 (使用 firebaseKey)
-async function removeTreasureFromParty(firebaseKey) {
+// 新增藏寶圖到我的藏寶圖 (並開啟面板)
+async function addTreasureToMyMaps(treasureId) {
+    const treasure = TREASURES.find(t => t.id === treasureId);
+    if (!treasure) {
+        console.error('找不到藏寶圖:', treasureId);
+        return;
+    }
+
+    await MyMapsService.addTreasure(treasure);
+    if (!isMyMapsOpen) toggleMyMaps();
+}
+
+// 從路線移除藏寶圖 (使用 firebaseKey)
+async function removeRouteItem(firebaseKey) {
     try {
-        await PartyService.removeTreasure(firebaseKey);
+        await getRouteService().removeTreasure(firebaseKey);
     } catch (error) {
         alert('移除失敗: ' + error.message);
     }
@@ -2023,9 +3336,9 @@ function showGatheringNodeMapModal(node, mapId) {
     // 更新標題
     document.getElementById('gathering-map-title').textContent = `${zoneName} - ${typeInfo.nodeType}`;
 
-    // 設定地圖圖片
-    const mapImage = document.getElementById('gathering-map-image');
-    mapImage.src = map.image;
+    // 設定地圖圖片 (每次開啟都還原縮放)
+    gatheringMapViewer.setMap(mapId);
+    gatheringMapViewer.reset();
 
     // 計算標記位置 (百分比)
     const sizeFactor = map.size_factor || 100;
@@ -0,0 +1,103 @@
+// Chat Link Parser
+// ================
+// 解析從遊戲聊天紀錄複製的地圖連結 (地區名稱 ( X , Y ))，一次加入多張藏寶圖
+//
+// 每行可帶有聊天紀錄的前綴，發言者會作為該藏寶圖的玩家:
+//   [12:34](光之戰士) 夏勞尼荒野 ( 13.2 , 9.0 )      小隊
+//   [1]<光之戰士> 夏勞尼荒野 ( 13.2 , 9.0 )         通訊貝 / 部隊
+//   光之戰士: 夏勞尼荒野 ( 13.2 , 9.0 )             說話 / 複製的文字
+// 座標與地區名稱的解析沿用 GlobalSearch.parsePosition
+
+const ChatLinkParser = (function() {
+    // 地圖連結的座標只到小數一位，超過此距離視為不是此等級的藏寶點
+    const MAX_MATCH_DISTANCE = 1.5;
+
+    // 時間戳記 [12:34] / [12:34:56]
+    const TIMESTAMP_PATTERN = /^\[\d{1,2}:\d{2}(?::\d{2})?\]\s*/;
+    // 發言者前綴 (依序嘗試)
+    const SPEAKER_PATTERNS = [
+        /^(?:\[[^\]]*\]\s*)?<([^>]+)>\s*/,   // [1]<名稱> 或 <名稱>
+        /^\(([^()]+)\)\s*/,                  // (名稱)
+        /^([^:()<>[\]]{1,32}?)\s*(?::|>>)\s*/ // 名稱: 或 名稱 >>
+    ];
+
+    // 全形轉半形、移除遊戲內的特殊符號 (小隊編號、伺服器圖示等)
+    function cleanLine(line) {
+        return String(line).normalize('NFKC').replace(/[\uE000-\uF8FF]/g, '').trim();
+    }
+
+    /**
+     * 解析一行聊天紀錄
+     * @param {string} line
+     * @returns {{ player, zoneName, coords } | null} 沒有座標時為 null，沒有發言者時 player 為空字串
+     */
+    function parseChatLine(line) {
+        let text = cleanLine(line).replace(TIMESTAMP_PATTERN, '');
+        let player = '';
+
+        for (const pattern of SPEAKER_PATTERNS) {
+            const match = text.match(pattern);
+            // 座標的括號不是發言者
+            if (match && !GlobalSearch.parsePosition(match[0])) {
+                player = match[1].trim();
+                text = text.slice(match[0].length);
+                break;
+            }
+        }
+
+        const position = GlobalSearch.parsePosition(text);
+        if (!position) return null;
+        return { player, zoneName: position.zoneName, coords: position.coords };
+    }
+
+    /**
+     * 解析多行聊天紀錄並對應到指定等級的藏寶點
+     * @param {string} text - 貼上的聊天紀錄 (沒有座標的行會略過)
+     * @param {Object} grade - GRADE_DATA 中的等級
+     * @returns {Array<{ line, player, coords, mapId, treasure, distance, error }>}
+     *   成功時 treasure 為 TREASURES 中的藏寶點，失敗時 treasure 為 null 並附上 error 說明
+     */
+    function parseChatLog(text, grade) {
+        const entries = [];
+
+        String(text).split(/\r?\n/).forEach(line => {
+            const parsed = parseChatLine(line);
+            if (!parsed) return;
+
+            const entry = { line: line.trim(), player: parsed.player, coords: parsed.coords, mapId: null, treasure: null, distance: null, error: null };
+            entries.push(entry);
+
+            const map = GlobalSearch.findMapByZoneName(parsed.zoneName);
+            if (!map) {
+                entry.error = `找不到地圖: ${parsed.zoneName || '(未知)'}`;
+                return;
+            }
+            entry.mapId = map.id;
+
+            const nearest = getTreasuresForGradeAndMap(grade, map.id)
+                .map(treasure => ({ treasure, distance: calculateDistance(parsed.coords, treasure.coords) }))
+                .sort((a, b) => a.distance - b.distance)[0];
+            if (!nearest) {
+                entry.error = `${map.name} 沒有 ${grade.grade} 的藏寶點`;
+                return;
+            }
+            entry.distance = nearest.distance;
+            if (nearest.distance > MAX_MATCH_DISTANCE) {
+                entry.error = `附近沒有 ${grade.grade} 的藏寶點 (最近距離 ${nearest.distance.toFixed(1)})`;
+                return;
+            }
+            entry.treasure = nearest.treasure;
+        });
+
+        return entries;
+    }
+
+    return {
+        parseChatLine,
+        parseChatLog,
+        MAX_MATCH_DISTANCE
+    };
+})();
+
+// 匯出
+window.ChatLinkParser = ChatLinkParser;
@@ -17,138 +17,7 @@ const GRADE_DATA = [
     { grade: "G6", itemId: 12241, name: "陳舊的古鳥革地圖", partySize: 1, expansion: "3.0", gatheringLevel: 60, gatheringZoneIds: [2200, 2000, 2001, 2002, 2100] }
 ];
 
-// 藏寶圖物品名稱 (繁中)
-const ITEM_NAMES = {
-    6688: "陳舊的鞣革地圖",
-    6689: "陳舊的山羊革地圖",
-    6690: "陳舊的巨蟾蜍革地圖",
-    6691: "陳舊的野豬革地圖",
-    6692: "陳舊的毒蜥蜴革地圖",
-    7884: "神秘地圖",
-    8156: "鞣革製的隱藏地圖",
-    9900: "索恩朝時代的地圖",
-    12241: "陳舊的古鳥革地圖",
-    12242: "陳舊的飛龍革地圖",
-    12243: "陳舊的巨龍革地圖",
-    17835: "陳舊的迦迦納怪鳥革地圖",
-    17836: "陳舊的瞪羚革地圖",
-    19770: "深層傳送魔紋的地圖",
-    24794: "陳舊的特殊地圖1",
-    26744: "陳舊的綠飄龍革地圖",
-    26745: "陳舊的纏尾蛟革地圖",
-    33328: "陳舊的特殊地圖2",
-    36611: "陳舊的賽加羚羊革地圖",
-    36612: "陳舊的金毗羅鱷革地圖",
-    39591: "陳舊的蛇牛革地圖",
-    39593: "陳舊的特殊地圖3",
-    39918: "陳舊的特殊地圖4",
-    43556: "陳舊的銀狼革地圖",
-    43557: "陳舊的獰豹革地圖",
-    46185: "陳舊的卡岡圖亞革地圖"
-};
-
-// 地點名稱 (繁中)
-const PLACE_NAMES = {
-    30: "中拉諾西亞",
-    31: "拉諾西亞低地",
-    32: "東拉諾西亞",
-    33: "西拉諾西亞",
-    34: "拉諾西亞高地",
-    42: "西薩納蘭",
-    43: "中薩納蘭",
-    44: "東薩納蘭",
-    45: "南薩納蘭",
-    46: "北薩納蘭",
-    54: "黑衣森林中央林區",
-    55: "黑衣森林東部林區",
-    56: "黑衣森林南部林區",
-    57: "黑衣森林北部林區",
-    63: "庫爾札斯中央高地",
-    67: "摩杜納",
-    350: "拉諾西亞外地",
-    2000: "德拉瓦尼亞山麓地",
-    2001: "德拉瓦尼亞河谷地",
-    2002: "德拉瓦尼亞雲海",
-    2100: "阿巴拉提亞雲海",
-    2200: "庫爾札斯西部高地",
-    2406: "基拉巴尼亞邊區",
-    2407: "基拉巴尼亞山區",
-    2408: "基拉巴尼亞湖區",
-    2409: "紅玉海",
-    2410: "延夏",
-    2411: "太陽神草原",
-    2953: "雷克蘭德",
-    2954: "珂露西亞島",
-    2955: "安穆·艾蘭",
-    2956: "伊爾美格",
-    2957: "拉凱提卡大森林",
-    2958: "黑風海",
-    3708: "迷津",
-    3709: "薩維奈島",
-    3710: "加雷馬",
-    3711: "嘆息海",
-    3712: "天外天垓",
-    3713: "厄爾庇斯",
-    4505: "奧闊帕恰山",
-    4506: "克扎瑪烏卡濕地",
-    4507: "亞克特爾樹海",
-    4508: "夏勞尼荒野",
-    4509: "遺產之地",
-    4510: "憶想之地"
-};
-
-// 地圖數據
-const MAP_DATA = {
-    4: { id: 4, placename_id: 54, image: "https://xivapi.com/m/f1f1/f1f1.00.jpg", size_factor: 100 },
-    5: { id: 5, placename_id: 55, image: "https://xivapi.com/m/f1f2/f1f2.00.jpg", size_factor: 100 },
-    6: { id: 6, placename_id: 56, image: "https://xivapi.com/m/f1f3/f1f3.00.jpg", size_factor: 100 },
-    7: { id: 7, placename_id: 57, image: "https://xivapi.com/m/f1f4/f1f4.00.jpg", size_factor: 100 },
-    15: { id: 15, placename_id: 30, image: "https://xivapi.com/m/s1f1/s1f1.00.jpg", size_factor: 100 },
-    16: { id: 16, placename_id: 31, image: "https://xivapi.com/m/s1f2/s1f2.00.jpg", size_factor: 100 },
-    17: { id: 17, placename_id: 32, image: "https://xivapi.com/m/s1f3/s1f3.01.jpg", size_factor: 100 },
-    18: { id: 18, placename_id: 33, image: "https://xivapi.com/m/s1f4/s1f4.00.jpg", size_factor: 100 },
-    19: { id: 19, placename_id: 34, image: "https://xivapi.com/m/s1f5/s1f5.00.jpg", size_factor: 100 },
-    20: { id: 20, placename_id: 42, image: "https://xivapi.com/m/w1f1/w1f1.00.jpg", size_factor: 100 },
-    21: { id: 21, placename_id: 43, image: "https://xivapi.com/m/w1f2/w1f2.00.jpg", size_factor: 100 },
-    22: { id: 22, placename_id: 44, image: "https://xivapi.com/m/w1f3/w1f3.00.jpg", size_factor: 100 },
-    23: { id: 23, placename_id: 45, image: "https://xivapi.com/m/w1f4/w1f4.01.jpg", size_factor: 100 },
-    24: { id: 24, placename_id: 46, image: "https://xivapi.com/m/w1f5/w1f5.00.jpg", size_factor: 100 },
-    25: { id: 25, placename_id: 67, image: "https://xivapi.com/m/l1f1/l1f1.01.jpg", size_factor: 100 },
-    30: { id: 30, placename_id: 350, image: "https://xivapi.com/m/s1f6/s1f6.00.jpg", size_factor: 100 },
-    53: { id: 53, placename_id: 63, image: "https://xivapi.com/m/r1f1/r1f1.00.jpg", size_factor: 100 },
-    211: { id: 211, placename_id: 2200, image: "https://xivapi.com/m/r2f1/r2f1.00.jpg", size_factor: 95 },
-    212: { id: 212, placename_id: 2000, image: "https://xivapi.com/m/d2f1/d2f1.00.jpg", size_factor: 95 },
-    213: { id: 213, placename_id: 2001, image: "https://xivapi.com/m/d2f2/d2f2.00.jpg", size_factor: 95 },
-    214: { id: 214, placename_id: 2002, image: "https://xivapi.com/m/d2f3/d2f3.00.jpg", size_factor: 95 },
-    215: { id: 215, placename_id: 2100, image: "https://xivapi.com/m/a2f1/a2f1.00.jpg", size_factor: 95 },
-    354: { id: 354, placename_id: 2410, image: "https://xivapi.com/m/e3f2/e3f2.00.jpg", size_factor: 100 },
-    367: { id: 367, placename_id: 2406, image: "https://xivapi.com/m/g3f1/g3f1.00.jpg", size_factor: 100 },
-    368: { id: 368, placename_id: 2407, image: "https://xivapi.com/m/g3f2/g3f2.00.jpg", size_factor: 100 },
-    369: { id: 369, placename_id: 2408, image: "https://xivapi.com/m/g3f3/g3f3.00.jpg", size_factor: 100 },
-    371: { id: 371, placename_id: 2409, image: "https://xivapi.com/m/e3f1/e3f1.00.jpg", size_factor: 100 },
-    372: { id: 372, placename_id: 2411, image: "https://xivapi.com/m/e3f3/e3f3.00.jpg", size_factor: 100 },
-    491: { id: 491, placename_id: 2953, image: "https://xivapi.com/m/n4f1/n4f1.00.jpg", size_factor: 100 },
-    492: { id: 492, placename_id: 2954, image: "https://xivapi.com/m/n4f2/n4f2.00.jpg", size_factor: 100 },
-    493: { id: 493, placename_id: 2955, image: "https://xivapi.com/m/n4f3/n4f3.00.jpg", size_factor: 100 },
-    494: { id: 494, placename_id: 2956, image: "https://xivapi.com/m/n4f4/n4f4.00.jpg", size_factor: 100 },
-    495: { id: 495, placename_id: 2957, image: "https://xivapi.com/m/n4f5/n4f5.00.jpg", size_factor: 100 },
-    496: { id: 496, placename_id: 2958, image: "https://xivapi.com/m/n4f6/n4f6.00.jpg", size_factor: 100 },
-    695: { id: 695, placename_id: 3708, image: "https://xivapi.com/m/k5f1/k5f1.00.jpg", size_factor: 100 },
-    696: { id: 696, placename_id: 3709, image: "https://xivapi.com/m/m5f1/m5f1.00.jpg", size_factor: 100 },
-    697: { id: 697, placename_id: 3710, image: "https://xivapi.com/m/m5f2/m5f2.00.jpg", size_factor: 100 },
-    698: { id: 698, placename_id: 3711, image: "https://xivapi.com/m/u5f1/u5f1.00.jpg", size_factor: 100 },
-    699: { id: 699, placename_id: 3712, image: "https://xivapi.com/m/u5f2/u5f2.00.jpg", size_factor: 100 },
-    700: { id: 700, placename_id: 3713, image: "https://xivapi.com/m/n5f1/n5f1.00.jpg", size_factor: 100 },
-    857: { id: 857, placename_id: 4505, image: "https://xivapi.com/m/y6f1/y6f1.00.jpg", size_factor: 100 },
-    858: { id: 858, placename_id: 4506, image: "https://xivapi.com/m/y6f2/y6f2.00.jpg", size_factor: 100 },
-    859: { id: 859, placename_id: 4507, image: "https://xivapi.com/m/y6f3/y6f3.00.jpg", size_factor: 100 },
-    860: { id: 860, placename_id: 4508, image: "https://xivapi.com/m/x6f1/x6f1.00.jpg", size_factor: 100 },
-    861: { id: 861, placename_id: 4509, image: "https://xivapi.com/m/x6f2/x6f2.00.jpg", size_factor: 100 },
-    862: { id: 862, placename_id: 4510, image: "https://xivapi.com/m/x6f3/x6f3.00.jpg", size_factor: 100 }
-};
-
-// 藏寶圖數據 (壓縮格式: id,x,y,map,partySize,item)
-const TREASURES_RAW = "1.0,28.8,22.7,4,1,6688|1.1,19.38,18.25,4,1,6688|1.2,22.76,26.94,4,1,6688|1.3,13.33,23.25,5,1,6688|1.4,15.19,29.18,5,1,6688|1.5,22.65,25.15,5,1,6688|1.6,17.31,21.66,6,1,6688|1.7,15.32,29.61,6,1,6688|1.8,27.64,17.66,6,1,6688|1.9,26.43,21.43,7,1,6688|1.10,27.31,24.83,7,1,6688|1.11,20.31,28.21,7,1,6688|1.12,22.61,15.62,15,1,6688|1.13,24.28,27.57,15,1,6688|1.14,22.49,19.11,15,1,6688|1.15,22.75,25.12,16,1,6688|1.16,30.48,21.37,16,1,6688|1.17,20.05,32.35,16,1,6688|1.18,26.88,31.99,17,1,6688|1.19,22.55,23.61,17,1,6688|1.20,17.5,33.32,17,1,6688|1.21,34.28,28.17,18,1,6688|1.22,24.69,23.62,18,1,6688|1.23,30.53,27.04,18,1,6688|1.24,35.28,24.76,19,1,6688|1.25,14.48,24.38,19,1,6688|1.26,29.8,25.18,19,1,6688|1.27,14.25,16.21,30,1,6688|1.28,20.21,15.88,30,1,6688|1.29,20.44,17.1,30,1,6688|1.30,23.33,24.09,20,1,6688|1.31,24.3,26.9,20,1,6688|1.32,16.48,14.71,20,1,6688|1.33,24.33,34.3,21,1,6688|1.34,25.33,18.06,21,1,6688|1.35,17.51,19.01,21,1,6688|1.36,26.73,19.11,22,1,6688|1.37,24.04,18.54,22,1,6688|1.38,14.87,19.28,22,1,6688|1.39,22.63,13.13,23,1,6688|1.40,17.97,29.83,23,1,6688|1.41,14.62,15.97,23,1,6688|1.42,28.05,23.85,53,1,6688|1.43,24.6,27.28,53,1,6688|1.44,23.73,19.97,53,1,6688|2.0,24.77,32.12,4,1,6689|2.1,25.54,21.13,4,1,6689|2.2,17.65,20.72,4,1,6689|2.3,23.79,30.87,5,1,6689|2.4,21.56,25.49,5,1,6689|2.5,17.4,21.76,5,1,6689|2.6,21.87,19.57,6,1,6689|2.7,27.86,22.33,6,1,6689|2.8,25.5,18.21,6,1,6689|2.9,18.24,27.01,7,1,6689|2.10,28.58,26.18,7,1,6689|2.11,29.8,22.89,7,1,6689|2.12,25.31,25.06,15,1,6689|2.13,24.38,20.96,15,1,6689|2.14,18.11,13.49,15,1,6689|2.15,29.45,13.78,16,1,6689|2.16,24.8,27.3,16,1,6689|2.17,29.1,16.31,16,1,6689|2.18,29.61,36.39,17,1,6689|2.19,18.39,24.88,17,1,6689|2.20,29.53,24.44,17,1,6689|2.21,29.59,21.92,18,1,6689|2.22,23.3,21.67,18,1,6689|2.23,36.12,30.32,18,1,6689|2.24,14.08,25.4,19,1,6689|2.25,33.21,23.92,19,1,6689|2.26,27.38,23.71,19,1,6689|2.27,13.64,14.92,30,1,6689|2.28,22.83,15.19,30,1,6689|2.29,15.71,15.73,30,1,6689|2.30,27.04,17.09,20,1,6689|2.31,12.28,11.99,20,1,6689|2.32,24.71,23.77,20,1,6689|2.33,20.71,13.2,21,1,6689|2.34,16.06,20.32,21,1,6689|2.35,21.93,22.59,21,1,6689|2.36,24.73,22.45,22,1,6689|2.37,29.46,17.55,22,1,6689|2.38,18.8,23.75,22,1,6689|2.39,22.28,14.16,23,1,6689|2.40,24,7.98,23,1,6689|2.41,15.92,20.15,23,1,6689|2.42,22.86,24.92,53,1,6689|2.43,26.49,13.76,53,1,6689|2.44,32,27.58,53,1,6689|3.0,30.37,21.44,4,1,6690|3.1,24.58,21.2,4,1,6690|3.2,16.32,17.77,4,1,6690|3.3,22.34,30.2,5,1,6690|3.4,15.96,23.66,5,1,6690|3.5,25.66,23,5,1,6690|3.6,17.1,32.45,6,1,6690|3.7,18.12,24.01,6,1,6690|3.8,23.18,21.77,6,1,6690|3.9,24.7,25.73,7,1,6690|3.10,16.6,25.56,7,1,6690|3.11,28.6,21.86,7,1,6690|3.12,17.41,12.61,15,1,6690|3.13,20.05,13.33,15,1,6690|3.14,24.19,22.88,15,1,6690|3.15,30.08,18.53,16,1,6690|3.16,23.53,23.08,16,1,6690|3.17,19.66,34.81,16,1,6690|3.18,19.51,35.19,17,1,6690|3.19,26.19,33.9,17,1,6690|3.20,28.56,35.71,17,1,6690|3.21,16.63,31.22,18,1,6690|3.22,27.95,24.68,18,1,6690|3.23,21.74,23.52,18,1,6690|3.24,12.22,25.9,19,1,6690|3.25,28.43,18.47,19,1,6690|3.26,9.76,21.24,19,1,6690|3.27,15.72,10.86,30,1,6690|3.28,25.36,15.9,30,1,6690|3.29,14.25,14.02,30,1,6690|3.30,18.47,16.51,20,1,6690|3.31,25.55,17.65,20,1,6690|3.32,14.25,7.09,20,1,6690|3.33,18.09,21.32,21,1,6690|3.34,22.31,33.75,21,1,6690|3.35,18.35,17.58,21,1,6690|3.36,16.79,30.19,22,1,6690|3.37,27.26,17.79,22,1,6690|3.38,16.92,23.95,22,1,6690|3.39,24.34,30.99,23,1,6690|3.40,16.91,11.04,23,1,6690|3.41,13.71,39.39,23,1,6690|3.42,30.7,15.79,53,1,6690|3.43,15.46,35.14,53,1,6690|3.44,19.7,15.45,53,1,6690|3.45,26.94,9.43,25,1,6690|3.46,24.07,12.54,25,1,6690|3.47,17.42,8.12,25,1,6690|4.0,13.87,21.61,4,1,6691|4.1,28.54,20.73,4,1,6691|4.2,22.37,25.34,4,1,6691|4.3,27.21,21.97,5,1,6691|4.4,17.66,19.39,5,1,6691|4.5,12.92,27.53,5,1,6691|4.6,26.59,22.46,6,1,6691|4.7,19.41,19.26,6,1,6691|4.8,20.16,28.88,6,1,6691|4.9,17.7,26.21,7,1,6691|4.10,22.62,28.13,7,1,6691|4.11,22.75,26.63,7,1,6691|4.12,23.1,26.28,15,1,6691|4.13,17.67,19.95,15,1,6691|4.14,22.84,17.12,15,1,6691|4.15,21.96,36.05,16,1,6691|4.16,27.01,21.75,16,1,6691|4.17,28.49,20.18,16,1,6691|4.18,16.59,24.71,17,1,6691|4.19,26.63,35.14,17,1,6691|4.20,27.71,25.14,17,1,6691|4.21,18.99,22.52,18,1,6691|4.22,30.7,30.02,18,1,6691|4.23,16.77,35.11,18,1,6691|4.24,27.96,21.64,19,1,6691|4.25,11.72,21.85,19,1,6691|4.26,36.14,24.91,19,1,6691|4.27,22.53,17.17,30,1,6691|4.28,15.29,12.6,30,1,6691|4.29,22.7,11.53,30,1,6691|4.30,22.05,25.75,20,1,6691|4.31,22.95,20.99,20,1,6691|4.32,15.71,17.89,20,1,6691|4.33,27.5,20.77,21,1,6691|4.34,16.75,16.32,21,1,6691|4.35,26.74,30.93,21,1,6691|4.36,20.64,28.87,22,1,6691|4.37,14.68,16.52,22,1,6691|4.38,10.59,23.09,22,1,6691|4.39,12.9,35.74,23,1,6691|4.40,21.29,29.01,23,1,6691|4.41,17.57,40.09,23,1,6691|4.42,24.61,23.63,24,1,6691|4.43,19.63,21.13,24,1,6691|4.44,19.75,18.7,24,1,6691|4.45,5.97,18.65,53,1,6691|4.46,23.59,8.54,53,1,6691|4.47,7.76,12.76,53,1,6691|4.48,17.46,10.92,25,1,6691|4.49,25.79,12.16,25,1,6691|4.50,15.35,11.16,25,1,6691|5.0,21.23,29.04,4,8,6692|5.1,15.71,19.46,4,8,6692|5.2,12.4,17.4,4,8,6692|5.3,17.93,24.78,5,8,6692|5.4,28.73,18.45,5,8,6692|5.5,28.51,20.84,5,8,6692|5.6,30.53,24.92,6,8,6692|5.7,29.03,24.34,6,8,6692|5.8,22.85,24.55,6,8,6692|5.9,22.46,23.91,7,8,6692|5.10,21.92,21.03,7,8,6692|5.11,21.21,31.88,7,8,6692|5.12,13.99,11.7,15,8,6692|5.13,21.57,14.85,15,8,6692|5.14,14.53,14.04,15,8,6692|5.15,33.97,15.93,16,8,6692|5.16,24.59,24.71,16,8,6692|5.17,21.33,30.69,16,8,6692|5.18,23.83,21.81,17,8,6692|5.19,18.27,35.28,17,8,6692|5.20,30.08,20.63,17,8,6692|5.21,17.7,15.59,18,8,6692|5.22,18.68,19.16,18,8,6692|5.23,14.62,17.07,18,8,6692|5.24,9.41,21.79,19,8,6692|5.25,13.6,21.94,19,8,6692|5.26,27.33,17.69,19,8,6692|5.27,22.6,14.46,30,8,6692|5.28,22.8,12.27,30,8,6692|5.29,18.72,15.38,30,8,6692|5.30,15.96,6.7,20,8,6692|5.31,10.81,5.91,20,8,6692|5.32,20.05,28.07,20,8,6692|5.33,17.27,12.61,21,8,6692|5.34,16.34,23.21,21,8,6692|5.35,22.82,19.51,21,8,6692|5.36,19.2,20.85,22,8,6692|5.37,25.32,25.58,22,8,6692|5.38,30.56,26.49,22,8,6692|5.39,16.04,24.28,23,8,6692|5.40,26.21,37.92,23,8,6692|5.41,24.74,20.97,23,8,6692|5.42,20.06,16.62,24,8,6692|5.43,16.81,18.72,24,8,6692|5.44,23.44,26.01,24,8,6692|5.45,6.65,30.22,53,8,6692|5.46,9.02,20.44,53,8,6692|5.47,31.03,16.39,53,8,6692|5.48,18.28,17.63,25,8,6692|5.49,11.46,16.4,25,8,6692|5.50,10.66,14.36,25,8,6692|6.0,10.72,23.57,4,1,7884|6.1,21.27,30.13,4,1,7884|6.2,15.57,21.05,5,1,7884|6.3,25.42,10.85,5,1,7884|6.4,24.31,24.93,6,1,7884|6.5,23.91,18.92,6,1,7884|6.6,16.19,27.28,7,1,7884|6.7,23.98,26.19,7,1,7884|6.8,17.95,17.96,15,1,7884|6.9,21.77,25.08,15,1,7884|6.10,34.51,14.36,16,1,7884|6.11,23.61,39.13,16,1,7884|6.12,30.51,27.7,17,1,7884|6.13,17.05,31.31,17,1,7884|6.14,12.3,35.89,18,1,7884|6.15,32.81,27.53,18,1,7884|6.16,14.17,21.22,19,1,7884|6.17,30.6,24.91,19,1,7884|6.18,22.86,16.34,30,1,7884|6.19,15.33,15.1,30,1,7884|6.20,21.65,23.3,20,1,7884|6.21,19.56,26.33,20,1,7884|6.22,19.2,13.53,21,1,7884|6.23,29.73,19.37,21,1,7884|6.24,23.33,27.41,22,1,7884|6.25,10.57,18.22,22,1,7884|6.26,22.48,38.94,23,1,7884|6.27,21.33,8.17,23,1,7884|6.28,20.67,27.79,24,1,7884|6.29,20.5,22.14,24,1,7884|6.30,23.21,16,53,1,7884|6.31,10.82,27.32,53,1,7884|6.32,31.68,13.81,25,1,7884|6.33,13.16,10.51,25,1,7884|7.0,24.59,28.37,4,1,8156|7.1,15.79,23.54,4,1,8156|7.2,14.62,26.47,5,1,8156|7.3,21.28,21.66,5,1,8156|7.4,15.82,19.5,6,1,8156|7.5,18.07,26.49,6,1,8156|7.6,25.97,27.02,7,1,8156|7.7,19.46,28.75,7,1,8156|7.8,19.5,18.68,15,1,8156|7.9,15.11,10.43,15,1,8156|7.10,25.86,22.09,16,1,8156|7.11,31.66,16.75,16,1,8156|7.12,28.36,30.84,17,1,8156|7.13,14.91,30.25,17,1,8156|7.14,15.48,33.75,18,1,8156|7.15,22.54,20.76,18,1,8156|7.16,28.21,20.24,19,1,8156|7.17,26.68,22.99,19,1,8156|7.18,15.01,18.77,30,1,8156|7.19,13.57,16.12,30,1,8156|7.20,23.78,18.74,20,1,8156|7.21,18.89,29.22,20,1,8156|7.22,21.43,15.24,21,1,8156|7.23,20.08,22.11,21,1,8156|7.24,15.81,26.6,22,1,8156|7.25,16.74,21.42,22,1,8156|7.26,20.29,15.8,23,1,8156|7.27,21.83,31.23,23,1,8156|7.28,21.85,27.44,24,1,8156|7.29,21.74,24.88,24,1,8156|7.30,28.81,13.52,53,1,8156|7.31,15.72,18.82,53,1,8156|7.32,23.74,10.31,25,1,8156|7.33,31.25,11.6,25,1,8156|8.0,20.99,28.05,4,1,9900|8.1,25.82,20.29,4,1,9900|8.2,20.24,27.06,5,1,9900|8.3,22.31,30.48,5,1,9900|8.4,16.75,22.74,6,1,9900|8.5,17.61,29.96,6,1,9900|8.6,21.18,30.05,7,1,9900|8.7,30.12,26.74,7,1,9900|8.8,19.17,15.73,15,1,9900|8.9,21.18,19.6,15,1,9900|8.10,25.55,24.25,16,1,9900|8.11,34.05,17.51,16,1,9900|8.12,16.2,26.03,17,1,9900|8.13,31.91,32.49,17,1,9900|8.14,26.76,24.35,18,1,9900|8.15,33.74,30.32,18,1,9900|8.16,28.19,25.58,19,1,9900|8.17,28.83,22.02,19,1,9900|8.18,14.82,18.36,30,1,9900|8.19,23.85,16.31,30,1,9900|8.20,20.47,24.23,20,1,9900|8.21,26.49,22.33,20,1,9900|8.22,25.69,20.18,21,1,9900|8.23,23.51,29.76,21,1,9900|8.24,14.56,29.72,22,1,9900|8.25,18.84,24.66,22,1,9900|8.26,19.78,8.88,23,1,9900|8.27,18.99,32.17,23,1,9900|9.0,22.91,24.9,211,1,12241|9.1,20.55,17.89,211,1,12241|9.2,11.06,10.73,211,1,12241|9.3,30.54,23.82,211,1,12241|9.4,29.21,10.96,211,1,12241|9.5,29.81,32.96,211,1,12241|9.6,24.92,33.1,211,1,12241|9.7,21.3,19.4,212,1,12241|9.8,12.21,27.51,212,1,12241|9.9,17.01,36.74,212,1,12241|9.10,35.49,9.91,212,1,12241|9.11,30.29,28.42,212,1,12241|9.12,36.02,19.74,212,1,12241|9.13,38.17,9.8,212,1,12241|9.14,23.79,34.29,212,1,12241|9.15,18.02,21.3,214,1,12241|9.16,18.36,27.43,214,1,12241|9.17,30.44,21.74,214,1,12241|9.18,23.36,25.66,214,1,12241|9.19,30.73,27.3,214,1,12241|9.20,28.3,17.84,214,1,12241|9.21,27.58,10.51,214,1,12241|9.22,34.38,22.56,214,1,12241|10.0,16.04,23.16,211,1,12242|10.1,15.76,31.76,211,1,12242|10.2,23.08,27.34,211,1,12242|10.3,33.32,5.84,211,1,12242|10.4,35.77,10.49,211,1,12242|10.5,28.14,11.33,211,1,12242|10.6,36.09,16.19,211,1,12242|10.7,33.74,19.4,211,1,12242|10.8,28.09,11.64,212,1,12242|10.9,9.35,36.26,212,1,12242|10.10,21.73,36.05,212,1,12242|10.11,20.51,25.21,212,1,12242|10.12,30.41,33.84,212,1,12242|10.13,37.4,17.4,212,1,12242|10.14,29.02,26.68,212,1,12242|10.15,25.07,12.87,212,1,12242|10.16,24.04,24.2,212,1,12242|10.17,11.67,16.41,214,1,12242|10.18,12.94,30.09,214,1,12242|10.19,22.82,24.39,214,1,12242|10.20,32.43,16.48,214,1,12242|10.21,35.11,29.14,214,1,12242|10.22,28.37,24.06,214,1,12242|10.23,17,36.55,214,1,12242|10.24,11.94,35.83,214,1,12242|10.25,38.17,17.65,214,1,12242|10.26,13.56,10.54,215,1,12242|10.27,10.52,17.94,215,1,12242|10.28,13.84,21.65,215,1,12242|10.29,27.84,23.26,215,1,12242|10.30,37.45,20.79,215,1,12242|10.31,27.12,35.64,215,1,12242|10.32,35.2,37.44,215,1,12242|10.33,9.89,26.7,215,1,12242|10.34,35.36,10.47,215,1,12242|10.35,37.17,15.56,215,1,12242|10.36,15.08,21.39,213,1,12242|10.37,12.24,25.8,213,1,12242|10.38,19.05,35.06,213,1,12242|10.39,25.77,21.21,213,1,12242|10.40,27.91,28.35,213,1,12242|10.41,38.51,24.12,213,1,12242|10.42,14.94,33.94,213,1,12242|10.43,35.37,30.02,213,1,12242|11.0,6.78,12.18,211,8,12243|11.1,20.26,30.96,211,8,12243|11.2,21.7,12.25,211,8,12243|11.3,34.91,7.73,211,8,12243|11.4,36.99,26.75,211,8,12243|11.5,29.21,15.58,211,8,12243|11.6,12.11,24.48,211,8,12243|11.7,23.43,25.87,212,8,12243|11.8,10.69,30.16,212,8,12243|11.9,13.5,34.71,212,8,12243|11.10,27.49,30.84,212,8,12243|11.11,29.1,24.11,212,8,12243|11.12,23.63,31.85,212,8,12243|11.13,12.1,35.05,212,8,12243|11.14,14.98,34.48,212,8,12243|11.15,18.82,34.14,212,8,12243|11.16,12.78,13.32,214,8,12243|11.17,10.45,20.21,214,8,12243|11.18,23.75,19.28,214,8,12243|11.19,32.16,25.65,214,8,12243|11.20,17.39,33.74,214,8,12243|11.21,28.07,37.56,214,8,12243|11.22,7.92,17.66,214,8,12243|11.23,10.37,9.63,214,8,12243|11.24,21.63,37.89,214,8,12243|11.25,22.85,10.78,215,8,12243|11.26,14.42,26.94,215,8,12243|11.27,18.9,34.97,215,8,12243|11.28,21.4,32.17,215,8,12243|11.29,29.2,24.13,215,8,12243|11.30,31.7,18.93,215,8,12243|11.31,6.69,7.28,215,8,12243|11.32,20.67,5.33,215,8,12243|11.33,10.46,39.14,215,8,12243|11.34,17.26,16.72,215,8,12243|12.0,16.54,9.57,367,1,17835|12.1,28.56,10.17,367,1,17835|12.2,25.78,16.53,367,1,17835|12.3,32.31,26.96,367,1,17835|12.4,23.82,33.55,367,1,17835|12.5,16.8,28.62,367,1,17835|12.6,14.77,21.48,367,1,17835|12.7,16.32,17.06,367,1,17835|12.8,8.15,11.89,368,1,17835|12.9,11.96,9.99,368,1,17835|12.10,21.24,13.05,368,1,17835|12.11,28.17,15.36,368,1,17835|12.12,27.2,32.51,368,1,17835|12.13,18.06,28.29,368,1,17835|12.14,12.53,26.3,368,1,17835|12.15,13.07,34.16,368,1,17835|12.16,4.34,16.34,369,1,17835|12.17,6.04,10.05,369,1,17835|12.18,14.67,20.03,369,1,17835|12.19,18.27,14.36,369,1,17835|12.20,26.94,12.37,369,1,17835|12.21,28.17,26.79,369,1,17835|12.22,27.09,33.39,369,1,17835|12.23,10.26,23.86,369,1,17835|12.24,11.14,7,371,1,17835|12.25,20.93,6.31,371,1,17835|12.26,38.46,18.81,371,1,17835|12.27,31.51,22.69,371,1,17835|12.28,36.45,31.23,371,1,17835|12.29,30.23,38.49,371,1,17835|12.30,23.05,33.04,371,1,17835|12.31,9.18,25.23,371,1,17835|12.32,17.19,15.35,354,1,17835|12.33,25.25,9.61,354,1,17835|12.34,21.46,8.71,354,1,17835|12.35,32.92,7.97,354,1,17835|12.36,23.99,21.78,354,1,17835|12.37,30.45,23.28,354,1,17835|12.38,24.28,35.48,354,1,17835|12.39,16.02,27.53,354,1,17835|12.40,10.67,19.79,372,1,17835|12.41,16.82,9.86,372,1,17835|12.42,27.28,19.17,372,1,17835|12.43,34.59,28.67,372,1,17835|12.44,26.04,35.91,372,1,17835|12.45,21.32,32.61,372,1,17835|12.46,11.2,35.75,372,1,17835|12.47,9.7,27.66,372,1,17835|13.0,9.37,12.52,367,8,17836|13.1,23.44,12.18,367,8,17836|13.2,25.88,20.17,367,8,17836|13.3,31.62,20.82,367,8,17836|13.4,32.98,31.5,367,8,17836|13.5,11.18,31.19,367,8,17836|13.6,8.31,28.22,367,8,17836|13.7,15.58,16.74,367,8,17836|13.8,12.33,5.9,368,8,17836|13.9,16.24,9.44,368,8,17836|13.10,26.09,13.79,368,8,17836|13.11,33.22,9.86,368,8,17836|13.12,24.05,31.67,368,8,17836|13.13,15.47,22.97,368,8,17836|13.14,15.79,33.14,368,8,17836|13.15,8.61,32.6,368,8,17836|13.16,5.94,6.78,369,8,17836|13.17,25.21,7.89,369,8,17836|13.18,31.96,6.49,369,8,17836|13.19,29.82,17.55,369,8,17836|13.20,24.58,32.1,369,8,17836|13.21,19.67,23.4,369,8,17836|13.22,15.95,28.73,369,8,17836|13.23,8.61,17.75,369,8,17836|13.24,5.28,15.11,371,8,17836|13.25,17.01,9.65,371,8,17836|13.26,32.39,8.92,371,8,17836|13.27,32.92,18.46,371,8,17836|13.28,30.63,25.48,371,8,17836|13.29,27.81,30.04,371,8,17836|13.30,18.54,36.54,371,8,17836|13.31,7.72,29.77,371,8,17836|13.32,12.13,18.8,354,8,17836|13.33,20.04,5.62,354,8,17836|13.34,21.74,13.92,354,8,17836|13.35,32.01,5.49,354,8,17836|13.36,31.09,28.62,354,8,17836|13.37,31.9,35.54,354,8,17836|13.38,22.25,27.84,354,8,17836|13.39,13.24,30.21,354,8,17836|13.40,10.62,16,372,8,17836|13.41,29.56,11.89,372,8,17836|13.42,31.02,22.11,372,8,17836|13.43,29.28,35.43,372,8,17836|13.44,21.87,37.11,372,8,17836|13.45,15.02,33.02,372,8,17836|13.46,16.58,25.06,372,8,17836|13.47,4.92,25.66,372,8,17836|14.0,22.19,21.24,369,8,19770|14.1,17.13,19.21,369,8,19770|14.2,21.48,15.83,369,8,19770|14.3,23.57,25.65,369,8,19770|14.4,34.54,30.33,371,8,19770|14.5,17.31,25.71,371,8,19770|14.6,18.97,18.39,371,8,19770|14.7,28.64,14.75,371,8,19770|14.8,25.28,22.88,371,8,19770|14.9,8.24,16.68,354,8,19770|14.10,22.38,35.05,354,8,19770|14.11,9.2,33.06,354,8,19770|14.12,11.97,9.2,354,8,19770|14.13,21.45,25.4,372,8,19770|14.14,18.9,23.65,372,8,19770|16.0,9.37,12.52,367,8,24794|16.1,23.44,12.18,367,8,24794|16.2,25.88,20.17,367,8,24794|16.3,31.62,20.82,367,8,24794|16.4,32.98,31.5,367,8,24794|16.5,11.18,31.19,367,8,24794|16.6,8.31,28.22,367,8,24794|16.7,15.58,16.74,367,8,24794|16.8,12.33,5.9,368,8,24794|16.9,16.24,9.44,368,8,24794|16.10,26.09,13.79,368,8,24794|16.11,33.22,9.86,368,8,24794|16.12,24.05,31.67,368,8,24794|16.13,15.47,22.97,368,8,24794|16.14,15.79,33.14,368,8,24794|16.15,8.61,32.6,368,8,24794|16.16,5.94,6.78,369,8,24794|16.17,25.21,7.89,369,8,24794|16.18,31.96,6.49,369,8,24794|16.19,29.82,17.55,369,8,24794|16.20,24.58,32.1,369,8,24794|16.21,19.67,23.4,369,8,24794|16.22,15.95,28.73,369,8,24794|16.23,8.61,17.75,369,8,24794|16.24,5.28,15.11,371,8,24794|16.25,17.01,9.65,371,8,24794|16.26,32.39,8.92,371,8,24794|16.27,32.92,18.46,371,8,24794|16.28,30.63,25.48,371,8,24794|16.29,27.81,30.04,371,8,24794|16.30,18.54,36.54,371,8,24794|16.31,7.72,29.77,371,8,24794|16.32,12.13,18.8,354,8,24794|16.33,20.04,5.62,354,8,24794|16.34,21.74,13.92,354,8,24794|16.35,32.01,5.49,354,8,24794|16.36,31.09,28.62,354,8,24794|16.37,31.9,35.54,354,8,24794|16.38,22.25,27.84,354,8,24794|16.39,13.24,30.21,354,8,24794|16.40,10.62,16,372,8,24794|16.41,29.56,11.89,372,8,24794|16.42,31.02,22.11,372,8,24794|16.43,29.28,35.43,372,8,24794|16.44,21.87,37.11,372,8,24794|16.45,15.02,33.02,372,8,24794|16.46,16.58,25.06,372,8,24794|16.47,4.92,25.66,372,8,24794|17.0,27.42,27.3,491,1,26744|17.1,20.81,9.55,491,1,26744|17.2,15.09,21.19,491,1,26744|17.3,22.07,20.54,491,1,26744|17.4,30.5,16.29,491,1,26744|17.5,33.6,15.29,491,1,26744|17.6,23.7,18.69,491,1,26744|17.7,26.5,32.51,491,1,26744|17.8,37.51,27.5,492,1,26744|17.9,27.54,32.7,492,1,26744|17.10,23.24,24.33,492,1,26744|17.11,15.25,32.43,492,1,26744|17.12,8.48,22.37,492,1,26744|17.13,35.11,19.49,492,1,26744|17.14,28.13,12.82,492,1,26744|17.15,19.49,21.7,492,1,26744|17.16,35.42,14.05,493,1,26744|17.17,19.99,8.88,493,1,26744|17.18,13.49,19.69,493,1,26744|17.19,19.69,16.89,493,1,26744|17.20,31.06,24.45,493,1,26744|17.21,9.68,22.7,493,1,26744|17.22,20.28,24.24,493,1,26744|17.23,15.09,27.9,493,1,26744|17.24,25.3,35.1,494,1,26744|17.25,21.7,27.9,494,1,26744|17.26,30.43,21.57,494,1,26744|17.27,18.89,34.91,494,1,26744|17.28,12.89,37.31,494,1,26744|17.29,6.68,28.9,494,1,26744|17.30,4.28,25.5,494,1,26744|17.31,6.48,20.69,494,1,26744|17.32,6.24,33.84,495,1,26744|17.33,30.16,11.56,495,1,26744|17.34,20.84,14.43,495,1,26744|17.35,11.49,33.11,495,1,26744|17.36,15.29,31.5,495,1,26744|17.37,32.05,24.24,495,1,26744|17.38,16.05,23.36,495,1,26744|17.39,6.54,21.32,495,1,26744|17.40,26.12,5.44,496,1,26744|17.41,28.5,30.1,496,1,26744|17.42,25.1,22.9,496,1,26744|17.43,18.89,21.7,496,1,26744|17.44,36.31,22.5,496,1,26744|17.45,31.3,12.09,496,1,26744|17.46,35.68,15.56,496,1,26744|17.47,24.1,19.69,496,1,26744|18.0,10.48,25.5,491,8,26745|18.1,8.28,21.09,491,8,26745|18.2,34.81,25.85,491,8,26745|18.3,17.89,17.09,491,8,26745|18.4,13.78,12.83,491,8,26745|18.5,10.74,11.67,491,8,26745|18.6,38.27,13.85,491,8,26745|18.7,18.29,7.68,491,8,26745|18.8,30.89,17.29,492,8,26745|18.9,33.27,31.78,492,8,26745|18.10,7.88,18.1,492,8,26745|18.11,13.49,16.72,492,8,26745|18.12,20.1,17.08,492,8,26745|18.13,20.57,9.24,492,8,26745|18.14,11.89,13.99,492,8,26745|18.15,34.88,10.73,492,8,26745|18.16,32.5,8.64,493,8,26745|18.17,36.21,11.52,493,8,26745|18.18,27.72,12.96,493,8,26745|18.19,34.11,17.49,493,8,26745|18.20,12.3,14.35,493,8,26745|18.21,13.21,30.05,493,8,26745|18.22,26.9,23.9,493,8,26745|18.23,30.32,30.74,493,8,26745|18.24,7.36,17.49,494,8,26745|18.25,10.48,13.09,494,8,26745|18.26,12.89,20.59,494,8,26745|18.27,21.7,7.7,494,8,26745|18.28,14.24,27.55,494,8,26745|18.29,31.1,4.08,494,8,26745|18.30,33.31,10.48,494,8,26745|18.31,25.18,12.46,494,8,26745|18.32,26.21,34.82,495,8,26745|18.33,22.7,32.51,495,8,26745|18.34,11.63,19.6,495,8,26745|18.35,24.9,27.7,495,8,26745|18.36,13.51,24.07,495,8,26745|18.37,35.31,22.5,495,8,26745|18.38,34.46,17.09,495,8,26745|18.39,24.5,15.49,495,8,26745|18.40,13.89,15,496,8,26745|18.41,16.21,18.56,496,8,26745|18.42,12.65,11.66,496,8,26745|18.43,19.09,8.28,496,8,26745|18.44,25.5,11.49,496,8,26745|18.45,37.37,17.8,496,8,26745|18.46,32.64,5.19,496,8,26745|18.47,30.18,20.98,496,8,26745|20.0,10.48,25.5,491,8,33328|20.1,8.28,21.09,491,8,33328|20.2,34.81,25.85,491,8,33328|20.3,17.89,17.09,491,8,33328|20.4,13.78,12.83,491,8,33328|20.5,10.74,11.67,491,8,33328|20.6,38.27,13.85,491,8,33328|20.7,18.29,7.68,491,8,33328|20.8,30.89,17.29,492,8,33328|20.9,33.27,31.78,492,8,33328|20.10,7.88,18.1,492,8,33328|20.11,13.49,16.72,492,8,33328|20.12,20.1,17.08,492,8,33328|20.13,20.57,9.24,492,8,33328|20.14,11.89,13.99,492,8,33328|20.15,34.88,10.73,492,8,33328|20.16,32.5,8.64,493,8,33328|20.17,36.21,11.52,493,8,33328|20.18,27.72,12.96,493,8,33328|20.19,34.11,17.49,493,8,33328|20.20,12.3,14.35,493,8,33328|20.21,13.21,30.05,493,8,33328|20.22,26.9,23.9,493,8,33328|20.23,30.32,30.74,493,8,33328|20.24,7.36,17.49,494,8,33328|20.25,10.48,13.09,494,8,33328|20.26,12.89,20.59,494,8,33328|20.27,21.7,7.7,494,8,33328|20.28,14.24,27.55,494,8,33328|20.29,31.1,4.08,494,8,33328|20.30,33.31,10.48,494,8,33328|20.31,25.18,12.46,494,8,33328|20.32,26.21,34.82,495,8,33328|20.33,22.7,32.51,495,8,33328|20.34,11.63,19.6,495,8,33328|20.35,24.9,27.7,495,8,33328|20.36,13.51,24.07,495,8,33328|20.37,35.31,22.5,495,8,33328|20.38,34.46,17.09,495,8,33328|20.39,24.5,15.49,495,8,33328|20.40,13.89,15,496,8,33328|20.41,16.21,18.56,496,8,33328|20.42,12.65,11.66,496,8,33328|20.43,19.09,8.28,496,8,33328|20.44,25.5,11.49,496,8,33328|20.45,37.37,17.8,496,8,33328|20.46,32.64,5.19,496,8,33328|20.47,30.18,20.98,496,8,33328|21.0,26.93,22.99,695,1,36611|21.1,8.3,18.47,695,1,36611|21.2,24.59,34.25,695,1,36611|21.3,11.89,36.34,695,1,36611|21.4,14.62,7.34,695,1,36611|21.5,31.72,23.05,695,1,36611|21.6,20.34,11.5,695,1,36611|21.7,30.19,16.03,695,1,36611|21.8,27.34,23.82,696,1,36611|21.9,18.87,32.59,696,1,36611|21.10,29.97,28.62,696,1,36611|21.11,10.05,16.79,696,1,36611|21.12,24.19,8.19,696,1,36611|21.13,19.17,12.86,696,1,36611|21.14,24.43,11.66,696,1,36611|21.15,20.68,22.87,696,1,36611|21.16,7.57,9.06,697,1,36611|21.17,24.04,28.03,697,1,36611|21.18,18.22,19.83,697,1,36611|21.19,32.58,5.36,697,1,36611|21.20,29.29,28.98,697,1,36611|21.21,26.19,21.4,697,1,36611|21.22,17.89,33.26,697,1,36611|21.23,13.21,22.53,697,1,36611|21.24,29.32,37.51,698,1,36611|21.25,24.86,26.31,698,1,36611|21.26,20.61,20.5,698,1,36611|21.27,19.53,33.9,698,1,36611|21.28,29.36,31.67,698,1,36611|21.29,16.76,22.61,698,1,36611|21.30,35.29,24.05,698,1,36611|21.31,24.98,18.95,698,1,36611|21.32,22.14,6.31,699,1,36611|21.33,26.78,13.92,699,1,36611|21.34,7.4,24.38,699,1,36611|21.35,10.5,33.64,699,1,36611|21.36,10.14,20.04,699,1,36611|21.37,21.99,30.75,699,1,36611|21.38,31.62,13.64,699,1,36611|21.39,16.76,37.33,699,1,36611|22.0,18.61,18.15,695,8,36612|22.1,24.75,29.7,695,8,36612|22.2,6.8,20.96,695,8,36612|22.3,21.91,37.62,695,8,36612|22.4,24.27,10.91,695,8,36612|22.5,8.45,30.49,695,8,36612|22.6,31.87,14.48,695,8,36612|22.7,24.99,21.83,695,8,36612|22.8,26.87,28.97,696,8,36612|22.9,21.98,21.06,696,8,36612|22.10,21.09,27.31,696,8,36612|22.11,32.32,14.44,696,8,36612|22.12,19.56,14.23,696,8,36612|22.13,14.83,26.69,696,8,36612|22.14,14.74,7.93,696,8,36612|22.15,27.17,8.95,696,8,36612|22.16,25.41,12.46,697,8,36612|22.17,34.29,9.99,697,8,36612|22.18,16.42,12.2,697,8,36612|22.19,34.49,17.33,697,8,36612|22.20,16.18,17.88,697,8,36612|22.21,11.85,25.74,697,8,36612|22.22,28.21,26.51,697,8,36612|22.23,29.38,35.46,697,8,36612|22.24,34.87,29.96,698,8,36612|22.25,25.71,33.36,698,8,36612|22.26,17.15,19.42,698,8,36612|22.27,18.81,25.77,698,8,36612|22.28,12.21,26.68,698,8,36612|22.29,15.91,34.48,698,8,36612|22.30,30.54,24.99,698,8,36612|22.31,22.82,36.34,698,8,36612|22.32,26.78,35.55,699,8,36612|22.33,21.48,36.39,699,8,36612|22.34,6.17,19.1,699,8,36612|22.35,29.68,9.42,699,8,36612|22.36,25.79,17.27,699,8,36612|22.37,8.16,30.76,699,8,36612|22.38,17.93,27.04,699,8,36612|22.39,12.75,13.42,699,8,36612|24.0,27.24,24.35,700,8,39591|24.1,22.58,24.66,700,8,39591|24.2,16.88,31.08,700,8,39591|24.3,29.07,17.57,700,8,39591|24.4,29.95,9.52,700,8,39591|24.5,13.01,8.78,700,8,39591|24.6,11.88,33.2,700,8,39591|24.7,37.19,18.59,700,8,39591|25.0,18.61,18.15,695,8,39593|25.1,24.75,29.7,695,8,39593|25.2,6.8,20.96,695,8,39593|25.3,21.91,37.62,695,8,39593|25.4,24.27,10.91,695,8,39593|25.5,8.45,30.49,695,8,39593|25.6,31.87,14.48,695,8,39593|25.7,24.99,21.83,695,8,39593|25.8,26.87,28.97,696,8,39593|25.9,21.98,21.06,696,8,39593|25.10,21.09,27.31,696,8,39593|25.11,32.32,14.44,696,8,39593|25.12,19.56,14.23,696,8,39593|25.13,14.83,26.69,696,8,39593|25.14,14.74,7.93,696,8,39593|25.15,27.17,8.95,696,8,39593|25.16,25.41,12.46,697,8,39593|25.17,34.29,9.99,697,8,39593|25.18,16.42,12.2,697,8,39593|25.19,34.49,17.33,697,8,39593|25.20,16.18,17.88,697,8,39593|25.21,11.85,25.74,697,8,39593|25.22,28.21,26.51,697,8,39593|25.23,29.38,35.46,697,8,39593|25.24,34.87,29.96,698,8,39593|25.25,25.71,33.36,698,8,39593|25.26,17.15,19.42,698,8,39593|25.27,18.81,25.77,698,8,39593|25.28,12.21,26.68,698,8,39593|25.29,15.91,34.48,698,8,39593|25.30,30.54,24.99,698,8,39593|25.31,22.82,36.34,698,8,39593|25.32,26.78,35.55,699,8,39593|25.33,21.48,36.39,699,8,39593|25.34,6.17,19.1,699,8,39593|25.35,29.68,9.42,699,8,39593|25.36,25.79,17.27,699,8,39593|25.37,8.16,30.76,699,8,39593|25.38,17.93,27.04,699,8,39593|25.39,12.75,13.42,699,8,39593|26.0,27.24,24.35,700,8,39918|26.1,22.58,24.66,700,8,39918|26.2,16.88,31.08,700,8,39918|26.3,29.07,17.57,700,8,39918|26.4,29.95,9.52,700,8,39918|26.5,13.01,8.78,700,8,39918|26.6,11.88,33.2,700,8,39918|26.7,37.19,18.59,700,8,39918|27.0,22.14,27.08,860,1,43556|27.1,6.76,15.23,860,1,43556|27.2,13.98,25.23,860,1,43556|27.3,17.82,33.25,860,1,43556|27.4,17.48,9.65,860,1,43556|27.5,34.71,26.29,860,1,43556|27.6,21.99,14.9,860,1,43556|27.7,35.51,11.05,860,1,43556|27.8,18.53,34.69,861,1,43556|27.9,26.21,35.58,861,1,43556|27.10,25.46,25.17,861,1,43556|27.11,10.73,23.43,861,1,43556|27.12,18.84,5.68,861,1,43556|27.13,15.88,15.96,861,1,43556|27.14,25.94,12.97,861,1,43556|27.15,34.37,9.88,861,1,43556|27.16,10.32,11.7,857,1,43556|27.17,19.14,18.61,857,1,43556|27.18,21.76,23.84,857,1,43556|27.19,27.8,10.27,857,1,43556|27.20,34.57,26,857,1,43556|27.21,31.32,21.05,857,1,43556|27.22,13.98,22.27,857,1,43556|27.23,5.97,23.97,857,1,43556|27.24,38.61,21.23,858,1,43556|27.25,25.63,7.22,858,1,43556|27.26,17.76,19.37,858,1,43556|27.27,11.4,7.82,858,1,43556|27.28,35.97,28.75,858,1,43556|27.29,26.47,36.34,858,1,43556|27.30,24.56,26.28,858,1,43556|27.31,7.16,26.15,858,1,43556|27.32,24.05,10.79,859,1,43556|27.33,28.28,15.13,859,1,43556|27.34,9.33,27.09,859,1,43556|27.35,17.04,20.19,859,1,43556|27.36,11.56,8.52,859,1,43556|27.37,28.53,25.89,859,1,43556|27.38,37.49,18.82,859,1,43556|27.39,14.05,37.85,859,1,43556|28.0,18.23,21.1,860,8,43557|28.1,12.6,14.44,860,8,43557|28.2,19.73,34.56,860,8,43557|28.3,31.98,32.95,860,8,43557|28.4,29.37,8.44,860,8,43557|28.5,18.58,11.67,860,8,43557|28.6,35.6,16.99,860,8,43557|28.7,25.68,19.79,860,8,43557|28.8,26.28,30.86,861,8,43557|28.9,16.87,35.85,861,8,43557|28.10,17.26,22.26,861,8,43557|28.11,16.66,13.1,861,8,43557|28.12,35.89,25.61,861,8,43557|28.13,9.01,21.27,861,8,43557|28.14,22.19,19.15,861,8,43557|28.15,31.2,8.42,861,8,43557|28.16,34.29,29.1,857,8,43557|28.17,13.65,14.19,857,8,43557|28.18,21.62,23.88,857,8,43557|28.19,21.79,26.06,857,8,43557|28.20,15.76,30.66,857,8,43557|28.21,16.91,23.43,857,8,43557|28.22,28.98,24.1,857,8,43557|28.23,34.28,32.71,857,8,43557|28.24,36.93,6.28,858,8,43557|28.25,31.45,14.97,858,8,43557|28.26,19.99,6.99,858,8,43557|28.27,6.93,19.43,858,8,43557|28.28,9.05,33.92,858,8,43557|28.29,18.91,22.53,858,8,43557|28.30,37.99,21.73,858,8,43557|28.31,32.32,36.15,858,8,43557|28.32,22.78,35.86,859,8,43557|28.33,15.46,26.88,859,8,43557|28.34,5.67,19.65,859,8,43557|28.35,36.73,12.52,859,8,43557|28.36,31.21,21.95,859,8,43557|28.37,11.26,33.28,859,8,43557|28.38,24.76,21,859,8,43557|28.39,22.63,5.85,859,8,43557|30.0,38.53,28.15,862,8,46185|30.1,35.09,35.41,862,8,46185|30.2,20.27,23.12,862,8,46185|30.3,31.12,18.16,862,8,46185|30.4,18.55,15.9,862,8,46185|30.5,9.31,10.77,862,8,46185|30.6,10.49,36.08,862,8,46185|30.7,25.08,6.9,862,8,46185";
+// ITEM_NAMES、PLACE_NAMES、MAP_DATA、TREASURES_RAW 由 scripts/build-treasure-data.js 生成於 js/treasure-data.js
 
 // 解析藏寶圖數據
 const TREASURES = TREASURES_RAW.split("|").map(row => {
@@ -326,6 +195,11 @@ const ZONE_AETHERYTES = {
         { name: "代米爾遺烈鄉", coords: { x: 11.0, y: 22.2 } },
         { name: "波洛伽護法村", coords: { x: 29.6, y: 16.5 } }
     ],
+    // 加雷馬
+    3710: [
+        { name: "碎璃營地", coords: { x: 13.3, y: 31.0 } },
+        { name: "第三站", coords: { x: 31.8, y: 17.9 } }
+    ],
     // 嘆息海
     3711: [
         { name: "淚灣", coords: { x: 10.1, y: 34.5 } },
@@ -500,6 +374,44 @@ function getTreasuresForGradeAndMap(gradeInfo, mapId) {
     return TREASURES.filter(t => t.item === gradeInfo.itemId && t.map === mapId);
 }
 
+// 輔助函數：有藏寶點的所有地圖 (不分等級，只含 GRADE_DATA 中的等級)
+function getAllTreasureMaps() {
+    const mapIds = [...new Set(TREASURES.filter(t => getGradeByItemId(t.item)).map(t => t.map))];
+    return mapIds.map(id => ({
+        id,
+        name: getMapName(id),
+        image: MAP_DATA[id]?.image
+    })).sort((a, b) => a.name.localeCompare(b.name, 'zh-TW'));
+}
+
+// 輔助函數：某地圖上離指定座標最近的藏寶點 (不分等級，只含 GRADE_DATA 中的等級)
+// 回傳 [{ treasure, grade, distance }]，依距離由近到遠排序
+function findNearestTreasures(mapId, coords, limit = 5) {
+    return TREASURES
+        .filter(t => t.map === mapId)
+        .map(t => ({ treasure: t, grade: getGradeByItemId(t.item), distance: calculateDistance(coords, t.coords) }))
+        .filter(result => result.grade)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit);
+}
+
+// 藏寶圖卡片顯示的地圖範圍 (卡片 218x189 的 90%，見 style.css 的 .map-background-container)
+const TREASURE_CROP_SIZE = { width: 218 * 0.9, height: 189 * 0.9 };
+
+// 輔助函數：藏寶點在 2048x2048 地圖上的卡片範圍 (藏寶點位於中央)
+// 公式來源: https://github.com/xivapi/ffxiv-datamining/blob/master/docs/MapCoordinates.md
+function getTreasureCropRect(coords, mapId) {
+    const sizeFactor = MAP_DATA[mapId]?.size_factor || 100;
+    const pixelX = (coords.x - 1) * sizeFactor / 2;
+    const pixelY = (coords.y - 1) * sizeFactor / 2;
+    return {
+        x: pixelX - TREASURE_CROP_SIZE.width / 2,
+        y: pixelY - TREASURE_CROP_SIZE.height / 2,
+        width: TREASURE_CROP_SIZE.width,
+        height: TREASURE_CROP_SIZE.height
+    };
+}
+
 // 輔助函數：根據 zoneId (PlaceName ID) 取得對應的 mapId
 function getMapIdByZoneId(zoneId) {
     for (const [mapId, map] of Object.entries(MAP_DATA)) {
@@ -0,0 +1,236 @@
+// Global Search
+// =============
+// 全域搜尋 (指令面板)：只使用內建資料，不需要網路
+//
+// 支援的查詢:
+//   地區名稱 (PLACE_NAMES)       → 各等級的該地圖 (目前等級優先)
+//   傳送點名稱 (ZONE_AETHERYTES) → 傳送點附近的藏寶點
+//   藏寶圖名稱 (ITEM_NAMES) / 等級代號 (G17) → 選擇等級
+//   <pos> 座標 "夏勞尼荒野 ( 13.2 , 9.0 )" → 對應的藏寶點
+//   純座標 "13.2 9.0"            → 目前地圖上的藏寶點
+//
+// 每筆結果: { type, title, subtitle, ... }
+//   grade:     { grade }
+//   map:       { grade, mapId }
+//   aetheryte: { mapId, coords }
+//   treasure:  { treasure, grade, distance, exact }
+//   position:  { mapId, coords }
+
+const GlobalSearch = (function() {
+    const RESULT_LIMIT = 20;
+    // 座標查詢列出的最近藏寶點數量
+    const POSITION_MATCH_LIMIT = 3;
+    // <pos> 座標只到小數一位，在此距離內視為同一個藏寶點
+    const EXACT_DISTANCE = 0.15;
+    // 同分時的類型排序
+    const TYPE_ORDER = ['treasure', 'position', 'grade', 'map', 'aetheryte'];
+
+    const COORD = '(\\d{1,2}(?:\\.\\d+)?)';
+    // 地區名稱 ( X , Y ) 或 ( X , Y , Z )
+    const POS_PATTERN = new RegExp(`^(.*?)\\(\\s*${COORD}\\s*,\\s*${COORD}\\s*(?:,\\s*(?:z:?\\s*)?-?[\\d.]+\\s*)?\\)`, 'i');
+    // 只有座標: 13.2 9.0 / 13.2, 9.0 / X: 13.2 Y: 9.0
+    const BARE_COORDS_PATTERN = new RegExp(`^(?:x:?)?\\s*${COORD}\\s*[,\\s]\\s*(?:y:?)?\\s*${COORD}$`, 'i');
+
+    // 地圖與其所屬等級 (第一次搜尋時建立)
+    let mapIndex = null;
+    let aetheryteIndex = null;
+
+    // 全形轉半形、移除遊戲內的特殊符號 (私人使用區字元，例如副本編號與旗標圖示)
+    function cleanText(text) {
+        return String(text).normalize('NFKC').replace(/[\uE000-\uF8FF]/g, '').trim();
+    }
+
+    // 比對用: 再移除所有空白並轉小寫
+    function normalize(text) {
+        return cleanText(text).replace(/\s+/g, '').toLowerCase();
+    }
+
+    // 比對分數: 0 完全相同、1 開頭相同、2 包含，不符合時為 null
+    function matchScore(name, query) {
+        const target = normalize(name);
+        if (target === query) return 0;
+        if (target.startsWith(query)) return 1;
+        if (target.includes(query)) return 2;
+        return null;
+    }
+
+    function formatCoords(coords) {
+        return `X: ${coords.x.toFixed(1)} Y: ${coords.y.toFixed(1)}`;
+    }
+
+    function getMapIndex() {
+        if (!mapIndex) {
+            mapIndex = getAllTreasureMaps().map(map => ({
+                ...map,
+                grades: GRADE_DATA.filter(grade => TREASURES.some(t => t.item === grade.itemId && t.map === map.id))
+            }));
+        }
+        return mapIndex;
+    }
+
+    function getAetheryteIndex() {
+        if (!aetheryteIndex) {
+            const treasureMapIds = new Set(getMapIndex().map(map => map.id));
+            aetheryteIndex = [];
+            Object.entries(ZONE_AETHERYTES).forEach(([zoneId, aetherytes]) => {
+                const mapId = getMapIdByZoneId(parseInt(zoneId));
+                if (!treasureMapIds.has(mapId)) return;
+                aetherytes.forEach(aetheryte => aetheryteIndex.push({ ...aetheryte, mapId }));
+            });
+        }
+        return aetheryteIndex;
+    }
+
+    /**
+     * 解析遊戲內 <pos> 或地圖旗標貼到聊天的文字
+     * @param {string} text - 例如 "夏勞尼荒野 ( 13.2 , 9.0 )"
+     * @returns {{ zoneName, coords } | null} 座標不在 1 ~ 45 之間時為 null
+     */
+    function parsePosition(text) {
+        const match = cleanText(text).match(POS_PATTERN);
+        if (!match) return null;
+
+        const coords = { x: parseFloat(match[2]), y: parseFloat(match[3]) };
+        if (![coords.x, coords.y].every(v => v >= 1 && v <= 45)) return null;
+        return { zoneName: match[1].trim(), coords };
+    }
+
+    // 文字中出現的地圖 (名稱較長者優先，避免某個地名是另一個地名的一部分時選錯)
+    function findMapByZoneName(zoneName) {
+        const text = normalize(zoneName);
+        if (!text) return null;
+        const maps = getMapIndex().filter(map => text.includes(normalize(map.name)));
+        maps.sort((a, b) => b.name.length - a.name.length);
+        return maps[0] || null;
+    }
+
+    // 座標附近的藏寶點與在地圖上查詢的結果
+    function searchPosition(mapId, coords) {
+        const mapName = getMapName(mapId);
+        const results = findNearestTreasures(mapId, coords, POSITION_MATCH_LIMIT).map(({ treasure, grade, distance }) => {
+            const exact = distance <= EXACT_DISTANCE;
+            return {
+                type: 'treasure',
+                score: exact ? 0 : 1,
+                treasure,
+                grade,
+                distance,
+                exact,
+                title: `${grade.grade} ${mapName} ${formatCoords(treasure.coords)}`,
+                subtitle: exact ? `${grade.name}・座標相符` : `${grade.name}・距離 ${distance.toFixed(1)}`
+            };
+        });
+
+        results.push({
+            type: 'position',
+            score: 2,
+            mapId,
+            coords,
+            title: `在地圖上查詢 ${mapName} ${formatCoords(coords)}`,
+            subtitle: '列出各等級最近的藏寶點'
+        });
+        return results;
+    }
+
+    function searchGrades(query) {
+        const results = [];
+        GRADE_DATA.forEach(grade => {
+            const scores = [grade.grade, grade.name, getItemName(grade.itemId)]
+                .map(name => matchScore(name, query))
+                .filter(score => score !== null);
+            if (scores.length === 0) return;
+
+            results.push({
+                type: 'grade',
+                score: Math.min(...scores),
+                grade,
+                title: `${grade.grade} ${grade.name}`,
+                subtitle: `${grade.expansion}・${grade.partySize === 8 ? '8人' : '單人'}`
+            });
+        });
+        return results;
+    }
+
+    // 地區名稱 → 各等級的該地圖，目前等級排在最前面
+    function searchMaps(query, currentGrade) {
+        const results = [];
+        getMapIndex().forEach(map => {
+            const score = matchScore(map.name, query);
+            if (score === null) return;
+
+            map.grades.forEach(grade => {
+                const isCurrent = currentGrade && currentGrade.itemId === grade.itemId;
+                results.push({
+                    type: 'map',
+                    score: isCurrent ? score - 0.5 : score,
+                    grade,
+                    mapId: map.id,
+                    title: map.name,
+                    subtitle: `${grade.grade} ${grade.name}${isCurrent ? '・目前等級' : ''}`
+                });
+            });
+        });
+        return results;
+    }
+
+    function searchAetherytes(query) {
+        return getAetheryteIndex()
+            .map(aetheryte => ({ aetheryte, score: matchScore(aetheryte.name, query) }))
+            .filter(({ score }) => score !== null)
+            .map(({ aetheryte, score }) => ({
+                type: 'aetheryte',
+                score,
+                mapId: aetheryte.mapId,
+                coords: aetheryte.coords,
+                title: aetheryte.name,
+                subtitle: `${getMapName(aetheryte.mapId)} 的傳送點・查詢附近的藏寶點`
+            }));
+    }
+
+    /**
+     * 搜尋
+     * @param {string} text - 使用者輸入
+     * @param {Object} context - { grade: 目前選擇的等級, mapId: 目前選擇的地圖 }
+     * @returns {Array} 依相符程度排序的結果 (最多 RESULT_LIMIT 筆)
+     */
+    function search(text, context = {}) {
+        const query = normalize(text || '');
+        if (!query) return [];
+
+        let results = [];
+
+        const position = parsePosition(text);
+        const map = position && findMapByZoneName(position.zoneName);
+        if (map) {
+            results = searchPosition(map.id, position.coords);
+        } else {
+            const bare = cleanText(text).match(BARE_COORDS_PATTERN);
+            const coords = bare && { x: parseFloat(bare[1]), y: parseFloat(bare[2]) };
+            if (coords && context.mapId && [coords.x, coords.y].every(v => v >= 1 && v <= 45)) {
+                results = searchPosition(context.mapId, coords);
+            }
+        }
+
+        if (results.length === 0) {
+            results = [
+                ...searchGrades(query),
+                ...searchMaps(query, context.grade),
+                ...searchAetherytes(query)
+            ];
+        }
+
+        return results
+            .sort((a, b) => a.score - b.score || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type))
+            .slice(0, RESULT_LIMIT);
+    }
+
+    return {
+        search,
+        parsePosition,
+        findMapByZoneName,
+        RESULT_LIMIT
+    };
+})();
+
+// 匯出
+window.GlobalSearch = GlobalSearch;
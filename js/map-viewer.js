@@ -0,0 +1,278 @@
+// Map Viewer
+// ==========
+// 可縮放、拖曳的地圖檢視器 (側邊地圖、路線預覽地圖與採集點地圖共用)
+//
+// MapViewer.create(container) 將容器內原有的地圖圖片與標記層包進一個內容層，
+// 縮放時調整內容層的位置與大小 (不使用 CSS transform)，以百分比定位的標記
+// (coordsToPercent) 會跟著地圖移動但維持原本的像素大小。
+//
+// 操作: 滑鼠滾輪 / 雙指縮放、拖曳平移、雙擊放大 (已放到最大時還原)
+// 游標所在位置以遊戲內 X/Y 座標顯示 (由地圖的 size_factor 換算)，點擊地圖時回傳該座標
+
+const MapViewer = (function() {
+    const MIN_ZOOM = 1;
+    const MAX_ZOOM = 8;
+    // 滾輪每單位 deltaY 的縮放量
+    const WHEEL_ZOOM_SPEED = 0.002;
+    // 移動超過此距離 (px) 才視為拖曳，否則保留標記的點擊
+    const DRAG_THRESHOLD = 4;
+    // 點擊後等待此時間 (ms) 確認不是雙擊，才觸發 onClick
+    const CLICK_DELAY = 250;
+
+    // ========== 檢視計算 (view = { scale, x, y }，x/y 為內容層左上角相對容器的位移) ==========
+
+    // 限制縮放倍率，並讓地圖始終填滿容器
+    function clampView(view, size) {
+        const scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.scale));
+        const minX = size.width * (1 - scale);
+        const minY = size.height * (1 - scale);
+        return {
+            scale,
+            x: Math.max(minX, Math.min(0, view.x)),
+            y: Math.max(minY, Math.min(0, view.y))
+        };
+    }
+
+    // 以 point (容器內座標) 為中心縮放，該點下的地圖位置保持不動
+    function zoomAt(view, factor, point, size) {
+        const scale = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.scale * factor));
+        const ratio = scale / view.scale;
+        return clampView({
+            scale,
+            x: point.x - (point.x - view.x) * ratio,
+            y: point.y - (point.y - view.y) * ratio
+        }, size);
+    }
+
+    // 平移
+    function panBy(view, dx, dy, size) {
+        return clampView({ scale: view.scale, x: view.x + dx, y: view.y + dy }, size);
+    }
+
+    // 容器內座標轉為地圖上的比例位置 (0~1)
+    function toMapFraction(view, point, size) {
+        return {
+            x: (point.x - view.x) / (size.width * view.scale),
+            y: (point.y - view.y) / (size.height * view.scale)
+        };
+    }
+
+    // 地圖比例位置轉為遊戲座標 (coordsToPercent 的反函數)
+    // 公式來源: https://github.com/xivapi/ffxiv-datamining/blob/master/docs/MapCoordinates.md
+    function toGameCoords(fraction, sizeFactor) {
+        const factor = sizeFactor || 100;
+        return {
+            x: fraction.x * 4096 / factor + 1,
+            y: fraction.y * 4096 / factor + 1
+        };
+    }
+
+    // ========== 元件 ==========
+
+    /**
+     * 建立地圖檢視器
+     * @param {HTMLElement} container - 地圖容器 (需為 position: relative 且 overflow: hidden)
+     * @param {Object} options - {
+     *   image: 地圖圖片元素 (預設為容器中第一個 img),
+     *   onClick: (coords, mapId) => void  點擊地圖 (非標記、非拖曳) 時以遊戲座標呼叫
+     * }
+     */
+    function create(container, options = {}) {
+        const image = options.image || container.querySelector('img');
+
+        // 將原有內容移入內容層
+        const content = document.createElement('div');
+        content.className = 'map-viewer-content';
+        while (container.firstChild) {
+            content.appendChild(container.firstChild);
+        }
+        container.appendChild(content);
+        container.classList.add('map-viewer');
+        image.draggable = false;
+
+        // 游標座標顯示
+        const coordsEl = document.createElement('div');
+        coordsEl.className = 'map-viewer-coords hidden';
+        container.appendChild(coordsEl);
+
+        let mapId = null;
+        let view = { scale: 1, x: 0, y: 0 };
+        const pointers = new Map();
+        let gesture = null;
+        let suppressClick = false;
+        let clickTimer = null;
+
+        function getSize() {
+            return { width: container.clientWidth, height: container.clientHeight };
+        }
+
+        function localPoint(e) {
+            const rect = container.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        }
+
+        function apply(next) {
+            view = next;
+            content.style.left = `${view.x}px`;
+            content.style.top = `${view.y}px`;
+            content.style.width = `${view.scale * 100}%`;
+            content.style.height = `${view.scale * 100}%`;
+            container.classList.toggle('zoomed', view.scale > MIN_ZOOM);
+        }
+
+        function reset() {
+            apply({ scale: 1, x: 0, y: 0 });
+        }
+
+        // 切換地圖 (mapId 為 null 時清空)，不同地圖時還原縮放
+        function setMap(nextMapId) {
+            const map = nextMapId ? MAP_DATA[nextMapId] : null;
+            if (nextMapId !== mapId) reset();
+            mapId = map ? nextMapId : null;
+            image.src = map ? map.image : '';
+        }
+
+        // 容器內座標對應的遊戲座標 (不在地圖上時為 null)
+        function getGameCoords(point) {
+            const map = mapId ? MAP_DATA[mapId] : null;
+            const fraction = toMapFraction(view, point, getSize());
+            if (!map || fraction.x < 0 || fraction.x > 1 || fraction.y < 0 || fraction.y > 1) {
+                return null;
+            }
+            return toGameCoords(fraction, map.size_factor);
+        }
+
+        function updateCoords(point) {
+            const coords = getGameCoords(point);
+            if (!coords) {
+                coordsEl.classList.add('hidden');
+                return;
+            }
+            coordsEl.textContent = `X: ${coords.x.toFixed(1)} Y: ${coords.y.toFixed(1)}`;
+            coordsEl.classList.remove('hidden');
+        }
+
+        function distance(a, b) {
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+
+        function midpoint(a, b) {
+            return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        }
+
+        // 依目前的觸控點數重新開始手勢 (單指拖曳 / 雙指縮放)
+        function startGesture(dragging) {
+            const points = [...pointers.values()];
+            if (points.length >= 2) {
+                gesture = { type: 'pinch', view, distance: Math.max(1, distance(points[0], points[1])), mid: midpoint(points[0], points[1]) };
+            } else if (points.length === 1) {
+                gesture = { type: 'drag', view, start: points[0], dragging };
+            } else {
+                gesture = null;
+            }
+        }
+
+        container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            apply(zoomAt(view, Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), localPoint(e), getSize()));
+            updateCoords(localPoint(e));
+        }, { passive: false });
+
+        container.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            if (pointers.size === 0) suppressClick = false;
+            pointers.set(e.pointerId, localPoint(e));
+            startGesture(pointers.size > 1);
+        });
+
+        container.addEventListener('pointermove', (e) => {
+            const point = localPoint(e);
+            updateCoords(point);
+            if (!pointers.has(e.pointerId) || !gesture) return;
+            pointers.set(e.pointerId, point);
+            const size = getSize();
+
+            if (gesture.type === 'pinch') {
+                const points = [...pointers.values()];
+                const mid = midpoint(points[0], points[1]);
+                const zoomed = zoomAt(gesture.view, distance(points[0], points[1]) / gesture.distance, gesture.mid, size);
+                apply(panBy(zoomed, mid.x - gesture.mid.x, mid.y - gesture.mid.y, size));
+                suppressClick = true;
+                return;
+            }
+
+            const dx = point.x - gesture.start.x;
+            const dy = point.y - gesture.start.y;
+            if (!gesture.dragging && Math.hypot(dx, dy) > DRAG_THRESHOLD) {
+                // 開始拖曳後才捕捉指標，未拖曳時點擊仍會送到標記上
+                gesture.dragging = true;
+                container.setPointerCapture(e.pointerId);
+                container.classList.add('dragging');
+            }
+            if (gesture.dragging) {
+                apply(panBy(gesture.view, dx, dy, size));
+                suppressClick = true;
+            }
+        });
+
+        function endPointer(e) {
+            if (!pointers.delete(e.pointerId)) return;
+            // 雙指縮放放開一指後，剩下的手指接續拖曳
+            startGesture(true);
+            if (!gesture) container.classList.remove('dragging');
+        }
+        container.addEventListener('pointerup', endPointer);
+        container.addEventListener('pointercancel', endPointer);
+        container.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse') coordsEl.classList.add('hidden');
+        });
+
+        // 拖曳後放開不觸發點擊 (標記與地圖點擊)
+        container.addEventListener('click', (e) => {
+            if (!suppressClick) return;
+            suppressClick = false;
+            e.stopPropagation();
+            e.preventDefault();
+        }, true);
+
+        if (options.onClick) {
+            container.addEventListener('click', (e) => {
+                clearTimeout(clickTimer);
+                if (e.target !== image || e.detail > 1) return;
+                const coords = getGameCoords(localPoint(e));
+                const clickedMapId = mapId;
+                if (coords) {
+                    clickTimer = setTimeout(() => options.onClick(coords, clickedMapId), CLICK_DELAY);
+                }
+            });
+        }
+
+        container.addEventListener('dblclick', (e) => {
+            clearTimeout(clickTimer);
+            e.preventDefault();
+            const point = localPoint(e);
+            apply(view.scale >= MAX_ZOOM ? { scale: 1, x: 0, y: 0 } : zoomAt(view, 2, point, getSize()));
+            updateCoords(point);
+        });
+
+        return {
+            setMap,
+            reset,
+            getView: () => ({ ...view })
+        };
+    }
+
+    return {
+        create,
+        clampView,
+        zoomAt,
+        panBy,
+        toMapFraction,
+        toGameCoords,
+        MIN_ZOOM,
+        MAX_ZOOM
+    };
+})();
+
+// 匯出
+window.MapViewer = MapViewer;
@@ -0,0 +1,365 @@
+// My Maps Service
+// ===============
+// 未加入隊伍時的個人藏寶圖清單 (只存在本機 localStorage，不需要同步後端)
+//
+// 與 PartyService 提供相同的路線操作 (新增、排序、完成、備註、路線限制、自動優化)，
+// 讓 app.js 的路線列表與地圖預覽在隊伍與個人清單間共用。
+// 藏寶圖的 key 沿用 firebaseKey 欄位名稱，與隊伍藏寶圖的格式一致。
+//
+// 儲存格式: { treasures: { key: 藏寶圖 }, orderCounter, routeStart, history: [完成紀錄] }
+
+const MyMapsService = (function() {
+    const STORAGE_KEY = 'ffxiv_treasure_my_maps';
+    // 完成紀錄最多保留筆數 (新的在前)
+    const HISTORY_LIMIT = 200;
+
+    // 欄位長度上限 (與 PartyService 一致)
+    const NOTE_MAX_LENGTH = 100;
+    const PLAYER_MAX_LENGTH = 32;
+
+    let state = loadState();
+    let changeCallback = null;
+
+    // 其他分頁修改清單時同步更新
+    if (window.addEventListener) {
+        window.addEventListener('storage', (e) => {
+            if (e.key !== STORAGE_KEY) return;
+            state = loadState();
+            notifyChange();
+        });
+    }
+
+    // ========== localStorage 管理 ==========
+
+    function createEmptyState() {
+        return { treasures: {}, orderCounter: 0, routeStart: null, history: [] };
+    }
+
+    // 從 localStorage 載入清單
+    function loadState() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEY);
+            return data ? { ...createEmptyState(), ...JSON.parse(data) } : createEmptyState();
+        } catch (e) {
+            console.warn('無法載入我的藏寶圖:', e);
+            return createEmptyState();
+        }
+    }
+
+    // 儲存清單到 localStorage 並通知畫面更新
+    function saveState() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {
+            console.warn('無法儲存我的藏寶圖:', e);
+        }
+        notifyChange();
+    }
+
+    function notifyChange() {
+        if (changeCallback) {
+            changeCallback(getTreasures());
+        }
+    }
+
+    // 生成本機唯一的 key (依時間遞增，同一毫秒內以亂數區分)
+    function generateKey() {
+        let key;
+        do {
+            key = `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (state.treasures[key]);
+        return key;
+    }
+
+    // 取得藏寶圖，不存在時拋出錯誤
+    function requireTreasure(key) {
+        const treasure = state.treasures[key];
+        if (!treasure) throw new Error('找不到此藏寶圖');
+        return treasure;
+    }
+
+    // ========== 藏寶圖操作 ==========
+
+    // 取得清單中的藏寶圖 (附上 firebaseKey，未排序)
+    function getTreasures() {
+        return Object.entries(state.treasures).map(([key, value]) => ({
+            ...value,
+            firebaseKey: key
+        }));
+    }
+
+    // 依順序排列 (見 RouteOrder.sortByOrder)
+    function sortByOrder(treasureArray) {
+        return RouteOrder.sortByOrder(treasureArray);
+    }
+
+    // 新增藏寶圖 (treasure 為 TREASURES 中的資料，允許重複新增)
+    // options.player: 藏寶圖的玩家 (預設不指定)
+    async function addTreasure(treasure, options = {}) {
+        const key = generateKey();
+        state.orderCounter = (state.orderCounter || 0) + 1;
+        state.treasures[key] = {
+            id: treasure.id,
+            coords: treasure.coords,
+            mapId: treasure.map,
+            gradeItemId: treasure.item,
+            partySize: treasure.partySize,
+            addedAt: Date.now(),
+            order: state.orderCounter,
+            completed: false
+        };
+        if (options.player) {
+            state.treasures[key].player = options.player.slice(0, PLAYER_MAX_LENGTH);
+        }
+        saveState();
+        console.log(`已加入我的藏寶圖: ${treasure.id}`);
+        return key;
+    }
+
+    // 匯入其他清單的藏寶圖 (例如隊伍路線)，依傳入順序接在清單最後
+    // 保留完成狀態、備註、玩家、固定順位，先後順序改用新的 key (只保留匯入範圍內的)
+    // 回傳匯入的數量
+    async function importTreasures(treasureArray) {
+        const keyMap = {};
+        treasureArray.forEach(t => {
+            keyMap[t.firebaseKey] = generateKey();
+            state.treasures[keyMap[t.firebaseKey]] = {};
+        });
+
+        treasureArray.forEach(t => {
+            state.orderCounter = (state.orderCounter || 0) + 1;
+            const treasure = {
+                id: t.id,
+                coords: { x: t.coords.x, y: t.coords.y },
+                mapId: t.mapId,
+                gradeItemId: t.gradeItemId,
+                partySize: t.partySize,
+                addedAt: Date.now(),
+                order: state.orderCounter,
+                completed: !!t.completed
+            };
+            if (t.completed) treasure.completedAt = t.completedAt || Date.now();
+            if (t.note) treasure.note = t.note;
+            if (t.player) treasure.player = t.player;
+            if (t.pinnedPosition) treasure.pinnedPosition = t.pinnedPosition;
+
+            const mustPrecede = {};
+            Object.keys(t.mustPrecede || {}).forEach(laterKey => {
+                if (keyMap[laterKey]) mustPrecede[keyMap[laterKey]] = true;
+            });
+            if (Object.keys(mustPrecede).length > 0) treasure.mustPrecede = mustPrecede;
+
+            state.treasures[keyMap[t.firebaseKey]] = treasure;
+        });
+
+        saveState();
+        console.log(`已匯入 ${treasureArray.length} 張藏寶圖到我的藏寶圖`);
+        return treasureArray.length;
+    }
+
+    // 移除藏寶圖 (不留下完成紀錄)
+    async function removeTreasure(key) {
+        delete state.treasures[key];
+        // 移除其他藏寶圖指向此藏寶圖的先後順序
+        Object.values(state.treasures).forEach(t => {
+            if (t.mustPrecede) delete t.mustPrecede[key];
+        });
+        saveState();
+    }
+
+    // 切換完成狀態 (current 為畫面上目前的狀態，省略時讀取清單)
+    async function toggleTreasureComplete(key, current) {
+        const treasure = requireTreasure(key);
+        const completed = !(current === undefined ? treasure.completed : current);
+        treasure.completed = completed;
+        if (completed) {
+            treasure.completedAt = Date.now();
+        } else {
+            delete treasure.completedAt;
+        }
+        saveState();
+    }
+
+    // 更新備註
+    async function updateTreasureNote(key, note) {
+        if (note.length > NOTE_MAX_LENGTH) {
+            throw new Error(`備註最多 ${NOTE_MAX_LENGTH} 字`);
+        }
+        requireTreasure(key).note = note;
+        saveState();
+    }
+
+    // 更新玩家名稱 (例如代替不使用隊伍功能的隊友記錄誰的圖)
+    async function updateTreasurePlayer(key, player) {
+        if (player.length > PLAYER_MAX_LENGTH) {
+            throw new Error(`玩家名稱最多 ${PLAYER_MAX_LENGTH} 字`);
+        }
+        requireTreasure(key).player = player;
+        saveState();
+    }
+
+    // 依目前順序重新編號為 1..n
+    function applyOrder(keys) {
+        keys.forEach((key, index) => {
+            state.treasures[key].order = index + 1;
+        });
+        state.orderCounter = Math.max(state.orderCounter || 0, keys.length);
+    }
+
+    // 將藏寶圖移到路線中的指定位置 (0-based)
+    async function moveTreasureOrder(key, targetIndex) {
+        requireTreasure(key);
+        const keys = RouteOrder.getOrderedKeys(getTreasures());
+        const fromIndex = keys.indexOf(key);
+        const toIndex = Math.max(0, Math.min(targetIndex, keys.length - 1));
+        keys.splice(fromIndex, 1);
+        keys.splice(toIndex, 0, key);
+        applyOrder(keys);
+        saveState();
+    }
+
+    // 設定固定順位 (position 從 1 開始，null 表示不固定)
+    async function setTreasurePinnedPosition(key, position) {
+        const treasure = requireTreasure(key);
+        if (position) {
+            treasure.pinnedPosition = position;
+        } else {
+            delete treasure.pinnedPosition;
+        }
+        saveState();
+    }
+
+    // 設定藏寶圖必須早於另一個藏寶圖 (enabled 為 false 時移除此限制)
+    async function setTreasurePrecedence(key, laterKey, enabled) {
+        const treasure = requireTreasure(key);
+        if (enabled) {
+            treasure.mustPrecede = { ...(treasure.mustPrecede || {}), [laterKey]: true };
+        } else if (treasure.mustPrecede) {
+            delete treasure.mustPrecede[laterKey];
+        }
+        saveState();
+    }
+
+    // 設定路線起點 ({ zoneId, aetheryte }，null 表示不限)
+    async function setRouteStart(start) {
+        if (start && start.zoneId) {
+            state.routeStart = { zoneId: start.zoneId };
+            if (start.aetheryte) state.routeStart.aetheryte = start.aetheryte;
+        } else {
+            state.routeStart = null;
+        }
+        saveState();
+    }
+
+    // 取得路線起點
+    function getRouteStart() {
+        return state.routeStart || null;
+    }
+
+    // 建立 RouteOptimizer 的限制條件 (見 RouteOrder.buildRouteConstraints)
+    function buildRouteConstraints(treasureArray) {
+        return RouteOrder.buildRouteConstraints(treasureArray, getRouteStart());
+    }
+
+    // 自動優化路線 (options.proposedOrder 為已確認的 key 順序，省略時直接重新計算)
+    // options.basedOnOrder 為產生建議時的順序，目前順序不同時中止 (建議已過時)
+    async function autoOptimizeRoute(options = {}) {
+        const treasureArray = getTreasures();
+        if (treasureArray.length <= 1) return;
+
+        let keys;
+        if (options.proposedOrder) {
+            keys = options.proposedOrder;
+            if (!RouteOrder.isProposalApplicable(treasureArray, keys, options.basedOnOrder, getRouteStart())) {
+                throw new Error('清單已變更，請重新優化');
+            }
+        } else {
+            keys = RouteOptimizer.optimize(treasureArray, {
+                useMapGrouping: options.useMapGrouping !== false,
+                use2Opt: options.use2Opt || false,
+                constraints: buildRouteConstraints(treasureArray)
+            }).map(t => t.firebaseKey);
+        }
+
+        applyOrder(keys);
+        saveState();
+        console.log('我的藏寶圖路線已自動優化');
+    }
+
+    // 清除已完成的藏寶圖，並移到完成紀錄
+    async function clearCompletedTreasures() {
+        const completed = getTreasures().filter(t => t.completed);
+        if (completed.length === 0) return 0;
+
+        const entries = completed
+            .sort((a, b) => (b.completedAt || 0) - (a.completedAt || 0))
+            .map(t => ({
+                id: t.id,
+                mapId: t.mapId,
+                gradeItemId: t.gradeItemId,
+                coords: t.coords,
+                completedAt: t.completedAt || Date.now()
+            }));
+        state.history = [...entries, ...(state.history || [])].slice(0, HISTORY_LIMIT);
+
+        completed.forEach(t => {
+            delete state.treasures[t.firebaseKey];
+        });
+        Object.values(state.treasures).forEach(t => {
+            if (!t.mustPrecede) return;
+            completed.forEach(c => delete t.mustPrecede[c.firebaseKey]);
+        });
+
+        saveState();
+        return completed.length;
+    }
+
+    // 取得完成紀錄 (新的在前)
+    function getHistory() {
+        return [...(state.history || [])];
+    }
+
+    // 清除完成紀錄
+    function clearHistory() {
+        state.history = [];
+        saveState();
+    }
+
+    // 個人清單沒有順序鎖定
+    function canModifyOrder() {
+        return true;
+    }
+
+    // 設定清單變化回調 (參數為未排序的藏寶圖陣列)
+    function onChange(callback) {
+        changeCallback = callback;
+    }
+
+    return {
+        getTreasures,
+        sortByOrder,
+        addTreasure,
+        importTreasures,
+        removeTreasure,
+        toggleTreasureComplete,
+        updateTreasureNote,
+        updateTreasurePlayer,
+        moveTreasureOrder,
+        setTreasurePinnedPosition,
+        setTreasurePrecedence,
+        setRouteStart,
+        getRouteStart,
+        buildRouteConstraints,
+        autoOptimizeRoute,
+        clearCompletedTreasures,
+        getHistory,
+        clearHistory,
+        canModifyOrder,
+        onChange,
+        NOTE_MAX_LENGTH,
+        PLAYER_MAX_LENGTH
+    };
+})();
+
+// 匯出
+window.MyMapsService = MyMapsService;
@@ -0,0 +1,82 @@
+// Firebase Adapter
+// ================
+// 以 Firebase Realtime Database + 匿名登入實作同步後端介面 (見 storage-adapter.js)
+
+(function() {
+    function createFirebaseAdapter() {
+        // 取得已載入的 SDK
+        function getSDK() {
+            const sdk = window.FirebaseSDK;
+            if (!sdk) throw new Error('Firebase SDK 尚未載入');
+            return sdk;
+        }
+
+        function getRef(path) {
+            const sdk = getSDK();
+            return sdk.ref(sdk.db, path);
+        }
+
+        return {
+            name: 'firebase',
+
+            isConfigured() {
+                return !!window.FirebaseConfig && window.FirebaseConfig.isConfigured();
+            },
+
+            async initialize() {
+                if (window.FirebaseSDK) return true;
+                return await window.FirebaseConfig.initialize();
+            },
+
+            async signIn() {
+                const sdk = getSDK();
+                const result = await sdk.signInAnonymously(sdk.auth);
+                return result.user;
+            },
+
+            onAuthStateChanged(callback) {
+                const sdk = getSDK();
+                return sdk.onAuthStateChanged(sdk.auth, callback);
+            },
+
+            get(path) {
+                return getSDK().get(getRef(path));
+            },
+
+            set(path, value) {
+                return getSDK().set(getRef(path), value);
+            },
+
+            push(path) {
+                return getSDK().push(getRef(path)).key;
+            },
+
+            remove(path) {
+                return getSDK().remove(getRef(path));
+            },
+
+            update(path, values) {
+                return getSDK().update(getRef(path), values);
+            },
+
+            transaction(path, updateFn) {
+                return getSDK().runTransaction(getRef(path), updateFn);
+            },
+
+            onValue(path, callback, onError) {
+                const sdk = getSDK();
+                return sdk.onValue(getRef(path), callback, onError);
+            },
+
+            onDisconnect(path) {
+                return getSDK().onDisconnect(getRef(path));
+            },
+
+            serverTimestamp() {
+                return getSDK().serverTimestamp();
+            }
+        };
+    }
+
+    StorageAdapter.register('firebase', createFirebaseAdapter);
+})();
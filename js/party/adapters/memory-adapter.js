@@ -0,0 +1,193 @@
+// Memory Adapter
+// ==============
+// 完全在記憶體中運作的同步後端 (見 storage-adapter.js)，供測試使用
+// 多個 adapter 可共用同一個 store，模擬多位成員同時連線；setConnected(false) 模擬斷線
+
+const MemoryAdapter = (function() {
+    // 建立共用資料庫
+    function createStore(options = {}) {
+        return {
+            root: null,
+            clients: new Set(),
+            now: options.now || (() => Date.now())
+        };
+    }
+
+    // 寫入資料庫並通知所有連線中的客戶端
+    function writeToStore(store, path, value) {
+        const resolved = DataTree.resolveServerValues(value, store.now());
+        store.root = DataTree.setValue(store.root, path, resolved);
+        store.clients.forEach(client => client.notify(path));
+    }
+
+    // 多路徑寫入 (一次套用後才通知)
+    function updateStore(store, path, values) {
+        const resolved = DataTree.resolveServerValues(values, store.now());
+        store.root = DataTree.applyUpdate(store.root, path, resolved);
+        store.clients.forEach(client => client.notify(path));
+    }
+
+    function createMemoryAdapter(options = {}) {
+        const store = options.store || createStore();
+        let user = options.uid ? { uid: options.uid } : null;
+        let connected = options.connected !== false;
+        let disconnectOps = new Map();
+        const authCallbacks = new Set();
+        const listeners = new Set();
+
+        // 送出監聽值 (值未變化時略過)
+        function deliver(listener) {
+            const value = listener.path === '.info/connected'
+                ? connected
+                : DataTree.getValue(store.root, listener.path);
+            if (listener.fired && DataTree.isEqual(listener.lastValue, value)) return;
+
+            listener.fired = true;
+            listener.lastValue = DataTree.clone(value);
+            listener.callback(DataTree.createSnapshot(listener.path, value));
+        }
+
+        const client = {
+            notify(changedPath) {
+                if (!connected) return;
+                listeners.forEach(listener => {
+                    if (listener.path !== '.info/connected' && DataTree.isRelated(changedPath, listener.path)) {
+                        deliver(listener);
+                    }
+                });
+            }
+        };
+        store.clients.add(client);
+
+        function requireConnected() {
+            if (!connected) throw new Error('記憶體後端目前為離線狀態');
+        }
+
+        function snapshotAt(path) {
+            return DataTree.createSnapshot(path, DataTree.getValue(store.root, path));
+        }
+
+        // 切換連線狀態 (斷線時執行 onDisconnect 設定的操作)
+        function setConnected(value) {
+            if (connected === value) return;
+            connected = value;
+
+            if (!connected) {
+                const ops = disconnectOps;
+                disconnectOps = new Map();
+                ops.forEach((opValue, path) => writeToStore(store, path, opValue));
+            }
+
+            listeners.forEach(listener => {
+                if (listener.path === '.info/connected' || connected) deliver(listener);
+            });
+        }
+
+        return {
+            name: 'memory',
+
+            isConfigured() {
+                return true;
+            },
+
+            async initialize() {
+                return true;
+            },
+
+            async signIn() {
+                if (!user) user = { uid: DataTree.generatePushKey() };
+                authCallbacks.forEach(cb => cb(user));
+                return user;
+            },
+
+            onAuthStateChanged(callback) {
+                authCallbacks.add(callback);
+                Promise.resolve().then(() => {
+                    if (authCallbacks.has(callback)) callback(user);
+                });
+                return () => authCallbacks.delete(callback);
+            },
+
+            async get(path) {
+                requireConnected();
+                return snapshotAt(path);
+            },
+
+            async set(path, value) {
+                requireConnected();
+                writeToStore(store, path, value);
+            },
+
+            push() {
+                return DataTree.generatePushKey();
+            },
+
+            async remove(path) {
+                requireConnected();
+                writeToStore(store, path, null);
+            },
+
+            async update(path, values) {
+                requireConnected();
+                updateStore(store, path, values);
+            },
+
+            async transaction(path, updateFn) {
+                requireConnected();
+                const current = DataTree.getValue(store.root, path);
+                const result = updateFn(DataTree.clone(current));
+                if (result === undefined) {
+                    return { committed: false, snapshot: snapshotAt(path) };
+                }
+                writeToStore(store, path, result);
+                return { committed: true, snapshot: snapshotAt(path) };
+            },
+
+            onValue(path, callback) {
+                const listener = { path, callback, fired: false, lastValue: null };
+                listeners.add(listener);
+                Promise.resolve().then(() => {
+                    if (listeners.has(listener) && (connected || path === '.info/connected')) {
+                        deliver(listener);
+                    }
+                });
+                return () => listeners.delete(listener);
+            },
+
+            onDisconnect(path) {
+                return {
+                    set: async (value) => { disconnectOps.set(path, value); },
+                    remove: async () => { disconnectOps.set(path, null); },
+                    cancel: async () => { disconnectOps.delete(path); }
+                };
+            },
+
+            serverTimestamp() {
+                return DataTree.SERVER_TIMESTAMP;
+            },
+
+            // 以下僅供測試使用
+            setConnected,
+
+            close() {
+                setConnected(false);
+                listeners.clear();
+                store.clients.delete(client);
+            },
+
+            getStore() {
+                return store;
+            }
+        };
+    }
+
+    StorageAdapter.register('memory', createMemoryAdapter);
+
+    return {
+        createStore,
+        create: createMemoryAdapter
+    };
+})();
+
+// 匯出
+window.MemoryAdapter = MemoryAdapter;
@@ -0,0 +1,285 @@
+// Relay Adapter
+// =============
+// 連線到自架 WebSocket 中繼伺服器 (server/relay-server.js) 的同步後端 (見 storage-adapter.js)
+//
+// 訊息格式 (JSON):
+//   客戶端 → 伺服器: { id, type: 'get' | 'set' | 'update' | 'transaction' | 'subscribe' | 'unsubscribe'
+//                              | 'onDisconnect' | 'cancelDisconnect', path, ... }
+//   伺服器 → 客戶端: { id, type: 'result', ... } / { id, type: 'error', message }
+//                   { type: 'value', subId, value } (訂閱的路徑有變化時)
+//                   { subId, type: 'error', message } (伺服器拒絕訂閱時)
+
+(function() {
+    const UID_STORAGE_KEY = 'ffxiv_treasure_relay_uid';
+    // 斷線後重新連線的等待時間 (毫秒)
+    const RECONNECT_DELAYS = [1000, 2000, 5000, 10000];
+    // 交易因資料衝突重試的上限
+    const TRANSACTION_MAX_RETRIES = 25;
+
+    // 取得或建立此瀏覽器的使用者 ID
+    function loadUid() {
+        try {
+            return localStorage.getItem(UID_STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function saveUid(uid) {
+        try {
+            localStorage.setItem(UID_STORAGE_KEY, uid);
+        } catch (e) {
+            console.warn('無法儲存使用者 ID:', e);
+        }
+    }
+
+    function createRelayAdapter(options = {}) {
+        const url = options.url;
+
+        let socket = null;
+        let connected = false;
+        let connectPromise = null;
+        let reconnectAttempt = 0;
+        let requestId = 0;
+        let subscriptionId = 0;
+
+        const storedUid = loadUid();
+        let user = storedUid ? { uid: storedUid } : null;
+
+        const pending = new Map();
+        const subscriptions = new Map();
+        const connectionListeners = new Set();
+        const disconnectOps = new Map();
+        const authCallbacks = new Set();
+
+        function isOpen() {
+            return socket && socket.readyState === WebSocket.OPEN;
+        }
+
+        function rawSend(message) {
+            socket.send(JSON.stringify(message));
+        }
+
+        // 送出請求並等待回應
+        function request(message) {
+            if (!isOpen()) {
+                return Promise.reject(new Error('尚未連線到中繼伺服器'));
+            }
+            const id = ++requestId;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject });
+                rawSend({ ...message, id });
+            });
+        }
+
+        function handleMessage(message) {
+            if (message.type === 'value') {
+                const sub = subscriptions.get(message.subId);
+                // 重新連線後重新訂閱時，值沒有變化就不再通知
+                if (!sub || (sub.fired && DataTree.isEqual(sub.lastValue, message.value))) return;
+
+                sub.fired = true;
+                sub.lastValue = message.value;
+                sub.callback(DataTree.createSnapshot(sub.path, message.value));
+                return;
+            }
+
+            if (message.type === 'error' && message.subId) {
+                const sub = subscriptions.get(message.subId);
+                if (sub) {
+                    subscriptions.delete(message.subId);
+                    if (sub.onError) sub.onError(new Error(message.message));
+                }
+                return;
+            }
+
+            const entry = pending.get(message.id);
+            if (!entry) return;
+            pending.delete(message.id);
+
+            if (message.type === 'error') {
+                entry.reject(new Error(message.message));
+            } else {
+                entry.resolve(message);
+            }
+        }
+
+        function notifyConnection() {
+            connectionListeners.forEach(listener => {
+                listener(DataTree.createSnapshot('.info/connected', connected));
+            });
+        }
+
+        // 連線成功後重新訂閱並重新設定斷線操作
+        function restoreSession() {
+            subscriptions.forEach((sub, subId) => {
+                rawSend({ type: 'subscribe', subId, path: sub.path });
+            });
+            disconnectOps.forEach((value, path) => {
+                rawSend({ type: 'onDisconnect', path, value });
+            });
+        }
+
+        function scheduleReconnect() {
+            const delay = RECONNECT_DELAYS[Math.min(reconnectAttempt, RECONNECT_DELAYS.length - 1)];
+            reconnectAttempt++;
+            setTimeout(() => connect(), delay);
+        }
+
+        // 建立連線 (回傳第一次連線是否成功，之後斷線會自動重連)
+        function connect() {
+            return new Promise((resolve) => {
+                try {
+                    socket = new WebSocket(url);
+                } catch (error) {
+                    console.error('無法連接中繼伺服器:', error);
+                    resolve(false);
+                    return;
+                }
+
+                socket.onopen = () => {
+                    reconnectAttempt = 0;
+                    connected = true;
+                    restoreSession();
+                    notifyConnection();
+                    resolve(true);
+                };
+
+                socket.onmessage = (event) => {
+                    try {
+                        handleMessage(JSON.parse(event.data));
+                    } catch (error) {
+                        console.error('中繼伺服器訊息錯誤:', error);
+                    }
+                };
+
+                socket.onclose = () => {
+                    const wasConnected = connected;
+                    connected = false;
+
+                    pending.forEach(entry => entry.reject(new Error('與中繼伺服器的連線已中斷')));
+                    pending.clear();
+
+                    if (wasConnected) notifyConnection();
+                    scheduleReconnect();
+                    resolve(false);
+                };
+            });
+        }
+
+        return {
+            name: 'relay',
+
+            isConfigured() {
+                return !!url;
+            },
+
+            async initialize() {
+                if (!connectPromise) connectPromise = connect();
+                return await connectPromise;
+            },
+
+            async signIn() {
+                if (!user) {
+                    user = { uid: DataTree.generatePushKey() };
+                    saveUid(user.uid);
+                }
+                authCallbacks.forEach(cb => cb(user));
+                return user;
+            },
+
+            onAuthStateChanged(callback) {
+                authCallbacks.add(callback);
+                Promise.resolve().then(() => {
+                    if (authCallbacks.has(callback)) callback(user);
+                });
+                return () => authCallbacks.delete(callback);
+            },
+
+            async get(path) {
+                const result = await request({ type: 'get', path });
+                return DataTree.createSnapshot(path, result.value);
+            },
+
+            async set(path, value) {
+                await request({ type: 'set', path, value });
+            },
+
+            push() {
+                return DataTree.generatePushKey();
+            },
+
+            async remove(path) {
+                await request({ type: 'set', path, value: null });
+            },
+
+            async update(path, values) {
+                await request({ type: 'update', path, values });
+            },
+
+            // 樂觀交易: 以最後讀到的值計算，伺服器比對不符時以最新值重試
+            async transaction(path, updateFn) {
+                let current = (await request({ type: 'get', path })).value;
+
+                for (let attempt = 0; attempt < TRANSACTION_MAX_RETRIES; attempt++) {
+                    const next = updateFn(DataTree.clone(current));
+                    if (next === undefined) {
+                        return { committed: false, snapshot: DataTree.createSnapshot(path, current) };
+                    }
+
+                    const result = await request({ type: 'transaction', path, expected: current, value: next });
+                    if (result.committed) {
+                        return { committed: true, snapshot: DataTree.createSnapshot(path, result.value) };
+                    }
+                    current = result.value;
+                }
+
+                throw new Error('資料更新衝突過多，請稍後再試');
+            },
+
+            onValue(path, callback, onError) {
+                if (path === '.info/connected') {
+                    connectionListeners.add(callback);
+                    Promise.resolve().then(() => {
+                        if (connectionListeners.has(callback)) {
+                            callback(DataTree.createSnapshot(path, connected));
+                        }
+                    });
+                    return () => connectionListeners.delete(callback);
+                }
+
+                const subId = ++subscriptionId;
+                subscriptions.set(subId, { path, callback, onError, fired: false, lastValue: null });
+                if (isOpen()) rawSend({ type: 'subscribe', subId, path });
+
+                return () => {
+                    subscriptions.delete(subId);
+                    if (isOpen()) rawSend({ type: 'unsubscribe', subId });
+                };
+            },
+
+            onDisconnect(path) {
+                return {
+                    set: async (value) => {
+                        disconnectOps.set(path, value);
+                        await request({ type: 'onDisconnect', path, value });
+                    },
+                    remove: async () => {
+                        disconnectOps.set(path, null);
+                        await request({ type: 'onDisconnect', path, value: null });
+                    },
+                    cancel: async () => {
+                        disconnectOps.delete(path);
+                        await request({ type: 'cancelDisconnect', path });
+                    }
+                };
+            },
+
+            serverTimestamp() {
+                return DataTree.SERVER_TIMESTAMP;
+            }
+        };
+    }
+
+    StorageAdapter.register('relay', createRelayAdapter);
+})();
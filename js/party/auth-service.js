@@ -1,6 +1,6 @@
 // Authentication Service
 // =======================
-// 處理 Firebase 匿名登入
+// 處理使用者身分 (Firebase 匿名登入或自架後端的本機 ID)
 
 const AuthService = (function() {
     let currentUser = null;
@@ -11,14 +11,14 @@ const AuthService = (function() {
     async function initialize() {
         if (isInitialized) return currentUser;
 
-        const sdk = window.FirebaseSDK;
-        if (!sdk) {
-            console.warn('Firebase SDK 尚未載入');
+        const backend = window.StorageAdapter && window.StorageAdapter.get();
+        if (!backend) {
+            console.warn('同步後端尚未連線');
             return null;
         }
 
         return new Promise((resolve) => {
-            sdk.onAuthStateChanged(sdk.auth, (user) => {
+            backend.onAuthStateChanged((user) => {
                 currentUser = user;
                 isInitialized = true;
                 authStateCallbacks.forEach(cb => cb(user));
@@ -29,14 +29,13 @@ const AuthService = (function() {
 
     // 匿名登入
     async function signIn() {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) {
-            throw new Error('Firebase SDK 尚未載入');
+        const backend = window.StorageAdapter && window.StorageAdapter.get();
+        if (!backend) {
+            throw new Error('同步後端尚未連線');
         }
 
         try {
-            const result = await sdk.signInAnonymously(sdk.auth);
-            currentUser = result.user;
+            currentUser = await backend.signIn();
             return currentUser;
         } catch (error) {
             console.error('匿名登入失敗:', error);
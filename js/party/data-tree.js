@@ -0,0 +1,166 @@
+// Data Tree
+// =========
+// JSON 資料樹的路徑操作，供記憶體後端、WebSocket 中繼後端與中繼伺服器共用
+// 行為比照 Firebase Realtime Database: 寫入 null 即刪除，空物件不保留
+
+const DataTree = (function() {
+    // Firebase push key 使用的字元 (依 ASCII 排序，key 可依建立時間排序)
+    const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+    // 伺服器時間佔位值 (與 Firebase serverTimestamp() 相同格式)
+    const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+    let lastPushTime = 0;
+    let lastRandChars = [];
+
+    // 分割路徑
+    function splitPath(path) {
+        return String(path || '').split('/').filter(Boolean);
+    }
+
+    // 深拷貝 (資料樹只包含 JSON 值)
+    function clone(value) {
+        return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    // 整理寫入值: 移除 null 欄位，空物件視為 null
+    function normalize(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value !== 'object') return value;
+
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            const normalized = normalize(child);
+            if (normalized !== null) result[key] = normalized;
+        });
+        return Object.keys(result).length > 0 ? result : null;
+    }
+
+    // 取得路徑上的值
+    function getValue(root, path) {
+        let node = root;
+        for (const segment of splitPath(path)) {
+            if (node === null || typeof node !== 'object' || !(segment in node)) return null;
+            node = node[segment];
+        }
+        return node === undefined ? null : node;
+    }
+
+    // 寫入路徑 (回傳新的根節點，不修改原本的物件)
+    function setValue(root, path, value) {
+        const segments = splitPath(path);
+        const normalized = normalize(clone(value));
+        if (segments.length === 0) return normalized;
+
+        const [head, ...rest] = segments;
+        const node = root !== null && typeof root === 'object' ? { ...root } : {};
+        const child = setValue(node[head] === undefined ? null : node[head], rest.join('/'), normalized);
+
+        if (child === null) {
+            delete node[head];
+        } else {
+            node[head] = child;
+        }
+        return Object.keys(node).length > 0 ? node : null;
+    }
+
+    // 多路徑寫入 (values 的 key 為相對於 path 的路徑，回傳新的根節點)
+    function applyUpdate(root, path, values) {
+        return Object.entries(values || {}).reduce(
+            (result, [childPath, value]) => setValue(result, `${path || ''}/${childPath}`, value),
+            root
+        );
+    }
+
+    // 將伺服器時間佔位值替換為實際時間
+    function resolveServerValues(value, now) {
+        if (value === null || typeof value !== 'object') return value;
+        if (value['.sv'] === 'timestamp') return now;
+
+        const result = {};
+        Object.entries(value).forEach(([key, child]) => {
+            result[key] = resolveServerValues(child, now);
+        });
+        return result;
+    }
+
+    // 產生依時間排序的唯一 key (演算法同 Firebase push)
+    function generatePushKey() {
+        let now = Date.now();
+        const duplicateTime = now === lastPushTime;
+        lastPushTime = now;
+
+        const timeChars = new Array(8);
+        for (let i = 7; i >= 0; i--) {
+            timeChars[i] = PUSH_CHARS.charAt(now % 64);
+            now = Math.floor(now / 64);
+        }
+
+        if (!duplicateTime) {
+            lastRandChars = [];
+            for (let i = 0; i < 12; i++) {
+                lastRandChars[i] = Math.floor(Math.random() * 64);
+            }
+        } else {
+            // 同一毫秒內遞增隨機部分，維持排序
+            let i = 11;
+            for (; i >= 0 && lastRandChars[i] === 63; i--) {
+                lastRandChars[i] = 0;
+            }
+            lastRandChars[i]++;
+        }
+
+        return timeChars.join('') + lastRandChars.map(n => PUSH_CHARS.charAt(n)).join('');
+    }
+
+    // 建立與 Firebase DataSnapshot 相容的快照物件
+    function createSnapshot(path, value) {
+        const segments = splitPath(path);
+        const data = clone(value);
+        return {
+            key: segments.length > 0 ? segments[segments.length - 1] : null,
+            exists: () => data !== null,
+            val: () => clone(data)
+        };
+    }
+
+    // 比較兩個 JSON 值是否相同 (忽略 key 順序)
+    function isEqual(a, b) {
+        if (a === b) return true;
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        if (keysA.length !== keysB.length) return false;
+        return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+    }
+
+    // 寫入 changedPath 是否可能影響監聽 listenPath 的值
+    function isRelated(changedPath, listenPath) {
+        const a = splitPath(changedPath);
+        const b = splitPath(listenPath);
+        const length = Math.min(a.length, b.length);
+        for (let i = 0; i < length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    return {
+        SERVER_TIMESTAMP,
+        splitPath,
+        clone,
+        normalize,
+        getValue,
+        setValue,
+        applyUpdate,
+        resolveServerValues,
+        generatePushKey,
+        createSnapshot,
+        isEqual,
+        isRelated
+    };
+})();
+
+// 匯出
+window.DataTree = DataTree;
@@ -0,0 +1,180 @@
+// Offline Queue
+// =============
+// 離線時暫存隊伍寫入，恢復連線後由 PartyService 依序重送
+//
+// 佇列項目: { id, partyCode, type, path, value, queuedAt, attempts }
+//   type = 'add'    新增藏寶圖 (path 為 treasures/{key}，順序在重送時才分配)
+//   type = 'set'    寫入欄位 (例如 treasures/{key}/note)
+//   type = 'remove' 移除藏寶圖或欄位
+//
+// 合併規則 (欄位層級的 last-writer-wins):
+//   - 同一路徑的新寫入會取代佇列中較舊的寫入
+//   - 尚未送出的新增藏寶圖，後續欄位寫入直接併入新增的資料
+//   - 移除尚未送出的新增藏寶圖時，兩者互相抵銷
+//   - 重送時以 queuedAt (寫入當下的時間) 與伺服器上欄位的最後修改時間比較，較舊的寫入不覆蓋
+
+const OfflineQueue = (function() {
+    const STORAGE_KEY = 'ffxiv_treasure_offline_queue';
+
+    let queue = loadQueue();
+
+    // 從 localStorage 載入佇列
+    function loadQueue() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEY);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.warn('無法載入離線佇列:', e);
+            return [];
+        }
+    }
+
+    // 儲存佇列到 localStorage
+    function saveQueue() {
+        try {
+            if (queue.length > 0) {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        } catch (e) {
+            console.warn('無法儲存離線佇列:', e);
+        }
+    }
+
+    // 路徑的藏寶圖部分 (treasures/{key})
+    function getTreasurePath(path) {
+        return path.split('/').slice(0, 2).join('/');
+    }
+
+    // 設定巢狀欄位 (segments 為欄位路徑)
+    function setNested(target, segments, value) {
+        let node = target;
+        for (let i = 0; i < segments.length - 1; i++) {
+            node[segments[i]] = { ...(node[segments[i]] || {}) };
+            node = node[segments[i]];
+        }
+        if (value === null || value === undefined) {
+            delete node[segments[segments.length - 1]];
+        } else {
+            node[segments[segments.length - 1]] = value;
+        }
+    }
+
+    // 加入佇列
+    function enqueue(partyCode, op) {
+        const treasurePath = getTreasurePath(op.path);
+        const pendingAdd = queue.find(q =>
+            q.partyCode === partyCode && q.type === 'add' && q.path === treasurePath
+        );
+
+        if (op.type !== 'add' && pendingAdd) {
+            if (op.path === treasurePath && op.type === 'remove') {
+                // 移除尚未送出的藏寶圖：整筆抵銷
+                queue = queue.filter(q => !(q.partyCode === partyCode && getTreasurePath(q.path) === treasurePath));
+            } else {
+                // 併入尚未送出的新增資料
+                const fields = op.path.split('/').slice(2);
+                pendingAdd.value = { ...pendingAdd.value };
+                setNested(pendingAdd.value, fields, op.type === 'remove' ? null : op.value);
+            }
+            saveQueue();
+            return;
+        }
+
+        // 取代同一路徑 (或其子路徑) 較舊的寫入
+        queue = queue.filter(q =>
+            q.partyCode !== partyCode || q.type === 'add' ||
+            (q.path !== op.path && !q.path.startsWith(op.path + '/'))
+        );
+
+        queue.push({
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            partyCode,
+            type: op.type,
+            path: op.path,
+            value: op.value === undefined ? null : op.value,
+            queuedAt: Date.now(),
+            attempts: 0
+        });
+        saveQueue();
+    }
+
+    // 取得佇列中最早的項目 (skipIds: 本輪已嘗試過的項目)
+    function peek(partyCode, skipIds = null) {
+        return queue.find(q => q.partyCode === partyCode && !(skipIds && skipIds.has(q.id))) || null;
+    }
+
+    // 記錄重送失敗，回傳累計失敗次數
+    function markFailed(id) {
+        const op = queue.find(q => q.id === id);
+        if (!op) return 0;
+        op.attempts = (op.attempts || 0) + 1;
+        saveQueue();
+        return op.attempts;
+    }
+
+    // 移除已送出的項目
+    function dequeue(id) {
+        queue = queue.filter(q => q.id !== id);
+        saveQueue();
+    }
+
+    // 佇列中待送出的數量
+    function size(partyCode) {
+        return queue.filter(q => q.partyCode === partyCode).length;
+    }
+
+    // 清除指定隊伍的佇列
+    function clear(partyCode) {
+        queue = queue.filter(q => q.partyCode !== partyCode);
+        saveQueue();
+    }
+
+    // 將待送出的寫入套用到藏寶圖陣列上 (樂觀更新)，有待送出寫入的項目標記 pendingSync
+    function applyPending(partyCode, treasureArray) {
+        const ops = queue.filter(q => q.partyCode === partyCode);
+        if (ops.length === 0) return treasureArray;
+
+        let result = treasureArray.map(t => ({ ...t }));
+        let maxOrder = result.reduce((max, t) => Math.max(max, t.order || 0), 0);
+
+        ops.forEach(op => {
+            const [, firebaseKey, ...fields] = op.path.split('/');
+
+            if (op.type === 'add') {
+                if (result.some(t => t.firebaseKey === firebaseKey)) return;
+                maxOrder++;
+                result.push({ ...op.value, order: maxOrder, firebaseKey, pendingSync: true });
+                return;
+            }
+
+            if (fields.length === 0) {
+                if (op.type === 'remove') {
+                    result = result.filter(t => t.firebaseKey !== firebaseKey);
+                }
+                return;
+            }
+
+            const treasure = result.find(t => t.firebaseKey === firebaseKey);
+            if (!treasure) return;
+            setNested(treasure, fields, op.type === 'remove' ? null : op.value);
+            treasure.pendingSync = true;
+        });
+
+        return result;
+    }
+
+    return {
+        enqueue,
+        peek,
+        markFailed,
+        dequeue,
+        size,
+        clear,
+        applyPending
+    };
+})();
+
+// 匯出
+window.OfflineQueue = OfflineQueue;
@@ -6,6 +6,8 @@ const PartyService = (function() {
     // 隊伍代碼字元集 (避免混淆字元: 0O, 1lI)
     const CODE_CHARS = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
     const CODE_LENGTH = 8;
+    // 觀戰代碼較長，無法從觀戰連結猜出其他隊伍
+    const SPECTATOR_TOKEN_LENGTH = 20;
 
     // 隊伍設定
     const MAX_MEMBERS = 8;
@@ -13,13 +15,21 @@ const PartyService = (function() {
     const PARTY_EXPIRY_MS = PARTY_EXPIRY_HOURS * 60 * 60 * 1000;
     const STORAGE_KEY = 'ffxiv_treasure_party';
 
+    // 欄位長度上限 (與 firebase-rules.json 一致)
+    const NOTE_MAX_LENGTH = 100;
+    const PLAYER_MAX_LENGTH = 32;
+
     // 當前隊伍狀態
     let currentPartyCode = null;
     let currentMemberId = null;
     let memberNickname = null;
     let currentPartyExpiresAt = null;
+    let leaderId = null;
     let isLeader = false;
     let orderLocked = false;
+    let routeStart = null;
+    // 觀戰中的隊伍 (不是成員，currentPartyCode 維持 null，所有寫入都會被拒絕)
+    let spectatingToken = null;
 
     // ========== localStorage 管理 ==========
 
@@ -67,17 +77,22 @@ const PartyService = (function() {
         }
     }
 
-    // 生成隊伍代碼
-    function generatePartyCode() {
+    // 以 CODE_CHARS 生成指定長度的隨機字串
+    function generateRandomCode(length) {
         let code = '';
-        const array = new Uint8Array(CODE_LENGTH);
+        const array = new Uint8Array(length);
         crypto.getRandomValues(array);
-        for (let i = 0; i < CODE_LENGTH; i++) {
+        for (let i = 0; i < length; i++) {
             code += CODE_CHARS[array[i] % CODE_CHARS.length];
         }
         return code;
     }
 
+    // 生成隊伍代碼
+    function generatePartyCode() {
+        return generateRandomCode(CODE_LENGTH);
+    }
+
     // 驗證隊伍代碼格式
     function isValidCodeFormat(code) {
         if (!code || typeof code !== 'string') return false;
@@ -85,17 +100,29 @@ const PartyService = (function() {
         return /^[A-Z2-9]+$/.test(code.toUpperCase());
     }
 
-    // 取得 Firebase 參考
-    function getRef(path) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
-        return sdk.ref(sdk.db, path);
+    // 驗證觀戰代碼格式
+    function isValidSpectatorToken(token) {
+        if (!token || typeof token !== 'string') return false;
+        if (token.length !== SPECTATOR_TOKEN_LENGTH) return false;
+        return [...token].every(char => CODE_CHARS.includes(char));
+    }
+
+    // 取得目前的同步後端 (見 storage-adapter.js)
+    function getBackend() {
+        const backend = window.StorageAdapter && window.StorageAdapter.get();
+        if (!backend) throw new Error('同步後端尚未連線');
+        return backend;
     }
 
     // 建立隊伍
-    async function createParty(nickname = null) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+    // options.treasures: 帶入隊伍的藏寶圖 (依路線順序，格式同 getTreasures，例如我的藏寶圖)
+    // options.routeStart: 路線起點 ({ zoneId, aetheryte })
+    async function createParty(nickname = null, options = {}) {
+        const backend = getBackend();
+
+        if (spectatingToken) {
+            throw new Error('觀戰中，請先停止觀戰');
+        }
 
         // 確保已登入
         await AuthService.ensureSignedIn();
@@ -109,8 +136,8 @@ const PartyService = (function() {
 
         while (attempts < maxAttempts) {
             partyCode = generatePartyCode();
-            const partyRef = getRef(`parties/${partyCode}`);
-            const snapshot = await sdk.get(partyRef);
+            const partyPath = `parties/${partyCode}`;
+            const snapshot = await backend.get(partyPath);
             if (!snapshot.exists()) {
                 break;
             }
@@ -124,45 +151,95 @@ const PartyService = (function() {
         // 設定成員暱稱
         memberNickname = nickname || `玩家${userId.substring(0, 4)}`;
 
-        // 建立隊伍資料
+        // 建立隊伍資料 (帶入的藏寶圖與隊伍一起寫入，不會出現只建立一半的隊伍)
+        const partyPath = `parties/${partyCode}`;
+        const seed = buildSeedTreasures(options.treasures || [], `${partyPath}/treasures`, userId);
         const expiresAt = Date.now() + PARTY_EXPIRY_MS;
         const partyData = {
             meta: {
-                createdAt: sdk.serverTimestamp(),
+                createdAt: backend.serverTimestamp(),
                 createdBy: userId,
-                expiresAt: expiresAt
+                expiresAt: expiresAt,
+                orderCounter: seed.count,
+                leaderId: userId
             },
             members: {
                 [userId]: {
-                    joinedAt: sdk.serverTimestamp(),
-                    nickname: memberNickname,
-                    isLeader: true
+                    joinedAt: backend.serverTimestamp(),
+                    nickname: memberNickname
                 }
             },
-            treasures: {}
+            treasures: seed.treasures
         };
+        if (options.routeStart && options.routeStart.zoneId) {
+            partyData.meta.routeStart = { zoneId: options.routeStart.zoneId };
+            if (options.routeStart.aetheryte) partyData.meta.routeStart.aetheryte = options.routeStart.aetheryte;
+        }
         currentPartyExpiresAt = expiresAt;
 
         // 寫入資料庫
-        const partyRef = getRef(`parties/${partyCode}`);
-        await sdk.set(partyRef, partyData);
+        await backend.set(partyPath, partyData);
 
         // 更新狀態
         currentPartyCode = partyCode;
         currentMemberId = userId;
+        leaderId = userId;
         isLeader = true;
 
         // 儲存到 localStorage (用於重連)
         savePartyState();
 
-        console.log(`隊伍建立成功: ${partyCode}`);
+        console.log(`隊伍建立成功: ${partyCode}` + (seed.count ? ` (帶入 ${seed.count} 張藏寶圖)` : ''));
         return partyCode;
     }
 
+    // 將帶入的藏寶圖轉為隊伍格式：順序重新編號為 1..n，新增者為建立者，
+    // 固定順位與先後順序改用新的 key (指向未帶入的藏寶圖的先後順序會被略過)
+    function buildSeedTreasures(treasureArray, treasuresPath, userId) {
+        const backend = getBackend();
+        const keyMap = {};
+        treasureArray.forEach(t => {
+            keyMap[t.firebaseKey] = backend.push(treasuresPath);
+        });
+
+        const treasures = {};
+        treasureArray.forEach((t, index) => {
+            const player = (t.player || memberNickname || '').slice(0, PLAYER_MAX_LENGTH);
+            const treasureData = {
+                id: t.id,
+                coords: { x: t.coords.x, y: t.coords.y },
+                mapId: t.mapId,
+                gradeItemId: t.gradeItemId,
+                addedBy: userId,
+                addedByNickname: memberNickname,
+                addedAt: backend.serverTimestamp(),
+                order: index + 1,
+                completed: !!t.completed,
+                player
+            };
+            if (t.partySize) treasureData.partySize = t.partySize;
+            if (t.note) treasureData.note = t.note.slice(0, NOTE_MAX_LENGTH);
+            if (t.pinnedPosition) treasureData.pinnedPosition = t.pinnedPosition;
+
+            const mustPrecede = {};
+            Object.keys(t.mustPrecede || {}).forEach(laterKey => {
+                if (keyMap[laterKey]) mustPrecede[keyMap[laterKey]] = true;
+            });
+            if (Object.keys(mustPrecede).length > 0) treasureData.mustPrecede = mustPrecede;
+
+            treasures[keyMap[t.firebaseKey]] = treasureData;
+        });
+
+        return { treasures, count: treasureArray.length };
+    }
+
     // 加入隊伍
     async function joinParty(partyCode, nickname = null) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
+
+        if (spectatingToken) {
+            throw new Error('觀戰中，請先停止觀戰');
+        }
 
         // 標準化代碼格式
         partyCode = partyCode.toUpperCase().trim();
@@ -178,8 +255,8 @@ const PartyService = (function() {
         if (!userId) throw new Error('使用者未登入');
 
         // 檢查隊伍是否存在
-        const partyRef = getRef(`parties/${partyCode}`);
-        const snapshot = await sdk.get(partyRef);
+        const partyPath = `parties/${partyCode}`;
+        const snapshot = await backend.get(partyPath);
 
         if (!snapshot.exists()) {
             throw new Error('找不到此隊伍，請確認代碼是否正確');
@@ -189,28 +266,42 @@ const PartyService = (function() {
 
         // 檢查隊伍是否已過期
         if (partyData.meta?.expiresAt && Date.now() > partyData.meta.expiresAt) {
-            // 刪除過期隊伍
-            await sdk.remove(partyRef);
+            // 刪除過期隊伍 (連同觀戰代碼)
+            await backend.remove(partyPath);
+            if (partyData.meta.spectatorToken) {
+                await removeSpectatorToken(backend, partyData.meta.spectatorToken);
+            }
             throw new Error('此隊伍已過期');
         }
 
-        // 檢查人數限制
-        const membersSnapshot = await sdk.get(getRef(`parties/${partyCode}/members`));
-        const memberCount = Object.keys(membersSnapshot.val() || {}).length;
-        if (memberCount >= MAX_MEMBERS) {
+        // 檢查是否已被房主移出
+        if (partyData.bans && partyData.bans[userId]) {
+            throw new Error('你已被房主移出此隊伍，無法再次加入');
+        }
+
+        // 成員資料在斷線後保留到寬限期結束，重新整理時自己的資料可能仍在隊伍中
+        const membersSnapshot = await backend.get(`parties/${partyCode}/members`);
+        const members = membersSnapshot.val() || {};
+        const isRejoin = !!members[userId];
+
+        // 檢查人數限制 (重新加入時自己已計入人數)
+        if (!isRejoin && Object.keys(members).length >= MAX_MEMBERS) {
             throw new Error(`隊伍已滿 (${MAX_MEMBERS}/${MAX_MEMBERS})`);
         }
 
         // 設定成員暱稱
         memberNickname = nickname || `玩家${userId.substring(0, 4)}`;
 
-        // 加入成員列表
-        const memberRef = getRef(`parties/${partyCode}/members/${userId}`);
-        await sdk.set(memberRef, {
-            joinedAt: sdk.serverTimestamp(),
-            nickname: memberNickname,
-            isLeader: false
-        });
+        // 加入成員列表 (重新加入時只更新暱稱，保留原本的加入時間以維持房主接任順序)
+        const memberPath = `parties/${partyCode}/members/${userId}`;
+        if (isRejoin) {
+            await backend.set(`${memberPath}/nickname`, memberNickname);
+        } else {
+            await backend.set(memberPath, {
+                joinedAt: backend.serverTimestamp(),
+                nickname: memberNickname
+            });
+        }
 
         // 記錄過期時間
         currentPartyExpiresAt = partyData.meta?.expiresAt || null;
@@ -218,7 +309,8 @@ const PartyService = (function() {
         // 更新狀態
         currentPartyCode = partyCode;
         currentMemberId = userId;
-        isLeader = false;
+        // 重新整理前是房主且尚未有人接任時，仍是房主
+        setLeaderId(partyData.meta?.leaderId || null);
 
         // 儲存到 localStorage (用於重連)
         savePartyState();
@@ -229,8 +321,7 @@ const PartyService = (function() {
 
     // 離開隊伍
     async function leaveParty() {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode || !currentMemberId) {
             console.warn('目前不在任何隊伍中');
@@ -242,34 +333,90 @@ const PartyService = (function() {
             window.SyncService.stopSync();
         }
 
-        // 從成員列表移除
-        const memberRef = getRef(`parties/${currentPartyCode}/members/${currentMemberId}`);
-        await sdk.remove(memberRef);
+        const membersPath = `parties/${currentPartyCode}/members`;
+
+        // 房主離開前先交給下一位成員
+        if (isLeader) {
+            const membersSnapshot = await backend.get(membersPath);
+            const successorId = pickSuccessor(membersSnapshot.val() || {}, currentMemberId);
+            if (successorId) {
+                await backend.set(`parties/${currentPartyCode}/meta/leaderId`, successorId);
+                console.log(`房主已交給: ${successorId}`);
+            }
+        }
+
+        // 從成員列表與連線狀態移除
+        await backend.remove(`parties/${currentPartyCode}/presence/${currentMemberId}`);
+        const memberPath = `parties/${currentPartyCode}/members/${currentMemberId}`;
+        await backend.remove(memberPath);
 
         // 檢查是否還有其他成員，如果沒有則刪除整個隊伍
-        const membersRef = getRef(`parties/${currentPartyCode}/members`);
-        const snapshot = await sdk.get(membersRef);
+        const snapshot = await backend.get(membersPath);
 
         if (!snapshot.exists() || Object.keys(snapshot.val() || {}).length === 0) {
-            // 沒有其他成員，刪除整個隊伍
-            const partyRef = getRef(`parties/${currentPartyCode}`);
-            await sdk.remove(partyRef);
+            // 沒有其他成員，刪除整個隊伍 (連同觀戰代碼)
+            const partyPath = `parties/${currentPartyCode}`;
+            const tokenSnapshot = await backend.get(`${partyPath}/meta/spectatorToken`);
+            await backend.remove(partyPath);
+            if (tokenSnapshot.exists()) {
+                await removeSpectatorToken(backend, tokenSnapshot.val());
+            }
             console.log(`隊伍 ${currentPartyCode} 已解散`);
         }
 
-        // 清除狀態
+        const oldCode = resetPartyState();
+        console.log(`已離開隊伍: ${oldCode}`);
+    }
+
+    // 被房主移出隊伍時清除本地狀態 (成員資料已由房主移除，不再寫入)
+    function handleKicked() {
+        if (!currentPartyCode) return;
+
+        if (window.SyncService) {
+            window.SyncService.stopSync();
+        }
+
+        const oldCode = resetPartyState();
+        console.log(`已被房主移出隊伍: ${oldCode}`);
+    }
+
+    // 清除目前隊伍的狀態、localStorage 與尚未送出的離線寫入，回傳原本的隊伍代碼
+    function resetPartyState() {
         const oldCode = currentPartyCode;
         currentPartyCode = null;
         currentMemberId = null;
         memberNickname = null;
         currentPartyExpiresAt = null;
+        leaderId = null;
         isLeader = false;
         orderLocked = false;
+        routeStart = null;
 
-        // 清除 localStorage
         clearPartyState();
+        if (window.OfflineQueue) {
+            window.OfflineQueue.clear(oldCode);
+        }
+        clearTimeout(replayRetryTimer);
+        replayRetryTimer = null;
+        return oldCode;
+    }
 
-        console.log(`已離開隊伍: ${oldCode}`);
+    // 離線超過寬限期時成員資料會被其他成員移除，恢復連線後重新寫入 (由 SyncService 呼叫)
+    async function restoreMembership() {
+        const backend = getBackend();
+
+        if (!currentPartyCode || !currentMemberId) return;
+
+        const memberPath = `parties/${currentPartyCode}/members/${currentMemberId}`;
+        const snapshot = await backend.get(memberPath);
+        if (snapshot.exists()) return;
+
+        // 房主身分記錄在 meta/leaderId，離線期間若已有人接任則以一般成員身分回到隊伍
+        await backend.set(memberPath, {
+            joinedAt: backend.serverTimestamp(),
+            nickname: memberNickname
+        });
+        console.log(`連線恢復，已重新加入隊伍: ${currentPartyCode}`);
     }
 
     // 轉換 ID 為 Firebase 安全格式 (將 . 替換為 _)
@@ -277,26 +424,298 @@ const PartyService = (function() {
         return String(id).replace(/\./g, '_');
     }
 
-    // 新增藏寶圖到隊伍 (允許重複新增同一藏寶點)
-    async function addTreasure(treasure) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+    // 依順序排列藏寶圖陣列 (見 RouteOrder.sortByOrder)
+    function sortByOrder(treasureArray) {
+        return RouteOrder.sortByOrder(treasureArray);
+    }
+
+    // 依順序排列 treasures 物件的 key (供 Transaction 使用)
+    function sortOrderKeys(treasures) {
+        return RouteOrder.getOrderedKeys(Object.entries(treasures).map(([key, value]) => ({ order: value.order, firebaseKey: key })));
+    }
+
+    // 檢查是否有重複的順序值
+    function hasOrderCollisions(treasureArray) {
+        const orders = new Set(treasureArray.map(t => t.order || 0));
+        return orders.size < treasureArray.length;
+    }
+
+    // 取得下一個順序值 (meta/orderCounter 以 Transaction 遞增)
+    async function nextOrderValue() {
+        const backend = getBackend();
+        const counterPath = `parties/${currentPartyCode}/meta/orderCounter`;
+
+        // 舊隊伍沒有計數器，先將現有順序重新編號並建立計數器；
+        // 無法調整順序 (順序已鎖定且不是房主) 時不修改其他藏寶圖，只以目前最大的順序建立計數器
+        const snapshot = await backend.get(counterPath);
+        if (!snapshot.exists()) {
+            if (canModifyOrder()) {
+                await rebalanceOrders();
+            } else {
+                const treasures = (await backend.get(`parties/${currentPartyCode}/treasures`)).val() || {};
+                const maxOrder = Math.max(0, ...Object.values(treasures).map(t => t.order || 0));
+                await backend.transaction(counterPath, (current) => Math.max(current || 0, maxOrder));
+            }
+        }
+
+        const result = await backend.transaction(counterPath, (current) => (current || 0) + 1);
+        return result.snapshot.val();
+    }
+
+    // 重新編號所有順序為 1..n (保留目前的排列)，並確保計數器不小於 n
+    async function rebalanceOrders() {
+        const backend = getBackend();
 
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        const userId = AuthService.getUserId();
+        requireOnline('重新編號順序');
 
-        // 取得目前最大順序
-        const treasuresRef = getRef(`parties/${currentPartyCode}/treasures`);
-        const snapshot = await sdk.get(treasuresRef);
-        let maxOrder = 0;
-        if (snapshot.exists()) {
-            Object.values(snapshot.val()).forEach(t => {
-                if (t.order && t.order > maxOrder) maxOrder = t.order;
+        let count = 0;
+        await backend.transaction(`parties/${currentPartyCode}/treasures`, (treasures) => {
+            if (!treasures) return treasures;
+
+            const keys = sortOrderKeys(treasures);
+            keys.forEach((key, index) => {
+                treasures[key].order = index + 1;
             });
+            count = keys.length;
+
+            return treasures;
+        });
+
+        await backend.transaction(`parties/${currentPartyCode}/meta/orderCounter`, (current) =>
+            Math.max(current || 0, count)
+        );
+
+        console.log(`已重新編號 ${count} 個藏寶圖順序`);
+    }
+
+    // ========== 離線寫入佇列 ==========
+
+    // 暫時性錯誤 (逾時、斷線) 的重試間隔與上限，超過上限的寫入視為失敗並通知使用者
+    const REPLAY_RETRY_MS = 5000;
+    const MAX_REPLAY_ATTEMPTS = 5;
+
+    let isReplaying = false;
+    let replayRetryTimer = null;
+    let queuedWriteRejectedCallback = null;
+
+    // 是否可以直接寫入 Firebase (連線中且沒有待送出的寫入)
+    function canWriteDirectly() {
+        const connected = window.SyncService ? window.SyncService.getConnectionStatus() : true;
+        return connected && (!window.OfflineQueue || window.OfflineQueue.size(currentPartyCode) === 0);
+    }
+
+    // 需要 Transaction 的操作無法離線排隊
+    function requireOnline(action) {
+        if (window.SyncService && !window.SyncService.getConnectionStatus()) {
+            throw new Error(`目前離線，恢復連線後才能${action}`);
         }
+    }
+
+    // 欄位的最後修改時間存放在 treasures/{key}/updatedAt/{欄位}，巢狀欄位以 ":" 連接 (例如 mustPrecede:{key})
+    function getFieldStampKey(fields) {
+        return fields.join(':');
+    }
+
+    // 寫入藏寶圖路徑 (value 為 null 表示移除)，離線時放入佇列並樂觀更新畫面
+    async function writeTreasurePath(path, value) {
+        const backend = getBackend();
+
+        if (window.OfflineQueue && !canWriteDirectly()) {
+            window.OfflineQueue.enqueue(currentPartyCode, {
+                type: value === null ? 'remove' : 'set',
+                path,
+                value
+            });
+            notifyQueueChange();
+            return;
+        }
+
+        const [, firebaseKey, ...fields] = path.split('/');
+        if (fields.length === 0) {
+            const fullPath = `parties/${currentPartyCode}/${path}`;
+            if (value === null) {
+                await backend.remove(fullPath);
+            } else {
+                await backend.set(fullPath, value);
+            }
+            return;
+        }
+
+        // 欄位與修改時間 (伺服器時間) 以同一次多路徑寫入送出，離線期間較早的寫入重送時不會覆蓋
+        await backend.update(`parties/${currentPartyCode}/treasures/${firebaseKey}`, {
+            [fields.join('/')]: value,
+            [`updatedAt/${getFieldStampKey(fields)}`]: backend.serverTimestamp()
+        });
+    }
+
+    // 佇列變更後重新套用樂觀更新，連線中則開始重送
+    function notifyQueueChange() {
+        if (window.SyncService) {
+            window.SyncService.refreshTreasures();
+            if (window.SyncService.getConnectionStatus()) {
+                replayOfflineQueue();
+            }
+        }
+    }
+
+    // 被安全規則拒絕 (例如順序已鎖定、已被移出隊伍) 的寫入重試也不會成功
+    function isPermanentWriteError(error) {
+        return error?.code === 'PERMISSION_DENIED' || /PERMISSION_DENIED/i.test(error?.message || '');
+    }
+
+    // 註冊離線寫入被拒絕的通知 (callback(ops, error)，ops 已從佇列移除)
+    function onQueuedWriteRejected(callback) {
+        queuedWriteRejectedCallback = callback;
+    }
+
+    function scheduleReplayRetry() {
+        if (replayRetryTimer) return;
+        replayRetryTimer = setTimeout(() => {
+            replayRetryTimer = null;
+            if (!window.SyncService || window.SyncService.getConnectionStatus()) {
+                replayOfflineQueue();
+            }
+        }, REPLAY_RETRY_MS);
+    }
+
+    // 依序重送離線佇列 (由 SyncService 在 .info/connected 變為 true 時呼叫)
+    // 單筆失敗不會阻擋後面的寫入：被拒絕的寫入直接移除並通知，暫時性錯誤保留在佇列中稍後重試
+    async function replayOfflineQueue() {
+        const queue = window.OfflineQueue;
+        if (!queue || isReplaying || !currentPartyCode) return;
+
+        isReplaying = true;
+        const partyCode = currentPartyCode;
+        const attempted = new Set();
+        const rejected = [];
+        let lastError = null;
+        let replayed = 0;
+        let needsRetry = false;
+
+        try {
+            let op;
+            while (partyCode === currentPartyCode && (op = queue.peek(partyCode, attempted))) {
+                attempted.add(op.id);
+                try {
+                    await applyQueuedOp(op);
+                    queue.dequeue(op.id);
+                    replayed++;
+                } catch (error) {
+                    console.error('離線佇列重送失敗:', op.path, error);
+                    lastError = error;
+
+                    // 重送途中斷線：保留整個佇列，下次連線時再重送
+                    if (window.SyncService && !window.SyncService.getConnectionStatus()) break;
+
+                    if (isPermanentWriteError(error) || queue.markFailed(op.id) >= MAX_REPLAY_ATTEMPTS) {
+                        queue.dequeue(op.id);
+                        rejected.push(op);
+                    } else {
+                        needsRetry = true;
+                    }
+                }
+            }
+        } finally {
+            isReplaying = false;
+        }
+
+        if (replayed > 0) {
+            console.log(`已重送 ${replayed} 筆離線寫入`);
+        }
+        if (replayed > 0 || rejected.length > 0) {
+            if (window.SyncService) window.SyncService.refreshTreasures();
+        }
+        if (rejected.length > 0 && queuedWriteRejectedCallback) {
+            queuedWriteRejectedCallback(rejected, lastError);
+        }
+        if (needsRetry && partyCode === currentPartyCode) {
+            scheduleReplayRetry();
+        }
+    }
+
+    // 送出單筆佇列項目
+    async function applyQueuedOp(op) {
+        const backend = getBackend();
+
+        const fullPath = `parties/${currentPartyCode}/${op.path}`;
+
+        if (op.type === 'add') {
+            const order = await nextOrderValue();
+            await backend.set(fullPath, { ...op.value, order });
+            await extendExpiry();
+            return;
+        }
+
+        const [, firebaseKey, ...fields] = op.path.split('/');
+        if (fields.length === 0) {
+            await backend.remove(fullPath);
+            return;
+        }
+
+        // 欄位寫入：以 Transaction 比較欄位的最後修改時間 (last-writer-wins 依寫入當下的 queuedAt 決定)
+        // 藏寶圖已被其他成員移除時略過，避免寫出不完整的藏寶圖
+        const stampKey = getFieldStampKey(fields);
+        let superseded = false;
+        await backend.transaction(`parties/${currentPartyCode}/treasures/${firebaseKey}`, (treasure) => {
+            superseded = false;
+            if (!treasure) return treasure;
+
+            const updatedAt = treasure.updatedAt || {};
+            if ((updatedAt[stampKey] || 0) > op.queuedAt) {
+                superseded = true;
+                return undefined;
+            }
+
+            let node = treasure;
+            for (let i = 0; i < fields.length - 1; i++) {
+                node[fields[i]] = node[fields[i]] || {};
+                node = node[fields[i]];
+            }
+            if (op.type === 'remove') {
+                delete node[fields[fields.length - 1]];
+            } else {
+                node[fields[fields.length - 1]] = op.value;
+            }
+            treasure.updatedAt = { ...updatedAt, [stampKey]: op.queuedAt };
+            return treasure;
+        });
+
+        if (superseded) {
+            console.log(`離線期間的修改已被較新的寫入取代: ${op.path}`);
+        }
+    }
+
+    // 待送出的離線寫入數量
+    function getPendingWriteCount() {
+        return window.OfflineQueue && currentPartyCode ? window.OfflineQueue.size(currentPartyCode) : 0;
+    }
+
+    // 延長隊伍過期時間 (活動時更新)
+    async function extendExpiry() {
+        const backend = getBackend();
+        const newExpiresAt = Date.now() + PARTY_EXPIRY_MS;
+        await backend.set(`parties/${currentPartyCode}/meta/expiresAt`, newExpiresAt);
+        currentPartyExpiresAt = newExpiresAt;
+    }
+
+    // 新增藏寶圖到隊伍 (允許重複新增同一藏寶點，離線時放入佇列)
+    // options.player: 藏寶圖的玩家 (預設為自己的暱稱)
+    async function addTreasure(treasure, options = {}) {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        const userId = AuthService.getUserId();
+        const treasuresPath = `parties/${currentPartyCode}/treasures`;
+
+        // 使用 push 在本地生成唯一 key (離線也可使用)，允許同一藏寶點被多次新增
+        const newTreasureKey = backend.push(treasuresPath);
 
         // 建立藏寶圖資料
         const treasureData = {
@@ -307,20 +726,27 @@ const PartyService = (function() {
             partySize: treasure.partySize,
             addedBy: userId,
             addedByNickname: memberNickname,
-            addedAt: sdk.serverTimestamp(),
-            order: maxOrder + 1,
+            addedAt: backend.serverTimestamp(),
             completed: false,
-            player: memberNickname || ''
+            player: (options.player || memberNickname || '').slice(0, PLAYER_MAX_LENGTH)
         };
 
-        // 使用 push 生成唯一 key，允許同一藏寶點被多次新增
-        const newTreasureRef = await sdk.push(treasuresRef);
-        await sdk.set(newTreasureRef, treasureData);
+        // 離線時放入佇列，順序在重送時才由計數器分配
+        if (window.OfflineQueue && !canWriteDirectly()) {
+            window.OfflineQueue.enqueue(currentPartyCode, {
+                type: 'add',
+                path: `treasures/${newTreasureKey}`,
+                value: treasureData
+            });
+            notifyQueueChange();
+            console.log(`已暫存離線新增的藏寶圖: ${treasure.id}`);
+            return treasure.id;
+        }
 
-        // 延長隊伍過期時間 (活動時更新)
-        const newExpiresAt = Date.now() + PARTY_EXPIRY_MS;
-        await sdk.set(getRef(`parties/${currentPartyCode}/meta/expiresAt`), newExpiresAt);
-        currentPartyExpiresAt = newExpiresAt;
+        // 由計數器取得不重複的順序值 (多人同時新增也不會衝突)
+        treasureData.order = await nextOrderValue();
+        await backend.set(`parties/${currentPartyCode}/treasures/${newTreasureKey}`, treasureData);
+        await extendExpiry();
 
         console.log(`已新增藏寶圖: ${treasure.id}`);
         return treasure.id;
@@ -328,89 +754,95 @@ const PartyService = (function() {
 
     // 從隊伍移除藏寶圖 (使用 Firebase key)
     async function removeTreasure(firebaseKey) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
-
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        const treasureRef = getRef(`parties/${currentPartyCode}/treasures/${firebaseKey}`);
-        await sdk.remove(treasureRef);
+        await writeTreasurePath(`treasures/${firebaseKey}`, null);
 
         console.log(`已移除藏寶圖: ${firebaseKey}`);
     }
 
     // 切換藏寶圖完成狀態 (使用 Firebase key)
-    async function toggleTreasureComplete(firebaseKey) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
-
+    // current 為畫面上目前的狀態 (離線時無法讀取資料庫，由呼叫端提供)
+    async function toggleTreasureComplete(firebaseKey, current) {
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        const treasureRef = getRef(`parties/${currentPartyCode}/treasures/${firebaseKey}`);
-        const snapshot = await sdk.get(treasureRef);
-
-        if (snapshot.exists()) {
-            const current = snapshot.val().completed || false;
-            await sdk.set(getRef(`parties/${currentPartyCode}/treasures/${firebaseKey}/completed`), !current);
-            console.log(`藏寶圖 ${firebaseKey} 完成狀態: ${!current}`);
+        if (current === undefined) {
+            const snapshot = await getBackend().get(`parties/${currentPartyCode}/treasures/${firebaseKey}`);
+            if (!snapshot.exists()) return;
+            current = snapshot.val().completed || false;
         }
+
+        await writeTreasurePath(`treasures/${firebaseKey}/completed`, !current);
+        console.log(`藏寶圖 ${firebaseKey} 完成狀態: ${!current}`);
     }
 
     // 更新藏寶圖備註 (使用 Firebase key)
     async function updateTreasureNote(firebaseKey, note) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
-
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        await sdk.set(getRef(`parties/${currentPartyCode}/treasures/${firebaseKey}/note`), note);
+        if (note.length > NOTE_MAX_LENGTH) {
+            throw new Error(`備註最多 ${NOTE_MAX_LENGTH} 字`);
+        }
+
+        await writeTreasurePath(`treasures/${firebaseKey}/note`, note);
         console.log(`藏寶圖 ${firebaseKey} 備註已更新`);
     }
 
     // 更新藏寶圖玩家名稱 (使用 Firebase key)
     async function updateTreasurePlayer(firebaseKey, player) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
-
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        await sdk.set(getRef(`parties/${currentPartyCode}/treasures/${firebaseKey}/player`), player);
+        if (player.length > PLAYER_MAX_LENGTH) {
+            throw new Error(`玩家名稱最多 ${PLAYER_MAX_LENGTH} 字`);
+        }
+
+        await writeTreasurePath(`treasures/${firebaseKey}/player`, player);
         console.log(`藏寶圖 ${firebaseKey} 玩家已更新`);
     }
 
     // 更新藏寶圖順序 (使用 Firebase key)
     async function updateTreasureOrder(firebaseKey, newOrder) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        await sdk.set(getRef(`parties/${currentPartyCode}/treasures/${firebaseKey}/order`), newOrder);
+        requireOnline('調整順序');
+
+        if (!canModifyOrder()) {
+            throw new Error('順序已被房主鎖定');
+        }
+
+        await backend.set(`parties/${currentPartyCode}/treasures/${firebaseKey}/order`, newOrder);
     }
 
     // 交換兩個藏寶圖的順序 (使用 Transaction 確保並發安全，使用 firebaseKey)
     async function swapTreasureOrder(firebaseKey1, firebaseKey2) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        const treasuresRef = getRef(`parties/${currentPartyCode}/treasures`);
+        requireOnline('調整順序');
+
+        if (!canModifyOrder()) {
+            throw new Error('順序已被房主鎖定');
+        }
+
+        const treasuresPath = `parties/${currentPartyCode}/treasures`;
 
         // 使用 Transaction 確保並發編輯安全
-        await sdk.runTransaction(treasuresRef, (treasures) => {
+        await backend.transaction(treasuresPath, (treasures) => {
             if (!treasures) return treasures;
 
             if (treasures[firebaseKey1] && treasures[firebaseKey2]) {
@@ -423,23 +855,127 @@ const PartyService = (function() {
         });
     }
 
+    // 設定藏寶圖固定順位 (position 從 1 開始，null 表示不固定)
+    async function setTreasurePinnedPosition(firebaseKey, position) {
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        if (!canModifyOrder()) {
+            throw new Error('順序已被房主鎖定');
+        }
+
+        await writeTreasurePath(`treasures/${firebaseKey}/pinnedPosition`, position || null);
+        console.log(`藏寶圖 ${firebaseKey} 固定順位: ${position || '不固定'}`);
+    }
+
+    // 設定藏寶圖必須早於另一個藏寶圖 (enabled 為 false 時移除此限制)
+    async function setTreasurePrecedence(firebaseKey, laterKey, enabled) {
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        if (!canModifyOrder()) {
+            throw new Error('順序已被房主鎖定');
+        }
+
+        await writeTreasurePath(`treasures/${firebaseKey}/mustPrecede/${laterKey}`, enabled ? true : null);
+    }
+
+    // 設定路線起點 ({ zoneId, aetheryte }，null 表示不限)
+    async function setRouteStart(start) {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        requireOnline('設定路線起點');
+
+        if (!canModifyOrder()) {
+            throw new Error('順序已被房主鎖定');
+        }
+
+        const startPath = `parties/${currentPartyCode}/meta/routeStart`;
+        if (start && start.zoneId) {
+            const value = { zoneId: start.zoneId };
+            if (start.aetheryte) value.aetheryte = start.aetheryte;
+            await backend.set(startPath, value);
+            routeStart = value;
+        } else {
+            await backend.remove(startPath);
+            routeStart = null;
+        }
+    }
+
+    // 取得路線起點
+    function getRouteStart() {
+        return routeStart;
+    }
+
+    // 設定路線起點狀態 (供同步服務使用)
+    function setRouteStartState(start) {
+        routeStart = start && start.zoneId ? start : null;
+    }
+
+    // 由隊伍藏寶圖建立 RouteOptimizer 的限制條件
+    function buildRouteConstraints(treasureArray) {
+        return RouteOrder.buildRouteConstraints(treasureArray, routeStart);
+    }
+
+    // 將藏寶圖移到路線中的指定位置 (0-based)，一次 Transaction 重寫所有受影響的順序
+    async function moveTreasureOrder(firebaseKey, targetIndex) {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        requireOnline('調整順序');
+
+        if (!canModifyOrder()) {
+            throw new Error('順序已被房主鎖定');
+        }
+
+        const treasuresPath = `parties/${currentPartyCode}/treasures`;
+
+        await backend.transaction(treasuresPath, (treasures) => {
+            if (!treasures || !treasures[firebaseKey]) return treasures;
+
+            // 與畫面相同的排序方式
+            const keys = sortOrderKeys(treasures);
+
+            const fromIndex = keys.indexOf(firebaseKey);
+            const toIndex = Math.max(0, Math.min(targetIndex, keys.length - 1));
+            keys.splice(fromIndex, 1);
+            keys.splice(toIndex, 0, firebaseKey);
+
+            keys.forEach((key, index) => {
+                treasures[key].order = index + 1;
+            });
+
+            return treasures;
+        });
+    }
+
     // 清除所有已完成的藏寶圖
     async function clearCompletedTreasures() {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
-        const treasuresRef = getRef(`parties/${currentPartyCode}/treasures`);
-        const snapshot = await sdk.get(treasuresRef);
+        requireOnline('清除已完成的藏寶圖');
+
+        const treasuresPath = `parties/${currentPartyCode}/treasures`;
+        const snapshot = await backend.get(treasuresPath);
 
         if (snapshot.exists()) {
             const treasures = snapshot.val();
             for (const [key, treasure] of Object.entries(treasures)) {
                 if (treasure.completed) {
-                    await sdk.remove(getRef(`parties/${currentPartyCode}/treasures/${key}`));
+                    await backend.remove(`parties/${currentPartyCode}/treasures/${key}`);
                 }
             }
         }
@@ -447,8 +983,7 @@ const PartyService = (function() {
 
     // 更新成員暱稱
     async function updateNickname(newNickname) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode || !currentMemberId) {
             throw new Error('尚未加入隊伍');
@@ -456,8 +991,8 @@ const PartyService = (function() {
 
         memberNickname = newNickname;
 
-        const nicknameRef = getRef(`parties/${currentPartyCode}/members/${currentMemberId}/nickname`);
-        await sdk.set(nicknameRef, newNickname);
+        const nicknamePath = `parties/${currentPartyCode}/members/${currentMemberId}/nickname`;
+        await backend.set(nicknamePath, newNickname);
 
         console.log(`暱稱已更新為: ${newNickname}`);
     }
@@ -494,13 +1029,12 @@ const PartyService = (function() {
 
     // 取得隊伍資料 (一次性讀取)
     async function getPartyData() {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode) return null;
 
-        const partyRef = getRef(`parties/${currentPartyCode}`);
-        const snapshot = await sdk.get(partyRef);
+        const partyPath = `parties/${currentPartyCode}`;
+        const snapshot = await backend.get(partyPath);
 
         if (!snapshot.exists()) return null;
         return snapshot.val();
@@ -534,24 +1068,43 @@ const PartyService = (function() {
 
     // 切換順序鎖定狀態 (僅房主可操作)
     async function toggleOrderLock() {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
+        requireOnline('鎖定順序');
+
         if (!isLeader) {
             throw new Error('只有房主可以鎖定/解鎖順序');
         }
 
         const newLocked = !orderLocked;
-        await sdk.set(getRef(`parties/${currentPartyCode}/meta/orderLocked`), newLocked);
+        await backend.set(`parties/${currentPartyCode}/meta/orderLocked`, newLocked);
         orderLocked = newLocked;
         console.log(`順序鎖定狀態: ${newLocked ? '已鎖定' : '已解鎖'}`);
         return newLocked;
     }
 
+    // 設定離線成員的移除寬限期 (毫秒，只有房主可以設定，所有成員由 meta 同步)
+    async function setOfflineGracePeriod(ms) {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        requireOnline('設定離線寬限期');
+
+        if (!isLeader) {
+            throw new Error('只有房主可以設定離線寬限期');
+        }
+
+        await backend.set(`parties/${currentPartyCode}/meta/offlineGracePeriod`, ms);
+        console.log(`離線寬限期: ${ms / 60000} 分鐘`);
+    }
+
     // 取得順序是否被鎖定
     function isOrderLocked() {
         return orderLocked;
@@ -567,34 +1120,301 @@ const PartyService = (function() {
         return isLeader;
     }
 
-    // 設定房主狀態 (供成員同步回調使用)
-    function setIsLeader(value) {
-        isLeader = !!value;
+    // 取得房主的使用者 ID
+    function getLeaderId() {
+        return leaderId;
     }
 
-    // 檢查當前使用者是否可以修改順序
+    // 設定房主 (供同步服務使用，來源為 meta/leaderId)
+    function setLeaderId(id) {
+        leaderId = id || null;
+        isLeader = !!currentMemberId && leaderId === currentMemberId;
+    }
+
+    // 選出接任房主的成員 (最早加入者，同時加入時依 ID 排序，所有客戶端結果一致)
+    function pickSuccessor(members, excludeId = null) {
+        const candidates = Object.entries(members)
+            .filter(([id]) => id !== excludeId)
+            .sort(([idA, a], [idB, b]) => {
+                const diff = (a.joinedAt || 0) - (b.joinedAt || 0);
+                if (diff !== 0) return diff;
+                return idA < idB ? -1 : 1;
+            });
+        return candidates.length > 0 ? candidates[0][0] : null;
+    }
+
+    // 房主已不在隊伍中 (離開或斷線) 時，由接任者自動成為房主
+    async function claimLeaderIfVacant(members, currentLeaderId) {
+        const backend = getBackend();
+
+        if (!currentPartyCode || !currentMemberId) return false;
+        if (!members[currentMemberId]) return false;
+        if (currentLeaderId && members[currentLeaderId]) return false;
+        if (pickSuccessor(members) !== currentMemberId) return false;
+
+        const leaderPath = `parties/${currentPartyCode}/meta/leaderId`;
+        const result = await backend.transaction(leaderPath, (current) => {
+            // 其他成員已先接任時放棄
+            if ((current || null) !== (currentLeaderId || null)) return undefined;
+            return currentMemberId;
+        });
+
+        if (!result.committed) return false;
+        setLeaderId(currentMemberId);
+        console.log('原房主已離開，已接任房主');
+        return true;
+    }
+
+    // 將房主轉移給其他成員 (僅房主可操作)
+    async function transferLeader(memberId) {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        requireOnline('轉移房主');
+
+        if (!isLeader) {
+            throw new Error('只有房主可以轉移房主');
+        }
+
+        if (memberId === currentMemberId) return;
+
+        const memberSnapshot = await backend.get(`parties/${currentPartyCode}/members/${memberId}`);
+        if (!memberSnapshot.exists()) {
+            throw new Error('該成員已不在隊伍中');
+        }
+
+        await backend.set(`parties/${currentPartyCode}/meta/leaderId`, memberId);
+        setLeaderId(memberId);
+        console.log(`房主已轉移給: ${memberId}`);
+    }
+
+    // 將成員移出隊伍並加入封鎖名單 (僅房主可操作)
+    async function kickMember(memberId) {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        requireOnline('移出成員');
+
+        if (!isLeader) {
+            throw new Error('只有房主可以移出成員');
+        }
+
+        if (memberId === currentMemberId) {
+            throw new Error('無法移出自己');
+        }
+
+        // 先封鎖再移除，避免對方在兩次寫入之間重新加入
+        await backend.set(`parties/${currentPartyCode}/bans/${memberId}`, backend.serverTimestamp());
+        await backend.remove(`parties/${currentPartyCode}/members/${memberId}`);
+        await backend.remove(`parties/${currentPartyCode}/presence/${memberId}`);
+        console.log(`已移出成員: ${memberId}`);
+    }
+
+    // 移除離線超過寬限期的成員 (由 SyncService 定期檢查後呼叫)
+    async function removeOfflineMember(memberId) {
+        const backend = getBackend();
+
+        if (!currentPartyCode || memberId === currentMemberId) return;
+
+        // 其他成員可能已先移除
+        const memberPath = `parties/${currentPartyCode}/members/${memberId}`;
+        const snapshot = await backend.get(memberPath);
+        if (!snapshot.exists()) return;
+
+        await backend.remove(memberPath);
+        await backend.remove(`parties/${currentPartyCode}/presence/${memberId}`);
+        console.log(`已移除離線成員: ${memberId}`);
+    }
+
+    // 檢查當前使用者是否可以修改順序 (觀戰者不能修改)
     function canModifyOrder() {
+        if (spectatingToken) return false;
         return isLeader || !orderLocked;
     }
 
-    // 自動優化路線順序
+    // ========== 觀戰連結 ==========
+
+    // 建立新的觀戰代碼：先寫入 spectators 索引，meta/spectatorToken 只能指向已存在的索引
+    async function createSpectatorToken(backend) {
+        const token = generateRandomCode(SPECTATOR_TOKEN_LENGTH);
+        await backend.set(`spectators/${token}`, {
+            partyCode: currentPartyCode,
+            createdBy: currentMemberId,
+            createdAt: backend.serverTimestamp()
+        });
+        return token;
+    }
+
+    // 移除觀戰副本與索引 (副本須先移除：索引移除後只有代碼已失效時才能清除副本)
+    async function removeSpectatorToken(backend, token) {
+        await backend.remove(`spectatorViews/${token}`);
+        await backend.remove(`spectators/${token}`);
+    }
+
+    // 立即寫入觀戰副本 (之後由 SyncService 隨資料變化更新)
+    async function publishSpectatorView(token) {
+        if (window.SyncService) {
+            await window.SyncService.publishSpectatorView(token);
+        }
+    }
+
+    // 取得隊伍的觀戰代碼，尚未建立時建立 (任何成員都可以分享)
+    async function getSpectatorToken() {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        requireOnline('建立觀戰連結');
+
+        const tokenPath = `parties/${currentPartyCode}/meta/spectatorToken`;
+        const snapshot = await backend.get(tokenPath);
+        if (snapshot.exists()) return snapshot.val();
+
+        const token = await createSpectatorToken(backend);
+        const result = await backend.transaction(tokenPath, (current) => (current ? undefined : token));
+
+        // 其他成員已先建立時改用對方的代碼，並移除自己建立的索引
+        if (!result.committed) {
+            await backend.remove(`spectators/${token}`);
+            return result.snapshot.val();
+        }
+
+        await publishSpectatorView(token);
+        console.log('已建立觀戰連結');
+        return token;
+    }
+
+    // 重設觀戰代碼，舊的觀戰連結立即失效 (僅房主可操作)
+    async function resetSpectatorToken() {
+        const backend = getBackend();
+
+        if (!currentPartyCode) {
+            throw new Error('尚未加入隊伍');
+        }
+
+        requireOnline('重設觀戰連結');
+
+        if (!isLeader) {
+            throw new Error('只有房主可以重設觀戰連結');
+        }
+
+        const tokenPath = `parties/${currentPartyCode}/meta/spectatorToken`;
+        const oldSnapshot = await backend.get(tokenPath);
+
+        const token = await createSpectatorToken(backend);
+        await backend.set(tokenPath, token);
+        if (oldSnapshot.exists()) {
+            await removeSpectatorToken(backend, oldSnapshot.val());
+        }
+        await publishSpectatorView(token);
+
+        console.log('觀戰連結已重設');
+        return token;
+    }
+
+    // 以觀戰代碼唯讀觀看隊伍 (不加入成員列表、不計入人數上限)
+    // 觀戰者只讀取觀戰副本 spectatorViews/{token}，不會得知加入用的隊伍代碼；
+    // 檢查通過後以 SyncService.startSync(null, { spectatorToken }) 同步
+    async function watchParty(token) {
+        const backend = getBackend();
+
+        token = String(token || '').toUpperCase().trim();
+        if (!isValidSpectatorToken(token)) {
+            throw new Error('觀戰連結格式不正確');
+        }
+
+        if (currentPartyCode) {
+            throw new Error('已在隊伍中，請先離開隊伍再觀戰');
+        }
+
+        // 確保已登入 (安全規則只允許已登入用戶讀取)
+        await AuthService.ensureSignedIn();
+
+        const metaSnapshot = await backend.get(`spectatorViews/${token}/meta`);
+        const meta = metaSnapshot.exists() ? metaSnapshot.val() : null;
+
+        // 隊伍已解散或觀戰連結已被房主重設
+        if (!meta || meta.spectatorToken !== token) {
+            throw new Error('觀戰連結已失效');
+        }
+
+        if (meta.expiresAt && Date.now() > meta.expiresAt) {
+            throw new Error('此隊伍已過期');
+        }
+
+        spectatingToken = token;
+        currentPartyExpiresAt = meta.expiresAt || null;
+        setLeaderId(meta.leaderId);
+        setOrderLocked(meta.orderLocked);
+        setRouteStartState(meta.routeStart || null);
+
+        console.log('開始觀戰');
+        return token;
+    }
+
+    // 停止觀戰 (不影響 localStorage 中已儲存的隊伍狀態)
+    function stopWatching() {
+        if (!spectatingToken) return;
+
+        if (window.SyncService) {
+            window.SyncService.stopSync();
+        }
+
+        spectatingToken = null;
+        currentPartyExpiresAt = null;
+        leaderId = null;
+        isLeader = false;
+        orderLocked = false;
+        routeStart = null;
+        console.log('已停止觀戰');
+    }
+
+    // 檢查是否正在觀戰
+    function isSpectating() {
+        return spectatingToken !== null;
+    }
+
+    // 取得觀戰中使用的觀戰代碼
+    function getSpectatingToken() {
+        return spectatingToken;
+    }
+
+    // 自動優化路線順序 (options.proposedOrder 為已確認的 firebaseKey 順序，省略時直接重新計算)
+    // options.basedOnOrder 為產生建議時的順序，目前順序不同時中止 (建議已過時)
     async function autoOptimizeRoute(options = {}) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
+        const backend = getBackend();
 
         if (!currentPartyCode) {
             throw new Error('尚未加入隊伍');
         }
 
+        requireOnline('優化路線');
+
+        if (!canModifyOrder()) {
+            throw new Error('順序已被房主鎖定');
+        }
+
         if (!window.RouteOptimizer) {
             throw new Error('RouteOptimizer 尚未載入');
         }
 
-        const treasuresRef = getRef(`parties/${currentPartyCode}/treasures`);
+        const treasuresPath = `parties/${currentPartyCode}/treasures`;
+
+        // 限制條件無法滿足時中止 Transaction，之後再拋出錯誤
+        let optimizeError = null;
 
         // 使用 Transaction 確保並發安全
-        await sdk.runTransaction(treasuresRef, (treasures) => {
+        await backend.transaction(treasuresPath, (treasures) => {
             if (!treasures) return treasures;
+            optimizeError = null;
 
             // 轉換為陣列格式
             const treasureArray = Object.entries(treasures).map(([key, value]) => ({
@@ -604,11 +1424,31 @@ const PartyService = (function() {
 
             if (treasureArray.length <= 1) return treasures;
 
-            // 使用 RouteOptimizer 優化
-            const optimized = window.RouteOptimizer.optimize(treasureArray, {
-                useMapGrouping: options.useMapGrouping !== false,
-                use2Opt: options.use2Opt || false
-            });
+            // 套用已確認的建議順序 (建議產生後藏寶點有增減、順序被調整或不再符合限制條件則中止)
+            if (options.proposedOrder) {
+                const proposed = options.proposedOrder;
+                if (!RouteOrder.isProposalApplicable(treasureArray, proposed, options.basedOnOrder, routeStart)) {
+                    optimizeError = new Error('路線已被其他成員修改，請重新優化');
+                    return;
+                }
+                proposed.forEach((key, index) => {
+                    treasures[key].order = index + 1;
+                });
+                return treasures;
+            }
+
+            // 使用 RouteOptimizer 優化 (套用隊伍共用的路線限制)
+            let optimized;
+            try {
+                optimized = window.RouteOptimizer.optimize(treasureArray, {
+                    useMapGrouping: options.useMapGrouping !== false,
+                    use2Opt: options.use2Opt || false,
+                    constraints: buildRouteConstraints(treasureArray)
+                });
+            } catch (error) {
+                optimizeError = error;
+                return;
+            }
 
             // 更新 order 欄位
             optimized.forEach((treasure, index) => {
@@ -620,15 +1460,20 @@ const PartyService = (function() {
             return treasures;
         });
 
+        if (optimizeError) throw optimizeError;
+
         console.log('路線已自動優化');
     }
 
     return {
         generatePartyCode,
         isValidCodeFormat,
+        isValidSpectatorToken,
         createParty,
         joinParty,
         leaveParty,
+        handleKicked,
+        restoreMembership,
         addTreasure,
         removeTreasure,
         toggleTreasureComplete,
@@ -636,13 +1481,38 @@ const PartyService = (function() {
         updateTreasurePlayer,
         updateTreasureOrder,
         swapTreasureOrder,
+        moveTreasureOrder,
+        sortByOrder,
+        hasOrderCollisions,
+        rebalanceOrders,
+        replayOfflineQueue,
+        onQueuedWriteRejected,
+        getPendingWriteCount,
         autoOptimizeRoute,
         toggleOrderLock,
+        setOfflineGracePeriod,
         isOrderLocked,
         setOrderLocked,
         getIsLeader,
-        setIsLeader,
+        getLeaderId,
+        setLeaderId,
+        claimLeaderIfVacant,
+        transferLeader,
+        kickMember,
+        removeOfflineMember,
         canModifyOrder,
+        getSpectatorToken,
+        resetSpectatorToken,
+        watchParty,
+        stopWatching,
+        isSpectating,
+        getSpectatingToken,
+        setTreasurePinnedPosition,
+        setTreasurePrecedence,
+        setRouteStart,
+        getRouteStart,
+        setRouteStartState,
+        buildRouteConstraints,
         clearCompletedTreasures,
         updateNickname,
         getCurrentPartyCode,
@@ -652,6 +1522,8 @@ const PartyService = (function() {
         getExpiresAt,
         setExpiresAt,
         getMaxMembers,
+        NOTE_MAX_LENGTH,
+        PLAYER_MAX_LENGTH,
         // 重連相關
         tryRejoinParty,
         hasSavedPartyState,
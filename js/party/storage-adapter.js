@@ -0,0 +1,107 @@
+// Storage Adapter
+// ===============
+// 隊伍同步後端的共用介面，PartyService / SyncService / AuthService 只透過此介面存取資料
+//
+// 每個後端 (adapter) 需實作:
+//   name                                  後端名稱
+//   isConfigured()                        是否已設定 (未設定時隊伍功能停用)
+//   initialize()                          建立連線，回傳 Promise<boolean>
+//   signIn()                              取得使用者身分，回傳 Promise<{ uid }>
+//   onAuthStateChanged(callback)          監聽使用者變化，回傳取消監聽函數
+//   get(path)                             讀取一次，回傳 Promise<snapshot>
+//   set(path, value)                      寫入 (value 為 null 時刪除)
+//   push(path)                            在本地產生唯一 key (離線也可使用)
+//   remove(path)                          刪除
+//   update(path, values)                  多路徑原子寫入，values 的 key 為相對於 path 的路徑 (值為 null 時刪除)
+//   transaction(path, updateFn)           原子更新，updateFn 回傳 undefined 時中止
+//                                         回傳 Promise<{ committed, snapshot }>
+//   onValue(path, callback, onError)      持續監聽，回傳取消監聽函數
+//                                         路徑 '.info/connected' 回報連線狀態 (true/false)
+//   onDisconnect(path)                    斷線時由伺服器執行: { set(value), remove(), cancel() }
+//   serverTimestamp()                     伺服器時間佔位值
+//
+// snapshot 格式與 Firebase DataSnapshot 相同: { key, exists(), val() }
+
+const StorageAdapter = (function() {
+    // 自架中繼伺服器網址 (可由 ?relay=wss://... 指定，?relay=off 取消)
+    const RELAY_STORAGE_KEY = 'ffxiv_treasure_relay_url';
+
+    const factories = {};
+    let active = null;
+    // 中繼伺服器網址 (undefined 表示尚未判斷)
+    let relayUrl;
+
+    // 註冊後端
+    function register(name, factory) {
+        factories[name] = factory;
+    }
+
+    // 建立並切換到指定後端
+    function use(name, options = {}) {
+        const factory = factories[name];
+        if (!factory) {
+            throw new Error(`未知的同步後端: ${name}`);
+        }
+        active = factory(options);
+        console.log(`同步後端: ${active.name}`);
+        return active;
+    }
+
+    // 取得目前使用中的後端
+    function get() {
+        return active;
+    }
+
+    // 取得自架中繼伺服器網址 (同一頁面只判斷一次)
+    function getRelayUrl() {
+        if (relayUrl === undefined) {
+            relayUrl = resolveRelayUrl();
+        }
+        return relayUrl;
+    }
+
+    // URL 參數指定新的伺服器時，需使用者確認才改用並記住，
+    // 避免他人以帶有 ?relay= 的邀請連結把隊伍資料導向自己的伺服器
+    function resolveRelayUrl() {
+        try {
+            const param = new URLSearchParams(window.location.search).get('relay');
+            const saved = localStorage.getItem(RELAY_STORAGE_KEY);
+            if (param === 'off') {
+                localStorage.removeItem(RELAY_STORAGE_KEY);
+                return null;
+            }
+            if (param && param !== saved) {
+                if (!confirm(`此連結要求改用自架同步伺服器:\n${param}\n\n隊伍資料會經過此伺服器，請只在信任連結來源時使用。確定要改用嗎？`)) {
+                    return saved;
+                }
+                localStorage.setItem(RELAY_STORAGE_KEY, param);
+                return param;
+            }
+            return saved;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // 依設定選擇後端: 有中繼伺服器網址時使用 relay，否則使用 Firebase
+    function useConfigured() {
+        if (active) return active;
+
+        const relayUrl = getRelayUrl();
+        if (relayUrl && factories.relay) {
+            return use('relay', { url: relayUrl });
+        }
+        return use('firebase');
+    }
+
+    return {
+        register,
+        use,
+        get,
+        getRelayUrl,
+        useConfigured
+    };
+})();
+
+// 匯出
+window.StorageAdapter = StorageAdapter;
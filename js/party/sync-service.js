@@ -3,16 +3,39 @@
 // 處理即時同步監聽
 
 const SyncService = (function() {
+    // 離線超過寬限期才移除成員 (firebase-rules.json 只允許移除離線超過 1 分鐘的成員)
+    // 寬限期由房主設定於 meta/offlineGracePeriod (見 PartyService.setOfflineGracePeriod)，未設定時使用預設值
+    const DEFAULT_OFFLINE_GRACE_MS = 3 * 60 * 1000;
+    const MIN_OFFLINE_GRACE_MS = 60 * 1000;
+    const MAX_OFFLINE_GRACE_MS = 30 * 60 * 1000;
+    const SWEEP_INTERVAL_MS = 15 * 1000;
+
     // 監聽器引用
     let membersUnsubscribe = null;
     let treasuresUnsubscribe = null;
     let connectionUnsubscribe = null;
     let metaUnsubscribe = null;
+    let banUnsubscribe = null;
+    let presenceUnsubscribe = null;
+    let presenceDisconnect = null;
+    let sweepTimer = null;
 
     // 連線狀態
     let isConnected = false;
     let currentPartyCode = null;
     let presenceSetup = false;
+    let lastTreasureArray = [];
+    let lastTreasures = null;
+    let lastMembers = null;
+    let lastMeta = null;
+    let lastPresence = {};
+    let isAway = false;
+    let offlineGraceMs = DEFAULT_OFFLINE_GRACE_MS;
+    // 觀戰模式時為觀戰代碼 (只讀取，不寫入連線狀態也不管理成員)
+    let spectatorToken = null;
+    // 最後一次寫入的觀戰副本 (內容未變化時不重複寫入)
+    let lastSpectatorView = null;
+    let spectatorViewScheduled = false;
 
     // 回調函數
     let callbacks = {
@@ -20,25 +43,28 @@ const SyncService = (function() {
         onTreasuresChange: null,
         onConnectionChange: null,
         onMetaChange: null,
+        onKicked: null,
+        onPresenceChange: null,
+        onSpectateEnded: null,
         onError: null
     };
 
-    // 取得 Firebase 參考
-    function getRef(path) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) throw new Error('Firebase SDK 尚未載入');
-        return sdk.ref(sdk.db, path);
+    // 取得目前的同步後端 (見 storage-adapter.js)
+    function getBackend() {
+        return window.StorageAdapter ? window.StorageAdapter.get() : null;
     }
 
     // 開始同步
-    function startSync(partyCode) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk) {
-            console.error('Firebase SDK 尚未載入');
+    // options.spectatorToken: 以觀戰代碼唯讀同步觀戰副本 spectatorViews/{token} (見 PartyService.watchParty)，
+    // 觀戰時不需要也不會取得隊伍代碼，partyCode 傳入 null
+    function startSync(partyCode, options = {}) {
+        const backend = getBackend();
+        if (!backend) {
+            console.error('同步後端尚未連線');
             return;
         }
 
-        if (!partyCode) {
+        if (!partyCode && !options.spectatorToken) {
             console.error('未提供隊伍代碼');
             return;
         }
@@ -46,16 +72,20 @@ const SyncService = (function() {
         // 先停止現有同步
         stopSync();
 
-        console.log(`開始同步隊伍: ${partyCode}`);
+        spectatorToken = options.spectatorToken || null;
+        const basePath = spectatorToken ? `spectatorViews/${spectatorToken}` : `parties/${partyCode}`;
+        console.log(spectatorToken ? '開始觀戰同步' : `開始同步隊伍: ${partyCode}`);
 
         // 監聽成員變化
-        const membersRef = getRef(`parties/${partyCode}/members`);
-        sdk.onValue(membersRef, (snapshot) => {
+        membersUnsubscribe = backend.onValue(`${basePath}/members`, (snapshot) => {
             const members = snapshot.val() || {};
             console.log('成員更新:', Object.keys(members).length, '人');
+            lastMembers = members;
             if (callbacks.onMembersChange) {
                 callbacks.onMembersChange(members);
             }
+            checkLeaderVacancy();
+            scheduleSpectatorView();
         }, (error) => {
             console.error('成員同步錯誤:', error);
             if (callbacks.onError) {
@@ -63,22 +93,19 @@ const SyncService = (function() {
             }
         });
 
-        // 保存取消監聽函數
-        membersUnsubscribe = () => sdk.off(membersRef);
-
         // 監聽藏寶圖變化
-        const treasuresRef = getRef(`parties/${partyCode}/treasures`);
-        sdk.onValue(treasuresRef, (snapshot) => {
+        treasuresUnsubscribe = backend.onValue(`${basePath}/treasures`, (snapshot) => {
             const treasures = snapshot.val() || {};
+            lastTreasures = treasures;
             // 將 Firebase key 加入每個藏寶圖物件中
             const treasureArray = Object.entries(treasures).map(([key, value]) => ({
                 ...value,
                 firebaseKey: key
             }));
             console.log('藏寶圖更新:', treasureArray.length, '個');
-            if (callbacks.onTreasuresChange) {
-                callbacks.onTreasuresChange(treasureArray);
-            }
+            lastTreasureArray = treasureArray;
+            emitTreasures();
+            scheduleSpectatorView();
         }, (error) => {
             console.error('藏寶圖同步錯誤:', error);
             if (callbacks.onError) {
@@ -86,16 +113,24 @@ const SyncService = (function() {
             }
         });
 
-        treasuresUnsubscribe = () => sdk.off(treasuresRef);
-
         // 監聽隊伍元資料變化 (過期時間等)
-        const metaRef = getRef(`parties/${partyCode}/meta`);
-        sdk.onValue(metaRef, (snapshot) => {
+        metaUnsubscribe = backend.onValue(`${basePath}/meta`, (snapshot) => {
             const meta = snapshot.val() || {};
             console.log('隊伍元資料更新:', meta);
+            lastMeta = meta;
+            setOfflineGracePeriod(meta.offlineGracePeriod);
             if (callbacks.onMetaChange) {
                 callbacks.onMetaChange(meta);
             }
+            // 房主重設觀戰連結或隊伍已解散時結束觀戰
+            if (spectatorToken && meta.spectatorToken !== spectatorToken) {
+                if (callbacks.onSpectateEnded) {
+                    callbacks.onSpectateEnded();
+                }
+                return;
+            }
+            checkLeaderVacancy();
+            scheduleSpectatorView();
         }, (error) => {
             console.error('元資料同步錯誤:', error);
             if (callbacks.onError) {
@@ -103,48 +138,244 @@ const SyncService = (function() {
             }
         });
 
-        metaUnsubscribe = () => sdk.off(metaRef);
+        // 監聽成員的連線狀態 (online / away / offline)
+        presenceUnsubscribe = backend.onValue(`${basePath}/presence`, (snapshot) => {
+            lastPresence = snapshot.val() || {};
+            if (callbacks.onPresenceChange) {
+                callbacks.onPresenceChange(lastPresence);
+            }
+            scheduleSpectatorView();
+        }, (error) => {
+            console.error('連線狀態同步錯誤:', error);
+        });
+
+        // 監聽是否被房主移出 (封鎖名單中出現自己)
+        const userId = AuthService.getUserId();
+        if (userId && !spectatorToken) {
+            banUnsubscribe = backend.onValue(`parties/${partyCode}/bans/${userId}`, (snapshot) => {
+                if (snapshot.exists() && callbacks.onKicked) {
+                    callbacks.onKicked();
+                }
+            }, (error) => {
+                console.error('封鎖名單同步錯誤:', error);
+            });
+        }
 
         // 監聽連線狀態並設定 Presence 系統
-        const connectedRef = getRef('.info/connected');
-        sdk.onValue(connectedRef, async (snapshot) => {
+        connectionUnsubscribe = backend.onValue('.info/connected', async (snapshot) => {
             const wasConnected = isConnected;
             isConnected = snapshot.val() === true;
             console.log('連線狀態:', isConnected ? '已連線' : '離線');
 
-            // 當連線建立時，設定 onDisconnect
-            if (isConnected && !presenceSetup) {
+            // 斷線時伺服器已執行 onDisconnect，恢復連線後需重新設定
+            if (!isConnected) {
+                presenceSetup = false;
+            }
+
+            // 當連線建立時，設定 onDisconnect (觀戰者不是成員，不寫入連線狀態)
+            if (isConnected && !presenceSetup && !spectatorToken) {
                 await setupPresence(partyCode);
             }
 
             if (callbacks.onConnectionChange) {
                 callbacks.onConnectionChange(isConnected);
             }
+
+            // 恢復連線時重送離線期間的寫入
+            if (isConnected && !wasConnected && !spectatorToken && window.PartyService) {
+                window.PartyService.replayOfflineQueue();
+            }
+
+            checkLeaderVacancy();
+            scheduleSpectatorView();
         });
 
-        connectionUnsubscribe = () => sdk.off(connectedRef);
+        // 定期移除離線超過寬限期的成員
+        if (!spectatorToken) {
+            sweepTimer = setInterval(sweepOfflineMembers, SWEEP_INTERVAL_MS);
+        }
+
         currentPartyCode = partyCode;
     }
 
-    // 設定 Presence 系統 (斷線自動移除成員)
+    // 房主已不在成員列表中時，由接任者自動成為房主 (需同時取得成員與元資料且在線)
+    function checkLeaderVacancy() {
+        if (spectatorToken || !lastMembers || !lastMeta || !isConnected || !window.PartyService) return;
+
+        window.PartyService.claimLeaderIfVacant(lastMembers, lastMeta.leaderId).catch(error => {
+            console.error('接任房主失敗:', error);
+        });
+    }
+
+    // ========== 觀戰副本 ==========
+
+    // 同一輪的多個監聽更新合併為一次寫入 (由 isActingLeader 的成員寫入)
+    function scheduleSpectatorView() {
+        if (spectatorToken || spectatorViewScheduled) return;
+        spectatorViewScheduled = true;
+        Promise.resolve().then(() => {
+            spectatorViewScheduled = false;
+            const token = lastMeta ? lastMeta.spectatorToken : null;
+            if (!token || !isConnected || !isActingLeader(AuthService.getUserId())) return;
+            publishSpectatorView(token).catch(error => {
+                console.warn('更新觀戰副本失敗:', error);
+            });
+        });
+    }
+
+    /**
+     * 將目前同步的隊伍資料複製到觀戰副本 spectatorViews/{token} (不含隊伍代碼)
+     * 建立或重設觀戰代碼時由 PartyService 直接呼叫，之後隨資料變化自動更新
+     * @param {string} token - 觀戰代碼
+     */
+    async function publishSpectatorView(token) {
+        const backend = getBackend();
+        if (!backend || spectatorToken || !currentPartyCode || !lastMeta || !lastMembers) return;
+
+        const view = {
+            meta: {
+                expiresAt: lastMeta.expiresAt || null,
+                leaderId: lastMeta.leaderId || null,
+                orderLocked: !!lastMeta.orderLocked,
+                routeStart: lastMeta.routeStart || null,
+                spectatorToken: token
+            },
+            members: lastMembers,
+            presence: lastPresence,
+            treasures: lastTreasures
+        };
+        if (lastSpectatorView && DataTree.isEqual(lastSpectatorView, view)) return;
+
+        lastSpectatorView = DataTree.clone(view);
+        try {
+            await backend.set(`spectatorViews/${token}`, view);
+        } catch (error) {
+            lastSpectatorView = null;
+            throw error;
+        }
+    }
+
+    // 通知藏寶圖變化 (套用離線佇列中尚未送出的寫入)
+    function emitTreasures() {
+        if (!callbacks.onTreasuresChange) return;
+
+        const treasures = window.OfflineQueue && currentPartyCode
+            ? window.OfflineQueue.applyPending(currentPartyCode, lastTreasureArray)
+            : lastTreasureArray;
+        callbacks.onTreasuresChange(treasures);
+    }
+
+    // 以最後一次同步的資料重新通知 (離線佇列變更時使用)
+    function refreshTreasures() {
+        emitTreasures();
+    }
+
+    // 設定 Presence 系統 (斷線時標記為離線，成員資料保留到寬限期結束)
     async function setupPresence(partyCode) {
-        const sdk = window.FirebaseSDK;
-        if (!sdk || !sdk.onDisconnect) return;
+        const backend = getBackend();
+        if (!backend) return;
 
         const userId = AuthService.getUserId();
         if (!userId) return;
 
         try {
-            const memberRef = getRef(`parties/${partyCode}/members/${userId}`);
-            // 設定斷線時自動移除此成員
-            await sdk.onDisconnect(memberRef).remove();
+            // 離線超過寬限期已被移除時重新加入 (否則之後的寫入會被安全規則拒絕)
+            if (window.PartyService) {
+                await window.PartyService.restoreMembership();
+            }
+
+            // 先設定斷線時的離線狀態，再標記為在線
+            const presencePath = `parties/${partyCode}/presence/${userId}`;
+            presenceDisconnect = backend.onDisconnect(presencePath);
+            await presenceDisconnect.set({ state: 'offline', lastSeen: backend.serverTimestamp() });
+            await writePresence(isAway ? 'away' : 'online');
             presenceSetup = true;
-            console.log('Presence 系統已設定：斷線時將自動移除成員');
+            console.log('Presence 系統已設定：斷線時將標記為離線');
         } catch (error) {
             console.error('設定 Presence 失敗:', error);
         }
     }
 
+    // 寫入自己的連線狀態
+    function writePresence(state) {
+        const backend = getBackend();
+        const userId = AuthService.getUserId();
+        if (!backend || !currentPartyCode || !userId) return Promise.resolve();
+
+        return backend.set(`parties/${currentPartyCode}/presence/${userId}`, {
+            state,
+            lastSeen: backend.serverTimestamp()
+        });
+    }
+
+    // 切換暫離狀態 (分頁切到背景時)
+    function setAway(away) {
+        if (isAway === !!away) return;
+        isAway = !!away;
+
+        if (!isConnected || !presenceSetup || spectatorToken) return;
+        writePresence(isAway ? 'away' : 'online').catch(error => {
+            console.warn('更新連線狀態失敗:', error);
+        });
+    }
+
+    // 取得成員的連線狀態 (沒有記錄時視為離線)
+    function getMemberStatus(memberId) {
+        const presence = lastPresence[memberId];
+        if (!presence) return 'offline';
+        return presence.state === 'online' || presence.state === 'away' ? presence.state : 'offline';
+    }
+
+    // 只需一位成員處理的寫入 (觀戰副本、重新編號順序) 由房主負責；房主離線時由在線成員中 ID 最小者代理
+    function isActingLeader(userId) {
+        const leaderId = lastMeta ? lastMeta.leaderId : null;
+        if (leaderId && getMemberStatus(leaderId) !== 'offline') {
+            return leaderId === userId;
+        }
+        const onlineIds = Object.keys(lastMembers || {})
+            .filter(memberId => memberId === userId || getMemberStatus(memberId) !== 'offline')
+            .sort();
+        return onlineIds[0] === userId;
+    }
+
+    // 移除離線超過寬限期的成員，回傳被移除的成員 ID
+    // 由房主處理；房主在線時其他成員多等一個寬限期，避免同時寫入
+    function sweepOfflineMembers() {
+        if (spectatorToken || !isConnected || !lastMembers || !window.PartyService) return [];
+
+        const userId = AuthService.getUserId();
+        if (!userId || !lastMembers[userId]) return [];
+
+        const leaderId = lastMeta ? lastMeta.leaderId : null;
+        const leaderOnline = !!leaderId && leaderId !== userId && getMemberStatus(leaderId) !== 'offline';
+        const grace = leaderOnline ? offlineGraceMs * 2 : offlineGraceMs;
+        const now = Date.now();
+
+        const staleIds = Object.keys(lastMembers).filter(memberId => {
+            if (memberId === userId || getMemberStatus(memberId) !== 'offline') return false;
+            const lastSeen = lastPresence[memberId] && lastPresence[memberId].lastSeen;
+            return typeof lastSeen === 'number' && now - lastSeen > grace;
+        });
+
+        staleIds.forEach(memberId => {
+            window.PartyService.removeOfflineMember(memberId).catch(error => {
+                console.warn('移除離線成員失敗:', error);
+            });
+        });
+        return staleIds;
+    }
+
+    // 設定離線寬限期 (毫秒，限制在安全規則允許的範圍內，未設定時使用預設值)
+    function setOfflineGracePeriod(ms) {
+        const value = Number(ms) || DEFAULT_OFFLINE_GRACE_MS;
+        offlineGraceMs = Math.min(MAX_OFFLINE_GRACE_MS, Math.max(MIN_OFFLINE_GRACE_MS, value));
+    }
+
+    // 取得離線寬限期
+    function getOfflineGracePeriod() {
+        return offlineGraceMs;
+    }
+
     // 停止同步
     function stopSync() {
         if (membersUnsubscribe) {
@@ -159,12 +390,38 @@ const SyncService = (function() {
             metaUnsubscribe();
             metaUnsubscribe = null;
         }
+        if (banUnsubscribe) {
+            banUnsubscribe();
+            banUnsubscribe = null;
+        }
+        if (presenceUnsubscribe) {
+            presenceUnsubscribe();
+            presenceUnsubscribe = null;
+        }
+        if (sweepTimer) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+        // 主動停止同步 (離開或被移出隊伍) 時不再於斷線後寫入離線狀態
+        if (presenceDisconnect) {
+            Promise.resolve(presenceDisconnect.cancel()).catch(() => {});
+            presenceDisconnect = null;
+        }
         if (connectionUnsubscribe) {
             connectionUnsubscribe();
             connectionUnsubscribe = null;
         }
-        // 重置 Presence 狀態
+        // 重置 Presence 與連線狀態 (重新同步時由 .info/connected 觸發佇列重送)
         currentPartyCode = null;
+        spectatorToken = null;
+        isConnected = false;
+        lastTreasureArray = [];
+        lastTreasures = null;
+        lastMembers = null;
+        lastMeta = null;
+        lastPresence = {};
+        lastSpectatorView = null;
+        offlineGraceMs = DEFAULT_OFFLINE_GRACE_MS;
         presenceSetup = false;
         console.log('已停止同步');
     }
@@ -189,6 +446,21 @@ const SyncService = (function() {
         callbacks.onMetaChange = callback;
     }
 
+    // 設定被房主移出的回調
+    function onKicked(callback) {
+        callbacks.onKicked = callback;
+    }
+
+    // 設定成員連線狀態變化回調
+    function onPresenceChange(callback) {
+        callbacks.onPresenceChange = callback;
+    }
+
+    // 設定觀戰結束 (觀戰連結被重設或隊伍已解散) 的回調
+    function onSpectateEnded(callback) {
+        callbacks.onSpectateEnded = callback;
+    }
+
     // 設定錯誤回調
     function onError(callback) {
         callbacks.onError = callback;
@@ -206,6 +478,9 @@ const SyncService = (function() {
             onTreasuresChange: null,
             onConnectionChange: null,
             onMetaChange: null,
+            onKicked: null,
+            onPresenceChange: null,
+            onSpectateEnded: null,
             onError: null
         };
     }
@@ -217,8 +492,18 @@ const SyncService = (function() {
         onTreasuresChange,
         onConnectionChange,
         onMetaChange,
+        onKicked,
+        onPresenceChange,
+        onSpectateEnded,
         onError,
         getConnectionStatus,
+        getMemberStatus,
+        isActingLeader,
+        setAway,
+        sweepOfflineMembers,
+        getOfflineGracePeriod,
+        refreshTreasures,
+        publishSpectatorView,
         clearCallbacks
     };
 })();
@@ -1,9 +1,18 @@
 /**
  * 路線優化模組
- * 使用地圖分組 + 最近鄰居法優化藏寶點路線
+ * 藏寶點少時以 Held-Karp 精確求解，否則使用地圖分組 + 最近鄰居法
+ * 以「傳送 + 坐騎移動」的預估時間作為路線成本
+ * 可附加限制條件：固定順位、指定起點區域/傳送點、先後順序
  */
 const RouteOptimizer = (function() {
 
+    // 傳送所需秒數 (詠唱 + 讀取)
+    const TELEPORT_SECONDS = 15;
+    // 坐騎移動速度 (yalm/秒)
+    const MOUNT_SPEED = 20;
+    // 精確求解的藏寶點數上限 (Held-Karp 為 O(2^n * n^2))
+    const EXACT_SOLVER_LIMIT = 12;
+
     /**
      * 計算兩點間的歐幾里得距離
      */
@@ -12,82 +21,305 @@ const RouteOptimizer = (function() {
     }
 
     /**
-     * 按地圖分組藏寶點
+     * 地圖座標轉換為世界座標 (yalm)
+     * 公式來源: https://github.com/xivapi/ffxiv-datamining/blob/master/docs/MapCoordinates.md
+     * raw = (coord - 1) * 2048 / 41 - 1024 / scale
      */
-    function groupByMap(treasures) {
-        return treasures.reduce((groups, treasure) => {
-            const mapId = treasure.mapId;
-            if (!groups[mapId]) groups[mapId] = [];
-            groups[mapId].push(treasure);
-            return groups;
-        }, {});
+    function toWorldCoords(coords, mapId) {
+        const sizeFactor = MAP_DATA[mapId]?.size_factor || 100;
+        const scale = sizeFactor / 100;
+        return {
+            x: (coords.x - 1) * 2048 / 41 - 1024 / scale,
+            y: (coords.y - 1) * 2048 / 41 - 1024 / scale
+        };
+    }
+
+    /**
+     * 同一地圖內兩點間的坐騎移動時間 (秒)
+     */
+    function calcTravelTime(p1, p2, mapId) {
+        const w1 = toWorldCoords(p1, mapId);
+        const w2 = toWorldCoords(p2, mapId);
+        return calcDistance(w1, w2) / MOUNT_SPEED;
     }
 
     /**
-     * 計算一組藏寶點的中心座標
+     * 傳送到藏寶點所在區域並騎乘前往的時間 (秒)
+     * 區域沒有傳送點資料時，以地圖中央作為落地點
      */
-    function calcCenter(treasures) {
-        if (treasures.length === 0) return { x: 20, y: 20 };
-        const sum = treasures.reduce((acc, t) => ({
-            x: acc.x + t.coords.x,
-            y: acc.y + t.coords.y
-        }), { x: 0, y: 0 });
+    function calcTeleportTime(treasure) {
+        const zoneId = MAP_DATA[treasure.mapId]?.placename_id;
+        const aetheryte = zoneId ? findNearestAetheryte(zoneId, treasure.coords) : null;
+
+        let travel;
+        if (aetheryte) {
+            travel = calcTravelTime(aetheryte.coords, treasure.coords, treasure.mapId);
+        } else {
+            const world = toWorldCoords(treasure.coords, treasure.mapId);
+            travel = calcDistance({ x: 0, y: 0 }, world) / MOUNT_SPEED;
+        }
+
         return {
-            x: sum.x / treasures.length,
-            y: sum.y / treasures.length
+            time: TELEPORT_SECONDS + travel,
+            aetheryte
         };
     }
 
     /**
-     * 地圖內排序 - 最近鄰居法
-     * @param {Array} treasures - 同一地圖的藏寶點陣列
-     * @param {Object} startCoords - 起始座標 (可選，預設用第一個藏寶點)
+     * 規劃單一路段：從 from 前往 to
+     * 不同地圖必須傳送；同地圖則比較直接騎乘與傳送到最近傳送點
+     * @param {Object|null} from - 上一個藏寶點 (null 表示路線起點)
+     * @param {Object} to - 下一個藏寶點
+     * @returns {{ time: number, teleport: boolean, aetheryte: Object|null }}
      */
-    function sortWithinMap(treasures, startCoords = null) {
-        if (treasures.length <= 1) return [...treasures];
+    function planLeg(from, to) {
+        const teleport = calcTeleportTime(to);
 
-        const result = [];
-        const remaining = [...treasures];
+        if (!from || from.mapId !== to.mapId) {
+            return { time: teleport.time, teleport: true, aetheryte: teleport.aetheryte };
+        }
 
-        // 選擇起始點
-        let currentIdx = 0;
-        if (startCoords) {
-            // 找離起始座標最近的藏寶點
-            let minDist = Infinity;
-            remaining.forEach((t, idx) => {
-                const dist = calcDistance(startCoords, t.coords);
-                if (dist < minDist) {
-                    minDist = dist;
-                    currentIdx = idx;
+        const ride = calcTravelTime(from.coords, to.coords, to.mapId);
+        if (teleport.time < ride) {
+            return { time: teleport.time, teleport: true, aetheryte: teleport.aetheryte };
+        }
+        return { time: ride, teleport: false, aetheryte: null };
+    }
+
+    /**
+     * 計算單一路段時間 (秒)
+     */
+    function calcLegTime(from, to) {
+        return planLeg(from, to).time;
+    }
+
+    /**
+     * 取得藏寶點在限制條件中使用的 key (隊伍模式為 firebaseKey)
+     */
+    function getKey(treasure) {
+        return String(treasure.firebaseKey ?? treasure.id);
+    }
+
+    /**
+     * 解析起點限制 { zoneId, aetheryte } (aetheryte 為傳送點名稱，可省略)
+     */
+    function resolveStart(start) {
+        if (!start || !start.zoneId) return null;
+        const zoneId = Number(start.zoneId);
+        const aetheryte = start.aetheryte
+            ? (ZONE_AETHERYTES[zoneId] || []).find(a => a.name === start.aetheryte) || null
+            : null;
+        return { zoneId, aetheryte };
+    }
+
+    /**
+     * 規劃路線第一段：指定起點傳送點時，從該傳送點出發
+     * @param {Object} to - 第一站藏寶點
+     * @param {Object|null} start - resolveStart 的結果
+     */
+    function planStartLeg(to, start) {
+        if (!start || !start.aetheryte) return planLeg(null, to);
+
+        const leg = planLeg({ mapId: to.mapId, coords: start.aetheryte.coords }, to);
+        return {
+            time: TELEPORT_SECONDS + leg.time,
+            teleport: true,
+            aetheryte: leg.teleport ? leg.aetheryte : start.aetheryte
+        };
+    }
+
+    /**
+     * 藏寶點是否位於起點區域
+     */
+    function isInStartZone(treasure, start) {
+        return !start || MAP_DATA[treasure.mapId]?.placename_id === start.zoneId;
+    }
+
+    /**
+     * 找出無效的固定順位: 超出路線範圍 (例如移除藏寶圖後原本的第 N 站已不存在)，
+     * 或與其他藏寶點固定在同一站。求解時略過這些固定順位
+     * @param {Array} treasures - 藏寶點陣列
+     * @param {Object} constraints - 限制條件 (格式見 resolveConstraints)
+     * @returns {Set<string>} 無效固定順位的藏寶點 key
+     */
+    function findInvalidPins(treasures, constraints) {
+        const n = treasures.length;
+        const pinned = constraints?.pinned || {};
+        const invalid = new Set();
+        const keysByPosition = new Map();
+
+        treasures.forEach(t => {
+            const key = getKey(t);
+            const position = Object.prototype.hasOwnProperty.call(pinned, key) ? pinned[key] : null;
+            if (position === null || position === undefined) return;
+
+            const pos = Number(position);
+            if (!Number.isInteger(pos) || pos < 1 || pos > n) {
+                invalid.add(key);
+                return;
+            }
+            if (!keysByPosition.has(pos)) keysByPosition.set(pos, []);
+            keysByPosition.get(pos).push(key);
+        });
+
+        // 同一站有多個藏寶點時全部略過 (不依路線順序決定保留哪一個)
+        keysByPosition.forEach(keys => {
+            if (keys.length > 1) keys.forEach(key => invalid.add(key));
+        });
+
+        return invalid;
+    }
+
+    /**
+     * 新增先後順序 (before 早於 after) 是否會形成循環，也就是 after 已直接或間接要求早於 before
+     * @param {Array} precedence - 現有的先後順序 [[先到的 key, 後到的 key], ...]
+     */
+    function createsPrecedenceCycle(precedence, before, after) {
+        if (before === after) return true;
+
+        const laterKeys = new Map();
+        precedence.forEach(([from, to]) => {
+            if (!laterKeys.has(from)) laterKeys.set(from, []);
+            laterKeys.get(from).push(to);
+        });
+
+        const visited = new Set([after]);
+        const stack = [after];
+        while (stack.length > 0) {
+            for (const key of laterKeys.get(stack.pop()) || []) {
+                if (key === before) return true;
+                if (!visited.has(key)) {
+                    visited.add(key);
+                    stack.push(key);
                 }
-            });
+            }
         }
+        return false;
+    }
 
-        // 最近鄰居法
-        while (remaining.length > 0) {
-            const current = remaining.splice(currentIdx, 1)[0];
-            result.push(current);
+    /**
+     * 整理限制條件，略過已不在路線中的藏寶點與無效的固定順位 (見 findInvalidPins)
+     * @param {Array} treasures - 藏寶點陣列
+     * @param {Object} constraints - 限制條件
+     * @param {Object} constraints.start - 起點 { zoneId, aetheryte }
+     * @param {Object} constraints.pinned - 固定順位 { key: 第幾站 (從 1 開始) }
+     * @param {Array} constraints.precedence - 先後順序 [[先到的 key, 後到的 key], ...]
+     * @returns {Object|null} 沒有任何有效限制時回傳 null
+     */
+    function resolveConstraints(treasures, constraints) {
+        if (!constraints) return null;
+
+        const keys = new Set(treasures.map(getKey));
+        const start = resolveStart(constraints.start);
+
+        // key → 0-based 順位
+        const pinned = new Map();
+        const invalidPins = findInvalidPins(treasures, constraints);
+        Object.entries(constraints.pinned || {}).forEach(([key, position]) => {
+            if (!keys.has(key) || invalidPins.has(key) || position === null || position === undefined) return;
+            pinned.set(key, Number(position) - 1);
+        });
+
+        const precedence = (constraints.precedence || []).filter(([before, after]) =>
+            before !== after && keys.has(before) && keys.has(after)
+        );
+
+        if (!start && pinned.size === 0 && precedence.length === 0) return null;
+
+        return { start, pinned, precedence };
+    }
+
+    /**
+     * 檢查路線是否符合限制條件
+     * @param {Array} route - 排序後的藏寶點陣列
+     * @param {Object} constraints - 限制條件 (格式同 optimize 的 options.constraints)
+     */
+    function satisfiesConstraints(route, constraints) {
+        return checkResolved(route, resolveConstraints(route, constraints));
+    }
+
+    function checkResolved(route, resolved) {
+        if (!resolved || route.length === 0) return true;
+
+        if (!isInStartZone(route[0], resolved.start)) return false;
+
+        const positions = new Map(route.map((t, idx) => [getKey(t), idx]));
+        for (const [key, pos] of resolved.pinned) {
+            if (positions.get(key) !== pos) return false;
+        }
+        return resolved.precedence.every(([before, after]) =>
+            positions.get(before) < positions.get(after)
+        );
+    }
 
-            if (remaining.length === 0) break;
+    /**
+     * 按地圖分組藏寶點
+     */
+    function groupByMap(treasures) {
+        return treasures.reduce((groups, treasure) => {
+            const mapId = treasure.mapId;
+            if (!groups[mapId]) groups[mapId] = [];
+            groups[mapId].push(treasure);
+            return groups;
+        }, {});
+    }
 
-            // 找下一個最近的點
+    /**
+     * 最近鄰居法 (以路段時間為成本)
+     * @param {Array} treasures - 藏寶點陣列
+     * @param {Object|null} from - 出發的藏寶點 (null 表示傳送進入)
+     * @param {number} firstIdx - 第一站在 treasures 中的索引
+     * @returns {{ route: Array, time: number }}
+     */
+    function nearestNeighbour(treasures, from, firstIdx) {
+        const remaining = [...treasures];
+        const route = remaining.splice(firstIdx, 1);
+        let time = calcLegTime(from, route[0]);
+
+        while (remaining.length > 0) {
+            const current = route[route.length - 1];
+
+            // 找下一個最快抵達的點
             let nearestIdx = 0;
-            let minDist = Infinity;
+            let minTime = Infinity;
             remaining.forEach((t, idx) => {
-                const dist = calcDistance(current.coords, t.coords);
-                if (dist < minDist) {
-                    minDist = dist;
+                const legTime = calcLegTime(current, t);
+                if (legTime < minTime) {
+                    minTime = legTime;
                     nearestIdx = idx;
                 }
             });
-            currentIdx = nearestIdx;
+
+            time += minTime;
+            route.push(remaining.splice(nearestIdx, 1)[0]);
         }
 
-        return result;
+        return { route, time };
+    }
+
+    /**
+     * 地圖內排序 - 最近鄰居法
+     * 逐一嘗試每個藏寶點作為第一站，取總時間最短的路線
+     * @param {Array} treasures - 同一地圖的藏寶點陣列
+     * @param {Object} from - 上一站藏寶點 (可選，預設為傳送進入)
+     */
+    function sortWithinMap(treasures, from = null) {
+        if (treasures.length <= 1) return [...treasures];
+
+        let best = null;
+        for (let i = 0; i < treasures.length; i++) {
+            const candidate = nearestNeighbour(treasures, from, i);
+            if (!best || candidate.time < best.time) {
+                best = candidate;
+            }
+        }
+
+        return best.route;
     }
 
     /**
-     * 地圖間排序 - 按藏寶點數量和位置
+     * 地圖間排序 - 按藏寶點數量和路段時間
+     * 跨地圖一律傳送，因此下一張地圖取決於傳送到其最佳第一站的時間
      * @param {Object} mapGroups - 按地圖分組的藏寶點
      * @returns {Array} 排序後的地圖ID陣列
      */
@@ -95,6 +327,12 @@ const RouteOptimizer = (function() {
         const mapIds = Object.keys(mapGroups).map(Number);
         if (mapIds.length <= 1) return mapIds;
 
+        // 每張地圖各自的最佳路線
+        const plans = {};
+        mapIds.forEach(id => {
+            plans[id] = sortWithinMap(mapGroups[id]);
+        });
+
         const result = [];
         const remaining = new Set(mapIds);
 
@@ -109,16 +347,16 @@ const RouteOptimizer = (function() {
 
             if (remaining.size === 0) break;
 
-            // 找下一個最近的地圖 (用中心點距離)
-            const currentCenter = calcCenter(mapGroups[currentMapId]);
+            // 找下一個最快抵達的地圖
+            const currentPlan = plans[currentMapId];
+            const lastStop = currentPlan[currentPlan.length - 1];
             let nearestMapId = null;
-            let minDist = Infinity;
+            let minTime = Infinity;
 
             for (const mapId of remaining) {
-                const center = calcCenter(mapGroups[mapId]);
-                const dist = calcDistance(currentCenter, center);
-                if (dist < minDist) {
-                    minDist = dist;
+                const legTime = calcLegTime(lastStop, plans[mapId][0]);
+                if (legTime < minTime) {
+                    minTime = legTime;
                     nearestMapId = mapId;
                 }
             }
@@ -131,12 +369,16 @@ const RouteOptimizer = (function() {
 
     /**
      * 2-opt 改進 (可選)
-     * 嘗試交換路段來縮短總距離
+     * 嘗試反轉路段來降低路線成本
+     * @param {Array} treasures - 藏寶點陣列
+     * @param {number} maxIterations - 最大迭代次數
+     * @param {Function} costFn - 路線成本函數 (預設為總距離)
      */
-    function improve2Opt(treasures, maxIterations = 50) {
-        if (treasures.length <= 3) return [...treasures];
+    function improve2Opt(treasures, maxIterations = 50, costFn = calcTotalDistance) {
+        if (treasures.length <= 2) return [...treasures];
 
         let route = [...treasures];
+        let bestCost = costFn(route);
         let improved = true;
         let iteration = 0;
 
@@ -144,22 +386,19 @@ const RouteOptimizer = (function() {
             improved = false;
             iteration++;
 
-            for (let i = 0; i < route.length - 2; i++) {
-                for (let k = i + 2; k < route.length; k++) {
-                    // 計算交換前後的距離差
-                    const d1 = calcDistance(route[i].coords, route[i + 1].coords);
-                    const d2 = calcDistance(route[k].coords, route[(k + 1) % route.length].coords);
-                    const d3 = calcDistance(route[i].coords, route[k].coords);
-                    const d4 = calcDistance(route[i + 1].coords, route[(k + 1) % route.length].coords);
-
-                    if (d3 + d4 < d1 + d2) {
-                        // 反轉 [i+1, k] 區段
-                        const reversed = route.slice(i + 1, k + 1).reverse();
-                        route = [
-                            ...route.slice(0, i + 1),
-                            ...reversed,
-                            ...route.slice(k + 1)
-                        ];
+            for (let i = 0; i < route.length - 1; i++) {
+                for (let k = i + 1; k < route.length; k++) {
+                    // 反轉 [i, k] 區段
+                    const candidate = [
+                        ...route.slice(0, i),
+                        ...route.slice(i, k + 1).reverse(),
+                        ...route.slice(k + 1)
+                    ];
+                    const cost = costFn(candidate);
+
+                    if (cost < bestCost - 1e-9) {
+                        route = candidate;
+                        bestCost = cost;
                         improved = true;
                     }
                 }
@@ -183,23 +422,125 @@ const RouteOptimizer = (function() {
     }
 
     /**
-     * 主優化函數
-     * @param {Array} treasures - 藏寶點陣列
-     * @param {Object} options - 選項
-     * @param {boolean} options.useMapGrouping - 是否按地圖分組 (預設 true)
-     * @param {boolean} options.use2Opt - 是否使用 2-opt 改進 (預設 false)
-     * @returns {Array} 優化後的藏寶點陣列
+     * 計算路線預估總時間 (秒)，包含傳送到第一站
+     * @param {Array} treasures - 排序後的藏寶點陣列
+     * @param {Object} constraints - 限制條件 (可選，僅使用其中的起點)
      */
-    function optimize(treasures, options = {}) {
-        const {
-            useMapGrouping = true,
-            use2Opt = false
-        } = options;
+    function calcTotalTime(treasures, constraints = null) {
+        return calcRouteTime(treasures, resolveStart(constraints?.start));
+    }
 
-        if (!treasures || treasures.length <= 1) {
-            return treasures ? [...treasures] : [];
+    function calcRouteTime(treasures, start) {
+        let total = 0;
+        for (let i = 0; i < treasures.length; i++) {
+            total += i > 0
+                ? calcLegTime(treasures[i - 1], treasures[i])
+                : planStartLeg(treasures[0], start).time;
+        }
+        return total;
+    }
+
+    /**
+     * 精確求解 - Held-Karp 動態規劃
+     * 以 calcLegTime 為成本，回傳可證明最短總時間的路線 (起點為傳送進入)
+     * 有限制條件時，只展開符合固定順位、起點與先後順序的狀態
+     * @param {Array} treasures - 藏寶點陣列 (最多 EXACT_SOLVER_LIMIT 個)
+     * @param {Object} constraints - 限制條件 (可選，格式同 optimize)
+     * @returns {Array} 最佳順序的藏寶點陣列
+     */
+    function solveExact(treasures, constraints = null) {
+        const n = treasures.length;
+        if (n > EXACT_SOLVER_LIMIT) {
+            throw new Error(`精確求解最多支援 ${EXACT_SOLVER_LIMIT} 個藏寶點`);
         }
 
+        const resolved = resolveConstraints(treasures, constraints);
+        if (n <= 1) return [...treasures];
+
+        // 限制條件轉為索引: pinAt[順位] = 藏寶點索引、pinOf[藏寶點索引] = 順位、required[索引] = 必須先到的藏寶點
+        const pinAt = new Array(n).fill(-1);
+        const pinOf = new Array(n).fill(-1);
+        const required = new Array(n).fill(0);
+        const start = resolved ? resolved.start : null;
+
+        if (resolved) {
+            const indexOf = new Map(treasures.map((t, idx) => [getKey(t), idx]));
+            resolved.pinned.forEach((pos, key) => {
+                pinAt[pos] = indexOf.get(key);
+                pinOf[indexOf.get(key)] = pos;
+            });
+            resolved.precedence.forEach(([before, after]) => {
+                required[indexOf.get(after)] |= 1 << indexOf.get(before);
+            });
+        }
+
+        // 藏寶點 k 能否作為第 pos 站 (mask 為已走過的集合)
+        const canPlace = (k, pos, mask) =>
+            (pinOf[k] === -1 ? pinAt[pos] === -1 : pinOf[k] === pos) &&
+            (required[k] & mask) === required[k];
+
+        // 預先計算路段時間
+        const startTime = treasures.map(t => planStartLeg(t, start).time);
+        const legTime = treasures.map(from => treasures.map(to => calcLegTime(from, to)));
+        const stopCount = [0];
+        for (let mask = 1; mask < (1 << n); mask++) {
+            stopCount[mask] = stopCount[mask >> 1] + (mask & 1);
+        }
+
+        // dp[mask][j] = 走過 mask 集合且停在 j 的最短時間
+        const size = 1 << n;
+        const dp = Array.from({ length: size }, () => new Array(n).fill(Infinity));
+        const parent = Array.from({ length: size }, () => new Array(n).fill(-1));
+
+        for (let j = 0; j < n; j++) {
+            if (isInStartZone(treasures[j], start) && canPlace(j, 0, 0)) {
+                dp[1 << j][j] = startTime[j];
+            }
+        }
+
+        for (let mask = 1; mask < size; mask++) {
+            for (let j = 0; j < n; j++) {
+                if (!(mask & (1 << j)) || dp[mask][j] === Infinity) continue;
+
+                for (let k = 0; k < n; k++) {
+                    if (mask & (1 << k)) continue;
+                    if (!canPlace(k, stopCount[mask], mask)) continue;
+                    const next = mask | (1 << k);
+                    const time = dp[mask][j] + legTime[j][k];
+                    if (time < dp[next][k]) {
+                        dp[next][k] = time;
+                        parent[next][k] = j;
+                    }
+                }
+            }
+        }
+
+        // 找出最佳終點並回溯路線
+        const full = size - 1;
+        let last = 0;
+        for (let j = 1; j < n; j++) {
+            if (dp[full][j] < dp[full][last]) last = j;
+        }
+        if (dp[full][last] === Infinity) {
+            throw new Error('路線限制條件無法同時滿足');
+        }
+
+        const order = [];
+        let mask = full;
+        while (last !== -1) {
+            order.push(last);
+            const prev = parent[mask][last];
+            mask &= ~(1 << last);
+            last = prev;
+        }
+
+        return order.reverse().map(idx => treasures[idx]);
+    }
+
+    /**
+     * 啟發式求解 - 地圖分組 / 全局最近鄰居法 + 可選 2-opt
+     */
+    function solveHeuristic(treasures, useMapGrouping, use2Opt) {
         let result;
 
         if (useMapGrouping) {
@@ -208,16 +549,16 @@ const RouteOptimizer = (function() {
             const sortedMapIds = sortMaps(mapGroups);
 
             result = [];
-            let lastCoords = null;
+            let lastStop = null;
 
             for (const mapId of sortedMapIds) {
-                // 地圖內排序，考慮上一個地圖的結束位置
-                const sorted = sortWithinMap(mapGroups[mapId], lastCoords);
+                // 地圖內排序，考慮上一站的位置
+                const sorted = sortWithinMap(mapGroups[mapId], lastStop);
                 result.push(...sorted);
 
-                // 記錄這個地圖的最後位置
+                // 記錄這個地圖的最後一站
                 if (sorted.length > 0) {
-                    lastCoords = sorted[sorted.length - 1].coords;
+                    lastStop = sorted[sorted.length - 1];
                 }
             }
         } else {
@@ -227,46 +568,248 @@ const RouteOptimizer = (function() {
 
         // 可選：2-opt 改進
         if (use2Opt) {
-            result = improve2Opt(result);
+            result = improve2Opt(result, 50, calcTotalTime);
         }
 
         return result;
     }
 
+    /**
+     * 剩下的藏寶點能否從第 pos 站 (從 0 開始) 起排完並符合限制條件
+     * 依固定順位、起點區域與先後順序推算每個藏寶點最早與最晚可放的站，再逐站放入最晚站最早的藏寶點；
+     * 每站只佔一個順位時，這樣排不完就表示無解
+     * @param {Array} remaining - 尚未排入路線的藏寶點
+     * @param {number} pos - 下一站的順位
+     * @param {Object} resolved - resolveConstraints 的結果
+     */
+    function canCompleteRoute(remaining, pos, resolved) {
+        const { start, pinned, precedence } = resolved;
+        const n = remaining.length;
+        const last = pos + n - 1;
+        const keys = remaining.map(getKey);
+        const indexOf = new Map(keys.map((key, idx) => [key, idx]));
+
+        const earliest = remaining.map(t => (pos === 0 && !isInStartZone(t, start) ? 1 : pos));
+        const latest = new Array(n).fill(last);
+        keys.forEach((key, i) => {
+            if (!pinned.has(key)) return;
+            earliest[i] = Math.max(earliest[i], pinned.get(key));
+            latest[i] = Math.min(latest[i], pinned.get(key));
+        });
+
+        // 只看尚未排入的藏寶點之間的先後順序 (先到的已排入時已滿足)
+        const later = keys.map(() => []);
+        const waiting = new Array(n).fill(0);
+        precedence.forEach(([before, after]) => {
+            if (!indexOf.has(before) || !indexOf.has(after)) return;
+            later[indexOf.get(before)].push(indexOf.get(after));
+            waiting[indexOf.get(after)]++;
+        });
+
+        // 拓撲排序，有循環時無解
+        const pending = [...waiting];
+        const order = keys.map((_, i) => i).filter(i => pending[i] === 0);
+        for (let o = 0; o < order.length; o++) {
+            later[order[o]].forEach(j => {
+                if (--pending[j] === 0) order.push(j);
+            });
+        }
+        if (order.length < n) return false;
+
+        // 後到的最早站至少晚先到的一站，先到的最晚站至少早後到的一站
+        order.forEach(i => later[i].forEach(j => {
+            earliest[j] = Math.max(earliest[j], earliest[i] + 1);
+        }));
+        for (let o = n - 1; o >= 0; o--) {
+            const i = order[o];
+            later[i].forEach(j => {
+                latest[i] = Math.min(latest[i], latest[j] - 1);
+            });
+        }
+
+        const done = new Array(n).fill(false);
+        for (let slot = pos; slot <= last; slot++) {
+            let pick = -1;
+            for (let i = 0; i < n; i++) {
+                if (done[i] || waiting[i] > 0 || earliest[i] > slot) continue;
+                if (pick === -1 || latest[i] < latest[pick]) pick = i;
+            }
+            if (pick === -1 || latest[pick] < slot) return false;
+
+            done[pick] = true;
+            later[pick].forEach(j => waiting[j]--);
+        }
+        return true;
+    }
+
+    /**
+     * 有限制條件的啟發式求解
+     * 逐站挑選最快抵達、且放下後剩下的藏寶點仍能符合所有限制 (見 canCompleteRoute) 的藏寶點，
+     * 2-opt 只接受仍符合限制的路線
+     * @param {Array} treasures - 藏寶點陣列
+     * @param {Object} resolved - resolveConstraints 的結果
+     * @param {boolean} use2Opt - 是否使用 2-opt 改進
+     */
+    function solveConstrained(treasures, resolved, use2Opt) {
+        const { start, pinned, precedence } = resolved;
+        const pinnedAt = new Map([...pinned].map(([key, pos]) => [pos, key]));
+        const remaining = [...treasures];
+        const placed = new Set();
+        const route = [];
+
+        const canPlace = (treasure, pos) => {
+            const key = getKey(treasure);
+            if (pinned.has(key) ? pinned.get(key) !== pos : pinnedAt.has(pos)) return false;
+            if (pos === 0 && !isInStartZone(treasure, start)) return false;
+            return precedence.every(([before, after]) => after !== key || placed.has(before));
+        };
+
+        if (!canCompleteRoute(remaining, 0, resolved)) {
+            throw new Error('路線限制條件無法同時滿足');
+        }
+
+        while (remaining.length > 0) {
+            const pos = route.length;
+            const prev = route[pos - 1] || null;
+
+            // 依抵達時間由快到慢嘗試可放在這一站的藏寶點
+            const candidates = remaining
+                .map((t, idx) => ({ idx, legTime: prev ? calcLegTime(prev, t) : planStartLeg(t, start).time }))
+                .filter(({ idx }) => canPlace(remaining[idx], pos))
+                .sort((a, b) => a.legTime - b.legTime);
+
+            const next = candidates.find(({ idx }) =>
+                canCompleteRoute(remaining.filter((_, i) => i !== idx), pos + 1, resolved)
+            );
+            if (!next) {
+                throw new Error('路線限制條件無法同時滿足');
+            }
+
+            const treasure = remaining.splice(next.idx, 1)[0];
+            placed.add(getKey(treasure));
+            route.push(treasure);
+        }
+
+        if (!use2Opt) return route;
+
+        return improve2Opt(route, 50, candidate =>
+            checkResolved(candidate, resolved) ? calcRouteTime(candidate, start) : Infinity
+        );
+    }
+
+    /**
+     * 主優化函數
+     * 以預估總時間 (傳送 + 坐騎移動) 為目標
+     * @param {Array} treasures - 藏寶點陣列
+     * @param {Object} options - 選項
+     * @param {boolean} options.useMapGrouping - 是否按地圖分組 (預設 true)
+     * @param {boolean} options.use2Opt - 是否使用 2-opt 改進 (預設 false)
+     * @param {boolean} options.useExact - 藏寶點不超過 EXACT_SOLVER_LIMIT 時使用精確求解 (預設 true)
+     * @param {Object} options.constraints - 限制條件 (可選，格式見 resolveConstraints)，無法滿足時拋出錯誤
+     * @returns {Array} 優化後的藏寶點陣列
+     */
+    function optimize(treasures, options = {}) {
+        const {
+            useMapGrouping = true,
+            use2Opt = false,
+            useExact = true,
+            constraints = null
+        } = options;
+
+        if (!treasures || treasures.length <= 1) {
+            return treasures ? [...treasures] : [];
+        }
+
+        // 藏寶點數量少時使用精確求解，否則退回啟發式
+        if (useExact && treasures.length <= EXACT_SOLVER_LIMIT) {
+            return solveExact(treasures, constraints);
+        }
+
+        const resolved = resolveConstraints(treasures, constraints);
+        if (resolved) {
+            return solveConstrained(treasures, resolved, use2Opt);
+        }
+
+        return solveHeuristic(treasures, useMapGrouping, use2Opt);
+    }
+
     /**
      * 分析路線
+     * totalTime 為預估秒數，teleports 為預估傳送次數 (含第一站)
+     * 藏寶點不超過 EXACT_SOLVER_LIMIT 時，另外比較啟發式與精確解：
+     * heuristicTime / optimalTime 為兩者的總時間，optimalityGap 為啟發式比最佳解多出的比例
+     * 傳入 constraints 時，起點與比較用的路線都會套用限制條件
      */
-    function analyzeRoute(treasures) {
+    function analyzeRoute(treasures, constraints = null) {
         if (!treasures || treasures.length === 0) {
-            return { totalDistance: 0, mapCount: 0, mapJumps: 0 };
+            return {
+                totalDistance: 0, totalTime: 0, mapCount: 0, mapJumps: 0, teleports: 0,
+                heuristicTime: 0, optimalTime: 0, optimalityGap: 0
+            };
         }
 
         const mapIds = new Set(treasures.map(t => t.mapId));
         let mapJumps = 0;
+        let teleports = 0;
+        let totalTime = 0;
+        const start = resolveStart(constraints?.start);
 
-        for (let i = 1; i < treasures.length; i++) {
-            if (treasures[i].mapId !== treasures[i - 1].mapId) {
+        for (let i = 0; i < treasures.length; i++) {
+            const prev = i > 0 ? treasures[i - 1] : null;
+            if (prev && treasures[i].mapId !== prev.mapId) {
                 mapJumps++;
             }
+
+            const leg = prev ? planLeg(prev, treasures[i]) : planStartLeg(treasures[i], start);
+            totalTime += leg.time;
+            if (leg.teleport) teleports++;
+        }
+
+        // 啟發式與精確解的差距 (超過上限時無法計算)
+        let heuristicTime = null;
+        let optimalTime = null;
+        let optimalityGap = null;
+
+        if (treasures.length <= EXACT_SOLVER_LIMIT) {
+            try {
+                heuristicTime = calcTotalTime(optimize(treasures, { useExact: false, constraints }), constraints);
+                optimalTime = calcTotalTime(solveExact(treasures, constraints), constraints);
+                optimalityGap = optimalTime > 0 ? (heuristicTime - optimalTime) / optimalTime : 0;
+            } catch (error) {
+                // 限制條件無法滿足時不比較
+                heuristicTime = null;
+                optimalTime = null;
+            }
         }
 
         return {
             totalDistance: calcTotalDistance(treasures),
+            totalTime: totalTime,
             mapCount: mapIds.size,
-            mapJumps: mapJumps
+            mapJumps: mapJumps,
+            teleports: teleports,
+            heuristicTime: heuristicTime,
+            optimalTime: optimalTime,
+            optimalityGap: optimalityGap
         };
     }
 
     // 公開 API
     return {
         optimize,
+        solveExact,
+        satisfiesConstraints,
+        findInvalidPins,
+        createsPrecedenceCycle,
         analyzeRoute,
         groupByMap,
         sortWithinMap,
         sortMaps,
         improve2Opt,
+        planLeg,
         calcDistance,
-        calcTotalDistance
+        calcTotalDistance,
+        calcTotalTime
     };
 })();
 
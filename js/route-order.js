@@ -0,0 +1,76 @@
+// Route Order
+// ===========
+// 隊伍 (PartyService) 與我的藏寶圖 (MyMapsService) 共用的路線順序工具
+// 藏寶圖陣列的元素為 { firebaseKey, order, pinnedPosition, mustPrecede, ... }，兩者格式相同
+
+const RouteOrder = (function() {
+    // 依順序排列藏寶圖陣列，順序相同時以 firebaseKey 決定 (所有客戶端結果一致)
+    function sortByOrder(treasureArray) {
+        return [...treasureArray].sort((a, b) => {
+            const diff = (a.order || 0) - (b.order || 0);
+            if (diff !== 0) return diff;
+            if (a.firebaseKey === b.firebaseKey) return 0;
+            return a.firebaseKey < b.firebaseKey ? -1 : 1;
+        });
+    }
+
+    // 依順序排列的 key 陣列
+    function getOrderedKeys(treasureArray) {
+        return sortByOrder(treasureArray).map(t => t.firebaseKey);
+    }
+
+    // 建立 RouteOptimizer 的限制條件 (格式見 RouteOptimizer 的 resolveConstraints)
+    // start 為路線起點 { zoneId, aetheryte }，null 表示不限
+    function buildRouteConstraints(treasureArray, start) {
+        const pinned = {};
+        const precedence = [];
+
+        treasureArray.forEach(t => {
+            if (t.pinnedPosition) {
+                pinned[t.firebaseKey] = t.pinnedPosition;
+            }
+            Object.keys(t.mustPrecede || {}).forEach(laterKey => {
+                precedence.push([t.firebaseKey, laterKey]);
+            });
+        });
+
+        return { start: start || null, pinned, precedence };
+    }
+
+    /**
+     * 已確認的優化建議是否仍可套用
+     * 建議產生後藏寶圖有增減、順序被調整 (與 basedOnOrder 不同) 或不再符合限制條件時為 false
+     * @param {Array} treasureArray - 目前的藏寶圖陣列
+     * @param {Array<string>} proposedOrder - 建議的 key 順序
+     * @param {Array<string>|undefined} basedOnOrder - 產生建議時的 key 順序 (省略時不比較)
+     * @param {Object|null} start - 目前的路線起點
+     */
+    function isProposalApplicable(treasureArray, proposedOrder, basedOnOrder, start) {
+        const byKey = new Map(treasureArray.map(t => [t.firebaseKey, t]));
+        if (proposedOrder.length !== byKey.size || !proposedOrder.every(key => byKey.has(key))) {
+            return false;
+        }
+
+        if (basedOnOrder) {
+            const current = getOrderedKeys(treasureArray);
+            if (basedOnOrder.length !== current.length || basedOnOrder.some((key, i) => key !== current[i])) {
+                return false;
+            }
+        }
+
+        return RouteOptimizer.satisfiesConstraints(
+            proposedOrder.map(key => byKey.get(key)),
+            buildRouteConstraints(treasureArray, start)
+        );
+    }
+
+    return {
+        sortByOrder,
+        getOrderedKeys,
+        buildRouteConstraints,
+        isProposalApplicable
+    };
+})();
+
+// 匯出
+window.RouteOrder = RouteOrder;
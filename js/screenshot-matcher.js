@@ -0,0 +1,228 @@
+// Screenshot Matcher
+// ==================
+// 以遊戲內藏寶圖視窗的截圖辨識是哪一個藏寶點
+//
+// 將截圖與每個候選藏寶點在地圖上的卡片範圍 (data.js 的 getTreasureCropRect，與藏寶圖卡片相同) 比對：
+// 兩者都縮小為灰階邊緣特徵 (遊戲內的藏寶圖有羊皮紙色調，邊緣比顏色穩定)，
+// 以正規化相關係數評分並依信心排序。全部在瀏覽器中計算，截圖不會上傳。
+//
+// 圖片資料格式同 ImageData: { width, height, data: RGBA 陣列 }
+
+const ScreenshotMatcher = (function() {
+    // 特徵格點大小 (與卡片比例相近)
+    const FEATURE_WIDTH = 40;
+    const FEATURE_HEIGHT = 35;
+    // 截圖可能包含視窗邊框，以中央不同比例的範圍各比對一次，取最高分
+    const SCREENSHOT_SCALES = [1, 0.9, 0.8];
+    // 分數換算為信心的溫度 (越小越集中於最高分)
+    const CONFIDENCE_TEMPERATURE = 0.05;
+    // getTreasureCropRect 的座標以 2048x2048 地圖為準
+    const MAP_SIZE = 2048;
+    // 瀏覽器中讀取圖片時縮小的尺寸 (特徵只有 40x35，不需要原始解析度)
+    const MAP_SAMPLE_SIZE = 1024;
+    const SCREENSHOT_MAX_SIZE = 800;
+
+    // 地圖圖片資料快取 (key 為圖片網址)
+    const mapImageCache = new Map();
+
+    // ========== 特徵計算 ==========
+
+    // 將 rect 範圍內的像素以區域平均縮小為 width x height 的灰階陣列 (超出圖片的部分略過)
+    function sampleGray(image, rect, width, height) {
+        const gray = new Float32Array(width * height);
+        const cellWidth = rect.width / width;
+        const cellHeight = rect.height / height;
+
+        for (let gy = 0; gy < height; gy++) {
+            const y0 = Math.max(0, Math.floor(rect.y + gy * cellHeight));
+            const y1 = Math.min(image.height, Math.max(y0 + 1, Math.floor(rect.y + (gy + 1) * cellHeight)));
+            for (let gx = 0; gx < width; gx++) {
+                const x0 = Math.max(0, Math.floor(rect.x + gx * cellWidth));
+                const x1 = Math.min(image.width, Math.max(x0 + 1, Math.floor(rect.x + (gx + 1) * cellWidth)));
+
+                let sum = 0;
+                let count = 0;
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        const i = (y * image.width + x) * 4;
+                        sum += 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+                        count++;
+                    }
+                }
+                gray[gy * width + gx] = count > 0 ? sum / count : 0;
+            }
+        }
+        return gray;
+    }
+
+    // Sobel 邊緣強度 (不含最外圈)，並正規化為平均 0、長度 1 的向量
+    function edgeFeature(gray, width, height) {
+        const feature = new Float32Array((width - 2) * (height - 2));
+        const at = (x, y) => gray[y * width + x];
+
+        let n = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)
+                    - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+                const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)
+                    - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+                feature[n++] = Math.sqrt(gx * gx + gy * gy);
+            }
+        }
+
+        const mean = feature.reduce((sum, v) => sum + v, 0) / feature.length;
+        let norm = 0;
+        for (let i = 0; i < feature.length; i++) {
+            feature[i] -= mean;
+            norm += feature[i] * feature[i];
+        }
+        norm = Math.sqrt(norm);
+        if (norm > 0) {
+            for (let i = 0; i < feature.length; i++) feature[i] /= norm;
+        }
+        return feature;
+    }
+
+    // 取得圖片中 rect 範圍的特徵
+    function extractFeature(image, rect) {
+        const gray = sampleGray(image, rect, FEATURE_WIDTH, FEATURE_HEIGHT);
+        return edgeFeature(gray, FEATURE_WIDTH, FEATURE_HEIGHT);
+    }
+
+    // 兩個特徵的相似度 (正規化相關係數，-1 ~ 1)
+    function similarity(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    }
+
+    // 截圖中央、與卡片比例相同的比對範圍 (每個 SCREENSHOT_SCALES 一個)
+    function getScreenshotRects(image) {
+        const aspect = TREASURE_CROP_SIZE.width / TREASURE_CROP_SIZE.height;
+        const baseWidth = Math.min(image.width, image.height * aspect);
+        const baseHeight = baseWidth / aspect;
+
+        return SCREENSHOT_SCALES.map(scale => {
+            const width = baseWidth * scale;
+            const height = baseHeight * scale;
+            return { x: (image.width - width) / 2, y: (image.height - height) / 2, width, height };
+        });
+    }
+
+    // 藏寶點在地圖圖片上的範圍 (地圖圖片可能已縮小)
+    function getCandidateRect(treasure, mapImage) {
+        const crop = getTreasureCropRect(treasure.coords, treasure.map);
+        const scale = mapImage.width / MAP_SIZE;
+        return { x: crop.x * scale, y: crop.y * scale, width: crop.width * scale, height: crop.height * scale };
+    }
+
+    /**
+     * 將截圖與候選藏寶點比對
+     * @param {Object} screenshot - 截圖的圖片資料
+     * @param {Array<{ treasure, mapImage }>} candidates - 藏寶點 (TREASURES 格式) 與其地圖的圖片資料
+     * @returns {Array<{ treasure, score, confidence }>} 依分數由高到低排序，confidence 總和為 1
+     */
+    function rankCandidates(screenshot, candidates) {
+        const screenshotFeatures = getScreenshotRects(screenshot).map(rect => extractFeature(screenshot, rect));
+
+        const results = candidates.map(({ treasure, mapImage }) => {
+            const feature = extractFeature(mapImage, getCandidateRect(treasure, mapImage));
+            const score = Math.max(...screenshotFeatures.map(f => similarity(f, feature)));
+            return { treasure, score };
+        });
+
+        // 以 softmax 換算信心 (先減去最高分避免溢位)
+        const maxScore = Math.max(...results.map(r => r.score));
+        const weights = results.map(r => Math.exp((r.score - maxScore) / CONFIDENCE_TEMPERATURE));
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        results.forEach((r, i) => {
+            r.confidence = weights[i] / total;
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    // ========== 瀏覽器圖片讀取 ==========
+
+    // 載入圖片 (地圖來自 xivapi，需以 CORS 載入才能讀取像素)
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('無法載入圖片'));
+            img.src = src;
+        });
+    }
+
+    // 將圖片繪製到 canvas 並取得像素 (長邊縮小到 maxSize 以內)
+    function toImageData(img, maxSize) {
+        const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        try {
+            return ctx.getImageData(0, 0, canvas.width, canvas.height);
+        } catch (e) {
+            throw new Error('無法讀取圖片像素 (圖片伺服器不允許跨來源存取)');
+        }
+    }
+
+    // 讀取使用者貼上或拖放的截圖檔案
+    async function readScreenshot(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            throw new Error('請提供圖片檔案');
+        }
+        const url = URL.createObjectURL(file);
+        try {
+            return toImageData(await loadImage(url), SCREENSHOT_MAX_SIZE);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    // 取得地圖圖片資料 (同一張地圖只下載一次)
+    async function getMapImage(mapId) {
+        const src = MAP_DATA[mapId]?.image;
+        if (!src) throw new Error('找不到地圖圖片');
+
+        if (!mapImageCache.has(src)) {
+            const pending = loadImage(src).then(img => toImageData(img, MAP_SAMPLE_SIZE));
+            // 失敗時移除快取，下次重新下載
+            pending.catch(() => mapImageCache.delete(src));
+            mapImageCache.set(src, pending);
+        }
+        return mapImageCache.get(src);
+    }
+
+    /**
+     * 辨識截圖是哪一個藏寶點
+     * @param {File|Blob} file - 遊戲內藏寶圖視窗的截圖
+     * @param {Array} treasures - 候選藏寶點 (例如 getTreasuresForGradeAndMap 的結果)
+     * @returns {Promise<Array<{ treasure, score, confidence }>>} 依信心排序
+     */
+    async function matchScreenshot(file, treasures) {
+        if (treasures.length === 0) return [];
+
+        const screenshot = await readScreenshot(file);
+        const candidates = [];
+        for (const treasure of treasures) {
+            candidates.push({ treasure, mapImage: await getMapImage(treasure.map) });
+        }
+        return rankCandidates(screenshot, candidates);
+    }
+
+    return {
+        extractFeature,
+        similarity,
+        rankCandidates,
+        matchScreenshot
+    };
+})();
+
+// 匯出
+window.ScreenshotMatcher = ScreenshotMatcher;
@@ -0,0 +1,66 @@
+// URL Router
+// ==========
+// 等級 / 地圖 / 藏寶點的網址 (hash 路由)，重新整理後保留選擇、可分享，並支援瀏覽器的上一頁 / 下一頁
+//
+// 格式: #/等級代號/地圖ID/藏寶點ID，例如 #/G17/860/17.3 (後段可省略)
+// 只採用前面有效的部分 (例如地圖不屬於該等級時只保留等級)
+
+const UrlRouter = (function() {
+    /**
+     * 產生網址的 hash
+     * @param {Object} route - { grade: GRADE_DATA 中的等級, mapId, treasure: TREASURES 中的藏寶點 }
+     * @returns {string} 例如 "#/G17/860/17.3"，沒有選擇等級時為空字串
+     */
+    function buildHash(route = {}) {
+        const parts = [];
+        if (route.grade) {
+            parts.push(encodeURIComponent(route.grade.grade));
+            if (route.mapId) {
+                parts.push(route.mapId);
+                if (route.treasure) parts.push(encodeURIComponent(route.treasure.id));
+            }
+        }
+        return parts.length > 0 ? `#/${parts.join('/')}` : '';
+    }
+
+    function decodePart(part) {
+        try {
+            return decodeURIComponent(part);
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * 解析網址的 hash
+     * @param {string} hash - location.hash
+     * @returns {Object} { grade, mapId, treasure }，無效的部分與其後的部分為 null
+     */
+    function parseHash(hash) {
+        const route = { grade: null, mapId: null, treasure: null };
+        const [gradeCode, mapPart, treasureId] = String(hash || '')
+            .replace(/^#\/?/, '')
+            .split('/')
+            .map(decodePart);
+
+        const grade = GRADE_DATA.find(g => g.grade.toLowerCase() === (gradeCode || '').toLowerCase());
+        if (!grade) return route;
+        route.grade = grade;
+
+        const mapId = parseInt(mapPart);
+        const treasures = getTreasuresForGradeAndMap(grade, mapId);
+        if (treasures.length === 0) return route;
+        route.mapId = mapId;
+
+        route.treasure = treasures.find(t => t.id === treasureId) || null;
+        return route;
+    }
+
+    return {
+        buildHash,
+        parseHash
+    };
+})();
+
+// 匯出
+window.UrlRouter = UrlRouter;
@@ -0,0 +1,297 @@
+/**
+ * FFXIV 藏寶圖資料生成腳本
+ *
+ * 從 data/ 目錄中的 datamining CSV 檔案生成藏寶點、地圖與名稱資料，
+ * 輸出為 js/treasure-data.js (由 index.html 在 js/data.js 之前載入)
+ *
+ * 資料關聯:
+ *   TreasureHuntRank (等級 → 藏寶圖物品、人數)
+ *     → TreasureSpot (等級.序號 → Level)
+ *       → Level (座標、Map)
+ *         → maps.json (地圖圖片、size_factor、PlaceName)
+ *           → PlaceName.csv (繁中地點名稱)
+ *
+ * 使用的檔案:
+ *   - data/TreasureHuntRank.csv
+ *   - data/TreasureSpot.csv
+ *   - data/Level.csv
+ *   - data/PlaceName.csv
+ *   - data/maps.json
+ *   - data/item-names.json (藏寶圖物品繁中名稱，手動維護)
+ *   - data/treasures.json (Teamcraft 匯出，僅用於補足 CSV 尚未涵蓋的等級)
+ *
+ *   CSV 來源: https://github.com/xivapi/ffxiv-datamining/tree/master/csv
+ *
+ * 使用方式:
+ *   node scripts/build-treasure-data.js
+ *
+ * 新版本更新時，替換 data/ 中的 CSV 後重新執行即可，不需手動編輯 js/treasure-data.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 檔案路徑
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OUTPUT_FILE = path.join(__dirname, '..', 'js', 'treasure-data.js');
+
+/**
+ * 解析 datamining CSV 檔案
+ * 格式: 第一行為欄位索引，第二行為欄位名稱，第三行為偏移量，第四行為欄位類型，第五行開始是資料
+ * @returns {{ headers: string[], rows: Object[] }} rows 以欄位名稱為 key，另含 key 欄位
+ */
+function parseCSV(filename) {
+    const filepath = path.join(DATA_DIR, filename);
+
+    if (!fs.existsSync(filepath)) {
+        throw new Error(`檔案不存在: ${filepath}`);
+    }
+
+    const content = fs.readFileSync(filepath, 'utf8').replace(/^﻿/, '');
+    const lines = content.split(/\r?\n/);
+
+    const headers = parseCSVLine(lines[1]);
+    const rows = [];
+
+    for (let i = 4; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim()) continue;
+
+        const values = parseCSVLine(line);
+        const row = { key: values[0] };
+
+        for (let j = 1; j < headers.length && j < values.length; j++) {
+            if (headers[j]) row[headers[j]] = values[j];
+        }
+
+        rows.push(row);
+    }
+
+    return { headers, rows };
+}
+
+/**
+ * 解析單行 CSV（處理引號內的逗號與跳脫的雙引號）
+ */
+function parseCSVLine(line) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            values.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    values.push(current);
+    return values;
+}
+
+/**
+ * 讀取 JSON 檔案
+ */
+function readJSON(filename) {
+    const filepath = path.join(DATA_DIR, filename);
+    if (!fs.existsSync(filepath)) {
+        throw new Error(`檔案不存在: ${filepath}`);
+    }
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+}
+
+/**
+ * 將遊戲內部座標轉換為地圖座標
+ * 公式: (41 / scale) * ((raw + offset) * scale + 1024) / 2048 + 1
+ * 來源: https://github.com/xivapi/ffxiv-datamining/blob/master/docs/MapCoordinates.md
+ *
+ * 與既有資料 (Teamcraft treasures.json) 相同: 內部座標先捨去到小數第二位 (即 rawCoords)，
+ * 換算後的地圖座標再捨去到小數第二位。直接以 Level.csv 的完整精度換算會有少數座標多出 0.01
+ */
+function convertCoord(raw, offset, sizeFactor) {
+    const scale = sizeFactor / 100;
+    const rawCoord = Math.floor(parseFloat(raw) * 100) / 100;
+    const value = (41 / scale) * (((rawCoord + offset) * scale + 1024) / 2048) + 1;
+    return Math.floor(value * 100) / 100;
+}
+
+/**
+ * 主要生成邏輯
+ * @param {Object} [logger=console] - 進度訊息的輸出 (log / warn)
+ * @returns {string} js/treasure-data.js 的內容
+ */
+function buildTreasureData(logger = console) {
+    logger.log('開始生成藏寶圖資料...\n');
+
+    // 1. 讀取資料檔案
+    logger.log('讀取資料檔案...');
+    const rankCSV = parseCSV('TreasureHuntRank.csv');
+    const spotCSV = parseCSV('TreasureSpot.csv');
+    const levelCSV = parseCSV('Level.csv');
+    const placeNameCSV = parseCSV('PlaceName.csv');
+    const maps = readJSON('maps.json');
+    const itemNames = readJSON('item-names.json');
+    const teamcraftTreasures = readJSON('treasures.json');
+
+    // 2. 建立查找表
+    logger.log('建立查找表...');
+
+    // TreasureHuntRank 查找表 (等級 → 物品與人數)
+    const rankMap = new Map();
+    rankCSV.rows.forEach(row => {
+        const itemId = parseInt(row['ItemName'] || '0');
+        if (itemId === 0) return;
+        rankMap.set(row.key, {
+            itemId,
+            partySize: parseInt(row['MaxPartySize'] || '1')
+        });
+    });
+
+    // Level 查找表 (key → 座標與地圖)
+    const levelMap = new Map();
+    levelCSV.rows.forEach(row => {
+        levelMap.set(row.key, {
+            x: row['X'],
+            z: row['Z'],
+            mapId: parseInt(row['Map'] || '0')
+        });
+    });
+
+    // PlaceName 查找表 (key → 名稱)
+    const placeNameMap = new Map();
+    placeNameCSV.rows.forEach(row => {
+        if (row['Name']) placeNameMap.set(parseInt(row.key), row['Name']);
+    });
+
+    // 3. 關聯 TreasureSpot → Level → Map
+    logger.log('關聯藏寶點資料...\n');
+
+    const treasures = [];
+    const coveredItems = new Set();
+    const skippedItems = new Set();
+
+    spotCSV.rows.forEach(spot => {
+        const [rankKey] = spot.key.split('.');
+        const rank = rankMap.get(rankKey);
+        if (!rank) return;
+
+        // 尚無繁中翻譯的藏寶圖暫不輸出
+        if (!itemNames[rank.itemId]) {
+            skippedItems.add(rank.itemId);
+            return;
+        }
+
+        const level = levelMap.get(spot['Location']);
+        if (!level) return;
+
+        const map = maps[level.mapId];
+        if (!map) {
+            logger.warn(`  找不到地圖 ${level.mapId} (藏寶點 ${spot.key})`);
+            return;
+        }
+
+        treasures.push({
+            id: spot.key,
+            x: convertCoord(level.x, map.offset_x || 0, map.size_factor),
+            y: convertCoord(level.z, map.offset_y || 0, map.size_factor),
+            map: level.mapId,
+            partySize: rank.partySize,
+            item: rank.itemId
+        });
+        coveredItems.add(rank.itemId);
+    });
+
+    // 4. 補足 CSV 尚未涵蓋的等級 (例如繁中 CSV 尚未更新的新版本)
+    const supplemented = new Set();
+    teamcraftTreasures.forEach(t => {
+        if (coveredItems.has(t.item) || !itemNames[t.item]) return;
+        if (!maps[t.map]) return;
+        treasures.push({
+            id: t.id,
+            x: t.coords.x,
+            y: t.coords.y,
+            map: t.map,
+            partySize: t.partySize,
+            item: t.item
+        });
+        supplemented.add(t.item);
+    });
+
+    if (supplemented.size > 0) {
+        logger.log(`以 treasures.json 補足的物品: ${[...supplemented].join(', ')}`);
+    }
+    if (skippedItems.size > 0) {
+        logger.log(`缺少繁中名稱而略過的物品: ${[...skippedItems].join(', ')}`);
+    }
+
+    // 5. 整理地圖與名稱
+    const mapIds = [...new Set(treasures.map(t => t.map))].sort((a, b) => a - b);
+    const mapData = mapIds.map(id => ({
+        id,
+        placename_id: maps[id].placename_id,
+        image: maps[id].image,
+        size_factor: maps[id].size_factor
+    }));
+
+    const placeNameIds = [...new Set(mapData.map(m => m.placename_id))].sort((a, b) => a - b);
+    placeNameIds.forEach(id => {
+        if (!placeNameMap.has(id)) {
+            logger.warn(`  PlaceName ${id} 沒有繁中名稱`);
+        }
+    });
+
+    const itemIds = [...new Set(treasures.map(t => t.item))].sort((a, b) => a - b);
+
+    logger.log(`藏寶點: ${treasures.length} 個`);
+    logger.log(`地圖: ${mapData.length} 張`);
+    logger.log(`地點名稱: ${placeNameIds.length} 個`);
+    logger.log(`藏寶圖物品: ${itemIds.length} 種`);
+
+    // 6. 生成輸出
+    let output = `// 藏寶圖資料 - 由 scripts/build-treasure-data.js 自動生成，請勿手動編輯
+// 來源: data/TreasureHuntRank.csv, TreasureSpot.csv, Level.csv, PlaceName.csv, maps.json, item-names.json
+
+// 藏寶圖物品名稱 (繁中)
+const ITEM_NAMES = {
+${itemIds.map(id => `    ${id}: ${JSON.stringify(itemNames[id])}`).join(',\n')}
+};
+
+// 地點名稱 (繁中)
+const PLACE_NAMES = {
+${placeNameIds.filter(id => placeNameMap.has(id)).map(id => `    ${id}: ${JSON.stringify(placeNameMap.get(id))}`).join(',\n')}
+};
+
+// 地圖數據
+const MAP_DATA = {
+${mapData.map(m => `    ${m.id}: { id: ${m.id}, placename_id: ${m.placename_id}, image: ${JSON.stringify(m.image)}, size_factor: ${m.size_factor} }`).join(',\n')}
+};
+
+// 藏寶圖數據 (壓縮格式: id,x,y,map,partySize,item)
+const TREASURES_RAW = "${treasures.map(t => `${t.id},${t.x},${t.y},${t.map},${t.partySize},${t.item}`).join('|')}";
+`;
+
+    return output;
+}
+
+// 直接執行時寫入 js/treasure-data.js
+if (require.main === module) {
+    fs.writeFileSync(OUTPUT_FILE, buildTreasureData(), 'utf8');
+    console.log(`\n輸出已寫入: ${OUTPUT_FILE}`);
+}
+
+module.exports = {
+    OUTPUT_FILE,
+    convertCoord,
+    buildTreasureData
+};
@@ -0,0 +1,179 @@
+/**
+ * FFXIV 藏寶圖資料檢查腳本
+ *
+ * 在 Node 中載入 js/treasure-data.js 與 js/data.js，交叉檢查各資料表:
+ *   - 每個 TREASURES 的 map 都存在於 MAP_DATA
+ *   - 每個 MAP_DATA.placename_id 都有 PLACE_NAMES 名稱 (否則 getMapName 會顯示「地圖 123」)
+ *   - 每個 GRADE_DATA.gatheringZoneIds 都能透過 getMapIdByZoneId 找到地圖
+ *   - 有藏寶點的區域都有 ZONE_AETHERYTES 傳送點資料
+ *   - 藏寶點、傳送點、採集點座標都在該地圖 size_factor 對應的範圍內
+ *
+ * 使用方式:
+ *   node scripts/check-data.js
+ *
+ * 有錯誤時以非零狀態碼結束，可直接用於 CI
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// 依 index.html 的載入順序
+const SOURCE_FILES = [
+    path.join(__dirname, '..', 'js', 'treasure-data.js'),
+    path.join(__dirname, '..', 'js', 'data.js')
+];
+
+// 已知缺少傳送點資料的區域 (只顯示警告)
+const KNOWN_MISSING_AETHERYTES = {
+    2001: '區域內沒有傳送水晶，需經由田園郡進入'
+};
+
+/**
+ * 載入瀏覽器全域資料 (不需要 DOM)
+ */
+function loadData() {
+    const context = {};
+    vm.createContext(context);
+
+    SOURCE_FILES.forEach(file => {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    // const 宣告不會掛在 context 上，需另外取出
+    return vm.runInContext(`({
+        GRADE_DATA, ITEM_NAMES, PLACE_NAMES, MAP_DATA, TREASURES,
+        ZONE_AETHERYTES, GATHERING_NODES_BY_LEVEL, getMapIdByZoneId
+    })`, context);
+}
+
+/**
+ * 地圖座標上限: 2048px 地圖換算後的最大座標
+ * 公式: 41 / (sizeFactor / 100) + 1
+ */
+function getMaxCoord(sizeFactor) {
+    return 41 / ((sizeFactor || 100) / 100) + 1;
+}
+
+/**
+ * 檢查座標是否在地圖範圍內
+ */
+function isWithinBounds(coords, sizeFactor) {
+    const max = getMaxCoord(sizeFactor);
+    return coords.x >= 1 && coords.x <= max && coords.y >= 1 && coords.y <= max;
+}
+
+/**
+ * 主要檢查邏輯
+ */
+function checkData() {
+    const data = loadData();
+    const errors = [];
+    const warnings = [];
+
+    const visibleItemIds = new Set(data.GRADE_DATA.map(g => g.itemId));
+
+    // 1. TREASURES.map → MAP_DATA
+    data.TREASURES.forEach(t => {
+        if (!data.MAP_DATA[t.map]) {
+            errors.push(`藏寶點 ${t.id}: 地圖 ${t.map} 不存在於 MAP_DATA`);
+        }
+    });
+
+    // 2. MAP_DATA.placename_id → PLACE_NAMES
+    Object.values(data.MAP_DATA).forEach(map => {
+        if (!data.PLACE_NAMES[map.placename_id]) {
+            errors.push(`地圖 ${map.id}: placename_id ${map.placename_id} 沒有 PLACE_NAMES 名稱`);
+        }
+    });
+
+    // 3. GRADE_DATA.gatheringZoneIds → getMapIdByZoneId
+    data.GRADE_DATA.forEach(grade => {
+        (grade.gatheringZoneIds || []).forEach(zoneId => {
+            if (data.getMapIdByZoneId(zoneId) === null) {
+                errors.push(`${grade.grade}: 採集區域 ${zoneId} 找不到對應地圖`);
+            }
+        });
+    });
+
+    // 4. 有藏寶點的區域 → ZONE_AETHERYTES
+    const zoneItems = new Map();
+    data.TREASURES.forEach(t => {
+        const zoneId = data.MAP_DATA[t.map]?.placename_id;
+        if (!zoneId) return;
+        if (!zoneItems.has(zoneId)) zoneItems.set(zoneId, new Set());
+        zoneItems.get(zoneId).add(t.item);
+    });
+
+    zoneItems.forEach((itemIds, zoneId) => {
+        const aetherytes = data.ZONE_AETHERYTES[zoneId];
+        if (aetherytes && aetherytes.length > 0) return;
+
+        const zoneName = data.PLACE_NAMES[zoneId] || `地點 ${zoneId}`;
+        const isVisible = [...itemIds].some(id => visibleItemIds.has(id));
+
+        if (KNOWN_MISSING_AETHERYTES[zoneId]) {
+            warnings.push(`${zoneName} (${zoneId}): 沒有傳送點資料 - ${KNOWN_MISSING_AETHERYTES[zoneId]}`);
+        } else if (isVisible) {
+            errors.push(`${zoneName} (${zoneId}): 有藏寶點但沒有 ZONE_AETHERYTES 資料`);
+        } else {
+            // 只有未開放 (不在 GRADE_DATA) 的等級使用此區域
+            warnings.push(`${zoneName} (${zoneId}): 沒有傳送點資料 (僅未開放等級使用)`);
+        }
+    });
+
+    // 5. 座標範圍
+    data.TREASURES.forEach(t => {
+        const map = data.MAP_DATA[t.map];
+        if (map && !isWithinBounds(t.coords, map.size_factor)) {
+            errors.push(`藏寶點 ${t.id}: 座標 (${t.coords.x}, ${t.coords.y}) 超出地圖 ${t.map} 範圍`);
+        }
+    });
+
+    Object.entries(data.ZONE_AETHERYTES).forEach(([zoneId, aetherytes]) => {
+        const mapId = data.getMapIdByZoneId(parseInt(zoneId));
+        if (mapId === null) {
+            errors.push(`傳送點區域 ${zoneId}: 找不到對應地圖`);
+            return;
+        }
+        aetherytes.forEach(a => {
+            if (!isWithinBounds(a.coords, data.MAP_DATA[mapId].size_factor)) {
+                errors.push(`傳送點 ${a.name}: 座標 (${a.coords.x}, ${a.coords.y}) 超出地圖 ${mapId} 範圍`);
+            }
+        });
+    });
+
+    Object.entries(data.GATHERING_NODES_BY_LEVEL).forEach(([level, nodes]) => {
+        nodes.forEach(node => {
+            const mapId = data.getMapIdByZoneId(node.zoneId);
+            if (mapId === null) {
+                errors.push(`Lv.${level} 採集點: 區域 ${node.zoneId} 找不到對應地圖`);
+                return;
+            }
+            if (!isWithinBounds(node.coords, data.MAP_DATA[mapId].size_factor)) {
+                errors.push(`Lv.${level} 採集點: 座標 (${node.coords.x}, ${node.coords.y}) 超出地圖 ${mapId} 範圍`);
+            }
+        });
+    });
+
+    // 6. 輸出結果
+    console.log(`已檢查: ${data.TREASURES.length} 個藏寶點、${Object.keys(data.MAP_DATA).length} 張地圖、${Object.keys(data.ZONE_AETHERYTES).length} 個傳送點區域\n`);
+
+    if (warnings.length > 0) {
+        console.log(`警告 (${warnings.length}):`);
+        warnings.forEach(w => console.log(`  - ${w}`));
+        console.log('');
+    }
+
+    if (errors.length > 0) {
+        console.error(`錯誤 (${errors.length}):`);
+        errors.forEach(e => console.error(`  - ${e}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('資料檢查通過');
+}
+
+// 執行
+checkData();
@@ -0,0 +1,335 @@
+/**
+ * 過期隊伍清除腳本
+ *
+ * 隊伍只有在有人嘗試加入時才會被刪除 (PartyService.joinParty)，沒人再使用的隊伍會一直留在資料庫。
+ * 此腳本找出 meta/expiresAt 已過的隊伍 (以及沒有 expiresAt 的損壞資料)，分批刪除並輸出報告。
+ * 隊伍的觀戰代碼索引 (spectators/{token}) 與觀戰副本 (spectatorViews/{token}) 一併刪除。
+ *
+ * 清除對象:
+ *   - Firebase Realtime Database: 透過 REST API 以管理員權限查詢與刪除 (不受安全規則限制)，
+ *     查詢使用 firebase-rules.json 中 parties 的 ".indexOn": ["meta/expiresAt"]，以 limitToFirst 分頁
+ *   - 中繼伺服器的存檔 (server/relay-server.js --data)，需在伺服器停止時執行；
+ *     伺服器執行中請改用 relay-server.js 的 --sweep-interval
+ *
+ * 使用方式:
+ *   node scripts/sweep-expired-parties.js [--dry-run] [--batch-size 100] [--json]
+ *   node scripts/sweep-expired-parties.js --database-url https://專案.firebasedatabase.app
+ *   node scripts/sweep-expired-parties.js --data party-data.json
+ *
+ *   --dry-run       只列出會被刪除的隊伍，不實際刪除
+ *   --batch-size    每次刪除的隊伍數 (預設 100)
+ *   --json          以 JSON 輸出報告
+ *   --database-url  Firebase 資料庫網址 (預設讀取 js/party/firebase-config.js 的 databaseURL)
+ *   --data          改為清除中繼伺服器的存檔
+ *
+ *   Firebase 需以環境變數提供管理員憑證 (二擇一):
+ *     FIREBASE_ACCESS_TOKEN     服務帳戶的 OAuth 存取權杖 (gcloud auth print-access-token)
+ *     FIREBASE_DATABASE_SECRET  資料庫密鑰 (專案設定 > 服務帳戶 > 資料庫密鑰)
+ *
+ * 排程範例 (crontab，每小時執行):
+ *   0 * * * * cd /path/to/repo && FIREBASE_ACCESS_TOKEN=... node scripts/sweep-expired-parties.js
+ *
+ * 發生錯誤時以非零狀態碼結束
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FIREBASE_CONFIG_FILE = path.join(__dirname, '..', 'js', 'party', 'firebase-config.js');
+const DEFAULT_BATCH_SIZE = 100;
+// Firebase 查詢每頁的隊伍數
+const DEFAULT_PAGE_SIZE = 500;
+
+/**
+ * 解析命令列參數
+ */
+function parseArgs(argv) {
+    const options = {
+        dryRun: false,
+        batchSize: DEFAULT_BATCH_SIZE,
+        json: false,
+        databaseUrl: null,
+        dataFile: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (argv[i] === '--batch-size') {
+            options.batchSize = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--json') {
+            options.json = true;
+        } else if (argv[i] === '--database-url') {
+            options.databaseUrl = argv[++i];
+        } else if (argv[i] === '--data') {
+            options.dataFile = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`未知的參數: ${argv[i]}`);
+        }
+    }
+
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+        throw new Error('--batch-size 必須是正整數');
+    }
+    return options;
+}
+
+/**
+ * 隊伍的過期時間 (沒有或格式錯誤時為 null)
+ */
+function getExpiresAt(party) {
+    const expiresAt = party && party.meta ? party.meta.expiresAt : undefined;
+    return typeof expiresAt === 'number' ? expiresAt : null;
+}
+
+/**
+ * 從 parties 物件中找出已過期的隊伍 (沒有 expiresAt 的損壞資料也視為過期)
+ * @returns {Array<{ code: string, expiresAt: number|null, spectatorToken: string|null }>} 依過期時間排序
+ */
+function findExpiredParties(parties, now) {
+    return Object.entries(parties || {})
+        .map(([code, party]) => {
+            const token = party && party.meta ? party.meta.spectatorToken : undefined;
+            return {
+                code,
+                expiresAt: getExpiresAt(party),
+                spectatorToken: typeof token === 'string' ? token : null
+            };
+        })
+        .filter(party => party.expiresAt === null || party.expiresAt < now)
+        .sort((a, b) => (a.expiresAt || 0) - (b.expiresAt || 0));
+}
+
+/**
+ * 以 JSON 樹為資料來源 (中繼伺服器的記憶體資料或存檔)
+ * @param {Object} options - { getRoot: () => 根節點, removeParty: (code) => void, removeSpectator: (token) => void }
+ */
+function createTreeTarget({ getRoot, removeParty, removeSpectator }) {
+    return {
+        name: 'tree',
+
+        async listExpired(now) {
+            const root = getRoot();
+            return findExpiredParties(root && root.parties, now);
+        },
+
+        async removeParties(parties) {
+            parties.forEach(party => {
+                removeParty(party.code);
+                if (party.spectatorToken) removeSpectator(party.spectatorToken);
+            });
+        }
+    };
+}
+
+/**
+ * 以中繼伺服器的存檔為資料來源 (每批刪除後寫回檔案)
+ */
+function createFileTarget(dataFile) {
+    if (!fs.existsSync(dataFile)) {
+        throw new Error(`檔案不存在: ${dataFile}`);
+    }
+
+    let root = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    const target = createTreeTarget({
+        getRoot: () => root,
+        removeParty: (code) => {
+            if (root && root.parties) delete root.parties[code];
+        },
+        removeSpectator: (token) => {
+            ['spectators', 'spectatorViews'].forEach(key => {
+                if (root && root[key]) delete root[key][token];
+            });
+        }
+    });
+
+    return {
+        ...target,
+        name: 'file',
+
+        async removeParties(parties) {
+            await target.removeParties(parties);
+            ['parties', 'spectators', 'spectatorViews'].forEach(key => {
+                if (root && root[key] && Object.keys(root[key]).length === 0) delete root[key];
+            });
+            if (root && Object.keys(root).length === 0) root = null;
+            fs.writeFileSync(dataFile, JSON.stringify(root));
+        }
+    };
+}
+
+/**
+ * 以 Firebase Realtime Database REST API 為資料來源
+ * @param {Object} options - { databaseUrl, accessToken, secret, pageSize, fetch (測試時替換) }
+ */
+function createFirebaseTarget(options) {
+    const databaseUrl = String(options.databaseUrl || '').replace(/\/+$/, '');
+    if (!databaseUrl) throw new Error('未提供 Firebase 資料庫網址');
+    if (!options.accessToken && !options.secret) {
+        throw new Error('請設定 FIREBASE_ACCESS_TOKEN 或 FIREBASE_DATABASE_SECRET');
+    }
+
+    const fetchFn = options.fetch || fetch;
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+
+    function buildUrl(dataPath, params = {}) {
+        const url = new URL(`${databaseUrl}/${dataPath}.json`);
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        if (options.accessToken) {
+            url.searchParams.set('access_token', options.accessToken);
+        } else {
+            url.searchParams.set('auth', options.secret);
+        }
+        return url.toString();
+    }
+
+    async function request(url, init) {
+        const response = await fetchFn(url, init);
+        if (!response.ok) {
+            const body = await response.text();
+            throw new Error(`Firebase 請求失敗 (${response.status}): ${body}`);
+        }
+        return response.json();
+    }
+
+    return {
+        name: 'firebase',
+
+        // 沒有 expiresAt 的隊伍在 orderBy 排序中排在最前面，同樣會被查到
+        // 以 limitToFirst 分頁：下一頁從本頁最大的 expiresAt 開始 (startAt 包含該值)，
+        // 並多取已讀到的同值隊伍數，避免同一過期時間的隊伍超過一頁時停在原地
+        async listExpired(now) {
+            const parties = {};
+            let cursor;
+            let sameAsCursor = 0;
+
+            for (;;) {
+                const limit = pageSize + sameAsCursor;
+                const params = {
+                    orderBy: JSON.stringify('meta/expiresAt'),
+                    endAt: String(now - 1),
+                    limitToFirst: String(limit)
+                };
+                if (cursor !== undefined) params.startAt = JSON.stringify(cursor);
+
+                const page = Object.entries(await request(buildUrl('parties', params)) || {});
+                page.forEach(([code, party]) => { parties[code] = party; });
+                if (page.length < limit) break;
+
+                // REST API 回傳的物件不保證順序，自行找出本頁最後的值 (null 排在數字之前)
+                const numbers = page.map(([, party]) => getExpiresAt(party)).filter(value => value !== null);
+                cursor = numbers.length > 0 ? Math.max(...numbers) : null;
+                sameAsCursor = Object.values(parties).filter(party => getExpiresAt(party) === cursor).length;
+            }
+
+            return findExpiredParties(parties, now);
+        },
+
+        // 以多路徑更新一次刪除整批隊伍與其觀戰代碼
+        async removeParties(parties) {
+            const update = {};
+            parties.forEach(party => {
+                update[`parties/${party.code}`] = null;
+                if (party.spectatorToken) {
+                    update[`spectators/${party.spectatorToken}`] = null;
+                    update[`spectatorViews/${party.spectatorToken}`] = null;
+                }
+            });
+            await request(buildUrl(''), {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(update)
+            });
+        }
+    };
+}
+
+/**
+ * 清除過期隊伍
+ * @param {Object} target - createFirebaseTarget / createFileTarget / createTreeTarget 的結果
+ * @param {Object} options - { now, batchSize, dryRun }
+ * @returns {Promise<Object>} 報告 { dryRun, now, expired: [{ code, expiresAt }], deleted, batches }
+ */
+async function sweepExpiredParties(target, options = {}) {
+    const now = options.now || Date.now();
+    const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    const dryRun = !!options.dryRun;
+
+    const expired = await target.listExpired(now);
+    const report = { dryRun, now, expired, deleted: 0, batches: 0 };
+
+    if (dryRun) return report;
+
+    for (let i = 0; i < expired.length; i += batchSize) {
+        const batch = expired.slice(i, i + batchSize);
+        await target.removeParties(batch);
+        report.deleted += batch.length;
+        report.batches++;
+    }
+    return report;
+}
+
+/**
+ * 將報告轉為文字
+ */
+function formatReport(report) {
+    const lines = [];
+    const formatTime = (time) => (time === null ? '(無過期時間)' : new Date(time).toISOString());
+
+    report.expired.forEach(party => {
+        lines.push(`  ${party.code}  過期於 ${formatTime(party.expiresAt)}`);
+    });
+
+    if (report.dryRun) {
+        lines.push(`[dry-run] 找到 ${report.expired.length} 個過期隊伍，未刪除`);
+    } else {
+        lines.push(`找到 ${report.expired.length} 個過期隊伍，已刪除 ${report.deleted} 個 (${report.batches} 批)`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * 讀取 js/party/firebase-config.js 中的 databaseURL
+ */
+function readDefaultDatabaseUrl() {
+    const source = fs.readFileSync(FIREBASE_CONFIG_FILE, 'utf8');
+    const match = source.match(/databaseURL:\s*["']([^"']+)["']/);
+    return match ? match[1] : null;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const target = options.dataFile
+        ? createFileTarget(options.dataFile)
+        : createFirebaseTarget({
+            databaseUrl: options.databaseUrl || readDefaultDatabaseUrl(),
+            accessToken: process.env.FIREBASE_ACCESS_TOKEN,
+            secret: process.env.FIREBASE_DATABASE_SECRET
+        });
+
+    const report = await sweepExpiredParties(target, options);
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(formatReport(report));
+    }
+}
+
+// 直接執行時清除
+if (require.main === module) {
+    main().catch(error => {
+        console.error('清除失敗:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    findExpiredParties,
+    createTreeTarget,
+    createFileTarget,
+    createFirebaseTarget,
+    sweepExpiredParties,
+    formatReport
+};
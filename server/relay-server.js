@@ -0,0 +1,430 @@
+/**
+ * FFXIV 藏寶圖隊伍同步中繼伺服器
+ *
+ * 自架的 WebSocket 伺服器，取代 Firebase Realtime Database 作為隊伍同步後端，
+ * 對應前端的 js/party/adapters/relay-adapter.js。不依賴任何 npm 套件。
+ *
+ * 資料以 JSON 樹儲存 (與 Firebase 相同的路徑結構)，支援:
+ *   - get / set (null 為刪除) / update (多路徑原子寫入)
+ *   - transaction (比對 expected 值，不符時回傳最新值讓客戶端重試)
+ *   - subscribe / unsubscribe (值變化時推送)
+ *   - onDisconnect / cancelDisconnect (連線中斷時由伺服器執行寫入)
+ *   - 伺服器時間佔位值 { ".sv": "timestamp" }
+ *
+ * 使用方式:
+ *   node server/relay-server.js [--port 8787] [--data party-data.json] [--sweep-interval 60]
+ *
+ *   --port            監聽埠號 (預設 8787，也可用環境變數 PORT 指定)
+ *   --data            資料存檔路徑 (未指定時只存在記憶體，重啟後清空)
+ *   --sweep-interval  每隔幾分鐘清除過期隊伍 (見 scripts/sweep-expired-parties.js，預設 60，0 為停用)
+ *
+ * 前端以 ?relay=ws://主機:8787 開啟網頁，經使用者確認後改用此伺服器並記住 (?relay=off 改回 Firebase)。
+ *
+ * 注意: 伺服器不做身分驗證與權限檢查，僅適合部隊內部等可信任的環境使用。
+ * 唯一的限制與 firebase-rules.json 相同: 不能存取根節點 (整個資料庫) 與整個 parties / spectators / spectatorViews
+ * (只能以代碼存取單一隊伍或觀戰副本)，也不能讀取觀戰代碼索引 (spectators)，避免列出所有隊伍或從觀戰代碼反查隊伍代碼。
+ * 對外公開時請放在 HTTPS 反向代理之後並改用 wss://。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const { createTreeTarget, sweepExpiredParties } = require('../scripts/sweep-expired-parties');
+
+// WebSocket 握手用的固定 GUID (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// 單一訊息大小上限 (位元組)
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+// 寫入存檔前的等待時間 (毫秒)，合併短時間內的多次寫入
+const SAVE_DELAY = 1000;
+// 會回傳資料的訊息類型
+const READ_TYPES = new Set(['get', 'transaction', 'subscribe']);
+// 帶有路徑的訊息類型
+const PATH_TYPES = new Set([...READ_TYPES, 'set', 'update', 'onDisconnect', 'cancelDisconnect']);
+// 只能以代碼存取其下單一節點的集合 (不能列出或整個覆寫)
+const COLLECTIONS = new Set(['parties', 'spectators', 'spectatorViews']);
+
+/**
+ * 載入前端共用的 DataTree (路徑操作與比較)
+ */
+function loadDataTree() {
+    const file = path.join(__dirname, '..', 'js', 'party', 'data-tree.js');
+    const context = { window: {} };
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    return context.window.DataTree;
+}
+
+const DataTree = loadDataTree();
+
+/**
+ * 解析命令列參數
+ */
+function parseArgs(argv) {
+    const options = {
+        port: parseInt(process.env.PORT, 10) || 8787,
+        dataFile: null,
+        sweepInterval: 60
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') {
+            options.port = parseInt(argv[++i], 10);
+        } else if (argv[i] === '--data') {
+            options.dataFile = path.resolve(argv[++i]);
+        } else if (argv[i] === '--sweep-interval') {
+            options.sweepInterval = Number(argv[++i]);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 0) {
+        throw new Error('--port 必須是正整數');
+    }
+    if (!Number.isFinite(options.sweepInterval) || options.sweepInterval < 0) {
+        throw new Error('--sweep-interval 必須是 0 以上的分鐘數');
+    }
+    return options;
+}
+
+/**
+ * 檢查訊息的路徑是否允許存取，不允許時回傳錯誤訊息
+ */
+function checkAccess(type, dataPath) {
+    if (!PATH_TYPES.has(type)) return null;
+
+    const parts = DataTree.splitPath(dataPath);
+    if (parts.length === 0) {
+        return '不能存取根節點';
+    }
+    if (READ_TYPES.has(type) && parts[0] === 'spectators') {
+        return '不能讀取觀戰代碼索引';
+    }
+    if (parts.length === 1 && COLLECTIONS.has(parts[0])) {
+        return `不能存取整個 ${parts[0]}，只能以代碼存取單一節點`;
+    }
+    return null;
+}
+
+/**
+ * 編碼 WebSocket 訊框 (伺服器送出的訊框不加遮罩)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * 從緩衝區解析一個完整的訊框，資料不足時回傳 null
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const bigLength = buffer.readBigUInt64BE(2);
+        if (bigLength > BigInt(MAX_MESSAGE_SIZE)) {
+            throw new Error('訊息過大');
+        }
+        length = Number(bigLength);
+        offset = 10;
+    }
+
+    if (length > MAX_MESSAGE_SIZE) {
+        throw new Error('訊息過大');
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { fin, opcode, payload, frameLength: offset + length };
+}
+
+/**
+ * 建立中繼伺服器
+ */
+function createRelayServer(options = {}) {
+    let root = null;
+    let saveTimer = null;
+    const clients = new Set();
+
+    // 載入存檔
+    if (options.dataFile && fs.existsSync(options.dataFile)) {
+        root = JSON.parse(fs.readFileSync(options.dataFile, 'utf8'));
+        console.log(`已載入資料: ${options.dataFile}`);
+    }
+
+    function scheduleSave() {
+        if (!options.dataFile || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            fs.writeFileSync(options.dataFile, JSON.stringify(root));
+        }, SAVE_DELAY);
+    }
+
+    // 寫入資料並推送給相關的訂閱
+    function write(dataPath, value) {
+        const resolved = DataTree.resolveServerValues(value, Date.now());
+        commit(dataPath, DataTree.setValue(root, dataPath, resolved));
+    }
+
+    // 多路徑寫入 (values 的 key 為相對於 dataPath 的路徑)，一次套用後才推送
+    function update(dataPath, values) {
+        const resolved = DataTree.resolveServerValues(values, Date.now());
+        commit(dataPath, DataTree.applyUpdate(root, dataPath, resolved));
+    }
+
+    function commit(dataPath, newRoot) {
+        root = newRoot;
+        scheduleSave();
+
+        clients.forEach(client => {
+            client.subscriptions.forEach((sub, subId) => {
+                if (DataTree.isRelated(dataPath, sub.path)) {
+                    pushValue(client, subId, sub);
+                }
+            });
+        });
+    }
+
+    // 推送訂閱值 (值未變化時略過)
+    function pushValue(client, subId, sub) {
+        const value = DataTree.getValue(root, sub.path);
+        if (sub.sent && DataTree.isEqual(sub.lastValue, value)) return;
+
+        sub.sent = true;
+        sub.lastValue = DataTree.clone(value);
+        client.send({ type: 'value', subId, value });
+    }
+
+    // 清除過期隊伍與其觀戰代碼 (刪除時會推送給仍在訂閱的客戶端，觀戰者因副本消失而結束觀戰)
+    const sweepTarget = createTreeTarget({
+        getRoot: () => root,
+        removeParty: (code) => write(`parties/${code}`, null),
+        removeSpectator: (token) => {
+            write(`spectatorViews/${token}`, null);
+            write(`spectators/${token}`, null);
+        }
+    });
+
+    async function sweep() {
+        const report = await sweepExpiredParties(sweepTarget);
+        if (report.deleted > 0) {
+            console.log(`已清除 ${report.deleted} 個過期隊伍`);
+        }
+        return report;
+    }
+
+    // 處理客戶端訊息
+    function handleMessage(client, message) {
+        const { id, type } = message;
+        const dataPath = message.path;
+
+        const denied = checkAccess(type, dataPath);
+        if (denied) {
+            client.send({ id, subId: message.subId, type: 'error', message: denied });
+            return;
+        }
+
+        switch (type) {
+            case 'get':
+                client.send({ id, type: 'result', value: DataTree.getValue(root, dataPath) });
+                break;
+
+            case 'set':
+                write(dataPath, message.value);
+                client.send({ id, type: 'result' });
+                break;
+
+            case 'update':
+                update(dataPath, message.values);
+                client.send({ id, type: 'result' });
+                break;
+
+            case 'transaction': {
+                const current = DataTree.getValue(root, dataPath);
+                if (!DataTree.isEqual(DataTree.normalize(message.expected), current)) {
+                    client.send({ id, type: 'result', committed: false, value: current });
+                    break;
+                }
+                write(dataPath, message.value);
+                client.send({ id, type: 'result', committed: true, value: DataTree.getValue(root, dataPath) });
+                break;
+            }
+
+            case 'subscribe': {
+                const sub = { path: dataPath, sent: false, lastValue: null };
+                client.subscriptions.set(message.subId, sub);
+                pushValue(client, message.subId, sub);
+                break;
+            }
+
+            case 'unsubscribe':
+                client.subscriptions.delete(message.subId);
+                break;
+
+            case 'onDisconnect':
+                client.disconnectOps.set(dataPath, message.value === undefined ? null : message.value);
+                client.send({ id, type: 'result' });
+                break;
+
+            case 'cancelDisconnect':
+                client.disconnectOps.delete(dataPath);
+                client.send({ id, type: 'result' });
+                break;
+
+            default:
+                client.send({ id, type: 'error', message: `未知的訊息類型: ${type}` });
+        }
+    }
+
+    // 連線中斷: 執行 onDisconnect 設定的寫入
+    function handleClose(client) {
+        if (!clients.has(client)) return;
+        clients.delete(client);
+
+        client.disconnectOps.forEach((value, dataPath) => write(dataPath, value));
+        client.disconnectOps.clear();
+    }
+
+    // 建立 WebSocket 連線
+    function handleUpgrade(req, socket) {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = {
+            subscriptions: new Map(),
+            disconnectOps: new Map(),
+            send(message) {
+                if (!socket.destroyed) {
+                    socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+                }
+            }
+        };
+        clients.add(client);
+
+        let buffer = Buffer.alloc(0);
+        let fragments = [];
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            try {
+                let frame;
+                while ((frame = decodeFrame(buffer))) {
+                    buffer = buffer.subarray(frame.frameLength);
+
+                    if (frame.opcode === 0x8) {
+                        socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                        handleClose(client);
+                        return;
+                    }
+                    if (frame.opcode === 0x9) {
+                        socket.write(encodeFrame(0xa, frame.payload));
+                        continue;
+                    }
+                    if (frame.opcode === 0xa) continue;
+
+                    fragments.push(frame.payload);
+                    if (!frame.fin) continue;
+
+                    const text = Buffer.concat(fragments).toString('utf8');
+                    fragments = [];
+
+                    let message;
+                    try {
+                        message = JSON.parse(text);
+                    } catch (e) {
+                        client.send({ type: 'error', message: '無法解析訊息' });
+                        continue;
+                    }
+                    handleMessage(client, message);
+                }
+            } catch (error) {
+                console.error('連線錯誤:', error.message);
+                socket.destroy();
+                handleClose(client);
+            }
+        });
+
+        socket.on('close', () => handleClose(client));
+        socket.on('error', () => handleClose(client));
+    }
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(`FFXIV 藏寶圖隊伍同步中繼伺服器 (連線數: ${clients.size})\n`);
+    });
+    server.on('upgrade', handleUpgrade);
+
+    // 定期清除過期隊伍
+    if (options.sweepInterval > 0) {
+        const sweepTimer = setInterval(() => {
+            sweep().catch(error => console.error('清除過期隊伍失敗:', error.message));
+        }, options.sweepInterval * 60 * 1000);
+        sweepTimer.unref();
+        server.on('close', () => clearInterval(sweepTimer));
+    }
+    server.sweepExpiredParties = sweep;
+
+    return server;
+}
+
+// 直接執行時啟動伺服器
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const server = createRelayServer(options);
+    server.listen(options.port, () => {
+        console.log(`中繼伺服器已啟動: ws://localhost:${server.address().port}`);
+    });
+}
+
+module.exports = { createRelayServer };
@@ -0,0 +1,58 @@
+/**
+ * 藏寶圖資料生成腳本測試
+ *
+ * 涵蓋 scripts/build-treasure-data.js 的座標換算 (與既有資料相同的捨去方式)，
+ * 以及重新生成的內容與提交的 js/treasure-data.js 完全一致。
+ *
+ * 使用方式:
+ *   node --test tests/build-treasure-data.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { OUTPUT_FILE, convertCoord, buildTreasureData } = require('../scripts/build-treasure-data');
+
+const SILENT = { log() {}, warn() {} };
+
+function parseTreasuresRaw(source) {
+    const raw = source.match(/const TREASURES_RAW = "(.*)";/)[1];
+    return new Map(raw.split('|').map(entry => {
+        const [id, x, y] = entry.split(',');
+        return [id, { x: parseFloat(x), y: parseFloat(y) }];
+    }));
+}
+
+describe('convertCoord', () => {
+    it('內部座標與換算結果都捨去到小數第二位', () => {
+        // 以完整精度換算為 21.880014...，內部座標先捨去為 18.98 後為 21.879...
+        assert.strictEqual(convertCoord('18.9822', 0, 100), 21.87);
+        assert.strictEqual(convertCoord('190.815', 0, 100), 25.31);
+        // 負座標往負方向捨去
+        assert.strictEqual(convertCoord('-544.464', 0, 100), 10.59);
+        assert.strictEqual(convertCoord('673.399', 0, 95), 36.05);
+    });
+});
+
+describe('buildTreasureData', () => {
+    const output = buildTreasureData(SILENT);
+
+    it('重新生成的內容與 js/treasure-data.js 完全一致', () => {
+        assert.strictEqual(path.relative(path.join(__dirname, '..'), OUTPUT_FILE), path.join('js', 'treasure-data.js'));
+        assert.ok(output === fs.readFileSync(OUTPUT_FILE, 'utf8'), 'js/treasure-data.js 與生成結果不同，請執行 node scripts/build-treasure-data.js');
+    });
+
+    it('座標與 Teamcraft treasures.json 相同', () => {
+        const generated = parseTreasuresRaw(output);
+        const teamcraft = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'treasures.json'), 'utf8'));
+
+        const mismatched = teamcraft
+            .filter(t => generated.has(t.id))
+            .filter(t => generated.get(t.id).x !== t.coords.x || generated.get(t.id).y !== t.coords.y)
+            .map(t => t.id);
+        assert.deepStrictEqual(mismatched, []);
+        assert.ok(teamcraft.filter(t => generated.has(t.id)).length > 900);
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * ChatLinkParser 測試
+ *
+ * 涵蓋聊天紀錄前綴 (時間戳記、小隊、通訊貝、說話) 的發言者解析，
+ * 以及多行地圖連結對應到指定等級的藏寶點。
+ *
+ * 使用方式:
+ *   node --test tests/chat-link-parser.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getGlobals } = require('./helpers/load-browser-globals');
+
+const context = loadScripts(['js/treasure-data.js', 'js/data.js', 'js/global-search.js', 'js/chat-link-parser.js']);
+const { ChatLinkParser, GRADE_DATA, TREASURES, getMapName } = getGlobals(context, [
+    'ChatLinkParser', 'GRADE_DATA', 'TREASURES', 'getMapName'
+]);
+
+const G17 = GRADE_DATA.find(g => g.grade === 'G17');
+
+function mapLink(treasure) {
+    return `${getMapName(treasure.map)} ( ${treasure.coords.x.toFixed(1)}  , ${treasure.coords.y.toFixed(1)} )`;
+}
+
+describe('ChatLinkParser.parseChatLine', () => {
+    const link = '夏勞尼荒野 ( 13.2 , 9.0 )';
+
+    it('解析各種聊天前綴的發言者', () => {
+        const cases = [
+            [`[12:34](光之戰士) ${link}`, '光之戰士'],
+            [`[12:34:56](Warrior of Light) ${link}`, 'Warrior of Light'],
+            [`[1]<光之戰士> ${link}`, '光之戰士'],
+            [`<光之戰士> ${link}`, '光之戰士'],
+            [`光之戰士：${link}`, '光之戰士'],
+            [`光之戰士 >> ${link}`, '光之戰士'],
+            [link, '']
+        ];
+        cases.forEach(([line, player]) => {
+            const parsed = ChatLinkParser.parseChatLine(line);
+            assert.strictEqual(parsed.player, player, line);
+            assert.strictEqual(parsed.zoneName, '夏勞尼荒野', line);
+            assert.deepStrictEqual({ ...parsed.coords }, { x: 13.2, y: 9 }, line);
+        });
+    });
+
+    it('地圖連結前的訊息文字不影響地區名稱', () => {
+        const parsed = ChatLinkParser.parseChatLine(`(光之戰士) 我的圖在 ${link} 喔`);
+        assert.strictEqual(parsed.player, '光之戰士');
+        assert.ok(parsed.zoneName.endsWith('夏勞尼荒野'));
+    });
+
+    it('沒有座標的行回傳 null', () => {
+        assert.strictEqual(ChatLinkParser.parseChatLine('(光之戰士) 大家好'), null);
+        assert.strictEqual(ChatLinkParser.parseChatLine(''), null);
+    });
+});
+
+describe('ChatLinkParser.parseChatLog', () => {
+    const treasures = TREASURES.filter(t => t.item === G17.itemId);
+
+    it('多行對應到所選等級的藏寶點並保留順序與發言者', () => {
+        const picked = [treasures[0], treasures[5], treasures[treasures.length - 1]];
+        const text = [
+            '[21:00](光之戰士) 出發前先集合',
+            `[21:01](光之戰士) ${mapLink(picked[0])}`,
+            `[21:01](暗之戰士) ${mapLink(picked[1])}`,
+            '',
+            `${mapLink(picked[2])}`
+        ].join('\r\n');
+
+        const entries = ChatLinkParser.parseChatLog(text, G17);
+        assert.deepStrictEqual(Array.from(entries, e => e.treasure.id), picked.map(t => t.id));
+        assert.deepStrictEqual(Array.from(entries, e => e.player), ['光之戰士', '暗之戰士', '']);
+        assert.ok(entries.every(e => e.error === null && e.distance <= ChatLinkParser.MAX_MATCH_DISTANCE));
+    });
+
+    it('座標稍有誤差時仍對應到最近的藏寶點', () => {
+        const treasure = treasures[2];
+        const line = `${getMapName(treasure.map)} ( ${(treasure.coords.x + 0.3).toFixed(1)} , ${(treasure.coords.y - 0.2).toFixed(1)} )`;
+        assert.strictEqual(ChatLinkParser.parseChatLog(line, G17)[0].treasure.id, treasure.id);
+    });
+
+    it('找不到地圖、等級不符或距離過遠時附上錯誤', () => {
+        const treasure = treasures[0];
+        const [unknownMap] = ChatLinkParser.parseChatLog('不存在的地區 ( 10.0 , 10.0 )', G17);
+        assert.strictEqual(unknownMap.treasure, null);
+        assert.match(unknownMap.error, /找不到地圖/);
+
+        // G17 的地圖上沒有其他等級的藏寶點 (例如 G6)
+        const G6 = GRADE_DATA.find(g => g.grade === 'G6');
+        const [wrongGrade] = ChatLinkParser.parseChatLog(mapLink(treasure), G6);
+        assert.strictEqual(wrongGrade.treasure, null);
+        assert.match(wrongGrade.error, /沒有 G6 的藏寶點/);
+
+        // 同地圖上離所有 G17 藏寶點都很遠的位置
+        const spots = treasures.filter(t => t.map === treasure.map);
+        let farPoint = null;
+        for (let x = 5; x <= 40 && !farPoint; x += 5) {
+            for (let y = 5; y <= 40 && !farPoint; y += 5) {
+                if (spots.every(t => Math.hypot(t.coords.x - x, t.coords.y - y) > ChatLinkParser.MAX_MATCH_DISTANCE)) {
+                    farPoint = { x, y };
+                }
+            }
+        }
+        const [tooFar] = ChatLinkParser.parseChatLog(`${getMapName(treasure.map)} ( ${farPoint.x}.0 , ${farPoint.y}.0 )`, G17);
+        assert.strictEqual(tooFar.treasure, null);
+        assert.match(tooFar.error, /附近沒有 G17 的藏寶點/);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * js/data.js 輔助函數測試
+ *
+ * 使用方式:
+ *   node --test tests/
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadRouteData } = require('./helpers/load-browser-globals');
+const { forAll } = require('./helpers/property');
+
+const {
+    GRADE_DATA, MAP_DATA, TREASURES, ZONE_AETHERYTES,
+    findNearestAetheryte, getMapName, getMapsForGrade, getTreasuresForGradeAndMap, getMapIdByZoneId,
+    findNearestTreasures, getAllTreasureMaps
+} = loadRouteData();
+
+const AETHERYTE_ZONE_IDS = Object.keys(ZONE_AETHERYTES).map(Number);
+
+function distance(p1, p2) {
+    return Math.hypot(p1.x - p2.x, p1.y - p2.y);
+}
+
+describe('findNearestAetheryte', () => {
+    it('回傳該區域中距離最近的傳送點', () => {
+        forAll(random => ({
+            zoneId: random.pick(AETHERYTE_ZONE_IDS),
+            coords: { x: 1 + random.next() * 41, y: 1 + random.next() * 41 }
+        }), ({ zoneId, coords }) => {
+            const nearest = findNearestAetheryte(zoneId, coords);
+            const minDistance = Math.min(...ZONE_AETHERYTES[zoneId].map(a => distance(a.coords, coords)));
+
+            assert.ok(ZONE_AETHERYTES[zoneId].some(a => a.name === nearest.name));
+            assert.ok(Math.abs(nearest.distance - minDistance) < 1e-9);
+            assert.ok(Math.abs(distance(nearest.coords, coords) - minDistance) < 1e-9);
+        });
+    });
+
+    it('站在傳送點上時距離為 0', () => {
+        AETHERYTE_ZONE_IDS.forEach(zoneId => {
+            ZONE_AETHERYTES[zoneId].forEach(aetheryte => {
+                assert.strictEqual(findNearestAetheryte(zoneId, aetheryte.coords).distance, 0);
+            });
+        });
+    });
+
+    it('沒有傳送點資料的區域回傳 null', () => {
+        assert.strictEqual(findNearestAetheryte(-1, { x: 10, y: 10 }), null);
+    });
+
+    it('不修改 ZONE_AETHERYTES', () => {
+        const zoneId = AETHERYTE_ZONE_IDS[0];
+        const result = findNearestAetheryte(zoneId, { x: 20, y: 20 });
+        assert.ok(!('distance' in ZONE_AETHERYTES[zoneId].find(a => a.name === result.name)));
+    });
+});
+
+describe('getMapsForGrade', () => {
+    GRADE_DATA.forEach(grade => {
+        it(`${grade.grade}: 地圖不重複，數量總和等於該等級藏寶點數`, () => {
+            const maps = getMapsForGrade(grade);
+            const total = TREASURES.filter(t => t.item === grade.itemId).length;
+
+            assert.ok(maps.length > 0, '沒有任何地圖');
+            assert.strictEqual(new Set(maps.map(m => m.id)).size, maps.length);
+            assert.strictEqual(maps.reduce((sum, m) => sum + m.count, 0), total);
+
+            maps.forEach(m => {
+                assert.strictEqual(m.name, getMapName(m.id));
+                assert.strictEqual(m.image, MAP_DATA[m.id]?.image);
+            });
+        });
+    });
+
+    it('依地圖名稱排序', () => {
+        GRADE_DATA.forEach(grade => {
+            const names = getMapsForGrade(grade).map(m => m.name);
+            const sorted = [...names].sort((a, b) => a.localeCompare(b, 'zh-TW'));
+            assert.deepStrictEqual(Array.from(names), sorted);
+        });
+    });
+});
+
+describe('getTreasuresForGradeAndMap', () => {
+    it('各地圖的結果合起來恰好是該等級的所有藏寶點', () => {
+        GRADE_DATA.forEach(grade => {
+            const ids = getMapsForGrade(grade)
+                .flatMap(m => getTreasuresForGradeAndMap(grade, m.id).map(t => t.id))
+                .sort();
+            const expected = TREASURES.filter(t => t.item === grade.itemId).map(t => t.id).sort();
+            assert.deepStrictEqual(Array.from(ids), Array.from(expected));
+        });
+    });
+
+    it('只回傳指定等級與地圖的藏寶點', () => {
+        forAll(random => {
+            const grade = random.pick(GRADE_DATA);
+            return { grade, mapId: random.pick(getMapsForGrade(grade)).id };
+        }, ({ grade, mapId }) => {
+            const treasures = getTreasuresForGradeAndMap(grade, mapId);
+            assert.ok(treasures.length > 0);
+            treasures.forEach(t => {
+                assert.strictEqual(t.item, grade.itemId);
+                assert.strictEqual(t.map, mapId);
+            });
+        }, { runs: 30 });
+    });
+
+    it('該等級沒有藏寶點的地圖回傳空陣列', () => {
+        assert.strictEqual(getTreasuresForGradeAndMap(GRADE_DATA[0], -1).length, 0);
+    });
+});
+
+describe('getMapIdByZoneId', () => {
+    it('與 MAP_DATA.placename_id 互相對應', () => {
+        const zoneIds = new Set(Object.values(MAP_DATA).map(m => m.placename_id));
+        zoneIds.forEach(zoneId => {
+            const mapId = getMapIdByZoneId(zoneId);
+            assert.strictEqual(typeof mapId, 'number');
+            assert.strictEqual(MAP_DATA[mapId].placename_id, zoneId);
+        });
+    });
+
+    it('有藏寶點的地圖都能由區域 ID 找回同一張地圖', () => {
+        const mapIds = new Set(TREASURES.map(t => t.map));
+        mapIds.forEach(mapId => {
+            assert.strictEqual(getMapIdByZoneId(MAP_DATA[mapId].placename_id), mapId);
+        });
+    });
+
+    it('未知的區域回傳 null', () => {
+        assert.strictEqual(getMapIdByZoneId(-1), null);
+    });
+});
+
+describe('findNearestTreasures', () => {
+    const GRADE_ITEM_IDS = new Set(GRADE_DATA.map(g => g.itemId));
+    const MAP_IDS = getAllTreasureMaps().map(map => map.id);
+
+    it('回傳該地圖上所有等級中最近的藏寶點，依距離排序', () => {
+        forAll(random => ({
+            mapId: random.pick(MAP_IDS),
+            coords: { x: 1 + random.next() * 41, y: 1 + random.next() * 41 },
+            limit: random.int(1, 8)
+        }), ({ mapId, coords, limit }) => {
+            const results = findNearestTreasures(mapId, coords, limit);
+            const candidates = TREASURES.filter(t => t.map === mapId && GRADE_ITEM_IDS.has(t.item));
+
+            assert.strictEqual(results.length, Math.min(limit, candidates.length));
+            results.forEach((result, i) => {
+                assert.strictEqual(result.treasure.map, mapId);
+                assert.strictEqual(result.grade.itemId, result.treasure.item);
+                assert.ok(Math.abs(result.distance - distance(result.treasure.coords, coords)) < 1e-9);
+                if (i > 0) assert.ok(results[i - 1].distance <= result.distance);
+            });
+
+            // 沒有被選中的藏寶點都不比最後一個近
+            const farthest = results[results.length - 1].distance;
+            const chosen = new Set(results.map(r => r.treasure));
+            candidates.filter(t => !chosen.has(t)).forEach(t => {
+                assert.ok(distance(t.coords, coords) >= farthest - 1e-9);
+            });
+        });
+    });
+
+    it('以藏寶點本身的座標查詢時距離為 0', () => {
+        const treasure = TREASURES.find(t => GRADE_ITEM_IDS.has(t.item));
+        const [nearest] = findNearestTreasures(treasure.map, treasure.coords, 1);
+        assert.strictEqual(nearest.distance, 0);
+    });
+
+    it('沒有藏寶點的地圖回傳空陣列', () => {
+        assert.strictEqual(findNearestTreasures(-1, { x: 10, y: 10 }).length, 0);
+    });
+});
+
+describe('getAllTreasureMaps', () => {
+    it('包含每個等級的所有地圖，且不重複', () => {
+        const ids = getAllTreasureMaps().map(map => map.id);
+        assert.strictEqual(new Set(ids).size, ids.length);
+        GRADE_DATA.forEach(grade => {
+            getMapsForGrade(grade).forEach(map => assert.ok(ids.includes(map.id), `${grade.grade} ${map.name}`));
+        });
+    });
+});
@@ -0,0 +1,442 @@
+/**
+ * firebase-rules.json 安全規則測試
+ *
+ * 以 helpers/rules-evaluator.js 直接評估規則，確認客戶端的限制 (順序鎖定、房主操作、
+ * 人數上限、藏寶圖欄位格式) 在伺服器端同樣成立，即使繞過 PartyService 直接寫入也會被拒絕。
+ *
+ * 使用方式:
+ *   node --test tests/firebase-rules.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadRules, createRulesEvaluator } = require('./helpers/rules-evaluator');
+
+const NOW = 1700000000000;
+const CODE = 'ABCD2345';
+const PARTY = `parties/${CODE}`;
+
+const LEADER = { uid: 'leader' };
+const MEMBER = { uid: 'member1' };
+const STRANGER = { uid: 'stranger' };
+
+const rules = createRulesEvaluator(loadRules(), { now: () => NOW });
+
+function createTreasure(overrides = {}) {
+    return {
+        id: '17-1',
+        coords: { x: 12.3, y: 20.5 },
+        mapId: 860,
+        gradeItemId: 17836,
+        partySize: 8,
+        addedBy: 'leader',
+        addedByNickname: '隊長',
+        addedAt: NOW,
+        order: 1,
+        completed: false,
+        ...overrides
+    };
+}
+
+// 房主與一名隊員、兩張藏寶圖的隊伍
+function createRoot({ orderLocked = false } = {}) {
+    return {
+        parties: {
+            [CODE]: {
+                meta: {
+                    createdAt: NOW,
+                    createdBy: 'leader',
+                    expiresAt: NOW + 3600000,
+                    orderLocked,
+                    orderCounter: 2,
+                    leaderId: 'leader'
+                },
+                members: {
+                    leader: { joinedAt: NOW, nickname: '隊長' },
+                    member1: { joinedAt: NOW + 1, nickname: '隊員1' }
+                },
+                treasures: {
+                    t1: createTreasure({ order: 1, mustPrecede: { t2: true } }),
+                    t2: createTreasure({ id: '17-2', order: 2, pinnedPosition: 2 })
+                }
+            }
+        }
+    };
+}
+
+function allowed(root, path, value, auth) {
+    return rules.canWrite(root, path, value, auth).allowed;
+}
+
+describe('firebase-rules.json', () => {
+    describe('隊伍建立與刪除', () => {
+        const newParty = {
+            meta: { createdAt: { '.sv': 'timestamp' }, createdBy: 'leader', expiresAt: NOW + 3600000, orderCounter: 0, leaderId: 'leader' },
+            members: { leader: { joinedAt: { '.sv': 'timestamp' }, nickname: '隊長' } }
+        };
+
+        it('建立者可以建立隊伍並成為房主', () => {
+            assert.ok(allowed({}, PARTY, newParty, LEADER));
+        });
+
+        it('不能冒用其他人的名義建立隊伍', () => {
+            assert.ok(!allowed({}, PARTY, newParty, MEMBER));
+            assert.ok(!allowed({}, PARTY, newParty, null));
+
+            // 建立時只能指定自己為房主
+            const otherLeader = {
+                meta: { ...newParty.meta, leaderId: 'member1' },
+                members: { ...newParty.members, member1: { joinedAt: NOW, nickname: '隊員1' } }
+            };
+            assert.ok(!allowed({}, PARTY, otherLeader, LEADER));
+        });
+
+        it('隊伍代碼格式必須正確', () => {
+            assert.ok(!allowed({}, 'parties/abcd2345', newParty, LEADER));
+            assert.ok(!allowed({}, 'parties/ABCD0345', newParty, LEADER), '不含容易混淆的 0');
+            assert.ok(!allowed({}, 'parties/ABC2345', newParty, LEADER));
+        });
+
+        it('不能覆蓋已存在的隊伍', () => {
+            assert.ok(!allowed(createRoot(), PARTY, newParty, LEADER));
+        });
+
+        it('只能刪除已沒有成員或已過期的隊伍', () => {
+            const root = createRoot();
+            assert.ok(!allowed(root, PARTY, null, LEADER));
+
+            delete root.parties[CODE].members;
+            assert.ok(allowed(root, PARTY, null, LEADER));
+
+            const expired = createRoot();
+            expired.parties[CODE].meta.expiresAt = NOW - 1;
+            assert.ok(allowed(expired, PARTY, null, STRANGER));
+        });
+
+        it('未登入無法讀取隊伍', () => {
+            assert.ok(rules.canRead(createRoot(), PARTY, MEMBER));
+            assert.ok(!rules.canRead(createRoot(), PARTY, null));
+        });
+    });
+
+    describe('meta', () => {
+        it('只有房主可以鎖定順序', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/meta/orderLocked`, true, LEADER));
+            assert.ok(!allowed(root, `${PARTY}/meta/orderLocked`, true, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/orderLocked`, 'yes', LEADER));
+        });
+
+        it('只有房主可以設定離線寬限期 (1 到 30 分鐘)', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/meta/offlineGracePeriod`, 300000, LEADER));
+            assert.ok(!allowed(root, `${PARTY}/meta/offlineGracePeriod`, 300000, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/offlineGracePeriod`, 30000, LEADER));
+            assert.ok(!allowed(root, `${PARTY}/meta/offlineGracePeriod`, 3600000, LEADER));
+            assert.ok(!allowed(root, `${PARTY}/meta/offlineGracePeriod`, '5', LEADER));
+        });
+
+        it('建立時間與建立者不可修改', () => {
+            const root = createRoot();
+            assert.ok(!allowed(root, `${PARTY}/meta/createdBy`, 'member1', MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/createdAt`, NOW + 1, LEADER));
+        });
+
+        it('順序計數器只能遞增', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/meta/orderCounter`, 3, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/orderCounter`, 1, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/orderCounter`, 3, STRANGER));
+        });
+
+        it('到期時間最多延長到 24 小時後', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/meta/expiresAt`, NOW + 86400000, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/expiresAt`, NOW + 86400001, MEMBER));
+        });
+
+        it('順序鎖定時只有房主可以修改路線起點', () => {
+            const routeStart = { zoneId: 956, aetheryte: '哈努村' };
+            assert.ok(allowed(createRoot(), `${PARTY}/meta/routeStart`, routeStart, MEMBER));
+
+            const locked = createRoot({ orderLocked: true });
+            assert.ok(!allowed(locked, `${PARTY}/meta/routeStart`, routeStart, MEMBER));
+            assert.ok(allowed(locked, `${PARTY}/meta/routeStart`, routeStart, LEADER));
+        });
+
+        it('不接受未定義的欄位', () => {
+            assert.ok(!allowed(createRoot(), `${PARTY}/meta/hacked`, true, LEADER));
+        });
+    });
+
+    describe('members', () => {
+        const newMember = { joinedAt: { '.sv': 'timestamp' }, nickname: '新人' };
+
+        it('只能寫入自己的成員資料，房主可以移出其他成員', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/members/stranger`, newMember, STRANGER));
+            assert.ok(allowed(root, `${PARTY}/members/member1`, null, MEMBER));
+            assert.ok(allowed(root, `${PARTY}/members/member1`, null, LEADER));
+            assert.ok(!allowed(root, `${PARTY}/members/leader`, null, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/members/member1/nickname`, '改名', LEADER));
+        });
+
+        it('被封鎖的成員無法再加入', () => {
+            const root = createRoot();
+            root.parties[CODE].bans = { stranger: NOW };
+            assert.ok(!allowed(root, `${PARTY}/members/stranger`, newMember, STRANGER));
+        });
+
+        it('不接受未定義的欄位', () => {
+            assert.ok(!allowed(createRoot(), `${PARTY}/members/member1/isLeader`, true, MEMBER));
+        });
+
+        it('隊伍最多 8 人', () => {
+            const root = createRoot();
+            const members = root.parties[CODE].members;
+            for (let i = 2; i < 8; i++) {
+                members[`member${i}`] = { joinedAt: NOW, nickname: `隊員${i}` };
+            }
+
+            assert.ok(!allowed(root, `${PARTY}/members/stranger`, newMember, STRANGER));
+            // 已在隊伍中的成員仍可更新自己的資料
+            assert.ok(allowed(root, `${PARTY}/members/member1/nickname`, '改名', MEMBER));
+        });
+
+        it('暱稱長度為 1 到 20 字', () => {
+            const root = createRoot();
+            assert.ok(!allowed(root, `${PARTY}/members/member1/nickname`, '', MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/members/member1/nickname`, 'a'.repeat(21), MEMBER));
+        });
+    });
+
+    describe('presence', () => {
+        const online = { state: 'online', lastSeen: { '.sv': 'timestamp' } };
+
+        function withPresence(state, lastSeen) {
+            const root = createRoot();
+            root.parties[CODE].presence = { leader: { state: 'online', lastSeen: NOW }, member1: { state, lastSeen } };
+            return root;
+        }
+
+        it('成員只能寫入自己的連線狀態', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/presence/member1`, online, MEMBER));
+            assert.ok(allowed(root, `${PARTY}/presence/member1`, { ...online, state: 'away' }, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/presence/leader`, online, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/presence/stranger`, online, STRANGER), '非成員不能寫入');
+            assert.ok(!allowed(root, `${PARTY}/presence/member1`, { ...online, state: 'busy' }, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/presence/member1`, { state: 'online', lastSeen: NOW + 60000 }, MEMBER));
+        });
+
+        it('離線超過 1 分鐘的成員可以被任何成員移除', () => {
+            const stale = withPresence('offline', NOW - 60001);
+            assert.ok(allowed(stale, `${PARTY}/members/member1`, null, LEADER));
+            assert.ok(!allowed(stale, `${PARTY}/members/member1`, null, STRANGER));
+
+            assert.ok(!allowed(withPresence('offline', NOW - 1000), `${PARTY}/members/leader`, null, MEMBER));
+            const recent = withPresence('offline', NOW - 1000);
+            recent.parties[CODE].meta.leaderId = 'member2';
+            assert.ok(!allowed(recent, `${PARTY}/members/member1`, null, LEADER), '寬限期內不能移除');
+
+            const away = withPresence('away', NOW - 600000);
+            away.parties[CODE].meta.leaderId = 'member2';
+            assert.ok(!allowed(away, `${PARTY}/members/member1`, null, LEADER), '暫離不是離線');
+        });
+
+        it('成員資料移除後，其他成員可以清除其連線狀態', () => {
+            const root = withPresence('offline', NOW - 600000);
+            assert.ok(!allowed(root, `${PARTY}/presence/member1`, null, LEADER));
+
+            delete root.parties[CODE].members.member1;
+            assert.ok(allowed(root, `${PARTY}/presence/member1`, null, LEADER));
+        });
+    });
+
+    describe('房主', () => {
+        const leaderPath = `${PARTY}/meta/leaderId`;
+
+        it('房主可以轉移給其他成員', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, leaderPath, 'member1', LEADER));
+            assert.ok(!allowed(root, leaderPath, 'stranger', LEADER), '只能轉移給隊伍成員');
+        });
+
+        it('房主仍在隊伍中時，成員不能自行成為房主', () => {
+            const root = createRoot();
+            assert.ok(!allowed(root, leaderPath, 'member1', MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/orderLocked`, true, MEMBER));
+        });
+
+        it('房主離開或斷線後，成員可以接任', () => {
+            const root = createRoot();
+            delete root.parties[CODE].members.leader;
+            assert.ok(allowed(root, leaderPath, 'member1', MEMBER));
+            assert.ok(!allowed(root, leaderPath, 'stranger', STRANGER), '非成員不能接任');
+            assert.ok(!allowed(root, leaderPath, 'member1', STRANGER), '不能替其他人接任');
+
+            // 舊版隊伍沒有 leaderId
+            delete root.parties[CODE].meta.leaderId;
+            assert.ok(allowed(root, leaderPath, 'member1', MEMBER));
+        });
+
+        it('只有房主可以封鎖成員', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/bans/member1`, { '.sv': 'timestamp' }, LEADER));
+            assert.ok(!allowed(root, `${PARTY}/bans/leader`, NOW, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/bans/member1`, null, MEMBER), '被封鎖的成員不能解除自己的封鎖');
+            assert.ok(!allowed(root, `${PARTY}/bans/leader`, NOW, LEADER), '房主不能封鎖自己');
+        });
+    });
+
+    describe('觀戰連結', () => {
+        const TOKEN = 'ABCDEFGHJK23456789MN';
+        const entry = { partyCode: CODE, createdBy: 'member1', createdAt: NOW };
+
+        function withSpectator(root = createRoot()) {
+            root.spectators = { [TOKEN]: entry };
+            return root;
+        }
+
+        it('成員可以建立指向自己隊伍的觀戰代碼', () => {
+            assert.ok(allowed(createRoot(), `spectators/${TOKEN}`, entry, MEMBER));
+            assert.ok(!allowed(createRoot(), `spectators/${TOKEN}`, entry, STRANGER), '非成員不能建立');
+            assert.ok(!allowed(createRoot(), `spectators/${TOKEN}`, { ...entry, createdBy: 'leader' }, MEMBER), '不能冒名');
+            assert.ok(!allowed(createRoot(), 'spectators/SHORT', entry, MEMBER), '代碼格式必須正確');
+            assert.ok(!allowed(withSpectator(), `spectators/${TOKEN}`, { ...entry, partyCode: 'ZZZZZZZZ' }, MEMBER), '不能修改');
+        });
+
+        it('meta 只能指向屬於此隊伍的觀戰代碼，且只有房主可以重設', () => {
+            const root = withSpectator();
+            assert.ok(!allowed(createRoot(), `${PARTY}/meta/spectatorToken`, TOKEN, MEMBER), '索引必須已存在');
+            assert.ok(allowed(root, `${PARTY}/meta/spectatorToken`, TOKEN, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/meta/spectatorToken`, TOKEN, STRANGER));
+
+            root.parties[CODE].meta.spectatorToken = TOKEN;
+            const other = 'ZZZZZZZZZZZZZZZZZZZZ';
+            root.spectators[other] = { ...entry, createdBy: 'leader' };
+            assert.ok(!allowed(root, `${PARTY}/meta/spectatorToken`, other, MEMBER));
+            assert.ok(allowed(root, `${PARTY}/meta/spectatorToken`, other, LEADER));
+        });
+
+        it('建立者與房主可以移除觀戰代碼，隊伍刪除後任何人都可以清除', () => {
+            const root = withSpectator();
+            assert.ok(allowed(root, `spectators/${TOKEN}`, null, MEMBER));
+            assert.ok(allowed(root, `spectators/${TOKEN}`, null, LEADER));
+            assert.ok(!allowed(root, `spectators/${TOKEN}`, null, STRANGER));
+
+            delete root.parties;
+            assert.ok(allowed(root, `spectators/${TOKEN}`, null, STRANGER));
+        });
+
+        it('觀戰代碼索引 (含隊伍代碼) 無法讀取，觀戰副本只能個別讀取', () => {
+            const root = withSpectator();
+            assert.ok(!rules.canRead(root, `spectators/${TOKEN}`, STRANGER));
+            assert.ok(!rules.canRead(root, `spectators/${TOKEN}`, MEMBER));
+            assert.ok(rules.canRead(root, `spectatorViews/${TOKEN}`, STRANGER));
+            assert.ok(!rules.canRead(root, 'spectatorViews', STRANGER));
+        });
+
+        it('只有使用此觀戰代碼的隊伍成員可以寫入觀戰副本，代碼失效後任何人都可以清除', () => {
+            const view = { meta: { expiresAt: NOW + 3600000, spectatorToken: TOKEN } };
+            const root = withSpectator();
+            assert.ok(!allowed(root, `spectatorViews/${TOKEN}`, view, MEMBER), 'meta 尚未指向此代碼');
+
+            root.parties[CODE].meta.spectatorToken = TOKEN;
+            assert.ok(allowed(root, `spectatorViews/${TOKEN}`, view, MEMBER));
+            assert.ok(allowed(root, `spectatorViews/${TOKEN}`, view, LEADER));
+            assert.ok(!allowed(root, `spectatorViews/${TOKEN}`, view, STRANGER));
+            assert.ok(!allowed(root, `spectatorViews/${TOKEN}`, { ...view, partyCode: CODE }, MEMBER), '不能附加其他資料');
+            assert.ok(!allowed(root, `spectatorViews/${TOKEN}`, null, STRANGER));
+
+            root.parties[CODE].meta.spectatorToken = 'ZZZZZZZZZZZZZZZZZZZZ';
+            assert.ok(allowed(root, `spectatorViews/${TOKEN}`, null, STRANGER), '觀戰代碼已重設');
+            assert.ok(!allowed(root, `spectatorViews/${TOKEN}`, view, MEMBER));
+
+            delete root.spectators;
+            assert.ok(allowed(root, `spectatorViews/${TOKEN}`, null, STRANGER), '索引已移除');
+        });
+    });
+
+    describe('treasures', () => {
+        it('非隊伍成員無法新增藏寶圖', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/treasures/t3`, createTreasure({ addedBy: 'member1' }), MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/treasures/t3`, createTreasure({ addedBy: 'stranger' }), STRANGER));
+        });
+
+        it('新增者不能冒名，且新增後不可修改', () => {
+            const root = createRoot();
+            assert.ok(!allowed(root, `${PARTY}/treasures/t3`, createTreasure({ addedBy: 'leader' }), MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/treasures/t1/addedBy`, 'member1', MEMBER));
+        });
+
+        it('欄位型別與範圍', () => {
+            const root = createRoot();
+            const path = `${PARTY}/treasures/t3`;
+            const add = overrides => allowed(root, path, createTreasure({ addedBy: 'member1', ...overrides }), MEMBER);
+
+            assert.ok(!add({ coords: { x: 0, y: 20 } }));
+            assert.ok(!add({ coords: { x: 12, y: 46 } }));
+            assert.ok(!add({ coords: { x: 12 } }));
+            assert.ok(!add({ coords: { x: '12', y: 20 } }));
+            assert.ok(!add({ mapId: '860' }));
+            assert.ok(!add({ mapId: 0 }));
+            assert.ok(!add({ order: '1' }));
+            assert.ok(!add({ completed: 'false' }));
+            assert.ok(!add({ partySize: 9 }));
+            assert.ok(!add({ pinnedPosition: 1.5 }));
+            assert.ok(!add({ extra: true }), '不接受未定義的欄位');
+
+            const { order, ...withoutOrder } = createTreasure({ addedBy: 'member1' });
+            assert.ok(!allowed(root, path, withoutOrder, MEMBER), '缺少必要欄位');
+        });
+
+        it('備註與玩家名稱的長度上限', () => {
+            const root = createRoot();
+            const treasure = `${PARTY}/treasures/t1`;
+
+            assert.ok(allowed(root, `${treasure}/note`, 'a'.repeat(100), MEMBER));
+            assert.ok(!allowed(root, `${treasure}/note`, 'a'.repeat(101), MEMBER));
+            assert.ok(allowed(root, `${treasure}/player`, 'a'.repeat(32), MEMBER));
+            assert.ok(!allowed(root, `${treasure}/player`, 'a'.repeat(33), MEMBER));
+            assert.ok(!allowed(root, `${treasure}/note`, 42, MEMBER));
+        });
+
+        it('順序鎖定時成員不能調整順序、固定順位或先後順序', () => {
+            const root = createRoot({ orderLocked: true });
+            const treasures = `${PARTY}/treasures`;
+
+            assert.ok(!allowed(root, `${treasures}/t1/order`, 5, MEMBER));
+            assert.ok(!allowed(root, `${treasures}/t2/pinnedPosition`, null, MEMBER));
+            assert.ok(!allowed(root, `${treasures}/t1/pinnedPosition`, 1, MEMBER));
+            assert.ok(!allowed(root, `${treasures}/t1/mustPrecede`, null, MEMBER));
+            assert.ok(!allowed(root, `${treasures}/t2/mustPrecede/t1`, true, MEMBER));
+
+            // 以 Transaction 寫入整個 treasures 交換順序
+            const swapped = createRoot().parties[CODE].treasures;
+            swapped.t1.order = 2;
+            swapped.t2.order = 1;
+            assert.ok(!allowed(root, treasures, swapped, MEMBER));
+            assert.ok(allowed(root, treasures, swapped, LEADER));
+        });
+
+        it('順序鎖定時成員仍可新增藏寶圖、標記完成與填寫備註', () => {
+            const root = createRoot({ orderLocked: true });
+            const treasures = `${PARTY}/treasures`;
+
+            assert.ok(allowed(root, `${treasures}/t3`, createTreasure({ addedBy: 'member1', order: 3 }), MEMBER));
+            assert.ok(allowed(root, `${treasures}/t1/completed`, true, MEMBER));
+            assert.ok(allowed(root, `${treasures}/t1/note`, '先打這張', MEMBER));
+            assert.ok(allowed(root, `${treasures}/t2`, null, MEMBER));
+        });
+
+        it('未鎖定時成員可以調整順序', () => {
+            const root = createRoot();
+            assert.ok(allowed(root, `${PARTY}/treasures/t1/order`, 5, MEMBER));
+            assert.ok(allowed(root, `${PARTY}/treasures/t2/mustPrecede/t1`, true, MEMBER));
+            assert.ok(!allowed(root, `${PARTY}/treasures/t2/mustPrecede/t1`, false, MEMBER));
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * GlobalSearch 測試
+ *
+ * 涵蓋 <pos> 座標解析、座標對應藏寶點，以及地區、傳送點、藏寶圖名稱的搜尋
+ * (只使用內建資料，不需要網路)。
+ *
+ * 使用方式:
+ *   node --test tests/global-search.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getGlobals } = require('./helpers/load-browser-globals');
+
+const context = loadScripts(['js/treasure-data.js', 'js/data.js', 'js/global-search.js']);
+const { GlobalSearch, GRADE_DATA, TREASURES, ZONE_AETHERYTES, getMapName, getMapIdByZoneId, getGradeByItemId } = getGlobals(context, [
+    'GlobalSearch', 'GRADE_DATA', 'TREASURES', 'ZONE_AETHERYTES', 'getMapName', 'getMapIdByZoneId', 'getGradeByItemId'
+]);
+
+const G17 = GRADE_DATA.find(g => g.grade === 'G17');
+
+// 遊戲內 <pos> 的格式 (地區名稱後可能接副本編號等特殊符號)
+function formatPos(treasure, suffix) {
+    const { x, y } = treasure.coords;
+    return `${getMapName(treasure.map)}${suffix} ( ${x.toFixed(1)}  , ${y.toFixed(1)} )`;
+}
+
+describe('GlobalSearch.parsePosition', () => {
+    it('解析地區名稱與座標，支援全形符號與 Z 座標', () => {
+        const position = GlobalSearch.parsePosition('夏勞尼荒野 ( 13.2 , 9.0 )');
+        assert.strictEqual(position.zoneName, '夏勞尼荒野');
+        assert.deepStrictEqual({ ...position.coords }, { x: 13.2, y: 9 });
+
+        const full = GlobalSearch.parsePosition('夏勞尼荒野（１３.２，９.０，Z:0.3）');
+        assert.strictEqual(full.zoneName, '夏勞尼荒野');
+        assert.deepStrictEqual({ ...full.coords }, { x: 13.2, y: 9 });
+    });
+
+    it('不是座標或超出地圖範圍時回傳 null', () => {
+        assert.strictEqual(GlobalSearch.parsePosition('夏勞尼荒野'), null);
+        assert.strictEqual(GlobalSearch.parsePosition('夏勞尼荒野 ( 0.5 , 9.0 )'), null);
+        assert.strictEqual(GlobalSearch.parsePosition('夏勞尼荒野 ( 13.2 , 50 )'), null);
+    });
+});
+
+describe('GlobalSearch.search', () => {
+    it('<pos> 座標對應到該藏寶點', () => {
+        TREASURES.filter(t => getGradeByItemId(t.item)).slice(0, 100).forEach(treasure => {
+            const results = GlobalSearch.search(formatPos(treasure, '\uE0B1'));
+            const exact = results.filter(r => r.type === 'treasure' && r.exact);
+            assert.ok(exact.some(r => r.treasure.id === treasure.id), treasure.id);
+            assert.strictEqual(results[0].exact, true);
+            assert.ok(results.some(r => r.type === 'position' && r.mapId === treasure.map));
+        });
+    });
+
+    it('只輸入座標時使用目前的地圖', () => {
+        const treasure = TREASURES.find(t => t.item === G17.itemId);
+        const query = `${treasure.coords.x.toFixed(1)} ${treasure.coords.y.toFixed(1)}`;
+
+        assert.strictEqual(GlobalSearch.search(query).length, 0);
+        const results = GlobalSearch.search(query, { grade: G17, mapId: treasure.map });
+        assert.strictEqual(results[0].treasure.id, treasure.id);
+    });
+
+    it('地區名稱列出各等級的該地圖，目前等級優先', () => {
+        const treasure = TREASURES.find(t => t.item === G17.itemId);
+        const mapName = getMapName(treasure.map);
+
+        const results = GlobalSearch.search(mapName).filter(r => r.type === 'map');
+        assert.ok(results.length > 0);
+        assert.ok(results.every(r => r.mapId === treasure.map || getMapName(r.mapId).includes(mapName)));
+
+        const withContext = GlobalSearch.search(mapName, { grade: G17 }).filter(r => r.type === 'map');
+        assert.strictEqual(withContext[0].grade.itemId, G17.itemId);
+        assert.strictEqual(withContext[0].mapId, treasure.map);
+    });
+
+    it('傳送點名稱回傳傳送點座標與所在地圖', () => {
+        const aetheryte = ZONE_AETHERYTES[4505][0];
+        const results = GlobalSearch.search(aetheryte.name).filter(r => r.type === 'aetheryte');
+
+        assert.strictEqual(results[0].title, aetheryte.name);
+        assert.strictEqual(results[0].mapId, getMapIdByZoneId(4505));
+        assert.deepStrictEqual({ ...results[0].coords }, { ...aetheryte.coords });
+    });
+
+    it('藏寶圖名稱或等級代號選擇等級', () => {
+        assert.strictEqual(GlobalSearch.search('獰豹')[0].grade.itemId, G17.itemId);
+        assert.strictEqual(GlobalSearch.search('ｇ17')[0].grade.itemId, G17.itemId);
+
+        const results = GlobalSearch.search('陳舊的');
+        assert.ok(results.filter(r => r.type === 'grade').length > 1);
+        assert.ok(results.length <= GlobalSearch.RESULT_LIMIT);
+        assert.deepStrictEqual(Array.from(GlobalSearch.search('   ')), []);
+    });
+});
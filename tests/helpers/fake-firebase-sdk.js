@@ -0,0 +1,169 @@
+/**
+ * 模擬 window.FirebaseSDK (Realtime Database + 匿名登入)
+ *
+ * 以 js/party/adapters/memory-adapter.js 作為資料庫，提供與 firebase-config.js
+ * 匯出相同的函數: ref、get、set、push、remove、update、runTransaction、onValue、off、
+ * onDisconnect、serverTimestamp、signInAnonymously、onAuthStateChanged。
+ * 服務透過 firebase-adapter.js 呼叫這些函數，因此測試同時涵蓋 Firebase 後端的包裝層。
+ *
+ * 傳入 rules (rules-evaluator.js) 時，讀寫會先以 firebase-rules.json 檢查，
+ * 不符合時與 Firebase 相同以 PERMISSION_DENIED 錯誤拒絕。
+ */
+
+function permissionDenied(reason) {
+    const error = new Error(`PERMISSION_DENIED: Permission denied (${reason})`);
+    error.code = 'PERMISSION_DENIED';
+    return error;
+}
+
+/**
+ * 建立單一客戶端的 SDK
+ * @param {Object} adapter - MemoryAdapter.create() 的結果 (多個客戶端共用同一個 store)
+ * @param {Object} options - { rules: createRulesEvaluator() 的結果 (可選) }
+ */
+function createFakeFirebaseSDK(adapter, options = {}) {
+    const rules = options.rules || null;
+    const db = { name: 'fake-database' };
+    const auth = { currentUser: null };
+
+    // 路徑 → 取消監聽函數 (off 會移除該路徑上的所有監聽)
+    const listeners = new Map();
+
+    function currentAuth() {
+        return auth.currentUser ? { uid: auth.currentUser.uid } : null;
+    }
+
+    function checkRead(path) {
+        if (rules && !rules.canRead(adapter.getStore().root, path, currentAuth())) {
+            throw permissionDenied(`.read /${path}`);
+        }
+    }
+
+    function checkWrite(path, value) {
+        if (!rules) return;
+        const result = rules.canWrite(adapter.getStore().root, path, value, currentAuth());
+        if (!result.allowed) throw permissionDenied(result.reason);
+    }
+
+    function ref(database, path = '') {
+        const segments = String(path).split('/').filter(Boolean);
+        return {
+            path: segments.join('/'),
+            key: segments.length > 0 ? segments[segments.length - 1] : null
+        };
+    }
+
+    return {
+        auth,
+        db,
+        ref,
+
+        async signInAnonymously() {
+            const user = await adapter.signIn();
+            auth.currentUser = user;
+            return { user };
+        },
+
+        onAuthStateChanged(authInstance, callback) {
+            return adapter.onAuthStateChanged((user) => {
+                auth.currentUser = user;
+                callback(user);
+            });
+        },
+
+        async get(reference) {
+            checkRead(reference.path);
+            return adapter.get(reference.path);
+        },
+
+        async set(reference, value) {
+            checkWrite(reference.path, value);
+            return adapter.set(reference.path, value);
+        },
+
+        push(reference) {
+            return ref(db, `${reference.path}/${adapter.push(reference.path)}`);
+        },
+
+        async remove(reference) {
+            checkWrite(reference.path, null);
+            return adapter.remove(reference.path);
+        },
+
+        // 與 Firebase 相同，任一路徑被拒絕時整個更新都不套用
+        async update(reference, values) {
+            if (rules) {
+                const result = rules.canUpdate(adapter.getStore().root, reference.path, values, currentAuth());
+                if (!result.allowed) throw permissionDenied(result.reason);
+            }
+            return adapter.update(reference.path, values);
+        },
+
+        // 規則在套用前檢查最終值，拒絕時中止交易並拋出錯誤
+        async runTransaction(reference, updateFn) {
+            let denied = null;
+            const result = await adapter.transaction(reference.path, (current) => {
+                const next = updateFn(current);
+                if (next === undefined) return undefined;
+                try {
+                    checkWrite(reference.path, next);
+                } catch (error) {
+                    denied = error;
+                    return undefined;
+                }
+                return next;
+            });
+            if (denied) throw denied;
+            return result;
+        },
+
+        onValue(reference, callback, onError) {
+            try {
+                checkRead(reference.path);
+            } catch (error) {
+                if (onError) onError(error);
+                return () => {};
+            }
+
+            const unsubscribe = adapter.onValue(reference.path, callback, onError);
+            if (!listeners.has(reference.path)) listeners.set(reference.path, new Set());
+            listeners.get(reference.path).add(unsubscribe);
+
+            return () => {
+                unsubscribe();
+                listeners.get(reference.path)?.delete(unsubscribe);
+            };
+        },
+
+        off(reference) {
+            const set = listeners.get(reference.path);
+            if (!set) return;
+            set.forEach(unsubscribe => unsubscribe());
+            listeners.delete(reference.path);
+        },
+
+        // 與 Firebase 相同，在設定時檢查權限
+        onDisconnect(reference) {
+            const operations = adapter.onDisconnect(reference.path);
+            return {
+                set: async (value) => {
+                    checkWrite(reference.path, value);
+                    return operations.set(value);
+                },
+                remove: async () => {
+                    checkWrite(reference.path, null);
+                    return operations.remove();
+                },
+                cancel: () => operations.cancel()
+            };
+        },
+
+        serverTimestamp() {
+            return adapter.serverTimestamp();
+        }
+    };
+}
+
+module.exports = {
+    createFakeFirebaseSDK
+};
@@ -0,0 +1,89 @@
+/**
+ * 在 Node 中載入瀏覽器腳本 (不需要 DOM)
+ *
+ * 依 index.html 的順序以 vm 執行 js/ 下的檔案，所有檔案共用同一個 context，
+ * 與瀏覽器中多個 <script> 共用全域範圍相同。
+ *
+ * 使用方式:
+ *   const { loadScripts, getGlobals } = require('./helpers/load-browser-globals');
+ *   const context = loadScripts(['js/treasure-data.js', 'js/data.js']);
+ *   const { TREASURES } = getGlobals(context, ['TREASURES']);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// 資料與路線優化 (index.html 中最先載入的三個檔案)
+const DATA_SCRIPTS = [
+    'js/treasure-data.js',
+    'js/data.js',
+    'js/route-optimizer.js'
+];
+
+/**
+ * 建立 context 並依序執行腳本
+ * @param {Array<string>} files - 相對於專案根目錄的路徑
+ * @param {Object} globals - 額外提供給腳本的全域變數 (例如 localStorage)
+ */
+function loadScripts(files, globals = {}) {
+    const context = {
+        console,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        URLSearchParams,
+        crypto: globalThis.crypto,
+        ...globals
+    };
+    context.window = context.window || {};
+    vm.createContext(context);
+
+    files.forEach(file => {
+        const fullPath = path.join(ROOT_DIR, file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), context, { filename: fullPath });
+    });
+
+    return context;
+}
+
+/**
+ * 取出全域變數 (const / function 宣告不會掛在 context 上，需在 context 內求值)
+ */
+function getGlobals(context, names) {
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+/**
+ * 載入資料與 RouteOptimizer，回傳常用的全域變數
+ */
+function loadRouteData() {
+    const context = loadScripts(DATA_SCRIPTS);
+    return getGlobals(context, [
+        'GRADE_DATA', 'MAP_DATA', 'TREASURES', 'ZONE_AETHERYTES', 'PLACE_NAMES',
+        'RouteOptimizer', 'findNearestAetheryte', 'getMapName', 'getMapsForGrade',
+        'getTreasuresForGradeAndMap', 'getMapIdByZoneId', 'findNearestTreasures', 'getAllTreasureMaps'
+    ]);
+}
+
+/**
+ * 轉換為隊伍路線使用的藏寶點格式 (RouteOptimizer 以 mapId 分組)
+ */
+function toRouteTreasure(treasure) {
+    return {
+        id: treasure.id,
+        coords: treasure.coords,
+        mapId: treasure.map
+    };
+}
+
+module.exports = {
+    ROOT_DIR,
+    loadScripts,
+    getGlobals,
+    loadRouteData,
+    toRouteTreasure
+};
@@ -0,0 +1,177 @@
+/**
+ * 多客戶端隊伍測試工具
+ *
+ * 每個客戶端是一個獨立的瀏覽器環境 (vm context)，各自載入 PartyService / SyncService /
+ * AuthService 與自己的 localStorage，並透過模擬的 window.FirebaseSDK 共用同一個記憶體資料庫。
+ * 所有寫入預設都會以 firebase-rules.json 檢查，確保客戶端的操作不會被安全規則拒絕。
+ *
+ * 使用方式:
+ *   const store = createPartyStore();
+ *   const leader = await createPartyClient(store, { uid: 'leader' });
+ *   const code = await leader.PartyService.createParty('隊長');
+ *   await leader.startSync();
+ */
+
+const { loadScripts, getGlobals } = require('./load-browser-globals');
+const { createFakeFirebaseSDK } = require('./fake-firebase-sdk');
+const { loadRules, createRulesEvaluator } = require('./rules-evaluator');
+
+// 依 index.html 的載入順序 (memory-adapter.js 僅供測試)
+const PARTY_SCRIPTS = [
+    'js/treasure-data.js',
+    'js/data.js',
+    'js/route-optimizer.js',
+    'js/route-order.js',
+    'js/my-maps-service.js',
+    'js/party/data-tree.js',
+    'js/party/storage-adapter.js',
+    'js/party/adapters/firebase-adapter.js',
+    'js/party/adapters/memory-adapter.js',
+    'js/party/auth-service.js',
+    'js/party/offline-queue.js',
+    'js/party/party-service.js',
+    'js/party/sync-service.js'
+];
+
+// 服務會大量輸出 console.log，設定 DEBUG_PARTY_TESTS=1 才顯示
+const quietConsole = process.env.DEBUG_PARTY_TESTS
+    ? console
+    : { log() {}, warn() {}, error() {}, info() {} };
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+// 轉為本 realm 的物件 (vm context 內建立的陣列無法直接用 deepStrictEqual 比較)
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// 等待監聽回調與非同步寫入完成
+function flush() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * 建立共用資料庫
+ */
+function createPartyStore() {
+    // 借用一個 context 的 MemoryAdapter 建立 store (純資料，可跨 context 共用)
+    const context = loadScripts(['js/party/data-tree.js', 'js/party/storage-adapter.js', 'js/party/adapters/memory-adapter.js'], {
+        console: quietConsole
+    });
+    return context.window.MemoryAdapter.createStore();
+}
+
+/**
+ * 建立一個隊伍成員的客戶端
+ * @param {Object} store - createPartyStore() 的結果
+ * @param {Object} options - { uid, rules: false 時不檢查 firebase-rules.json }
+ */
+async function createPartyClient(store, options = {}) {
+    const localStorage = createLocalStorage();
+    const window = { location: { search: '' }, localStorage };
+    const context = loadScripts(PARTY_SCRIPTS, { window, localStorage, console: quietConsole });
+
+    const adapter = window.MemoryAdapter.create({ store, uid: options.uid });
+    const rules = options.rules === false ? null : createRulesEvaluator(loadRules());
+    window.FirebaseSDK = createFakeFirebaseSDK(adapter, { rules });
+    window.StorageAdapter.use('firebase');
+
+    const { PartyService, SyncService, AuthService, MyMapsService, TREASURES } = getGlobals(context, [
+        'PartyService', 'SyncService', 'AuthService', 'MyMapsService', 'TREASURES'
+    ]);
+    await AuthService.initialize();
+
+    // 最後一次同步收到的資料 (對應 app.js 的 partyMembers / partyTreasures)
+    const state = {
+        members: {},
+        treasures: [],
+        meta: {},
+        connected: false,
+        kicked: false,
+        spectateEnded: false
+    };
+
+    // 與 app.js setupSyncCallbacks 相同的狀態同步
+    SyncService.onMembersChange((members) => {
+        state.members = toPlain(members);
+    });
+    SyncService.onTreasuresChange((treasures) => {
+        state.treasures = toPlain(PartyService.sortByOrder(treasures));
+    });
+    SyncService.onMetaChange((meta) => {
+        state.meta = toPlain(meta);
+        if (meta?.expiresAt) PartyService.setExpiresAt(meta.expiresAt);
+        PartyService.setLeaderId(meta?.leaderId);
+        PartyService.setOrderLocked(!!meta?.orderLocked);
+        PartyService.setRouteStartState(meta?.routeStart);
+    });
+    SyncService.onConnectionChange((connected) => {
+        state.connected = connected;
+    });
+    SyncService.onKicked(() => {
+        PartyService.handleKicked();
+        state.kicked = true;
+    });
+    SyncService.onSpectateEnded(() => {
+        PartyService.stopWatching();
+        state.spectateEnded = true;
+    });
+
+    return {
+        adapter,
+        context,
+        localStorage,
+        state,
+        PartyService,
+        SyncService,
+        AuthService,
+        MyMapsService,
+        TREASURES,
+
+        get uid() {
+            return AuthService.getUserId();
+        },
+
+        // 開始同步目前的隊伍並等待第一次資料
+        async startSync() {
+            SyncService.startSync(PartyService.getCurrentPartyCode());
+            await flush();
+            await flush();
+        },
+
+        // 以觀戰代碼唯讀同步並等待第一次資料
+        async watch(token) {
+            await PartyService.watchParty(token);
+            SyncService.startSync(null, { spectatorToken: token });
+            await flush();
+            await flush();
+        },
+
+        // 模擬網路中斷 / 恢復 (斷線時伺服器執行 onDisconnect)
+        async setConnected(connected) {
+            adapter.setConnected(connected);
+            await flush();
+        },
+
+        // 模擬關閉分頁 (先斷線讓伺服器執行 onDisconnect，再停止計時器與監聽)
+        async close() {
+            adapter.close();
+            SyncService.stopSync();
+            await flush();
+        }
+    };
+}
+
+module.exports = {
+    createPartyStore,
+    createPartyClient,
+    flush
+};
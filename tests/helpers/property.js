@@ -0,0 +1,85 @@
+/**
+ * 簡易 property-based 測試工具
+ *
+ * 以固定種子的亂數產生輸入，重複驗證同一個性質；失敗時回報種子與輸入，
+ * 可用 PROPERTY_SEED=<種子> 重現，PROPERTY_RUNS=<次數> 調整次數。
+ */
+
+const DEFAULT_RUNS = parseInt(process.env.PROPERTY_RUNS, 10) || 100;
+const DEFAULT_SEED = parseInt(process.env.PROPERTY_SEED, 10) || 20240101;
+
+/**
+ * 可重現的亂數產生器 (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    function next() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    return {
+        next,
+        // [min, max] 之間的整數
+        int(min, max) {
+            return min + Math.floor(next() * (max - min + 1));
+        },
+        bool() {
+            return next() < 0.5;
+        },
+        pick(array) {
+            return array[Math.floor(next() * array.length)];
+        },
+        // 洗牌 (不修改原陣列)
+        shuffle(array) {
+            const result = [...array];
+            for (let i = result.length - 1; i > 0; i--) {
+                const j = Math.floor(next() * (i + 1));
+                [result[i], result[j]] = [result[j], result[i]];
+            }
+            return result;
+        },
+        // 不重複抽樣
+        sample(array, count) {
+            return this.shuffle(array).slice(0, count);
+        }
+    };
+}
+
+/**
+ * 對隨機產生的輸入驗證性質
+ * @param {Function} generate - (random) => 輸入
+ * @param {Function} property - (輸入) => void，不成立時拋出 assert 錯誤
+ * @param {Object} options - { runs, seed }
+ */
+function forAll(generate, property, options = {}) {
+    const runs = options.runs || DEFAULT_RUNS;
+    const baseSeed = options.seed || DEFAULT_SEED;
+
+    for (let run = 0; run < runs; run++) {
+        const seed = baseSeed + run;
+        const input = generate(createRandom(seed));
+        try {
+            property(input);
+        } catch (error) {
+            error.message = `${error.message}\n(種子 ${seed}，第 ${run + 1} 次，輸入: ${describe(input)})`;
+            throw error;
+        }
+    }
+}
+
+// 失敗訊息中的輸入摘要 (藏寶點只列出 ID)
+function describe(input) {
+    return JSON.stringify(input, (key, value) =>
+        value && typeof value === 'object' && 'id' in value && 'coords' in value ? value.id : value
+    ).slice(0, 500);
+}
+
+module.exports = {
+    createRandom,
+    forAll
+};
@@ -0,0 +1,252 @@
+/**
+ * Firebase Realtime Database 安全規則評估器 (測試用)
+ *
+ * 不需要 Firebase Emulator，直接在 Node 中評估 firebase-rules.json，涵蓋本專案用到的規則語法:
+ *   - .read / .write: 路徑上任一層允許即允許 (上層允許後下層規則無法撤銷)
+ *   - .validate: 寫入位置的上層與寫入後的整個子樹 (值為 null 的節點不驗證)
+ *   - $變數 萬用字元 (同層具名的 key 優先)
+ *   - 規則變數 auth、data、newData、root、now 與 $變數
+ *   - 快照方法 val、child、parent、exists、hasChild、hasChildren、numChildren、isString、isNumber、isBoolean
+ *   - 字串方法 matches、contains、beginsWith (其餘使用 JavaScript 的字串屬性，如 length)
+ * 規則運算式錯誤 (例如對 null 取 length) 與 Firebase 相同視為 false。
+ *
+ * 使用方式:
+ *   const rules = createRulesEvaluator(loadRules());
+ *   rules.canWrite(rootValue, 'parties/ABCDEFGH/meta/orderLocked', true, { uid: 'leader' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { ROOT_DIR, loadScripts } = require('./load-browser-globals');
+
+const RULES_FILE = path.join(ROOT_DIR, 'firebase-rules.json');
+
+const { DataTree } = loadScripts(['js/party/data-tree.js']).window;
+
+// 規則運算式在獨立的 context 中執行，字串方法只加在該 context 的 String.prototype
+const ruleContext = vm.createContext({});
+vm.runInContext(`
+    String.prototype.matches = function(regex) { return regex.test(this); };
+    String.prototype.contains = function(text) { return this.includes(text); };
+    String.prototype.beginsWith = function(text) { return this.startsWith(text); };
+`, ruleContext);
+
+const compiled = new Map();
+
+/**
+ * 讀取規則檔 (Firebase 允許整行的 // 註解)
+ */
+function loadRules(file = RULES_FILE) {
+    const text = fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => !line.trim().startsWith('//'))
+        .join('\n');
+    return JSON.parse(text).rules;
+}
+
+/**
+ * 規則中的資料快照 (data / newData / root)
+ */
+function createRuleSnapshot(rootValue, segments) {
+    function value() {
+        return DataTree.getValue(rootValue, segments.join('/'));
+    }
+
+    function isObject(v) {
+        return v !== null && typeof v === 'object';
+    }
+
+    const snapshot = {
+        val: () => value(),
+        child: (childPath) => createRuleSnapshot(rootValue, [...segments, ...DataTree.splitPath(childPath)]),
+        parent: () => createRuleSnapshot(rootValue, segments.slice(0, -1)),
+        exists: () => value() !== null,
+        hasChild: (childPath) => snapshot.child(childPath).exists(),
+        hasChildren: (keys) => {
+            if (!keys) return isObject(value());
+            return keys.every(key => snapshot.hasChild(key));
+        },
+        numChildren: () => (isObject(value()) ? Object.keys(value()).length : 0),
+        isString: () => typeof value() === 'string',
+        isNumber: () => typeof value() === 'number',
+        isBoolean: () => typeof value() === 'boolean'
+    };
+    return snapshot;
+}
+
+// 編譯規則運算式 (以 $變數名稱作為參數)
+function compile(expression, varNames) {
+    const cacheKey = `${varNames.join(',')}|${expression}`;
+    if (!compiled.has(cacheKey)) {
+        const params = ['auth', 'data', 'newData', 'root', 'now', ...varNames].join(', ');
+        compiled.set(cacheKey, vm.runInContext(`(function(${params}) { return (${expression}); })`, ruleContext));
+    }
+    return compiled.get(cacheKey);
+}
+
+function evaluate(rule, scope) {
+    if (typeof rule === 'boolean') return rule;
+
+    const varNames = Object.keys(scope.vars);
+    try {
+        const fn = compile(rule, varNames);
+        return fn(scope.auth, scope.data, scope.newData, scope.root, scope.now, ...varNames.map(name => scope.vars[name])) === true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// 取得子節點的規則 (具名 key 優先，否則使用 $萬用字元)
+function matchChild(ruleNode, key, vars) {
+    if (!ruleNode) return null;
+    if (Object.prototype.hasOwnProperty.call(ruleNode, key) && !key.startsWith('$')) {
+        return { node: ruleNode[key], vars };
+    }
+    const wildcard = Object.keys(ruleNode).find(name => name.startsWith('$'));
+    if (!wildcard) return null;
+    return { node: ruleNode[wildcard], vars: { ...vars, [wildcard]: key } };
+}
+
+/**
+ * 建立評估器
+ * @param {Object} rules - loadRules() 的結果
+ * @param {Object} options - { now: () => 毫秒 }
+ */
+function createRulesEvaluator(rules, options = {}) {
+    const getNow = options.now || (() => Date.now());
+
+    // 依路徑逐層走訪規則 (callback 回傳 true 時停止)
+    function walk(segments, callback) {
+        let current = { node: rules, vars: {} };
+        for (let depth = 0; ; depth++) {
+            if (callback(current, depth)) return true;
+            if (depth === segments.length) return false;
+            current = matchChild(current.node, segments[depth], current.vars);
+            if (!current) return false;
+        }
+    }
+
+    /**
+     * 是否可以讀取 path
+     */
+    function canRead(rootValue, readPath, auth) {
+        const segments = DataTree.splitPath(readPath);
+        if (segments[0] === '.info') return true;
+
+        const now = getNow();
+        const root = createRuleSnapshot(rootValue, []);
+        return walk(segments, ({ node, vars }, depth) => node['.read'] !== undefined && evaluate(node['.read'], {
+            auth, vars, now, root,
+            data: createRuleSnapshot(rootValue, segments.slice(0, depth)),
+            newData: createRuleSnapshot(rootValue, segments.slice(0, depth))
+        }));
+    }
+
+    /**
+     * 是否可以將 value 寫入 path (null 為刪除)
+     * @returns {{ allowed: boolean, reason: string|null }} reason 為拒絕的規則位置
+     */
+    function canWrite(rootValue, writePath, value, auth) {
+        const now = getNow();
+        const newRootValue = DataTree.setValue(rootValue, writePath, DataTree.resolveServerValues(value, now));
+        return checkWrite(rootValue, newRootValue, writePath, auth, now);
+    }
+
+    /**
+     * 是否可以進行多路徑更新 (values 的 key 為相對於 path 的路徑)
+     * 與 Firebase 相同，每個路徑分別檢查，newData 為所有路徑寫入後的結果
+     */
+    function canUpdate(rootValue, updatePath, values, auth) {
+        const now = getNow();
+        const newRootValue = DataTree.applyUpdate(rootValue, updatePath, DataTree.resolveServerValues(values, now));
+
+        for (const childPath of Object.keys(values)) {
+            const result = checkWrite(rootValue, newRootValue, `${updatePath}/${childPath}`, auth, now);
+            if (!result.allowed) return result;
+        }
+        return { allowed: true, reason: null };
+    }
+
+    function checkWrite(rootValue, newRootValue, writePath, auth, now) {
+        const segments = DataTree.splitPath(writePath);
+        const root = createRuleSnapshot(rootValue, []);
+
+        function scopeAt(nodeSegments, vars) {
+            return {
+                auth, vars, now, root,
+                data: createRuleSnapshot(rootValue, nodeSegments),
+                newData: createRuleSnapshot(newRootValue, nodeSegments)
+            };
+        }
+
+        // .write: 寫入位置或任一上層允許
+        const granted = walk(segments, ({ node, vars }, depth) =>
+            node['.write'] !== undefined && evaluate(node['.write'], scopeAt(segments.slice(0, depth), vars))
+        );
+        if (!granted) {
+            return { allowed: false, reason: `.write /${writePath}` };
+        }
+
+        // .validate: 寫入位置的上層
+        let failed = null;
+        let target = null;
+        walk(segments, (current, depth) => {
+            const nodeSegments = segments.slice(0, depth);
+            if (depth === segments.length) {
+                target = current;
+                return true;
+            }
+            if (!validateNode(current, nodeSegments)) {
+                failed = nodeSegments;
+                return true;
+            }
+            return false;
+        });
+
+        // .validate: 寫入後的整個子樹
+        if (!failed && target) {
+            failed = validateSubtree(target, segments);
+        }
+
+        if (failed) {
+            return { allowed: false, reason: `.validate /${failed.join('/')}` };
+        }
+        return { allowed: true, reason: null };
+
+        function validateNode({ node, vars }, nodeSegments) {
+            if (node['.validate'] === undefined) return true;
+            if (DataTree.getValue(newRootValue, nodeSegments.join('/')) === null) return true;
+            return evaluate(node['.validate'], scopeAt(nodeSegments, vars));
+        }
+
+        // 回傳第一個驗證失敗的路徑
+        function validateSubtree(current, nodeSegments) {
+            const newValue = DataTree.getValue(newRootValue, nodeSegments.join('/'));
+            if (newValue === null) return null;
+            if (!validateNode(current, nodeSegments)) return nodeSegments;
+            if (typeof newValue !== 'object') return null;
+
+            for (const key of Object.keys(newValue)) {
+                const child = matchChild(current.node, key, current.vars);
+                if (!child) continue;
+                const failedPath = validateSubtree(child, [...nodeSegments, key]);
+                if (failedPath) return failedPath;
+            }
+            return null;
+        }
+    }
+
+    return {
+        canRead,
+        canWrite,
+        canUpdate
+    };
+}
+
+module.exports = {
+    RULES_FILE,
+    loadRules,
+    createRulesEvaluator
+};
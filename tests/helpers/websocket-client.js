@@ -0,0 +1,189 @@
+/**
+ * Node 用的 WebSocket 客戶端 (瀏覽器 WebSocket 的最小子集)
+ *
+ * Node 20 沒有內建 WebSocket，測試以此讓 js/party/adapters/relay-adapter.js 連線到
+ * server/relay-server.js。只支援文字訊息: readyState、onopen、onmessage、onclose、send()、close()。
+ *
+ * 使用方式:
+ *   const { createWebSocketClass } = require('./helpers/websocket-client');
+ *   const WebSocket = createWebSocketClass();
+ *   loadScripts([...], { WebSocket });
+ *   WebSocket.instances[0].close();   // 模擬斷線
+ *   WebSocket.disable();              // 測試結束: 關閉所有連線並停止重新連線
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+/**
+ * 編碼訊框 (客戶端送出的訊框必須加遮罩)
+ */
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = 0x80 | length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 0x80 | 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 0x80 | 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+
+    const mask = crypto.randomBytes(4);
+    const masked = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+        masked[i] = payload[i] ^ mask[i % 4];
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * 從緩衝區解析一個伺服器訊框 (不加遮罩)，資料不足時回傳 null
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const opcode = buffer[0] & 0x0f;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (buffer.length < offset + length) return null;
+    return { opcode, payload: buffer.subarray(offset, offset + length), frameLength: offset + length };
+}
+
+/**
+ * 建立 WebSocket 類別 (每個類別各自記錄建立過的連線)
+ */
+function createWebSocketClass() {
+    const instances = [];
+    let disabled = false;
+
+    class WebSocket {
+        constructor(url) {
+            if (disabled) {
+                throw new Error('WebSocket 已停用');
+            }
+
+            this.readyState = CONNECTING;
+            this.onopen = null;
+            this.onmessage = null;
+            this.onclose = null;
+            this.socket = null;
+            this.buffer = Buffer.alloc(0);
+            instances.push(this);
+
+            const { hostname, port, pathname } = new URL(url);
+            this.request = http.request({
+                host: hostname,
+                port,
+                path: pathname || '/',
+                headers: {
+                    Connection: 'Upgrade',
+                    Upgrade: 'websocket',
+                    'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+                    'Sec-WebSocket-Version': '13'
+                }
+            });
+
+            this.request.on('upgrade', (res, socket, head) => {
+                this.socket = socket;
+                socket.on('data', chunk => this.receive(chunk));
+                socket.on('close', () => this.handleClose());
+                socket.on('error', () => this.handleClose());
+
+                if (this.readyState !== CONNECTING) {
+                    socket.destroy();
+                    return;
+                }
+                this.readyState = OPEN;
+                if (this.onopen) this.onopen({});
+                if (head.length > 0) this.receive(head);
+            });
+            this.request.on('response', () => this.handleClose());
+            this.request.on('error', () => this.handleClose());
+            this.request.end();
+        }
+
+        send(text) {
+            if (this.readyState !== OPEN) {
+                throw new Error('WebSocket 尚未連線');
+            }
+            this.socket.write(encodeFrame(0x1, Buffer.from(text)));
+        }
+
+        close() {
+            if (this.readyState === CLOSING || this.readyState === CLOSED) return;
+
+            if (this.socket) {
+                this.readyState = CLOSING;
+                this.socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+            } else {
+                this.request.destroy();
+                this.handleClose();
+            }
+        }
+
+        receive(chunk) {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+
+            let frame;
+            while ((frame = decodeFrame(this.buffer))) {
+                this.buffer = this.buffer.subarray(frame.frameLength);
+
+                if (frame.opcode === 0x8) {
+                    this.socket.end();
+                    this.handleClose();
+                    return;
+                }
+                if (frame.opcode === 0x1 && this.onmessage) {
+                    this.onmessage({ data: frame.payload.toString('utf8') });
+                }
+            }
+        }
+
+        handleClose() {
+            if (this.readyState === CLOSED) return;
+            this.readyState = CLOSED;
+            if (this.socket) this.socket.destroy();
+            if (this.onclose) this.onclose({});
+        }
+    }
+
+    WebSocket.CONNECTING = CONNECTING;
+    WebSocket.OPEN = OPEN;
+    WebSocket.CLOSING = CLOSING;
+    WebSocket.CLOSED = CLOSED;
+    WebSocket.instances = instances;
+
+    // 關閉所有連線，之後建立連線會失敗 (relay-adapter 因此不再重新連線)
+    WebSocket.disable = () => {
+        disabled = true;
+        instances.forEach(ws => ws.close());
+    };
+
+    return WebSocket;
+}
+
+module.exports = { createWebSocketClass };
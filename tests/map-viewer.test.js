@@ -0,0 +1,78 @@
+/**
+ * MapViewer 測試
+ *
+ * 涵蓋縮放與平移的檢視計算，以及游標位置換算的遊戲座標
+ * (互動元件需要 DOM，只測試不依賴 DOM 的計算)。
+ *
+ * 使用方式:
+ *   node --test tests/map-viewer.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getGlobals } = require('./helpers/load-browser-globals');
+const { forAll } = require('./helpers/property');
+
+const context = loadScripts(['js/treasure-data.js', 'js/data.js', 'js/map-viewer.js']);
+const { MapViewer, TREASURES, getTreasureCropRect, MAP_DATA } = getGlobals(context, [
+    'MapViewer', 'TREASURES', 'getTreasureCropRect', 'MAP_DATA'
+]);
+
+const SIZE = { width: 400, height: 400 };
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message || ''} ${actual} != ${expected}`);
+}
+
+describe('MapViewer', () => {
+    it('以游標為中心縮放時，游標下的地圖位置不變', () => {
+        forAll(random => ({
+            view: { scale: random.int(10, 40) / 10, x: -random.int(0, 300), y: -random.int(0, 300) },
+            factor: random.int(5, 20) / 10,
+            point: { x: random.int(0, 400), y: random.int(0, 400) }
+        }), ({ view, factor, point }) => {
+            const start = MapViewer.clampView(view, SIZE);
+            const next = MapViewer.zoomAt(start, factor, point, SIZE);
+            const before = MapViewer.toMapFraction(start, point, SIZE);
+            const after = MapViewer.toMapFraction(next, point, SIZE);
+
+            assert.ok(next.scale >= MapViewer.MIN_ZOOM && next.scale <= MapViewer.MAX_ZOOM);
+            // 縮放後需要夾回容器範圍時位置才會偏移
+            const clamped = next.x === 0 || next.y === 0 ||
+                next.x === SIZE.width * (1 - next.scale) || next.y === SIZE.height * (1 - next.scale);
+            if (!clamped) {
+                near(after.x, before.x, 'x');
+                near(after.y, before.y, 'y');
+            }
+        });
+    });
+
+    it('縮放倍率與平移限制在地圖範圍內', () => {
+        assert.deepStrictEqual({ ...MapViewer.zoomAt({ scale: 1, x: 0, y: 0 }, 0.5, { x: 200, y: 200 }, SIZE) }, { scale: 1, x: 0, y: 0 });
+        assert.strictEqual(MapViewer.zoomAt({ scale: 6, x: 0, y: 0 }, 4, { x: 0, y: 0 }, SIZE).scale, MapViewer.MAX_ZOOM);
+
+        const zoomed = { scale: 2, x: -100, y: -100 };
+        assert.deepStrictEqual({ ...MapViewer.panBy(zoomed, 500, 50, SIZE) }, { scale: 2, x: 0, y: -50 });
+        assert.deepStrictEqual({ ...MapViewer.panBy(zoomed, -500, -500, SIZE) }, { scale: 2, x: -400, y: -400 });
+    });
+
+    it('地圖位置換算的遊戲座標與藏寶點座標一致', () => {
+        TREASURES.slice(0, 200).forEach(treasure => {
+            // 卡片範圍的中心即為藏寶點在 2048 地圖上的位置
+            const crop = getTreasureCropRect(treasure.coords, treasure.map);
+            const fraction = { x: (crop.x + crop.width / 2) / 2048, y: (crop.y + crop.height / 2) / 2048 };
+            const coords = MapViewer.toGameCoords(fraction, MAP_DATA[treasure.map]?.size_factor);
+
+            near(coords.x, treasure.coords.x, treasure.id);
+            near(coords.y, treasure.coords.y, treasure.id);
+        });
+    });
+
+    it('縮放後的游標位置換算為地圖比例', () => {
+        const view = { scale: 4, x: -600, y: -200 };
+        const fraction = MapViewer.toMapFraction(view, { x: 200, y: 200 }, SIZE);
+        near(fraction.x, 0.5);
+        near(fraction.y, 0.25);
+    });
+});
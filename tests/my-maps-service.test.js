@@ -0,0 +1,200 @@
+/**
+ * MyMapsService 測試
+ *
+ * 涵蓋未加入隊伍時的個人清單：新增與排序、完成與完成紀錄、路線限制、
+ * 自動優化 (含預覽確認的 proposedOrder)，以及重新載入後從 localStorage 還原。
+ *
+ * 使用方式:
+ *   node --test tests/my-maps-service.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getGlobals } = require('./helpers/load-browser-globals');
+
+const SCRIPTS = [
+    'js/treasure-data.js',
+    'js/data.js',
+    'js/route-optimizer.js',
+    'js/route-order.js',
+    'js/my-maps-service.js'
+];
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// 以同一個 localStorage 載入 (模擬重新整理頁面)
+function load(localStorage = createLocalStorage()) {
+    const context = loadScripts(SCRIPTS, { localStorage });
+    const { MyMapsService, TREASURES } = getGlobals(context, ['MyMapsService', 'TREASURES']);
+    return { MyMapsService, TREASURES, localStorage };
+}
+
+// 依路線順序取出藏寶點 ID
+function routeIds(service) {
+    return Array.from(service.sortByOrder(service.getTreasures()), t => t.id);
+}
+
+describe('MyMapsService', () => {
+    it('新增的藏寶圖依加入順序排列，可移動位置', async () => {
+        const { MyMapsService, TREASURES } = load();
+        const [a, b, c] = TREASURES;
+
+        const keyA = await MyMapsService.addTreasure(a);
+        await MyMapsService.addTreasure(b);
+        await MyMapsService.addTreasure(c);
+        assert.deepStrictEqual(routeIds(MyMapsService), [a.id, b.id, c.id]);
+
+        await MyMapsService.moveTreasureOrder(keyA, 2);
+        assert.deepStrictEqual(routeIds(MyMapsService), [b.id, c.id, a.id]);
+
+        const treasure = MyMapsService.getTreasures().find(t => t.firebaseKey === keyA);
+        assert.strictEqual(treasure.mapId, a.map);
+        assert.strictEqual(treasure.gradeItemId, a.item);
+        assert.strictEqual(treasure.addedBy, undefined);
+    });
+
+    it('重新載入後從 localStorage 還原清單與路線起點', async () => {
+        const first = load();
+        const [a, b] = first.TREASURES;
+        const keyA = await first.MyMapsService.addTreasure(a);
+        await first.MyMapsService.addTreasure(b);
+        await first.MyMapsService.updateTreasureNote(keyA, '先打這張');
+        await first.MyMapsService.setRouteStart({ zoneId: 1, aetheryte: 'test' });
+
+        const { MyMapsService } = load(first.localStorage);
+        assert.deepStrictEqual(routeIds(MyMapsService), [a.id, b.id]);
+        assert.strictEqual(MyMapsService.getTreasures().find(t => t.firebaseKey === keyA).note, '先打這張');
+        assert.deepStrictEqual({ ...MyMapsService.getRouteStart() }, { zoneId: 1, aetheryte: 'test' });
+    });
+
+    it('清除已完成的藏寶圖會移到完成紀錄', async () => {
+        const { MyMapsService, TREASURES } = load();
+        const [a, b] = TREASURES;
+        const keyA = await MyMapsService.addTreasure(a);
+        const keyB = await MyMapsService.addTreasure(b);
+        await MyMapsService.setTreasurePrecedence(keyB, keyA, true);
+
+        await MyMapsService.toggleTreasureComplete(keyA);
+        assert.strictEqual(MyMapsService.getTreasures().find(t => t.firebaseKey === keyA).completed, true);
+
+        assert.strictEqual(await MyMapsService.clearCompletedTreasures(), 1);
+        assert.deepStrictEqual(routeIds(MyMapsService), [b.id]);
+        assert.deepStrictEqual({ ...MyMapsService.getTreasures()[0].mustPrecede }, {});
+
+        const history = MyMapsService.getHistory();
+        assert.strictEqual(history.length, 1);
+        assert.strictEqual(history[0].id, a.id);
+        assert.strictEqual(history[0].mapId, a.map);
+        assert.strictEqual(typeof history[0].completedAt, 'number');
+
+        MyMapsService.clearHistory();
+        assert.strictEqual(MyMapsService.getHistory().length, 0);
+    });
+
+    it('取消完成會移除完成時間，不會進入紀錄', async () => {
+        const { MyMapsService, TREASURES } = load();
+        const key = await MyMapsService.addTreasure(TREASURES[0]);
+
+        await MyMapsService.toggleTreasureComplete(key);
+        await MyMapsService.toggleTreasureComplete(key);
+
+        const treasure = MyMapsService.getTreasures()[0];
+        assert.strictEqual(treasure.completed, false);
+        assert.strictEqual(treasure.completedAt, undefined);
+        assert.strictEqual(await MyMapsService.clearCompletedTreasures(), 0);
+        assert.strictEqual(MyMapsService.getHistory().length, 0);
+    });
+
+    it('移除藏寶圖會一併移除指向它的先後順序', async () => {
+        const { MyMapsService, TREASURES } = load();
+        const keyA = await MyMapsService.addTreasure(TREASURES[0]);
+        const keyB = await MyMapsService.addTreasure(TREASURES[1]);
+        await MyMapsService.setTreasurePrecedence(keyA, keyB, true);
+        await MyMapsService.setTreasurePinnedPosition(keyA, 1);
+
+        const constraints = MyMapsService.buildRouteConstraints(MyMapsService.getTreasures());
+        assert.deepStrictEqual(Array.from(constraints.precedence, pair => Array.from(pair)), [[keyA, keyB]]);
+        assert.strictEqual(constraints.pinned[keyA], 1);
+
+        await MyMapsService.removeTreasure(keyB);
+        assert.deepStrictEqual({ ...MyMapsService.getTreasures()[0].mustPrecede }, {});
+    });
+
+    it('建議產生後順序被調整或限制條件改變時拒絕套用', async () => {
+        const { MyMapsService, TREASURES } = load();
+        const keys = [];
+        for (const treasure of TREASURES.slice(0, 3)) {
+            keys.push(await MyMapsService.addTreasure(treasure));
+        }
+        const currentOrder = () => Array.from(MyMapsService.sortByOrder(MyMapsService.getTreasures()), t => t.firebaseKey);
+
+        const basedOnOrder = currentOrder();
+        const proposed = [keys[2], keys[1], keys[0]];
+        await MyMapsService.moveTreasureOrder(keys[0], 2);
+        await assert.rejects(MyMapsService.autoOptimizeRoute({ proposedOrder: proposed, basedOnOrder }), /清單已變更/);
+
+        const reordered = currentOrder();
+        await MyMapsService.setTreasurePinnedPosition(keys[0], 1);
+        await assert.rejects(
+            MyMapsService.autoOptimizeRoute({ proposedOrder: proposed, basedOnOrder: reordered }),
+            /清單已變更/
+        );
+        assert.deepStrictEqual(currentOrder(), reordered);
+
+        await MyMapsService.autoOptimizeRoute({ proposedOrder: [keys[0], keys[2], keys[1]], basedOnOrder: reordered });
+        assert.deepStrictEqual(currentOrder(), [keys[0], keys[2], keys[1]]);
+    });
+
+    it('自動優化套用確認的順序，清單變更時拒絕', async () => {
+        const { MyMapsService, TREASURES } = load();
+        const keys = [];
+        for (const treasure of TREASURES.slice(0, 3)) {
+            keys.push(await MyMapsService.addTreasure(treasure));
+        }
+
+        const proposed = [keys[2], keys[0], keys[1]];
+        await MyMapsService.autoOptimizeRoute({ proposedOrder: proposed });
+        assert.deepStrictEqual(
+            Array.from(MyMapsService.sortByOrder(MyMapsService.getTreasures()), t => t.firebaseKey),
+            proposed
+        );
+
+        await MyMapsService.removeTreasure(keys[1]);
+        await assert.rejects(MyMapsService.autoOptimizeRoute({ proposedOrder: proposed }), /清單已變更/);
+
+        // 未提供順序時直接重新計算，結果仍包含所有藏寶圖
+        await MyMapsService.autoOptimizeRoute();
+        assert.deepStrictEqual(
+            Array.from(MyMapsService.getTreasures(), t => t.firebaseKey).sort(),
+            [keys[0], keys[2]].sort()
+        );
+    });
+
+    it('備註與玩家名稱有長度上限，清單變化時通知', async () => {
+        const { MyMapsService, TREASURES } = load();
+        const changes = [];
+        MyMapsService.onChange(treasures => changes.push(treasures.length));
+
+        const key = await MyMapsService.addTreasure(TREASURES[0]);
+        await assert.rejects(
+            MyMapsService.updateTreasureNote(key, 'x'.repeat(MyMapsService.NOTE_MAX_LENGTH + 1)),
+            /備註最多/
+        );
+        await assert.rejects(
+            MyMapsService.updateTreasurePlayer(key, 'x'.repeat(MyMapsService.PLAYER_MAX_LENGTH + 1)),
+            /玩家名稱最多/
+        );
+        await assert.rejects(MyMapsService.toggleTreasureComplete('missing'), /找不到此藏寶圖/);
+        await MyMapsService.updateTreasurePlayer(key, '光之戰士');
+
+        assert.deepStrictEqual(changes, [1, 1]);
+    });
+});
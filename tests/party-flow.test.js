@@ -0,0 +1,744 @@
+/**
+ * 隊伍多人流程測試
+ *
+ * 多個客戶端 (各自獨立的 PartyService / SyncService / localStorage) 透過模擬的
+ * window.FirebaseSDK 共用同一個記憶體資料庫，驗證原本只能開兩個瀏覽器手動測試的流程。
+ *
+ * 使用方式:
+ *   node --test tests/
+ *   DEBUG_PARTY_TESTS=1 node --test tests/party-flow.test.js   (顯示服務的 console 輸出)
+ */
+
+const assert = require('assert');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+
+const { createPartyStore, createPartyClient, flush } = require('./helpers/party-client');
+
+let store;
+let clients;
+
+async function newClient(uid) {
+    const client = await createPartyClient(store, { uid });
+    clients.push(client);
+    return client;
+}
+
+// 建立隊伍並讓其他成員加入，所有人開始同步
+async function setupParty(memberCount) {
+    const leader = await newClient('leader');
+    const code = await leader.PartyService.createParty('隊長');
+    await leader.startSync();
+
+    const members = [];
+    for (let i = 1; i < memberCount; i++) {
+        const member = await newClient(`member${i}`);
+        await member.PartyService.joinParty(code, `隊員${i}`);
+        await member.startSync();
+        members.push(member);
+    }
+    await flush();
+
+    return { code, leader, members };
+}
+
+function treasureOf(client, index) {
+    return client.TREASURES[index];
+}
+
+function readParty(code) {
+    return store.root?.parties?.[code] || null;
+}
+
+// 模擬已離線一段時間 (斷線時伺服器記錄的時間往前推 ms)
+async function closeOfflineSince(client, ms) {
+    const now = store.now;
+    store.now = () => Date.now() - ms;
+    await client.close();
+    store.now = now;
+}
+
+// 不經過 PartyService，直接以該客戶端的身分寫入同步後端
+function writeDirectly(client, path, value) {
+    return client.context.window.StorageAdapter.get().set(path, value);
+}
+
+function orders(client) {
+    return client.state.treasures.map(t => t.order);
+}
+
+describe('隊伍多人流程', () => {
+    beforeEach(() => {
+        store = createPartyStore();
+        clients = [];
+    });
+
+    afterEach(async () => {
+        for (const client of clients) {
+            await client.close();
+        }
+    });
+
+    it('建立與加入隊伍後，雙方看到相同的成員', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+
+        assert.match(code, /^[A-Z2-9]{8}$/);
+        assert.strictEqual(member.PartyService.getCurrentPartyCode(), code);
+
+        for (const client of [leader, member]) {
+            assert.deepStrictEqual(Object.keys(client.state.members).sort(), ['leader', 'member1']);
+        }
+        assert.strictEqual(leader.state.members.leader.nickname, '隊長');
+        assert.strictEqual(leader.state.members.member1.nickname, '隊員1');
+
+        assert.strictEqual(leader.PartyService.getIsLeader(), true);
+        assert.strictEqual(member.PartyService.getIsLeader(), false);
+        assert.strictEqual(typeof readParty(code).members.member1.joinedAt, 'number', '伺服器時間應已換成數字');
+    });
+
+    it('無效或不存在的代碼無法加入', async () => {
+        await setupParty(1);
+        const stranger = await newClient('stranger');
+
+        await assert.rejects(stranger.PartyService.joinParty('abc'), /格式不正確/);
+        await assert.rejects(stranger.PartyService.joinParty('ZZZZZZZZ'), /找不到此隊伍/);
+        assert.strictEqual(stranger.PartyService.isInParty(), false);
+    });
+
+    it('隊伍已滿時無法加入', async () => {
+        const { code, leader } = await setupParty(1);
+        const max = leader.PartyService.getMaxMembers();
+
+        for (let i = 1; i < max; i++) {
+            const member = await newClient(`member${i}`);
+            await member.PartyService.joinParty(code);
+        }
+
+        const extra = await newClient('extra');
+        await assert.rejects(extra.PartyService.joinParty(code), /隊伍已滿/);
+    });
+
+    it('雙方新增的藏寶圖都會同步，且順序不重複', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await member.PartyService.addTreasure(treasureOf(member, 1));
+        await leader.PartyService.addTreasure(treasureOf(leader, 2));
+        await flush();
+
+        for (const client of [leader, member]) {
+            assert.strictEqual(client.state.treasures.length, 3);
+            assert.deepStrictEqual(orders(client), [1, 2, 3]);
+        }
+
+        const added = leader.state.treasures.map(t => [t.id, t.addedBy, t.addedByNickname]);
+        assert.deepStrictEqual(added, [
+            [treasureOf(leader, 0).id, 'leader', '隊長'],
+            [treasureOf(member, 1).id, 'member1', '隊員1'],
+            [treasureOf(leader, 2).id, 'leader', '隊長']
+        ]);
+    });
+
+    it('同時新增時由計數器分配不重複的順序', async () => {
+        const { leader, members } = await setupParty(4);
+        const everyone = [leader, ...members];
+
+        await Promise.all(everyone.flatMap((client, i) => [
+            client.PartyService.addTreasure(treasureOf(client, i)),
+            client.PartyService.addTreasure(treasureOf(client, i + 10))
+        ]));
+        await flush();
+
+        everyone.forEach(client => {
+            assert.deepStrictEqual(orders(client), [1, 2, 3, 4, 5, 6, 7, 8]);
+            assert.strictEqual(client.PartyService.hasOrderCollisions(client.state.treasures), false);
+        });
+    });
+
+    it('新增時可指定玩家 (貼上聊天紀錄的發言者)，未指定時為自己的暱稱', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+
+        await member.PartyService.addTreasure(treasureOf(member, 0), { player: '光之戰士' });
+        await member.PartyService.addTreasure(treasureOf(member, 1));
+        await flush();
+
+        assert.deepStrictEqual(leader.state.treasures.map(t => t.player), ['光之戰士', '隊員1']);
+    });
+
+    it('完成狀態與備註會同步給其他成員', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await flush();
+
+        const key = member.state.treasures[0].firebaseKey;
+        await member.PartyService.toggleTreasureComplete(key);
+        await member.PartyService.updateTreasureNote(key, '先打這張');
+        await flush();
+
+        assert.strictEqual(leader.state.treasures[0].completed, true);
+        assert.strictEqual(leader.state.treasures[0].note, '先打這張');
+
+        await leader.PartyService.clearCompletedTreasures();
+        await flush();
+        assert.strictEqual(member.state.treasures.length, 0);
+    });
+
+    it('成員離開後其他人看到成員減少，最後一人離開時解散隊伍', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+
+        await member.PartyService.leaveParty();
+        await flush();
+
+        assert.deepStrictEqual(Object.keys(leader.state.members), ['leader']);
+        assert.strictEqual(member.PartyService.isInParty(), false);
+        assert.strictEqual(member.PartyService.hasSavedPartyState(), false);
+        assert.ok(readParty(code), '還有成員時隊伍應保留');
+
+        await leader.PartyService.leaveParty();
+        assert.strictEqual(readParty(code), null);
+    });
+
+    it('短暫斷線時保留成員資料，並顯示連線狀態', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        assert.strictEqual(leader.SyncService.getMemberStatus('member1'), 'online');
+
+        member.SyncService.setAway(true);
+        await flush();
+        assert.strictEqual(leader.SyncService.getMemberStatus('member1'), 'away');
+
+        await member.setConnected(false);
+        assert.ok(readParty(code).members.member1, '斷線時不應移除成員');
+        assert.strictEqual(leader.SyncService.getMemberStatus('member1'), 'offline');
+        assert.deepStrictEqual(Array.from(leader.SyncService.sweepOfflineMembers()), [], '寬限期內不移除');
+
+        await member.setConnected(true);
+        await flush();
+        assert.strictEqual(leader.SyncService.getMemberStatus('member1'), 'away', '恢復連線後維持暫離狀態');
+        assert.deepStrictEqual(Object.keys(leader.state.members).sort(), ['leader', 'member1']);
+    });
+
+    it('離線超過寬限期的成員由房主移除', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+
+        await closeOfflineSince(member, leader.SyncService.getOfflineGracePeriod() + 1000);
+        assert.deepStrictEqual(Array.from(leader.SyncService.sweepOfflineMembers()), ['member1']);
+        await flush();
+        await flush();
+
+        assert.strictEqual(readParty(code).members.member1, undefined);
+        assert.strictEqual(readParty(code).presence.member1, undefined);
+        assert.deepStrictEqual(Object.keys(leader.state.members), ['leader']);
+    });
+
+    it('房主在線時，其他成員多等一個寬限期才移除', async () => {
+        const { leader, members: [first, second] } = await setupParty(3);
+        const grace = leader.SyncService.getOfflineGracePeriod();
+
+        await closeOfflineSince(second, grace + 1000);
+        assert.deepStrictEqual(Array.from(first.SyncService.sweepOfflineMembers()), []);
+        assert.deepStrictEqual(Array.from(leader.SyncService.sweepOfflineMembers()), ['member2']);
+    });
+
+    it('房主設定的離線寬限期同步給所有成員，離開隊伍後恢復預設值', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+        const defaultGrace = member.SyncService.getOfflineGracePeriod();
+
+        await assert.rejects(member.PartyService.setOfflineGracePeriod(600000), /只有房主/);
+
+        await leader.PartyService.setOfflineGracePeriod(600000);
+        await flush();
+        assert.strictEqual(leader.SyncService.getOfflineGracePeriod(), 600000);
+        assert.strictEqual(member.SyncService.getOfflineGracePeriod(), 600000);
+
+        await closeOfflineSince(member, defaultGrace + 1000);
+        assert.deepStrictEqual(Array.from(leader.SyncService.sweepOfflineMembers()), [], '未超過房主設定的寬限期');
+
+        await leader.PartyService.leaveParty();
+        assert.strictEqual(leader.SyncService.getOfflineGracePeriod(), defaultGrace);
+    });
+
+    it('重新整理後可由 localStorage 重新加入', async () => {
+        const { code, members: [member] } = await setupParty(2);
+
+        // 模擬重新整理: 同一個 localStorage 與使用者 ID 的新客戶端
+        const reloaded = await newClient('member1');
+        reloaded.localStorage.setItem('ffxiv_treasure_party', member.localStorage.getItem('ffxiv_treasure_party'));
+
+        assert.strictEqual(await reloaded.PartyService.tryRejoinParty(), code);
+        assert.strictEqual(reloaded.PartyService.getNickname(), '隊員1');
+    });
+
+    it('隊伍已滿時仍可重新整理後重新加入，並保留原本的加入時間', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        const max = leader.PartyService.getMaxMembers();
+        for (let i = 2; i < max; i++) {
+            const other = await newClient(`member${i}`);
+            await other.PartyService.joinParty(code);
+        }
+        const joinedAt = readParty(code).members.member1.joinedAt;
+
+        await member.close();
+        const reloaded = await newClient('member1');
+        reloaded.localStorage.setItem('ffxiv_treasure_party', member.localStorage.getItem('ffxiv_treasure_party'));
+
+        assert.strictEqual(await reloaded.PartyService.tryRejoinParty(), code);
+        assert.strictEqual(reloaded.PartyService.isInParty(), true);
+        assert.strictEqual(Object.keys(readParty(code).members).length, max);
+        assert.strictEqual(readParty(code).members.member1.joinedAt, joinedAt);
+        assert.strictEqual(readParty(code).members.member1.nickname, '隊員1');
+    });
+
+    it('沒有計數器的舊隊伍鎖定順序時，成員新增不會重新編號其他藏寶圖', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await leader.PartyService.addTreasure(treasureOf(leader, 1));
+        await flush();
+
+        // 模擬舊隊伍: 沒有計數器且順序不連續
+        const [first, second] = leader.state.treasures.map(t => t.firebaseKey);
+        await writeDirectly(leader, `parties/${code}/treasures/${first}/order`, 4);
+        await writeDirectly(leader, `parties/${code}/treasures/${second}/order`, 7);
+        await writeDirectly(leader, `parties/${code}/meta/orderCounter`, null);
+        await leader.PartyService.toggleOrderLock();
+        await flush();
+
+        await member.PartyService.addTreasure(treasureOf(member, 2));
+        await flush();
+
+        const treasures = readParty(code).treasures;
+        assert.strictEqual(treasures[first].order, 4);
+        assert.strictEqual(treasures[second].order, 7);
+        assert.deepStrictEqual(orders(member), [4, 7, 8]);
+        assert.strictEqual(readParty(code).meta.orderCounter, 8);
+    });
+
+    it('房主鎖定順序後，成員無法調整順序', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await leader.PartyService.addTreasure(treasureOf(leader, 1));
+        await flush();
+
+        await assert.rejects(member.PartyService.toggleOrderLock(), /只有房主/);
+
+        assert.strictEqual(await leader.PartyService.toggleOrderLock(), true);
+        await flush();
+        assert.strictEqual(member.PartyService.isOrderLocked(), true);
+        assert.strictEqual(member.PartyService.canModifyOrder(), false);
+
+        const [first, second] = member.state.treasures.map(t => t.firebaseKey);
+        const before = JSON.stringify(readParty(code).treasures);
+
+        await assert.rejects(member.PartyService.swapTreasureOrder(first, second), /順序已被房主鎖定/);
+        await assert.rejects(member.PartyService.moveTreasureOrder(first, 1), /順序已被房主鎖定/);
+        await assert.rejects(member.PartyService.autoOptimizeRoute(), /順序已被房主鎖定/);
+        assert.strictEqual(JSON.stringify(readParty(code).treasures), before);
+
+        // 房主仍可調整
+        await leader.PartyService.swapTreasureOrder(first, second);
+        await flush();
+        assert.deepStrictEqual(member.state.treasures.map(t => t.firebaseKey), [second, first]);
+
+        // 解鎖後成員可以調整
+        await leader.PartyService.toggleOrderLock();
+        await flush();
+        await member.PartyService.swapTreasureOrder(first, second);
+        await flush();
+        assert.deepStrictEqual(leader.state.treasures.map(t => t.firebaseKey), [first, second]);
+    });
+
+    it('預覽優化建議期間路線被其他成員調整時，不套用過時的建議', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        for (let i = 0; i < 3; i++) {
+            await leader.PartyService.addTreasure(treasureOf(leader, i));
+        }
+        await flush();
+
+        const basedOnOrder = member.state.treasures.map(t => t.firebaseKey);
+        const proposedOrder = [...basedOnOrder].reverse();
+
+        await leader.PartyService.moveTreasureOrder(basedOnOrder[0], 1);
+        await flush();
+        const moved = JSON.stringify(readParty(code).treasures);
+
+        await assert.rejects(
+            member.PartyService.autoOptimizeRoute({ proposedOrder, basedOnOrder }),
+            /已被其他成員修改/
+        );
+        assert.strictEqual(JSON.stringify(readParty(code).treasures), moved);
+
+        // 以目前的順序產生的建議可以套用
+        const current = member.state.treasures.map(t => t.firebaseKey);
+        await member.PartyService.autoOptimizeRoute({ proposedOrder, basedOnOrder: current });
+        await flush();
+        assert.deepStrictEqual(leader.state.treasures.map(t => t.firebaseKey), proposedOrder);
+    });
+
+    it('房主可以轉移給其他成員', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+
+        await assert.rejects(member.PartyService.transferLeader('leader'), /只有房主/);
+
+        await leader.PartyService.transferLeader('member1');
+        await flush();
+
+        assert.strictEqual(readParty(code).meta.leaderId, 'member1');
+        assert.strictEqual(member.PartyService.getIsLeader(), true);
+        assert.strictEqual(leader.PartyService.getIsLeader(), false);
+        assert.strictEqual(await member.PartyService.toggleOrderLock(), true);
+        await assert.rejects(leader.PartyService.toggleOrderLock(), /只有房主/);
+    });
+
+    it('房主離開時交給最早加入的成員', async () => {
+        const { code, leader, members: [first, second] } = await setupParty(3);
+
+        await leader.PartyService.leaveParty();
+        await flush();
+
+        assert.strictEqual(readParty(code).meta.leaderId, 'member1');
+        assert.strictEqual(first.PartyService.getIsLeader(), true);
+        assert.strictEqual(second.PartyService.getIsLeader(), false);
+    });
+
+    it('房主短暫斷線時保留房主身分', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+
+        await leader.setConnected(false);
+        assert.strictEqual(readParty(code).meta.leaderId, 'leader');
+        assert.strictEqual(member.PartyService.getIsLeader(), false);
+
+        await leader.setConnected(true);
+        await flush();
+        assert.strictEqual(leader.PartyService.getIsLeader(), true);
+    });
+
+    it('重新編號等只需一人處理的寫入由房主負責，房主離線時由 ID 最小的在線成員代理', async () => {
+        const { leader, members: [first, second] } = await setupParty(3);
+        const actingLeaders = () => [leader, first, second]
+            .filter(client => client.SyncService.isActingLeader(client.uid))
+            .map(client => client.uid);
+
+        assert.deepStrictEqual(actingLeaders(), ['leader']);
+
+        await leader.setConnected(false);
+        await flush();
+        assert.deepStrictEqual(actingLeaders().filter(uid => uid !== 'leader'), ['member1']);
+
+        await first.setConnected(false);
+        await flush();
+        assert.strictEqual(second.SyncService.isActingLeader('member2'), true);
+
+        await leader.setConnected(true);
+        await flush();
+        assert.strictEqual(second.SyncService.isActingLeader('member2'), false);
+        assert.strictEqual(leader.SyncService.isActingLeader('leader'), true);
+    });
+
+    it('房主離線超過寬限期後由成員自動接任，並可解除順序鎖定', async () => {
+        const { code, leader, members: [first, second] } = await setupParty(3);
+        await leader.PartyService.toggleOrderLock();
+        await flush();
+
+        await closeOfflineSince(leader, first.SyncService.getOfflineGracePeriod() + 1000);
+        assert.deepStrictEqual(Array.from(first.SyncService.sweepOfflineMembers()), ['leader']);
+        await flush();
+        await flush();
+
+        assert.strictEqual(readParty(code).meta.leaderId, 'member1');
+        assert.strictEqual(first.PartyService.getIsLeader(), true);
+        assert.strictEqual(second.PartyService.getIsLeader(), false);
+        assert.strictEqual(await first.PartyService.toggleOrderLock(), false);
+    });
+
+    it('房主移出的成員無法重新加入', async () => {
+        const { code, leader, members: [member, other] } = await setupParty(3);
+
+        await assert.rejects(other.PartyService.kickMember('member1'), /只有房主/);
+        await assert.rejects(leader.PartyService.kickMember('leader'), /無法移出自己/);
+
+        await leader.PartyService.kickMember('member1');
+        await flush();
+
+        assert.deepStrictEqual(Object.keys(leader.state.members).sort(), ['leader', 'member2']);
+        assert.strictEqual(member.state.kicked, true);
+        assert.strictEqual(member.PartyService.isInParty(), false);
+        assert.strictEqual(member.PartyService.hasSavedPartyState(), false);
+
+        await assert.rejects(member.PartyService.joinParty(code), /已被房主移出/);
+
+        // 繞過客戶端檢查直接寫入也會被安全規則拒絕
+        await assert.rejects(
+            writeDirectly(member, `parties/${code}/members/member1`, { joinedAt: Date.now(), nickname: '回來了' }),
+            /PERMISSION_DENIED/
+        );
+    });
+
+    it('觀戰者透過觀戰連結即時看到路線與完成狀態，但不是成員', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+
+        const token = await member.PartyService.getSpectatorToken();
+        assert.match(token, /^[A-Z2-9]{20}$/);
+        assert.strictEqual(await leader.PartyService.getSpectatorToken(), token, '同一隊伍共用一個觀戰代碼');
+
+        const spectator = await newClient('spectator');
+        await spectator.watch(token);
+        assert.strictEqual(spectator.PartyService.isSpectating(), true);
+        assert.strictEqual(spectator.PartyService.isInParty(), false);
+        assert.strictEqual(spectator.PartyService.canModifyOrder(), false);
+        assert.strictEqual(spectator.state.treasures.length, 1);
+        assert.deepStrictEqual(Object.keys(spectator.state.members).sort(), ['leader', 'member1']);
+
+        const key = member.state.treasures[0].firebaseKey;
+        await member.PartyService.toggleTreasureComplete(key, false);
+        await flush();
+        assert.strictEqual(spectator.state.treasures[0].completed, true);
+
+        // 不加入成員列表、不寫入連線狀態
+        assert.strictEqual(readParty(code).members.spectator, undefined);
+        assert.strictEqual(readParty(code).presence.spectator, undefined);
+        assert.strictEqual(spectator.localStorage.getItem('ffxiv_treasure_party'), null);
+
+        // 觀戰者只讀取觀戰副本，無法從索引得知加入用的隊伍代碼
+        assert.strictEqual(spectator.PartyService.getCurrentPartyCode(), null);
+        assert.ok(!JSON.stringify(store.root.spectatorViews[token]).includes(code));
+        await assert.rejects(
+            spectator.context.window.StorageAdapter.get().get(`spectators/${token}`),
+            /PERMISSION_DENIED/
+        );
+
+        await assert.rejects(spectator.PartyService.addTreasure(treasureOf(spectator, 1)), /尚未加入隊伍/);
+        await assert.rejects(spectator.PartyService.joinParty(code), /觀戰中/);
+        await assert.rejects(
+            writeDirectly(spectator, `parties/${code}/treasures/${key}/completed`, false),
+            /PERMISSION_DENIED/
+        );
+    });
+
+    it('觀戰者不計入人數上限', async () => {
+        const { code, leader } = await setupParty(1);
+        const token = await leader.PartyService.getSpectatorToken();
+
+        const spectator = await newClient('spectator');
+        await spectator.watch(token);
+
+        const max = leader.PartyService.getMaxMembers();
+        for (let i = 1; i < max; i++) {
+            const member = await newClient(`member${i}`);
+            await member.PartyService.joinParty(code);
+        }
+        assert.strictEqual(Object.keys(readParty(code).members).length, max);
+    });
+
+    it('房主重設觀戰連結後，舊連結失效並結束觀戰', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+        const token = await member.PartyService.getSpectatorToken();
+
+        const spectator = await newClient('spectator');
+        await spectator.watch(token);
+
+        await assert.rejects(member.PartyService.resetSpectatorToken(), /只有房主/);
+        const newToken = await leader.PartyService.resetSpectatorToken();
+        await flush();
+
+        assert.notStrictEqual(newToken, token);
+        assert.strictEqual(spectator.state.spectateEnded, true);
+        assert.strictEqual(spectator.PartyService.isSpectating(), false);
+        assert.strictEqual(store.root.spectators[token], undefined);
+        assert.strictEqual(store.root.spectatorViews[token], undefined);
+
+        const late = await newClient('late');
+        await assert.rejects(late.PartyService.watchParty(token), /已失效/);
+        await assert.rejects(late.PartyService.watchParty('abc'), /格式不正確/);
+        await late.watch(newToken);
+        assert.strictEqual(late.state.members.leader.nickname, '隊長');
+    });
+
+    it('隊伍解散時一併移除觀戰代碼', async () => {
+        const { code, leader } = await setupParty(1);
+        const token = await leader.PartyService.getSpectatorToken();
+
+        await leader.PartyService.leaveParty();
+
+        assert.strictEqual(readParty(code), null);
+        assert.strictEqual(store.root?.spectators?.[token], undefined);
+        assert.strictEqual(store.root?.spectatorViews?.[token], undefined);
+    });
+
+    it('加入時刪除過期隊伍，一併移除觀戰代碼', async () => {
+        const { code, leader } = await setupParty(1);
+        const token = await leader.PartyService.getSpectatorToken();
+        await leader.close();
+        readParty(code).meta.expiresAt = Date.now() - 1000;
+
+        const late = await newClient('late');
+        await assert.rejects(late.PartyService.joinParty(code), /已過期/);
+
+        assert.strictEqual(readParty(code), null);
+        assert.strictEqual(store.root?.spectators?.[token], undefined);
+        assert.strictEqual(store.root?.spectatorViews?.[token], undefined);
+    });
+
+    it('以我的藏寶圖建立隊伍時一次帶入所有藏寶圖', async () => {
+        const leader = await newClient('leader');
+        const local = leader.MyMapsService;
+        const keys = [];
+        for (const index of [0, 1, 2]) {
+            keys.push(await local.addTreasure(treasureOf(leader, index)));
+        }
+        await local.moveTreasureOrder(keys[2], 0);
+        await local.updateTreasureNote(keys[0], '先集合');
+        await local.updateTreasurePlayer(keys[1], '朋友');
+        await local.setTreasurePrecedence(keys[2], keys[1], true);
+        await local.setRouteStart({ zoneId: 132 });
+
+        const code = await leader.PartyService.createParty('隊長', {
+            treasures: local.sortByOrder(local.getTreasures()),
+            routeStart: local.getRouteStart()
+        });
+        await leader.startSync();
+
+        const party = readParty(code);
+        assert.strictEqual(party.meta.orderCounter, 3);
+        assert.deepStrictEqual({ ...party.meta.routeStart }, { zoneId: 132 });
+
+        const route = leader.state.treasures;
+        assert.deepStrictEqual(route.map(t => t.id), [2, 0, 1].map(i => treasureOf(leader, i).id));
+        assert.deepStrictEqual(orders(leader), [1, 2, 3]);
+        assert.deepStrictEqual(route.map(t => [t.addedBy, t.player]), [['leader', '隊長'], ['leader', '隊長'], ['leader', '朋友']]);
+        assert.strictEqual(route[1].note, '先集合');
+        assert.deepStrictEqual(route[0].mustPrecede, { [route[2].firebaseKey]: true });
+
+        // 之後新增的藏寶圖接在帶入的清單後面
+        const member = await newClient('member1');
+        await member.PartyService.joinParty(code, '隊員1');
+        await member.startSync();
+        await member.PartyService.addTreasure(treasureOf(member, 3));
+        await flush();
+        assert.deepStrictEqual(orders(member), [1, 2, 3, 4]);
+    });
+
+    it('離開前可以將隊伍路線複製到我的藏寶圖', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+        for (const index of [0, 1, 2]) {
+            await leader.PartyService.addTreasure(treasureOf(leader, index));
+        }
+        await flush();
+        const [first, second, third] = member.state.treasures;
+        await leader.PartyService.toggleTreasureComplete(second.firebaseKey, false);
+        await leader.PartyService.setTreasurePrecedence(third.firebaseKey, first.firebaseKey, true);
+        await flush();
+
+        const unfinished = member.state.treasures.filter(t => !t.completed);
+        assert.strictEqual(await member.MyMapsService.importTreasures(unfinished), 2);
+        await member.PartyService.leaveParty();
+
+        const local = member.MyMapsService.sortByOrder(member.MyMapsService.getTreasures());
+        assert.deepStrictEqual(Array.from(local, t => t.id), [first.id, third.id]);
+        assert.deepStrictEqual(Array.from(local, t => t.player), ['隊長', '隊長']);
+        assert.deepStrictEqual({ ...local[1].mustPrecede }, { [local[0].firebaseKey]: true });
+        assert.strictEqual(local[0].addedBy, undefined);
+    });
+
+    it('離線時的寫入在恢復連線後重送', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await flush();
+
+        const key = member.state.treasures[0].firebaseKey;
+        await member.setConnected(false);
+
+        await member.PartyService.toggleTreasureComplete(key, false);
+        await member.PartyService.addTreasure(treasureOf(member, 1));
+        assert.strictEqual(member.PartyService.getPendingWriteCount(), 2);
+        assert.strictEqual(member.state.treasures.length, 2, '離線新增應先顯示在畫面上');
+        assert.strictEqual(leader.state.treasures.length, 1);
+
+        await member.setConnected(true);
+        await flush();
+
+        // 斷線時 onDisconnect 移除了成員資料，恢復連線後應重新加入才能通過安全規則
+        assert.ok(readParty(code).members.member1);
+        assert.strictEqual(member.PartyService.getPendingWriteCount(), 0);
+        assert.strictEqual(leader.state.treasures.length, 2);
+        assert.strictEqual(leader.state.treasures[0].completed, true);
+        assert.deepStrictEqual(orders(leader), [1, 2]);
+    });
+
+    it('被安全規則拒絕的離線寫入會被捨棄並通知，不阻擋後面的寫入', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await flush();
+
+        const rejected = [];
+        member.PartyService.onQueuedWriteRejected(ops => rejected.push(...ops.map(op => op.path)));
+
+        const key = member.state.treasures[0].firebaseKey;
+        await member.setConnected(false);
+        await member.PartyService.setTreasurePinnedPosition(key, 1);
+        await member.PartyService.updateTreasureNote(key, '先到這張');
+
+        // 離線期間房主鎖定順序，隊員的固定順位會被拒絕
+        await leader.PartyService.toggleOrderLock();
+        await member.setConnected(true);
+        await flush();
+
+        assert.deepStrictEqual(rejected, [`treasures/${key}/pinnedPosition`]);
+        assert.strictEqual(member.PartyService.getPendingWriteCount(), 0);
+        assert.strictEqual(leader.state.treasures[0].note, '先到這張');
+        assert.strictEqual(leader.state.treasures[0].pinnedPosition, undefined);
+
+        // 佇列已清空，之後的寫入直接送出
+        await member.PartyService.toggleTreasureComplete(key, false);
+        await flush();
+        assert.strictEqual(member.PartyService.getPendingWriteCount(), 0);
+        assert.strictEqual(leader.state.treasures[0].completed, true);
+    });
+
+    it('離線寫入依寫入當下的時間決定 last-writer-wins', async () => {
+        const { leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await flush();
+
+        const key = member.state.treasures[0].firebaseKey;
+        await member.setConnected(false);
+        await member.PartyService.updateTreasureNote(key, '離線時的備註');
+        await member.PartyService.updateTreasurePlayer(key, '離線時的玩家');
+
+        // 房主在隊員離線之後才修改備註，較晚的修改應保留
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await leader.PartyService.updateTreasureNote(key, '房主較晚的備註');
+        await member.setConnected(true);
+        await flush();
+
+        assert.strictEqual(member.PartyService.getPendingWriteCount(), 0);
+        assert.strictEqual(leader.state.treasures[0].note, '房主較晚的備註');
+        assert.strictEqual(leader.state.treasures[0].player, '離線時的玩家');
+        assert.strictEqual(member.state.treasures[0].note, '房主較晚的備註');
+    });
+
+    it('欄位與修改時間一次寫入，修改時間使用伺服器時間', async () => {
+        const { code, leader, members: [member] } = await setupParty(2);
+        await leader.PartyService.addTreasure(treasureOf(leader, 0));
+        await flush();
+
+        const key = member.state.treasures[0].firebaseKey;
+        const seen = [];
+        const unsubscribe = leader.context.window.StorageAdapter.get().onValue(
+            `parties/${code}/treasures/${key}`,
+            snapshot => seen.push(snapshot.val())
+        );
+        await flush();
+
+        // 伺服器時間與客戶端時鐘不同
+        const serverTime = Date.now() - 60 * 60 * 1000;
+        const now = store.now;
+        store.now = () => serverTime;
+        await member.PartyService.updateTreasureNote(key, '新的備註');
+        store.now = now;
+        await flush();
+        unsubscribe();
+
+        assert.strictEqual(readParty(code).treasures[key].updatedAt.note, serverTime);
+        assert.ok(seen.every(treasure => (treasure.note === '新的備註') === (treasure.updatedAt?.note === serverTime)),
+            '不應觀察到只寫入其中一個路徑的狀態');
+    });
+});
@@ -0,0 +1,321 @@
+/**
+ * RouteOptimizer 測試
+ *
+ * 使用方式:
+ *   node --test tests/
+ *
+ * 黃金測試 (golden) 將真實 TREASURES 子集的優化結果與 tests/golden/route-optimizer.json 比對；
+ * 有意調整演算法或重新產生資料後，以 UPDATE_GOLDEN=1 node --test tests/ 更新該檔，並在 PR 中檢查差異
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { loadRouteData, toRouteTreasure } = require('./helpers/load-browser-globals');
+const { forAll } = require('./helpers/property');
+
+const data = loadRouteData();
+const { RouteOptimizer, GRADE_DATA, MAP_DATA, TREASURES, ZONE_AETHERYTES } = data;
+
+const GOLDEN_FILE = path.join(__dirname, 'golden', 'route-optimizer.json');
+
+// 有傳送點資料的藏寶點 (路線時間才有意義)
+const ROUTE_TREASURES = TREASURES
+    .filter(t => ZONE_AETHERYTES[MAP_DATA[t.map]?.placename_id])
+    .map(toRouteTreasure);
+
+function getGrade(grade) {
+    return GRADE_DATA.find(g => g.grade === grade);
+}
+
+function treasuresOf(grade) {
+    const itemId = getGrade(grade).itemId;
+    return TREASURES.filter(t => t.item === itemId).map(toRouteTreasure);
+}
+
+// 只取 ID (Array.from 回傳本 realm 的陣列，可直接用 deepStrictEqual 比較)
+function ids(route) {
+    return Array.from(route, t => t.id);
+}
+
+function sortedIds(route) {
+    return ids(route).sort();
+}
+
+// 隨機抽樣藏寶點 (同一地圖的點較多，才能測到地圖內排序)
+function sampleTreasures(random, maxCount) {
+    const count = random.int(0, maxCount);
+    if (random.bool()) {
+        return random.sample(ROUTE_TREASURES, count);
+    }
+    const grade = random.pick(GRADE_DATA);
+    return random.sample(treasuresOf(grade.grade), count);
+}
+
+describe('RouteOptimizer.optimize', () => {
+    it('回傳輸入的排列 (不遺漏、不重複)', () => {
+        forAll(random => ({
+            treasures: sampleTreasures(random, 20),
+            options: {
+                useMapGrouping: random.bool(),
+                use2Opt: random.bool(),
+                useExact: random.bool()
+            }
+        }), ({ treasures, options }) => {
+            const route = RouteOptimizer.optimize(treasures, options);
+            assert.strictEqual(route.length, treasures.length);
+            assert.deepStrictEqual(sortedIds(route), sortedIds(treasures));
+            route.forEach(t => assert.ok(treasures.includes(t), '應回傳原本的物件'));
+        }, { runs: 60 });
+    });
+
+    it('不修改輸入陣列', () => {
+        forAll(random => sampleTreasures(random, 16), (treasures) => {
+            const before = ids(treasures);
+            RouteOptimizer.optimize(treasures, { use2Opt: true });
+            assert.deepStrictEqual(ids(treasures), before);
+        }, { runs: 30 });
+    });
+
+    it('精確解的總時間不超過啟發式', () => {
+        forAll(random => random.sample(ROUTE_TREASURES, random.int(2, 9)), (treasures) => {
+            const exact = RouteOptimizer.calcTotalTime(RouteOptimizer.solveExact(treasures));
+            const heuristic = RouteOptimizer.calcTotalTime(RouteOptimizer.optimize(treasures, { useExact: false }));
+            assert.ok(exact <= heuristic + 1e-6, `精確解 ${exact} 大於啟發式 ${heuristic}`);
+        }, { runs: 40 });
+    });
+
+    it('空陣列與單一藏寶點', () => {
+        assert.strictEqual(RouteOptimizer.optimize([]).length, 0);
+        assert.strictEqual(RouteOptimizer.optimize(null).length, 0);
+
+        const single = [ROUTE_TREASURES[0]];
+        assert.deepStrictEqual(ids(RouteOptimizer.optimize(single)), ids(single));
+    });
+
+    it('限制條件: 可以同時滿足時一定找到符合固定順位、先後順序與起點的路線', () => {
+        // 由一條隨機路線產生限制條件，因此必定有解 (超過 EXACT_SOLVER_LIMIT 時使用啟發式)
+        forAll(random => {
+            const witness = random.sample(ROUTE_TREASURES, random.int(3, 20));
+            const pinned = {};
+            random.sample(witness.map((t, idx) => idx), random.int(0, 3)).forEach(idx => {
+                pinned[witness[idx].id] = idx + 1;
+            });
+            const precedence = [];
+            for (let i = random.int(1, 4); i > 0; i--) {
+                const [a, b] = random.sample(witness.map((t, idx) => idx), 2).sort((x, y) => x - y);
+                precedence.push([witness[a].id, witness[b].id]);
+            }
+            const start = random.bool() ? { zoneId: MAP_DATA[witness[0].mapId].placename_id } : null;
+            return { treasures: random.shuffle(witness), constraints: { start, pinned, precedence } };
+        }, ({ treasures, constraints }) => {
+            const route = RouteOptimizer.optimize(treasures, { constraints });
+            assert.deepStrictEqual(sortedIds(route), sortedIds(treasures));
+            assert.ok(RouteOptimizer.satisfiesConstraints(route, constraints));
+        }, { runs: 60 });
+    });
+
+    it('限制條件: 固定在前面的站需要先到其他藏寶點時，啟發式也會先排入', () => {
+        // 14 站 (超過 EXACT_SOLVER_LIMIT)，K 固定在第 2 站且 A 必須早於 K: 只能 A、K 開頭
+        forAll(random => {
+            const treasures = random.sample(ROUTE_TREASURES, 14);
+            const [first, second] = random.sample(treasures, 2);
+            return { treasures, constraints: { pinned: { [second.id]: 2 }, precedence: [[first.id, second.id]] } };
+        }, ({ treasures, constraints }) => {
+            const route = RouteOptimizer.optimize(treasures, { constraints, use2Opt: true });
+            assert.deepStrictEqual(ids(route.slice(0, 2)), constraints.precedence[0]);
+            assert.ok(RouteOptimizer.satisfiesConstraints(route, constraints));
+        }, { runs: 40 });
+    });
+
+    it('限制條件: 互相衝突時拋出錯誤', () => {
+        forAll(random => random.sample(ROUTE_TREASURES, random.int(3, 16)), (treasures) => {
+            const [a, b] = treasures;
+            const constraints = { pinned: { [b.id]: 1 }, precedence: [[a.id, b.id]] };
+            assert.throws(() => RouteOptimizer.optimize(treasures, { constraints }), /無法同時滿足/);
+        }, { runs: 20 });
+    });
+
+    it('略過超出範圍或重複的固定順位，其餘限制照常套用', () => {
+        const treasures = ROUTE_TREASURES.slice(0, 6);
+        const [outOfRange, duplicateA, duplicateB, valid] = treasures;
+        const constraints = {
+            pinned: {
+                [outOfRange.id]: 9,
+                [duplicateA.id]: 2,
+                [duplicateB.id]: 2,
+                [valid.id]: 1
+            }
+        };
+
+        const invalid = RouteOptimizer.findInvalidPins(treasures, constraints);
+        assert.deepStrictEqual([...invalid].sort(), [outOfRange.id, duplicateA.id, duplicateB.id].sort());
+
+        [true, false].forEach(useExact => {
+            const route = RouteOptimizer.optimize(treasures, { useExact, constraints });
+            assert.deepStrictEqual(sortedIds(route), sortedIds(treasures));
+            assert.strictEqual(route[0].id, valid.id);
+            assert.ok(RouteOptimizer.satisfiesConstraints(route, constraints));
+        });
+    });
+});
+
+describe('RouteOptimizer.createsPrecedenceCycle', () => {
+    it('偵測直接與間接的循環', () => {
+        const precedence = [['a', 'b'], ['b', 'c'], ['x', 'y']];
+
+        assert.strictEqual(RouteOptimizer.createsPrecedenceCycle(precedence, 'b', 'a'), true);
+        assert.strictEqual(RouteOptimizer.createsPrecedenceCycle(precedence, 'c', 'a'), true);
+        assert.strictEqual(RouteOptimizer.createsPrecedenceCycle(precedence, 'a', 'a'), true);
+
+        assert.strictEqual(RouteOptimizer.createsPrecedenceCycle(precedence, 'a', 'c'), false);
+        assert.strictEqual(RouteOptimizer.createsPrecedenceCycle(precedence, 'c', 'x'), false);
+        assert.strictEqual(RouteOptimizer.createsPrecedenceCycle([], 'a', 'b'), false);
+    });
+
+    it('不形成循環的先後順序都能排出路線', () => {
+        forAll(random => {
+            const treasures = random.sample(ROUTE_TREASURES, random.int(3, 10));
+            const precedence = [];
+            for (let i = 0; i < 8; i++) {
+                const [before, after] = random.sample(treasures, 2).map(t => t.id);
+                if (!RouteOptimizer.createsPrecedenceCycle(precedence, before, after)) {
+                    precedence.push([before, after]);
+                }
+            }
+            return { treasures, constraints: { precedence } };
+        }, ({ treasures, constraints }) => {
+            const route = RouteOptimizer.optimize(treasures, { useExact: false, constraints });
+            assert.ok(RouteOptimizer.satisfiesConstraints(route, constraints));
+        }, { runs: 40 });
+    });
+});
+
+describe('RouteOptimizer.improve2Opt', () => {
+    it('不會增加 calcTotalDistance', () => {
+        forAll(random => random.shuffle(sampleTreasures(random, 20)), (treasures) => {
+            const improved = RouteOptimizer.improve2Opt(treasures);
+            assert.deepStrictEqual(sortedIds(improved), sortedIds(treasures));
+            assert.ok(
+                RouteOptimizer.calcTotalDistance(improved) <= RouteOptimizer.calcTotalDistance(treasures) + 1e-9,
+                '2-opt 後總距離變長'
+            );
+        });
+    });
+
+    it('使用自訂成本函數時不會增加該成本', () => {
+        forAll(random => random.shuffle(sampleTreasures(random, 12)), (treasures) => {
+            const improved = RouteOptimizer.improve2Opt(treasures, 50, RouteOptimizer.calcTotalTime);
+            assert.ok(
+                RouteOptimizer.calcTotalTime(improved) <= RouteOptimizer.calcTotalTime(treasures) + 1e-9,
+                '2-opt 後總時間變長'
+            );
+        }, { runs: 40 });
+    });
+});
+
+describe('RouteOptimizer.sortMaps', () => {
+    it('每張地圖恰好出現一次', () => {
+        forAll(random => sampleTreasures(random, 30), (treasures) => {
+            const groups = RouteOptimizer.groupByMap(treasures);
+            const mapOrder = Array.from(RouteOptimizer.sortMaps(groups));
+            const expected = Object.keys(groups).map(Number);
+
+            assert.strictEqual(new Set(mapOrder).size, mapOrder.length, '地圖重複');
+            assert.deepStrictEqual([...mapOrder].sort((a, b) => a - b), expected.sort((a, b) => a - b));
+        });
+    });
+
+    it('從藏寶點最多的地圖開始', () => {
+        forAll(random => sampleTreasures(random, 30), (treasures) => {
+            if (treasures.length === 0) return;
+            const groups = RouteOptimizer.groupByMap(treasures);
+            const first = RouteOptimizer.sortMaps(groups)[0];
+            const maxCount = Math.max(...Object.values(groups).map(g => g.length));
+            assert.strictEqual(groups[first].length, maxCount);
+        }, { runs: 40 });
+    });
+});
+
+describe('RouteOptimizer.analyzeRoute', () => {
+    it('總時間與 calcTotalTime 一致，傳送次數至少等於地圖數', () => {
+        forAll(random => random.sample(ROUTE_TREASURES, random.int(1, 15)), (treasures) => {
+            const stats = RouteOptimizer.analyzeRoute(treasures);
+            assert.ok(Math.abs(stats.totalTime - RouteOptimizer.calcTotalTime(treasures)) < 1e-6);
+            assert.ok(stats.teleports >= stats.mapJumps + 1);
+            assert.ok(stats.mapCount <= treasures.length);
+            if (treasures.length <= 12) {
+                assert.ok(stats.optimalityGap >= -1e-9, '啟發式不應優於最佳解');
+            }
+        }, { runs: 30 });
+    });
+});
+
+// 黃金測試: 真實藏寶點子集
+const GOLDEN_CASES = {
+    'G17 單一地圖 (860) 全部 8 點': () => ({
+        treasures: treasuresOf('G17').filter(t => t.mapId === 860)
+    }),
+    'G12 跨地圖 12 點 (精確解)': () => ({
+        treasures: treasuresOf('G12').filter((t, i) => i % 4 === 0)
+    }),
+    'G10 跨地圖 24 點 (啟發式)': () => ({
+        treasures: treasuresOf('G10').filter((t, i) => i % 2 === 0)
+    }),
+    'G10 跨地圖 24 點 (啟發式 + 2-opt)': () => ({
+        treasures: treasuresOf('G10').filter((t, i) => i % 2 === 0),
+        options: { use2Opt: true }
+    }),
+    '綠圖 全部 15 點': () => ({
+        treasures: treasuresOf('綠圖')
+    }),
+    'G17 地圖 860 指定起點與固定最後一站': () => {
+        const treasures = treasuresOf('G17').filter(t => t.mapId === 860);
+        const zoneId = MAP_DATA[860].placename_id;
+        return {
+            treasures,
+            options: {
+                constraints: {
+                    start: { zoneId, aetheryte: ZONE_AETHERYTES[zoneId][0].name },
+                    pinned: { [treasures[0].id]: treasures.length }
+                }
+            }
+        };
+    }
+};
+
+function runGoldenCase(build) {
+    const { treasures, options = {} } = build();
+    const route = RouteOptimizer.optimize(treasures, options);
+    const stats = RouteOptimizer.analyzeRoute(route, options.constraints || null);
+    return {
+        route: ids(route),
+        totalTime: Math.round(stats.totalTime * 10) / 10,
+        teleports: stats.teleports,
+        mapJumps: stats.mapJumps
+    };
+}
+
+describe('RouteOptimizer 黃金測試', () => {
+    const results = {};
+    Object.entries(GOLDEN_CASES).forEach(([name, build]) => {
+        results[name] = runGoldenCase(build);
+    });
+
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(path.dirname(GOLDEN_FILE), { recursive: true });
+        fs.writeFileSync(GOLDEN_FILE, JSON.stringify(results, null, 2) + '\n');
+        console.log(`已更新黃金檔案: ${GOLDEN_FILE}`);
+    }
+
+    const golden = JSON.parse(fs.readFileSync(GOLDEN_FILE, 'utf8'));
+
+    Object.keys(GOLDEN_CASES).forEach(name => {
+        it(name, () => {
+            assert.ok(golden[name], `黃金檔案缺少「${name}」，請以 UPDATE_GOLDEN=1 產生`);
+            assert.deepStrictEqual(results[name], golden[name]);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * RouteOrder 測試
+ *
+ * 涵蓋隊伍與我的藏寶圖共用的排序、限制條件建立，以及優化建議是否仍可套用的判斷。
+ *
+ * 使用方式:
+ *   node --test tests/route-order.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getGlobals, toRouteTreasure } = require('./helpers/load-browser-globals');
+
+const context = loadScripts(['js/treasure-data.js', 'js/data.js', 'js/route-optimizer.js', 'js/route-order.js']);
+const { RouteOrder, TREASURES } = getGlobals(context, ['RouteOrder', 'TREASURES']);
+
+// 建立路線中的藏寶圖 (key 依序為 a, b, c...)
+function createRoute(count) {
+    return TREASURES.slice(0, count).map((treasure, i) => ({
+        ...toRouteTreasure(treasure),
+        firebaseKey: String.fromCharCode(97 + i),
+        order: i + 1
+    }));
+}
+
+describe('RouteOrder', () => {
+    it('依順序排列，順序相同時以 key 決定，不修改輸入', () => {
+        const treasures = [
+            { firebaseKey: 'c', order: 2 },
+            { firebaseKey: 'b', order: 1 },
+            { firebaseKey: 'a', order: 2 },
+            { firebaseKey: 'd' }
+        ];
+        assert.deepStrictEqual(Array.from(RouteOrder.getOrderedKeys(treasures)), ['d', 'b', 'a', 'c']);
+        assert.deepStrictEqual(treasures.map(t => t.firebaseKey), ['c', 'b', 'a', 'd']);
+    });
+
+    it('由固定順位與先後順序建立限制條件', () => {
+        const [a, b, c] = createRoute(3);
+        a.pinnedPosition = 2;
+        c.mustPrecede = { a: true, b: true };
+
+        const constraints = RouteOrder.buildRouteConstraints([a, b, c], { zoneId: 1 });
+        assert.deepStrictEqual({ ...constraints.pinned }, { a: 2 });
+        assert.deepStrictEqual(Array.from(constraints.precedence, pair => Array.from(pair)), [['c', 'a'], ['c', 'b']]);
+        assert.strictEqual(constraints.start.zoneId, 1);
+        assert.strictEqual(RouteOrder.buildRouteConstraints([a], undefined).start, null);
+    });
+
+    it('建議在藏寶圖增減、順序調整或不符限制條件時不可套用', () => {
+        const route = createRoute(3);
+        const basedOn = ['a', 'b', 'c'];
+        const proposed = ['c', 'a', 'b'];
+
+        assert.strictEqual(RouteOrder.isProposalApplicable(route, proposed, basedOn, null), true);
+        assert.strictEqual(RouteOrder.isProposalApplicable(route, proposed, undefined, null), true);
+
+        assert.strictEqual(RouteOrder.isProposalApplicable(route.slice(0, 2), proposed, undefined, null), false);
+        assert.strictEqual(RouteOrder.isProposalApplicable(route, ['c', 'a', 'x'], undefined, null), false);
+
+        const moved = route.map(t => ({ ...t, order: t.firebaseKey === 'a' ? 4 : t.order }));
+        assert.strictEqual(RouteOrder.isProposalApplicable(moved, proposed, basedOn, null), false);
+
+        const pinned = route.map(t => (t.firebaseKey === 'a' ? { ...t, pinnedPosition: 1 } : t));
+        assert.strictEqual(RouteOrder.isProposalApplicable(pinned, proposed, basedOn, null), false);
+    });
+});
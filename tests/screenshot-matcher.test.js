@@ -0,0 +1,140 @@
+/**
+ * ScreenshotMatcher 測試
+ *
+ * 以隨機產生的地圖紋理代替真實地圖圖片 (不需要網路)，從中截取某個藏寶點的卡片範圍，
+ * 加上羊皮紙色調、雜訊與視窗邊框模擬遊戲截圖，驗證該藏寶點排在第一位。
+ *
+ * 使用方式:
+ *   node --test tests/screenshot-matcher.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getGlobals } = require('./helpers/load-browser-globals');
+const { createRandom } = require('./helpers/property');
+
+const context = loadScripts(['js/treasure-data.js', 'js/data.js', 'js/screenshot-matcher.js']);
+const { ScreenshotMatcher, GRADE_DATA, getMapsForGrade, getTreasuresForGradeAndMap, getTreasureCropRect } = getGlobals(context, [
+    'ScreenshotMatcher', 'GRADE_DATA', 'getMapsForGrade', 'getTreasuresForGradeAndMap', 'getTreasureCropRect'
+]);
+
+// 地圖縮小為 1024 (與瀏覽器中的 MAP_SAMPLE_SIZE 相同)
+const MAP_IMAGE_SIZE = 1024;
+
+function createImage(width, height) {
+    return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+}
+
+// 隨機色塊組成的地圖紋理
+function createMapImage(seed) {
+    const random = createRandom(seed);
+    const image = createImage(MAP_IMAGE_SIZE, MAP_IMAGE_SIZE);
+    image.data.fill(128);
+
+    for (let n = 0; n < 3000; n++) {
+        const x0 = random.int(0, MAP_IMAGE_SIZE - 1);
+        const y0 = random.int(0, MAP_IMAGE_SIZE - 1);
+        const w = random.int(4, 40);
+        const h = random.int(4, 40);
+        const value = random.int(0, 255);
+        for (let y = y0; y < Math.min(MAP_IMAGE_SIZE, y0 + h); y++) {
+            for (let x = x0; x < Math.min(MAP_IMAGE_SIZE, x0 + w); x++) {
+                const i = (y * MAP_IMAGE_SIZE + x) * 4;
+                image.data[i] = value;
+                image.data[i + 1] = (value * 0.8) | 0;
+                image.data[i + 2] = (value * 0.6) | 0;
+                image.data[i + 3] = 255;
+            }
+        }
+    }
+    return image;
+}
+
+// 模擬遊戲內藏寶圖視窗的截圖：放大 4 倍、羊皮紙色調、雜訊，外圍 10% 為視窗邊框
+function createScreenshot(mapImage, treasure, seed) {
+    const random = createRandom(seed);
+    const crop = getTreasureCropRect(treasure.coords, treasure.map);
+    const scale = MAP_IMAGE_SIZE / 2048;
+    const width = Math.round(crop.width * scale * 4);
+    const height = Math.round(crop.height * scale * 4);
+    const image = createImage(width, height);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const u = (x / width - 0.1) / 0.8;
+            const v = (y / height - 0.1) / 0.8;
+
+            let gray = 40;
+            if (u >= 0 && u < 1 && v >= 0 && v < 1) {
+                const mx = Math.floor((crop.x + u * crop.width) * scale);
+                const my = Math.floor((crop.y + v * crop.height) * scale);
+                const inside = mx >= 0 && my >= 0 && mx < MAP_IMAGE_SIZE && my < MAP_IMAGE_SIZE;
+                gray = inside ? mapImage.data[(my * MAP_IMAGE_SIZE + mx) * 4] * 0.7 + 50 : 90;
+            }
+            gray += random.int(-15, 15);
+            image.data[i] = gray + 30;
+            image.data[i + 1] = gray + 10;
+            image.data[i + 2] = gray - 20;
+            image.data[i + 3] = 255;
+        }
+    }
+    return image;
+}
+
+// 有多個藏寶點的等級與地圖
+function findCandidates() {
+    for (const grade of GRADE_DATA) {
+        for (const map of getMapsForGrade(grade)) {
+            const treasures = getTreasuresForGradeAndMap(grade, map.id);
+            if (treasures.length >= 6) return Array.from(treasures);
+        }
+    }
+    throw new Error('找不到測試用的藏寶點');
+}
+
+describe('ScreenshotMatcher', () => {
+    const treasures = findCandidates();
+    const mapImage = createMapImage(1);
+
+    it('截圖對應的藏寶點排在第一位', () => {
+        for (const target of [0, 3, treasures.length - 1]) {
+            const screenshot = createScreenshot(mapImage, treasures[target], target + 10);
+            const results = ScreenshotMatcher.rankCandidates(
+                screenshot,
+                treasures.map(treasure => ({ treasure, mapImage }))
+            );
+
+            assert.strictEqual(results.length, treasures.length);
+            assert.strictEqual(results[0].treasure.id, treasures[target].id);
+            assert.ok(results[0].score > results[1].score);
+            assert.ok(results[0].confidence > 0.5, `信心過低: ${results[0].confidence}`);
+        }
+    });
+
+    it('信心總和為 1 且依分數排序', () => {
+        const screenshot = createScreenshot(mapImage, treasures[1], 99);
+        const results = ScreenshotMatcher.rankCandidates(
+            screenshot,
+            treasures.map(treasure => ({ treasure, mapImage }))
+        );
+
+        const total = results.reduce((sum, r) => sum + r.confidence, 0);
+        assert.ok(Math.abs(total - 1) < 1e-9);
+        for (let i = 1; i < results.length; i++) {
+            assert.ok(results[i - 1].score >= results[i].score);
+        }
+    });
+
+    it('相同範圍的特徵相似度為 1，與色調無關', () => {
+        const rect = { x: 100, y: 100, width: 200, height: 170 };
+        const feature = ScreenshotMatcher.extractFeature(mapImage, rect);
+        assert.ok(Math.abs(ScreenshotMatcher.similarity(feature, feature) - 1) < 1e-5);
+
+        // 整體調亮不影響邊緣特徵
+        const brighter = { ...mapImage, data: mapImage.data.map((v, i) => (i % 4 === 3 ? v : v * 0.5 + 60)) };
+        const score = ScreenshotMatcher.similarity(feature, ScreenshotMatcher.extractFeature(brighter, rect));
+        assert.ok(score > 0.99, `相似度過低: ${score}`);
+    });
+});
@@ -0,0 +1,380 @@
+/**
+ * 同步後端 (StorageAdapter) 介面測試
+ *
+ * 以相同的測試檢查記憶體後端 (memory-adapter.js) 與自架中繼伺服器 (relay-adapter.js 連線到
+ * 同一個程序內啟動的 server/relay-server.js) 的行為一致: 讀寫、多路徑寫入、交易、監聽、斷線操作與伺服器時間。
+ * 另外檢查中繼伺服器拒絕存取根節點、整個隊伍或觀戰副本集合，以及讀取觀戰代碼索引，
+ * 與網址的 ?relay= 參數需使用者確認才會改用並記住。
+ *
+ * 使用方式:
+ *   node --test tests/storage-adapter-contract.test.js
+ */
+
+const assert = require('assert');
+const { describe, it, before, after } = require('node:test');
+
+const { loadScripts } = require('./helpers/load-browser-globals');
+const { createWebSocketClass } = require('./helpers/websocket-client');
+const { createRelayServer } = require('../server/relay-server');
+
+const ADAPTER_SCRIPTS = [
+    'js/party/data-tree.js',
+    'js/party/storage-adapter.js',
+    'js/party/adapters/memory-adapter.js',
+    'js/party/adapters/relay-adapter.js'
+];
+
+const quietConsole = { log() {}, warn() {}, error() {}, info() {} };
+
+// 等待非同步通知的上限 (毫秒)
+const WAIT_TIMEOUT = 2000;
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+// 每個客戶端是獨立的瀏覽器環境
+function loadAdapterScripts(globals = {}) {
+    const localStorage = createLocalStorage();
+    const window = { location: { search: '' }, localStorage };
+    loadScripts(ADAPTER_SCRIPTS, { window, localStorage, console: quietConsole, ...globals });
+    return window;
+}
+
+// 轉為本 realm 的值 (vm context 內建立的物件無法直接用 deepStrictEqual 比較)
+function toPlain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+async function read(adapter, path) {
+    return toPlain((await adapter.get(path)).val());
+}
+
+/**
+ * 等待監聽到符合條件的值
+ */
+function waitForValue(adapter, path, predicate) {
+    return new Promise((resolve, reject) => {
+        let unsubscribe = null;
+        let done = false;
+
+        const timer = setTimeout(() => finish(new Error(`等待 ${path} 的值逾時`)), WAIT_TIMEOUT);
+
+        function finish(error, value) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            // 通知可能在 onValue 回傳前送達
+            Promise.resolve().then(() => unsubscribe && unsubscribe());
+            if (error) reject(error); else resolve(value);
+        }
+
+        unsubscribe = adapter.onValue(path, (snapshot) => {
+            const value = toPlain(snapshot.val());
+            if (predicate(value)) finish(null, value);
+        });
+    });
+}
+
+// 各後端的測試環境: connect() 建立新的客戶端，disconnect(adapter) 模擬斷線
+const BACKENDS = {
+    memory: async () => {
+        const store = loadAdapterScripts().MemoryAdapter.createStore();
+        return {
+            async connect() {
+                const window = loadAdapterScripts();
+                const adapter = window.StorageAdapter.use('memory', { store });
+                await adapter.initialize();
+                return adapter;
+            },
+            disconnect(adapter) {
+                adapter.setConnected(false);
+            },
+            async teardown() {}
+        };
+    },
+
+    relay: async () => {
+        const server = createRelayServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const url = `ws://127.0.0.1:${server.address().port}`;
+        const sockets = new Map();
+        const classes = [];
+
+        return {
+            async connect() {
+                const WebSocket = createWebSocketClass();
+                classes.push(WebSocket);
+                const window = loadAdapterScripts({ WebSocket });
+                const adapter = window.StorageAdapter.use('relay', { url });
+                assert.strictEqual(await adapter.initialize(), true);
+                sockets.set(adapter, WebSocket);
+                return adapter;
+            },
+            disconnect(adapter) {
+                sockets.get(adapter).instances.forEach(ws => ws.close());
+            },
+            async teardown() {
+                classes.forEach(WebSocket => WebSocket.disable());
+                await new Promise(resolve => server.close(resolve));
+            }
+        };
+    }
+};
+
+Object.entries(BACKENDS).forEach(([name, setup]) => {
+    describe(`StorageAdapter 介面: ${name}`, () => {
+        let backend;
+        let a;
+        let b;
+
+        before(async () => {
+            backend = await setup();
+            a = await backend.connect();
+            b = await backend.connect();
+        });
+
+        after(() => backend.teardown());
+
+        it('set / get / remove，寫入 null 為刪除', async () => {
+            const snapshot = await a.get('contract/rw/missing');
+            assert.strictEqual(snapshot.exists(), false);
+            assert.strictEqual(snapshot.val(), null);
+
+            await a.set('contract/rw/item', { name: '藏寶圖', count: 2 });
+            await a.set('contract/rw/item/count', 3);
+            assert.deepStrictEqual(await read(b, 'contract/rw/item'), { name: '藏寶圖', count: 3 });
+            assert.strictEqual((await b.get('contract/rw/item/name')).key, 'name');
+
+            await a.set('contract/rw/item/name', null);
+            assert.deepStrictEqual(await read(b, 'contract/rw'), { item: { count: 3 } });
+
+            await b.remove('contract/rw/item');
+            assert.strictEqual((await a.get('contract/rw')).exists(), false);
+        });
+
+        it('update 一次寫入多個路徑 (null 為刪除)，監聽者只收到一次通知', async () => {
+            await a.set('contract/update', { item: { name: '藏寶圖', note: '舊備註' } });
+            const values = [];
+            const unsubscribe = b.onValue('contract/update', (snapshot) => {
+                values.push(toPlain(snapshot.val()));
+            });
+            await waitForValue(b, 'contract/update', value => value?.item?.note === '舊備註');
+
+            const before = Date.now();
+            await a.update('contract/update', {
+                'item/note': null,
+                'item/count': 2,
+                'stamp/item': a.serverTimestamp()
+            });
+            const updated = await waitForValue(b, 'contract/update', value => value?.item?.count === 2);
+            unsubscribe();
+
+            assert.deepStrictEqual(updated.item, { name: '藏寶圖', count: 2 });
+            assert.ok(updated.stamp.item >= before && updated.stamp.item <= Date.now());
+            assert.strictEqual(values.length, 2);
+        });
+
+        it('transaction 以目前值計算 (不存在時為 null)，回傳 undefined 時中止', async () => {
+            const seen = [];
+            const first = await a.transaction('contract/tx/counter', (current) => {
+                seen.push(current);
+                return (current || 0) + 1;
+            });
+            assert.strictEqual(first.committed, true);
+            assert.strictEqual(first.snapshot.val(), 1);
+            assert.deepStrictEqual(seen, [null]);
+
+            const aborted = await b.transaction('contract/tx/counter', () => undefined);
+            assert.strictEqual(aborted.committed, false);
+            assert.strictEqual(aborted.snapshot.val(), 1);
+
+            await b.transaction('contract/tx/object', () => ({ first: 1 }));
+            const updated = await a.transaction('contract/tx/object', (current) => ({ ...current, second: 2 }));
+            assert.deepStrictEqual(toPlain(updated.snapshot.val()), { first: 1, second: 2 });
+        });
+
+        it('兩個客戶端同時交易不會遺失更新', async () => {
+            const increment = adapter => adapter.transaction('contract/tx/shared', current => (current || 0) + 1);
+            const runs = [];
+            for (let i = 0; i < 5; i++) {
+                runs.push(increment(a), increment(b));
+            }
+            const results = await Promise.all(runs);
+
+            assert.ok(results.every(result => result.committed));
+            assert.strictEqual(await read(a, 'contract/tx/shared'), 10);
+        });
+
+        it('onValue 先送出目前值，之後只在值變化時通知，取消後不再通知', async () => {
+            const values = [];
+            const unsubscribe = a.onValue('contract/watch/item', (snapshot) => {
+                values.push(toPlain(snapshot.val()));
+            });
+            await waitForValue(a, 'contract/watch/item', value => value === null);
+
+            await a.set('contract/watch/item', { level: 1 });
+            await a.set('contract/watch/item', { level: 1 });
+            await a.set('contract/watch/other', true);
+            await a.set('contract/watch/item/level', 2);
+            await waitForValue(a, 'contract/watch/item', value => value?.level === 2);
+            assert.deepStrictEqual(values, [null, { level: 1 }, { level: 2 }]);
+
+            unsubscribe();
+            await a.set('contract/watch/item', null);
+            await read(a, 'contract/watch/item');
+            assert.strictEqual(values.length, 3);
+        });
+
+        it('其他客戶端的寫入會通知監聽者 (包含上層與下層路徑)', async () => {
+            const parentUpdated = waitForValue(b, 'contract/notify', value => value?.child?.value === 1);
+            const childRemoved = waitForValue(b, 'contract/notify/child/value', value => value === null);
+
+            await a.set('contract/notify/child', { value: 1 });
+            assert.deepStrictEqual(await parentUpdated, { child: { value: 1 } });
+
+            await a.remove('contract/notify');
+            assert.strictEqual(await childRemoved, null);
+        });
+
+        it('serverTimestamp 寫入時換成伺服器時間', async () => {
+            const before = Date.now();
+            await a.set('contract/time', { at: a.serverTimestamp() });
+            const at = await read(b, 'contract/time/at');
+
+            assert.strictEqual(typeof at, 'number');
+            assert.ok(at >= before && at <= Date.now());
+        });
+
+        // 會中斷 a 的連線，放在最後
+        it('onDisconnect 的操作在斷線時由伺服器執行，cancel 後不執行', async () => {
+            await a.set('contract/presence', { online: true, status: '線上', kept: 1 });
+            await a.onDisconnect('contract/presence/online').remove();
+            await a.onDisconnect('contract/presence/status').set('離線');
+            await a.onDisconnect('contract/presence/kept').set(2);
+            await a.onDisconnect('contract/presence/kept').cancel();
+            assert.strictEqual((await read(b, 'contract/presence')).online, true);
+
+            const updated = waitForValue(b, 'contract/presence', value => value?.status === '離線');
+            backend.disconnect(a);
+            assert.deepStrictEqual(await updated, { status: '離線', kept: 1 });
+        });
+    });
+});
+
+describe('中繼伺服器網址 (?relay=)', () => {
+    const RELAY_URL = 'wss://relay.example.com';
+
+    // 以指定的網址參數載入，confirmAnswer 為確認對話框的回答
+    function loadWithSearch(search, localStorage, confirmAnswer) {
+        const prompts = [];
+        const window = { location: { search }, localStorage };
+        const confirm = (message) => {
+            prompts.push(message);
+            return confirmAnswer;
+        };
+        loadScripts(ADAPTER_SCRIPTS, { window, localStorage, confirm, console: quietConsole });
+        return { StorageAdapter: window.StorageAdapter, prompts };
+    }
+
+    it('新的伺服器網址需確認後才使用並記住，同一頁面只詢問一次', () => {
+        const localStorage = createLocalStorage();
+
+        const declined = loadWithSearch(`?party=ABC234&relay=${RELAY_URL}`, localStorage, false);
+        assert.strictEqual(declined.StorageAdapter.getRelayUrl(), null);
+        assert.match(declined.prompts[0], /relay\.example\.com/);
+        assert.strictEqual(localStorage.getItem('ffxiv_treasure_relay_url'), null);
+
+        const accepted = loadWithSearch(`?relay=${RELAY_URL}`, localStorage, true);
+        assert.strictEqual(accepted.StorageAdapter.getRelayUrl(), RELAY_URL);
+        assert.strictEqual(accepted.StorageAdapter.getRelayUrl(), RELAY_URL);
+        assert.strictEqual(accepted.prompts.length, 1);
+        assert.strictEqual(localStorage.getItem('ffxiv_treasure_relay_url'), RELAY_URL);
+
+        // 已記住的伺服器不再詢問
+        const remembered = loadWithSearch(`?relay=${RELAY_URL}`, localStorage, false);
+        assert.strictEqual(remembered.StorageAdapter.getRelayUrl(), RELAY_URL);
+        assert.strictEqual(loadWithSearch('', localStorage, false).StorageAdapter.getRelayUrl(), RELAY_URL);
+        assert.strictEqual(remembered.prompts.length, 0);
+    });
+
+    it('?relay=off 不需確認即改回預設後端', () => {
+        const localStorage = createLocalStorage();
+        localStorage.setItem('ffxiv_treasure_relay_url', RELAY_URL);
+
+        const { StorageAdapter, prompts } = loadWithSearch('?relay=off', localStorage, false);
+        assert.strictEqual(StorageAdapter.getRelayUrl(), null);
+        assert.strictEqual(localStorage.getItem('ffxiv_treasure_relay_url'), null);
+        assert.strictEqual(prompts.length, 0);
+    });
+});
+
+describe('中繼伺服器的存取限制', () => {
+    let backend;
+    let client;
+
+    before(async () => {
+        backend = await BACKENDS.relay();
+        client = await backend.connect();
+    });
+
+    after(() => backend.teardown());
+
+    it('不能讀取或寫入根節點', async () => {
+        await client.set('spectatorViews/TOKEN/meta', { leaderId: 'leader' });
+
+        for (const path of ['', '/', undefined]) {
+            await assert.rejects(client.get(path), /根節點/);
+            await assert.rejects(client.transaction(path, () => ({})), /根節點/);
+        }
+        await assert.rejects(client.set('', { parties: null }), /根節點/);
+        await assert.rejects(client.onDisconnect('/').remove(), /根節點/);
+
+        assert.deepStrictEqual(await read(client, 'spectatorViews/TOKEN/meta'), { leaderId: 'leader' });
+    });
+
+    it('不能列出所有隊伍或觀戰副本，只能以代碼存取單一節點', async () => {
+        await client.set('parties/ABC234/meta', { spectatorToken: 'TOKEN' });
+        await client.set('spectatorViews/TOKEN/meta', { leaderId: 'leader' });
+
+        for (const path of ['parties', 'spectatorViews', '/parties/']) {
+            await assert.rejects(client.get(path), /不能存取整個/);
+            await assert.rejects(client.transaction(path, () => null), /不能存取整個/);
+            await assert.rejects(client.set(path, null), /不能存取整個/);
+
+            const values = [];
+            const error = await new Promise((resolve) => {
+                client.onValue(path, snapshot => values.push(snapshot.val()), resolve);
+            });
+            assert.match(error.message, /不能存取整個/);
+            assert.deepStrictEqual(values, []);
+        }
+
+        assert.deepStrictEqual(await read(client, 'parties/ABC234/meta'), { spectatorToken: 'TOKEN' });
+        assert.deepStrictEqual(await read(client, 'spectatorViews/TOKEN/meta'), { leaderId: 'leader' });
+        await client.remove('parties/ABC234');
+        await client.remove('spectatorViews/TOKEN');
+    });
+
+    it('觀戰代碼索引只能寫入，不能讀取或監聽', async () => {
+        await client.set('spectators/TOKEN', { partyCode: 'ABC234' });
+
+        await assert.rejects(client.get('spectators'), /觀戰代碼索引/);
+        await assert.rejects(client.get('spectators/TOKEN'), /觀戰代碼索引/);
+        await assert.rejects(client.transaction('spectators/TOKEN', () => null), /觀戰代碼索引/);
+
+        const values = [];
+        const error = await new Promise((resolve) => {
+            client.onValue('spectators/TOKEN', snapshot => values.push(snapshot.val()), resolve);
+        });
+        assert.match(error.message, /觀戰代碼索引/);
+        assert.deepStrictEqual(values, []);
+
+        await client.remove('spectators/TOKEN');
+    });
+});
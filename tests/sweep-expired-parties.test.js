@@ -0,0 +1,218 @@
+/**
+ * 過期隊伍清除腳本測試
+ *
+ * 涵蓋 scripts/sweep-expired-parties.js 的過期判斷、分批刪除、dry-run、
+ * 觀戰代碼的一併刪除、Firebase REST 請求格式與分頁 (以替換的 fetch 記錄請求) 與中繼伺服器存檔。
+ *
+ * 使用方式:
+ *   node --test tests/sweep-expired-parties.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const {
+    findExpiredParties,
+    createTreeTarget,
+    createFileTarget,
+    createFirebaseTarget,
+    sweepExpiredParties,
+    formatReport
+} = require('../scripts/sweep-expired-parties');
+
+const NOW = 1700000000000;
+
+const TOKEN_A = 'AAAAAAAAAAAAAAAAAAAA';
+const TOKEN_B = 'BBBBBBBBBBBBBBBBBBBB';
+
+function party(expiresAt, spectatorToken) {
+    const meta = { createdAt: NOW - 1000, createdBy: 'leader', expiresAt };
+    if (spectatorToken) meta.spectatorToken = spectatorToken;
+    return { meta, members: { leader: { joinedAt: NOW, nickname: '隊長' } } };
+}
+
+// 3 個過期 (含一個沒有 meta 的損壞資料)、2 個未過期，A 與 B 各有觀戰代碼
+function createRoot() {
+    return {
+        parties: {
+            AAAAAAAA: party(NOW - 3000, TOKEN_A),
+            BBBBBBBB: party(NOW + 3000, TOKEN_B),
+            CCCCCCCC: party(NOW - 1),
+            DDDDDDDD: { presence: { ghost: { state: 'offline', lastSeen: NOW } } },
+            EEEEEEEE: party(NOW)
+        },
+        spectators: {
+            [TOKEN_A]: { partyCode: 'AAAAAAAA', createdBy: 'leader', createdAt: NOW },
+            [TOKEN_B]: { partyCode: 'BBBBBBBB', createdBy: 'leader', createdAt: NOW }
+        },
+        spectatorViews: {
+            [TOKEN_A]: { meta: { spectatorToken: TOKEN_A } },
+            [TOKEN_B]: { meta: { spectatorToken: TOKEN_B } }
+        },
+        other: { keep: true }
+    };
+}
+
+function createMemoryTarget(root) {
+    const removed = [];
+    const target = createTreeTarget({
+        getRoot: () => root,
+        removeParty: (code) => {
+            delete root.parties[code];
+            removed.push(code);
+        },
+        removeSpectator: (token) => {
+            delete root.spectators[token];
+            delete root.spectatorViews[token];
+        }
+    });
+    return { target, removed };
+}
+
+describe('sweep-expired-parties', () => {
+    it('過期與沒有過期時間的隊伍會被找出，依過期時間排序', () => {
+        assert.deepStrictEqual(findExpiredParties(createRoot().parties, NOW), [
+            { code: 'DDDDDDDD', expiresAt: null, spectatorToken: null },
+            { code: 'AAAAAAAA', expiresAt: NOW - 3000, spectatorToken: TOKEN_A },
+            { code: 'CCCCCCCC', expiresAt: NOW - 1, spectatorToken: null }
+        ]);
+        assert.deepStrictEqual(findExpiredParties(null, NOW), []);
+    });
+
+    it('分批刪除並回報數量', async () => {
+        const root = createRoot();
+        const { target, removed } = createMemoryTarget(root);
+
+        const report = await sweepExpiredParties(target, { now: NOW, batchSize: 2 });
+
+        assert.strictEqual(report.deleted, 3);
+        assert.strictEqual(report.batches, 2);
+        assert.deepStrictEqual(removed, ['DDDDDDDD', 'AAAAAAAA', 'CCCCCCCC']);
+        assert.deepStrictEqual(Object.keys(root.parties).sort(), ['BBBBBBBB', 'EEEEEEEE']);
+        assert.deepStrictEqual(Object.keys(root.spectators), [TOKEN_B], '過期隊伍的觀戰代碼一併刪除');
+        assert.deepStrictEqual(Object.keys(root.spectatorViews), [TOKEN_B]);
+        assert.deepStrictEqual(root.other, { keep: true });
+        assert.match(formatReport(report), /已刪除 3 個 \(2 批\)/);
+    });
+
+    it('dry-run 只列出不刪除', async () => {
+        const root = createRoot();
+        const { target, removed } = createMemoryTarget(root);
+
+        const report = await sweepExpiredParties(target, { now: NOW, dryRun: true });
+
+        assert.strictEqual(report.expired.length, 3);
+        assert.strictEqual(report.deleted, 0);
+        assert.deepStrictEqual(removed, []);
+        assert.strictEqual(Object.keys(root.parties).length, 5);
+
+        const text = formatReport(report);
+        assert.match(text, /\[dry-run\] 找到 3 個過期隊伍/);
+        assert.match(text, /DDDDDDDD {2}過期於 \(無過期時間\)/);
+    });
+
+    it('Firebase 以 expiresAt 索引查詢，並以多路徑更新分批刪除', async () => {
+        const requests = [];
+        const fakeFetch = async (url, init = {}) => {
+            requests.push({ url: new URL(url), method: init.method || 'GET', body: init.body ? JSON.parse(init.body) : null });
+            const expired = { AAAAAAAA: party(NOW - 3000, TOKEN_A), CCCCCCCC: party(NOW - 1), DDDDDDDD: { presence: {} } };
+            return { ok: true, json: async () => (init.method ? null : expired) };
+        };
+
+        const target = createFirebaseTarget({
+            databaseUrl: 'https://example.firebasedatabase.app/',
+            accessToken: 'token',
+            fetch: fakeFetch
+        });
+        const report = await sweepExpiredParties(target, { now: NOW, batchSize: 2 });
+
+        assert.strictEqual(report.deleted, 3);
+        const [query, ...patches] = requests;
+        assert.strictEqual(query.url.pathname, '/parties.json');
+        assert.strictEqual(query.url.searchParams.get('orderBy'), '"meta/expiresAt"');
+        assert.strictEqual(query.url.searchParams.get('endAt'), String(NOW - 1));
+        assert.strictEqual(query.url.searchParams.get('limitToFirst'), '500');
+        assert.strictEqual(query.url.searchParams.get('access_token'), 'token');
+
+        assert.deepStrictEqual(patches.map(p => [p.method, p.url.pathname, p.body]), [
+            ['PATCH', '/.json', {
+                'parties/DDDDDDDD': null,
+                'parties/AAAAAAAA': null,
+                [`spectators/${TOKEN_A}`]: null,
+                [`spectatorViews/${TOKEN_A}`]: null
+            }],
+            ['PATCH', '/.json', { 'parties/CCCCCCCC': null }]
+        ]);
+    });
+
+    it('Firebase 以 limitToFirst 分頁查詢，同一過期時間的隊伍超過一頁時也能繼續', async () => {
+        // 模擬 Firebase 的排序查詢 (null 在前，startAt 包含該值)
+        const parties = {};
+        for (let i = 0; i < 3; i++) parties[`NULL000${i}`] = { presence: {} };
+        for (let i = 0; i < 5; i++) parties[`SAME000${i}`] = party(NOW - 100);
+        for (let i = 0; i < 4; i++) parties[`LATE000${i}`] = party(NOW - 50 + i);
+        parties.FUTURE00 = party(NOW + 1000);
+
+        const sortValue = value => (value === null ? -Infinity : value);
+        const queries = [];
+        const fakeFetch = async (url) => {
+            const params = new URL(url).searchParams;
+            queries.push(params);
+            const endAt = JSON.parse(params.get('endAt'));
+            const startAt = params.has('startAt') ? JSON.parse(params.get('startAt')) : undefined;
+            const matched = Object.entries(parties)
+                .map(([code, p]) => [code, p, p.meta ? p.meta.expiresAt : null])
+                .filter(([, , value]) => sortValue(value) <= endAt && (startAt === undefined || sortValue(value) >= sortValue(startAt)))
+                .sort((a, b) => sortValue(a[2]) - sortValue(b[2]) || a[0].localeCompare(b[0]))
+                .slice(0, Number(params.get('limitToFirst')));
+            // REST API 回傳的物件不保證順序
+            return { ok: true, json: async () => Object.fromEntries(matched.reverse()) };
+        };
+
+        const target = createFirebaseTarget({
+            databaseUrl: 'https://example.firebasedatabase.app',
+            secret: 'secret',
+            pageSize: 2,
+            fetch: fakeFetch
+        });
+        const expired = await target.listExpired(NOW);
+
+        assert.strictEqual(expired.length, 12);
+        assert.ok(!expired.some(p => p.code === 'FUTURE00'));
+        assert.ok(queries.length > 1);
+        assert.strictEqual(queries[0].has('startAt'), false);
+        assert.ok(queries.slice(1).every(q => q.has('startAt')));
+    });
+
+    it('Firebase 請求失敗時拋出錯誤，缺少憑證時無法建立', async () => {
+        const target = createFirebaseTarget({
+            databaseUrl: 'https://example.firebasedatabase.app',
+            secret: 'secret',
+            fetch: async () => ({ ok: false, status: 400, text: async () => '{"error":"Index not defined"}' })
+        });
+        await assert.rejects(sweepExpiredParties(target, { now: NOW }), /400.*Index not defined/);
+
+        assert.throws(() => createFirebaseTarget({ databaseUrl: 'https://example.firebasedatabase.app' }), /FIREBASE_ACCESS_TOKEN/);
+    });
+
+    it('清除中繼伺服器的存檔', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sweep-'));
+        const file = path.join(dir, 'party-data.json');
+        try {
+            fs.writeFileSync(file, JSON.stringify(createRoot()));
+
+            const report = await sweepExpiredParties(createFileTarget(file), { now: NOW });
+            assert.strictEqual(report.deleted, 3);
+
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            assert.deepStrictEqual(Object.keys(saved.parties).sort(), ['BBBBBBBB', 'EEEEEEEE']);
+            assert.deepStrictEqual(Object.keys(saved.spectators), [TOKEN_B]);
+            assert.deepStrictEqual(Object.keys(saved.spectatorViews), [TOKEN_B]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
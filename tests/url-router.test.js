@@ -0,0 +1,73 @@
+/**
+ * UrlRouter 測試
+ *
+ * 涵蓋等級 / 地圖 / 藏寶點網址的產生與解析，以及無效部分的處理。
+ *
+ * 使用方式:
+ *   node --test tests/url-router.test.js
+ */
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { loadScripts, getGlobals } = require('./helpers/load-browser-globals');
+const { forAll } = require('./helpers/property');
+
+const context = loadScripts(['js/treasure-data.js', 'js/data.js', 'js/url-router.js']);
+const { UrlRouter, GRADE_DATA, TREASURES, getGradeByItemId, getMapsForGrade } = getGlobals(context, [
+    'UrlRouter', 'GRADE_DATA', 'TREASURES', 'getGradeByItemId', 'getMapsForGrade'
+]);
+
+const G17 = GRADE_DATA.find(g => g.grade === 'G17');
+const TREASURES_IN_GRADES = TREASURES.filter(t => getGradeByItemId(t.item));
+
+describe('UrlRouter', () => {
+    it('藏寶點的網址解析後得到相同的等級、地圖與藏寶點', () => {
+        forAll(random => random.pick(TREASURES_IN_GRADES), treasure => {
+            const grade = getGradeByItemId(treasure.item);
+            const hash = UrlRouter.buildHash({ grade, mapId: treasure.map, treasure });
+            const route = UrlRouter.parseHash(hash);
+
+            assert.strictEqual(route.grade, grade);
+            assert.strictEqual(route.mapId, treasure.map);
+            assert.strictEqual(route.treasure, treasure);
+        });
+    });
+
+    it('網址格式為 #/等級/地圖/藏寶點，未選擇的部分省略', () => {
+        const treasure = TREASURES.find(t => t.item === G17.itemId);
+        assert.strictEqual(
+            UrlRouter.buildHash({ grade: G17, mapId: treasure.map, treasure }),
+            `#/G17/${treasure.map}/${treasure.id}`
+        );
+        assert.strictEqual(UrlRouter.buildHash({ grade: G17, mapId: treasure.map }), `#/G17/${treasure.map}`);
+        assert.strictEqual(UrlRouter.buildHash({ grade: G17 }), '#/G17');
+        assert.strictEqual(UrlRouter.buildHash({}), '');
+
+        // 非英數的等級代號經過編碼，解析時還原
+        const special = GRADE_DATA.find(g => g.special);
+        const hash = UrlRouter.buildHash({ grade: special });
+        assert.match(hash, /^#\/%/);
+        assert.strictEqual(UrlRouter.parseHash(hash).grade, special);
+        assert.strictEqual(UrlRouter.parseHash(`#/${special.grade}`).grade, special);
+    });
+
+    it('只採用前面有效的部分', () => {
+        const treasure = TREASURES.find(t => t.item === G17.itemId);
+        const otherGradeMap = getMapsForGrade(GRADE_DATA.find(g => g.grade === 'G6'))[0].id;
+
+        const noTreasure = UrlRouter.parseHash(`#/G17/${treasure.map}/not-a-treasure`);
+        assert.strictEqual(noTreasure.grade, G17);
+        assert.strictEqual(noTreasure.mapId, treasure.map);
+        assert.strictEqual(noTreasure.treasure, null);
+
+        const wrongMap = UrlRouter.parseHash(`#/g17/${otherGradeMap}/${treasure.id}`);
+        assert.strictEqual(wrongMap.grade, G17);
+        assert.strictEqual(wrongMap.mapId, null);
+        assert.strictEqual(wrongMap.treasure, null);
+
+        for (const hash of ['', '#', '#/', '#/G99/1/1.0', '#/%E0%A4%A']) {
+            assert.deepStrictEqual({ ...UrlRouter.parseHash(hash) }, { grade: null, mapId: null, treasure: null }, hash);
+        }
+    });
+});